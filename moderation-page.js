@@ -0,0 +1,371 @@
+/**
+ * Moderation Page - Main JavaScript
+ * Flagged, hidden and likely duplicate reports for moderators and jurisdiction
+ * admins: hide, restore or merge them, and browse the audit trail of those actions
+ */
+
+import { auth } from './src/firebase-setup.js';
+import {
+  accessReportController,
+  STATUS_TYPES,
+  SEVERITY_LEVELS,
+  FLAG_REASONS
+} from './src/controllers/access-report-controller.js';
+import { ROLES, isStaff, getRoleInfo } from './src/controllers/report-roles.js';
+import { haversineDistance, formatDistance } from './src/utils/calculations.js';
+import { findDuplicateReports, getDuplicateRadius } from './src/utils/report-duplicates.js';
+import toast from './src/helpers/toasts.js';
+import modal from './src/helpers/modals.js';
+import { OutboxStatusController } from './src/ui/outbox-status.js';
+import { NotificationCenterController } from './src/ui/notification-center.js';
+
+const MERGE_CANDIDATES = 10;
+
+// Global state
+let queue = { roleInfo: null, flagged: [], hidden: [], visible: [], duplicates: [] };
+let activeTab = 'flagged';
+let selectedReportId = new URLSearchParams(window.location.search).get('report');
+
+// Initialize page
+document.addEventListener('DOMContentLoaded', async () => {
+  console.log('🛡️ Moderation page initializing...');
+
+  const user = await waitForAuth();
+  if (!user || user.isAnonymous) {
+    showMessage('🔐 Sign in with a moderator account to review reports.');
+    return;
+  }
+
+  setupEventListeners();
+  new OutboxStatusController().initialize();
+  new NotificationCenterController().initialize();
+  await loadQueue();
+
+  console.log('✅ Moderation page initialized');
+});
+
+/**
+ * Resolve with the signed-in user (or null) once Firebase knows
+ */
+async function waitForAuth() {
+  const { onAuthStateChanged } = await import('https://www.gstatic.com/firebasejs/10.5.0/firebase-auth.js');
+  return new Promise((resolve) => {
+    const unsubscribe = onAuthStateChanged(auth, (user) => {
+      unsubscribe();
+      resolve(user);
+    });
+  });
+}
+
+/**
+ * Load the queue the signed-in user may act on
+ */
+async function loadQueue() {
+  try {
+    queue = await accessReportController.getModerationQueue();
+  } catch (error) {
+    console.error('❌ Error loading moderation queue:', error);
+    showMessage('Failed to load the moderation queue. Check your connection and try again.');
+    return;
+  }
+
+  if (!isStaff(queue.roleInfo)) {
+    showMessage('🚫 Only moderators and jurisdiction admins can use the moderation queue.');
+    document.getElementById('moderatorRole').textContent = `Signed in as ${getRoleInfo(queue.roleInfo?.role).label}`;
+    return;
+  }
+
+  const role = getRoleInfo(queue.roleInfo.role);
+  document.getElementById('moderatorRole').textContent = queue.roleInfo.role === ROLES.JURISDICTION_ADMIN.id
+    ? `${role.icon} ${role.label} for ${queue.roleInfo.jurisdictions.join(', ') || 'no jurisdictions yet'}`
+    : `${role.icon} ${role.label} - all reports`;
+  document.getElementById('flaggedCount').textContent = queue.flagged.length;
+  document.getElementById('hiddenCount').textContent = queue.hidden.length;
+  document.getElementById('duplicatesCount').textContent = queue.duplicates.length;
+
+  // Opened from a report's details: show the tab that holds it
+  if (selectedReportId && queue.hidden.some(report => report.id === selectedReportId)) {
+    activeTab = 'hidden';
+  }
+
+  await renderTab();
+}
+
+/**
+ * Setup event listeners
+ */
+function setupEventListeners() {
+  document.querySelectorAll('.queue-tab').forEach(tab => {
+    tab.addEventListener('click', () => {
+      activeTab = tab.dataset.tab;
+      renderTab();
+    });
+  });
+
+  // Queue actions use data attributes so the list can be re-rendered freely
+  document.getElementById('queueContent').addEventListener('click', (e) => {
+    const button = e.target.closest('[data-moderate]');
+    if (button) handleAction(button.dataset.moderate, button.dataset.reportId, button.dataset.targetId);
+  });
+}
+
+async function renderTab() {
+  document.querySelectorAll('.queue-tab').forEach(tab => {
+    const active = tab.dataset.tab === activeTab;
+    tab.classList.toggle('active', active);
+    tab.setAttribute('aria-selected', active ? 'true' : 'false');
+  });
+
+  const container = document.getElementById('queueContent');
+  if (activeTab === 'audit') {
+    container.innerHTML = '<p class="queue-empty">Loading audit trail...</p>';
+    container.innerHTML = await renderAuditTrail();
+    return;
+  }
+
+  if (activeTab === 'duplicates') {
+    container.innerHTML = queue.duplicates.length > 0
+      ? queue.duplicates.map(renderDuplicateGroup).join('')
+      : `<p class="queue-empty">🎉 No open reports of the same issue within ${getDuplicateRadius()} m of each other</p>`;
+    return;
+  }
+
+  let reports = activeTab === 'flagged' ? queue.flagged : queue.hidden;
+
+  // A report opened from its details page is shown first, even without flags
+  const selected = selectedReportId && queue.visible.concat(queue.hidden).find(report => report.id === selectedReportId);
+  if (selected && !reports.includes(selected) && (activeTab === 'flagged') === !selected.isHidden) {
+    reports = [selected, ...reports];
+  }
+
+  container.innerHTML = reports.length > 0
+    ? reports.map(renderQueueItem).join('')
+    : `<p class="queue-empty">${activeTab === 'flagged' ? '🎉 No flagged reports' : 'No hidden reports'}</p>`;
+
+  container.querySelector('.queue-item.selected')?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+}
+
+/**
+ * The report to keep first, then each likely duplicate with a one-step merge
+ */
+function renderDuplicateGroup({ primary, duplicates }) {
+  return `
+    <div class="duplicate-group">
+      <h4>🔁 ${duplicates.length + 1} reports of the same issue within ${getDuplicateRadius()} m</h4>
+      ${renderQueueItem(primary, '⭐ Keep')}
+      ${duplicates.map(({ report, distance }) => renderQueueItem(report, `${Math.round(distance)} m away`, primary)).join('')}
+    </div>
+  `;
+}
+
+function renderQueueItem(report, label = '', mergeTarget = null) {
+  const status = STATUS_TYPES[report.status?.toUpperCase()] || STATUS_TYPES.NEW;
+  const severity = SEVERITY_LEVELS[report.severity?.toUpperCase()] || SEVERITY_LEVELS.MEDIUM;
+  const date = report.createdAt?.toDate ? report.createdAt.toDate().toLocaleDateString() : 'Unknown date';
+  const flags = report.flags || [];
+  const action = (id, label, variant, targetId = '') =>
+    `<button class="btn btn-sm btn-${variant}" data-moderate="${id}" data-report-id="${report.id}" ${targetId ? `data-target-id="${targetId}"` : ''}>${label}</button>`;
+
+  return `
+    <div class="queue-item ${report.id === selectedReportId ? 'selected' : ''}">
+      <h3>${label ? `<small style="color: var(--primary-color);">${escapeHtml(label)}</small> ` : ''}${escapeHtml(report.title || 'Untitled report')}</h3>
+      <div class="queue-meta">
+        ${status.icon} ${status.label} · <span style="color: ${severity.color};">${severity.label}</span> ·
+        ${escapeHtml(report.userName || 'Anonymous')} · ${date}
+        ${report.jurisdiction ? ` · 🏛️ ${escapeHtml(report.jurisdictionName || report.jurisdiction)}` : ''}
+        ${report.assignedTo ? ` · 👷 ${escapeHtml(report.assignedTo.name)}` : ''}
+      </div>
+      <p style="margin: 0; font-size: 0.9rem;">${escapeHtml((report.description || '').substring(0, 200))}</p>
+      ${report.mergedInto ? `<p class="queue-meta">🔗 Merged into report ${escapeHtml(report.mergedInto)}</p>` : ''}
+      ${report.moderation ? `<p class="queue-meta">Last action: ${escapeHtml(accessReportController.getModerationAction(report.moderation.action).label)} on ${new Date(report.moderation.at).toLocaleString()}${report.moderation.note ? ` - "${escapeHtml(report.moderation.note)}"` : ''}</p>` : ''}
+      ${flags.length > 0 ? `
+        <ul class="queue-flags">
+          ${flags.map(flag => `
+            <li>🚩 <strong>${escapeHtml(getFlagReason(flag.reason))}</strong>
+              ${flag.details ? ` - ${escapeHtml(flag.details)}` : ''}
+              <span class="queue-meta">(${new Date(flag.timestamp).toLocaleDateString()})</span>
+            </li>
+          `).join('')}
+        </ul>
+      ` : ''}
+      <div class="queue-actions">
+        ${report.isHidden
+          ? action('restore', '♻️ Restore', 'primary')
+          : `${mergeTarget ? action('merge', '🔗 Merge into kept report', 'primary', mergeTarget.id) : ''}${action('hide', '🙈 Hide', 'danger')}${action('merge', '🔗 Merge into...', 'secondary')}${flags.length > 0 ? action('restore', '✅ Dismiss flags', 'secondary') : ''}`}
+        ${action('details', '👁️ View', 'secondary')}
+        ${action('history', '📜 History', 'secondary')}
+      </div>
+    </div>
+  `;
+}
+
+function getFlagReason(reasonId) {
+  return Object.values(FLAG_REASONS).find(reason => reason.id === reasonId)?.label || reasonId;
+}
+
+/**
+ * Run a queue action, then reload so the lists reflect it
+ */
+async function handleAction(action, reportId, presetTargetId = null) {
+  const report = [...queue.visible, ...queue.hidden].find(candidate => candidate.id === reportId);
+  if (!report) return;
+
+  if (action === 'details') {
+    showReportDetails(report);
+    return;
+  }
+  if (action === 'history') {
+    await showReportHistory(report);
+    return;
+  }
+
+  let targetId = presetTargetId || null;
+  if (action === 'merge' && !targetId) {
+    const target = await pickMergeTarget(report);
+    if (!target) return;
+    targetId = target.report.id;
+  }
+
+  const labels = {
+    hide: 'Hide this report',
+    restore: report.isHidden ? 'Restore this report' : 'Dismiss the flags on this report',
+    merge: 'Merge this report - its photos, upvotes and history move to the kept report'
+  };
+  const note = await modal.prompt('Add a note for the audit trail (optional):', labels[action]);
+  if (note === null) return;
+
+  const done = await accessReportController.moderateReport(reportId, action, { note, targetId });
+  if (done) {
+    selectedReportId = null;
+    await loadQueue();
+  }
+}
+
+/**
+ * Likely duplicates first, then the nearest visible reports
+ */
+async function pickMergeTarget(report) {
+  const likely = new Set(findDuplicateReports(queue.visible, report).map(match => match.report.id));
+  const here = { lat: report.location?.latitude, lng: report.location?.longitude };
+  const candidates = queue.visible
+    .filter(candidate => candidate.id !== report.id && !candidate.mergedInto)
+    .map(candidate => ({
+      report: candidate,
+      distance: typeof here.lat === 'number' && typeof candidate.location?.latitude === 'number'
+        ? haversineDistance(here, { lat: candidate.location.latitude, lng: candidate.location.longitude })
+        : Infinity
+    }))
+    .sort((a, b) => (likely.has(b.report.id) - likely.has(a.report.id)) || (a.distance - b.distance))
+    .slice(0, MERGE_CANDIDATES);
+
+  if (candidates.length === 0) {
+    toast.info('No other reports to merge into');
+    return null;
+  }
+
+  return modal.list(candidates.map(candidate => ({
+    ...candidate,
+    title: candidate.report.title || 'Untitled report',
+    description: `${likely.has(candidate.report.id) ? '🔁 Likely duplicate · ' : ''}${Number.isFinite(candidate.distance) ? `${formatDistance(candidate.distance)} away · ` : ''}👍 ${candidate.report.upvotes || 0} · ${candidate.report.status}`
+  })), '🔗 Merge into which report?');
+}
+
+function showReportDetails(report) {
+  modal.show({
+    type: 'info',
+    title: report.title || 'Untitled report',
+    content: `
+      <p style="white-space: pre-wrap;">${escapeHtml(report.description || '')}</p>
+      <p class="queue-meta">📍 ${escapeHtml(report.location?.placeDescription || report.location?.address || 'Unknown location')}</p>
+      ${(report.photos || []).map(photo => `<img src="${photo.content}" alt="Report photo" style="max-width: 100%; border-radius: 8px; margin-top: 8px;">`).join('')}
+    `,
+    size: 'lg',
+    buttons: [{ label: 'Close', action: 'close', variant: 'secondary' }]
+  });
+}
+
+async function showReportHistory(report) {
+  try {
+    const entries = await accessReportController.getAuditTrail({ reportId: report.id });
+    await modal.show({
+      type: 'info',
+      icon: '📜',
+      title: 'Moderation History',
+      subtitle: report.title,
+      content: entries.length > 0 ? renderAuditTable(entries, false) : '<p class="queue-empty">No moderation actions yet</p>',
+      size: 'lg',
+      buttons: [{ label: 'Close', action: 'close', variant: 'secondary' }]
+    });
+  } catch (error) {
+    console.error('❌ Error loading report history:', error);
+    toast.error('Failed to load moderation history');
+  }
+}
+
+async function renderAuditTrail() {
+  try {
+    const entries = await accessReportController.getAuditTrail();
+    // Jurisdiction admins only see the actions on reports they cover
+    const covered = new Set([...queue.visible, ...queue.hidden].map(report => report.id));
+    const visible = queue.roleInfo.role === ROLES.MODERATOR.id
+      ? entries
+      : entries.filter(entry => covered.has(entry.reportId));
+
+    return visible.length > 0 ? renderAuditTable(visible, true) : '<p class="queue-empty">No moderation actions yet</p>';
+  } catch (error) {
+    console.error('❌ Error loading audit trail:', error);
+    return '<p class="queue-empty">Failed to load the audit trail</p>';
+  }
+}
+
+function renderAuditTable(entries, showReport) {
+  return `
+    <table class="audit-table">
+      <thead>
+        <tr>
+          <th>When</th>
+          <th>Action</th>
+          ${showReport ? '<th>Report</th>' : ''}
+          <th>By</th>
+          <th>Details</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${entries.map(entry => {
+          const action = accessReportController.getModerationAction(entry.action);
+          const details = [
+            entry.reason && getFlagReason(entry.reason),
+            entry.targetId && `Into report ${entry.targetId}`,
+            entry.note
+          ].filter(Boolean).map(escapeHtml).join('<br>');
+          return `
+            <tr>
+              <td>${new Date(entry.timestamp).toLocaleString()}</td>
+              <td>${action.icon} ${escapeHtml(action.label)}</td>
+              ${showReport ? `<td>${escapeHtml(entry.reportTitle || entry.reportId)}</td>` : ''}
+              <td>${escapeHtml(getRoleInfo(entry.actorRole).label)}</td>
+              <td>${details || '-'}</td>
+            </tr>
+          `;
+        }).join('')}
+      </tbody>
+    </table>
+  `;
+}
+
+function showMessage(message) {
+  document.getElementById('queueContent').innerHTML = `<p class="queue-empty">${escapeHtml(message)}</p>`;
+  document.querySelector('.queue-tabs').style.display = 'none';
+}
+
+/**
+ * Escape HTML
+ */
+function escapeHtml(text) {
+  if (!text) return '';
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+}
+
+console.log('🛡️ Moderation page script loaded');
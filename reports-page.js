@@ -14,6 +14,10 @@ import {
 import { reverseGeocodeWithCache, getLocationDisplayName } from './src/helpers/geocoding.js';
 import toast from './src/helpers/toasts.js';
 import modal from './src/helpers/modals.js';
+import { createTileLayer } from './src/core/offline-tiles.js';
+import { OutboxStatusController } from './src/ui/outbox-status.js';
+import { NotificationCenterController } from './src/ui/notification-center.js';
+import { reportRoles, isStaff } from './src/controllers/report-roles.js';
 
 // Global state
 let map = null;
@@ -29,6 +33,7 @@ document.addEventListener('DOMContentLoaded', async () => {
   
   // Wait for auth to be ready
   await initializeAuth();
+  showModerationLink();
   
   // Initialize map
   initializeMap();
@@ -45,6 +50,16 @@ document.addEventListener('DOMContentLoaded', async () => {
   // Setup event listeners
   setupEventListeners();
   
+  // Queued reports, upvotes and status changes
+  new OutboxStatusController().initialize();
+  new NotificationCenterController().initialize();
+  
+  // NEW: Links from notifications and digest emails open a report
+  const linkedReportId = new URLSearchParams(window.location.search).get('report');
+  if (linkedReportId) {
+    viewReportDetailsIntegration(linkedReportId);
+  }
+  
   // Hide loading overlay
   document.getElementById('loadingOverlay').classList.add('hidden');
   
@@ -83,6 +98,19 @@ async function initializeAuth() {
   });
 }
 
+/**
+ * Moderators and jurisdiction admins get a link to their queue
+ */
+async function showModerationLink() {
+  if (!auth.currentUser || auth.currentUser.isAnonymous) return;
+
+  const roleInfo = await reportRoles.getRole(auth.currentUser.uid);
+  const link = document.getElementById('moderationNavLink');
+  if (link && isStaff(roleInfo)) {
+    link.style.display = '';
+  }
+}
+
 /**
  * Initialize Leaflet map
  */
@@ -91,10 +119,8 @@ function initializeMap() {
   
   map = L.map('reportMap').setView([-33.9249, 18.4241], 12); // Default: Cape Town
   
-  L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
-    attribution: '© OpenStreetMap contributors',
-    maxZoom: 19
-  }).addTo(map);
+  // Same tile source as the tracker; tiles come from the offline cache when available
+  createTileLayer().addTo(map);
   
   // Initialize marker cluster group
   markerClusterGroup = L.markerClusterGroup({
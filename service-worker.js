@@ -0,0 +1,241 @@
+// Access Nature service worker
+// App shell: pages, modules and styles are precached per APP_VERSION so the
+// app starts without network. A new version waits until the page accepts the
+// update prompt (src/core/pwa.js), so one page never mixes two versions.
+// Offline map tiles: images are served from the tile cache filled by the
+// "download this area" tool (src/core/offline-tiles.js), otherwise from the network.
+
+// Bump on every release - changing this file is what makes browsers install the new shell
+const APP_VERSION = '1.14.0';
+const SHELL_CACHE_NAME = `accessnature-shell-${APP_VERSION}`;
+const CDN_CACHE_NAME = 'accessnature-cdn-v1';
+// Keep in sync with TILE_CACHE_NAME in src/core/offline-tiles.js
+const TILE_CACHE_NAME = 'accessnature-tiles-v1';
+const CURRENT_CACHES = [SHELL_CACHE_NAME, CDN_CACHE_NAME, TILE_CACHE_NAME];
+
+const PAGES = [
+  './',
+  './index.html',
+  './tracker.html',
+  './reports.html',
+  './moderation.html',
+  './accessibility.html'
+];
+
+const SHELL_FILES = [
+  ...PAGES,
+  './manifest.webmanifest',
+  './icons/icon.svg',
+  './icons/icon-maskable.svg',
+  './access-nature-design-system.css',
+  './auth-status-handler.js',
+  './universal-navigation.js',
+  './reports-page.js',
+  './reports-integration.js',
+  './moderation-page.js',
+  './src/main.js',
+  './src/landing.js',
+  './src/firebase-setup.js',
+  './src/controllers/access-report-comments.js',
+  './src/controllers/access-report-controller.js',
+  './src/controllers/access-report-main.js',
+  './src/controllers/access-report-map.js',
+  './src/controllers/access-report-timeline.js',
+  './src/controllers/access-report-ui.js',
+  './src/controllers/report-jurisdictions.js',
+  './src/controllers/report-roles.js',
+  './src/core/audio-store.js',
+  './src/core/auto-pause.js',
+  './src/core/gps-filter.js',
+  './src/core/indexeddb.js',
+  './src/core/mailer.js',
+  './src/core/map.js',
+  './src/core/notifications.js',
+  './src/core/offline-tiles.js',
+  './src/core/outbox.js',
+  './src/core/photo-store.js',
+  './src/core/pwa.js',
+  './src/core/route-journal.js',
+  './src/core/route-schema.js',
+  './src/core/storage.js',
+  './src/core/storage-quota.js',
+  './src/core/tab-sync.js',
+  './src/core/timer.js',
+  './src/core/tracking.js',
+  './src/core/transcription.js',
+  './src/features/accessibility.js',
+  './src/features/auth.js',
+  './src/features/export.js',
+  './src/features/firebase.js',
+  './src/features/geo-formats.js',
+  './src/features/gpx.js',
+  './src/features/media.js',
+  './src/features/offline-maps.js',
+  './src/features/report-alerts.js',
+  './src/features/route-editor.js',
+  './src/features/storage-manager.js',
+  './src/features/trail-follow.js',
+  './src/helpers/geocoding.js',
+  './src/helpers/loading.js',
+  './src/helpers/modals.js',
+  './src/helpers/toasts.js',
+  './src/js/form-validation.js',
+  './src/js/loading.js',
+  './src/js/modal.js',
+  './src/js/navigation.js',
+  './src/js/toast.js',
+  './src/js/touch-interactions.js',
+  './src/ui/compass.js',
+  './src/ui/gestureRotation.js',
+  './src/ui/navigation.js',
+  './src/ui/notification-center.js',
+  './src/ui/outbox-status.js',
+  './src/utils/calculations.js',
+  './src/utils/elevation.js',
+  './src/utils/geolocation.js',
+  './src/utils/helpers.js',
+  './src/utils/report-duplicates.js',
+  './src/utils/report-workflow.js',
+  './src/utils/route-analysis.js',
+  './src/utils/route-edit.js',
+  './src/utils/route-follow.js',
+  './src/utils/surfaces.js',
+  './src/utils/trail-markers.js',
+  './src/css/access-report-styles.css',
+  './src/css/accessibility.css',
+  './src/css/auth.css',
+  './src/css/base.css',
+  './src/css/buttons.css',
+  './src/css/components.css',
+  './src/css/design-system.css',
+  './src/css/focus-states.css',
+  './src/css/landing.css',
+  './src/css/layout.css',
+  './src/css/loading-states.css',
+  './src/css/modals.css',
+  './src/css/navigation-features.css',
+  './src/css/themes.css',
+  './src/css/toasts.css',
+  './src/css/tracker-custom.css',
+  './src/css/ui-polish.css'
+];
+
+// Third-party libraries the pages load from CDNs. Cached best-effort:
+// a CDN hiccup during install must not block the app shell.
+const CDN_FILES = [
+  'https://unpkg.com/leaflet@1.9.3/dist/leaflet.css',
+  'https://unpkg.com/leaflet@1.9.4/dist/leaflet.css',
+  'https://unpkg.com/leaflet@1.9.4/dist/leaflet.js',
+  'https://unpkg.com/leaflet/dist/leaflet.js',
+  'https://unpkg.com/leaflet-control-geocoder/dist/Control.Geocoder.css',
+  'https://unpkg.com/leaflet-control-geocoder/dist/Control.Geocoder.js',
+  'https://unpkg.com/leaflet.markercluster@1.5.3/dist/MarkerCluster.css',
+  'https://unpkg.com/leaflet.markercluster@1.5.3/dist/MarkerCluster.Default.css',
+  'https://unpkg.com/leaflet.markercluster@1.5.3/dist/leaflet.markercluster.js',
+  'https://cdnjs.cloudflare.com/ajax/libs/jspdf/2.5.1/jspdf.umd.min.js',
+  'https://www.gstatic.com/firebasejs/10.5.0/firebase-app.js',
+  'https://www.gstatic.com/firebasejs/10.5.0/firebase-auth.js',
+  'https://www.gstatic.com/firebasejs/10.5.0/firebase-firestore.js',
+  'https://www.gstatic.com/firebasejs/10.5.0/firebase-storage.js'
+];
+
+function isCdnRequest(url) {
+  return url.hostname === 'unpkg.com' ||
+    url.hostname === 'cdnjs.cloudflare.com' ||
+    (url.hostname === 'www.gstatic.com' && url.pathname.startsWith('/firebasejs/'));
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(Promise.all([
+    caches.open(SHELL_CACHE_NAME)
+      .then(cache => cache.addAll(SHELL_FILES.map(url => new Request(url, { cache: 'reload' })))),
+    caches.open(CDN_CACHE_NAME)
+      .then(cache => Promise.all(CDN_FILES.map(url =>
+        cache.match(url).then(cached => cached || cache.add(url)).catch(error => {
+          console.warn('⚠️ Could not cache', url, error);
+        })
+      )))
+  ]));
+});
+
+// Sent by the update prompt once the user agrees to reload
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys
+          .filter(key => key.startsWith('accessnature-') && !CURRENT_CACHES.includes(key))
+          .map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+
+  if (request.mode === 'navigate' && url.origin === self.location.origin) {
+    event.respondWith(handleNavigation(request));
+  } else if (url.origin === self.location.origin) {
+    event.respondWith(cacheFirst(request));
+  } else if (isCdnRequest(url)) {
+    event.respondWith(staleWhileRevalidate(request));
+  } else if (request.destination === 'image') {
+    event.respondWith(
+      caches.open(TILE_CACHE_NAME)
+        .then(cache => cache.match(request.url))
+        .then(cached => cached || fetch(request))
+    );
+  }
+});
+
+// Pages come from the shell of the installed version; query strings
+// (?source=pwa, auth redirects) don't create separate entries.
+async function handleNavigation(request) {
+  const cache = await caches.open(SHELL_CACHE_NAME);
+  const cached = await cache.match(request, { ignoreSearch: true });
+  if (cached) return cached;
+
+  try {
+    return await fetch(request);
+  } catch (error) {
+    return (await cache.match('./index.html')) || Response.error();
+  }
+}
+
+// Files missing from SHELL_FILES are added on first use so they work offline afterwards
+async function cacheFirst(request) {
+  const cache = await caches.open(SHELL_CACHE_NAME);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) {
+    cache.put(request, response.clone());
+  }
+  return response;
+}
+
+async function staleWhileRevalidate(request) {
+  const cache = await caches.open(CDN_CACHE_NAME);
+  const cached = await cache.match(request);
+  const network = fetch(request)
+    .then(response => {
+      if (response.ok || response.type === 'opaque') {
+        cache.put(request, response.clone());
+      }
+      return response;
+    })
+    .catch(() => cached || Response.error());
+
+  return cached || network;
+}
@@ -0,0 +1,270 @@
+/**
+ * AccessReport Comments
+ * Threaded comment list and forms for one report - used in the report
+ * details modal and the timeline cards
+ *
+ * File: src/controllers/access-report-comments.js
+ */
+
+import { auth } from '../firebase-setup.js';
+import { accessReportController, MAX_COMMENT_LENGTH, MAX_COMMENT_PHOTOS } from './access-report-controller.js';
+import modal from '../helpers/modals.js';
+
+// Deeper replies line up with their parent so narrow screens stay readable
+const MAX_INDENT_DEPTH = 3;
+
+export class AccessReportComments {
+  constructor(container, report) {
+    this.container = container;
+    this.report = report;
+    this.comments = [];
+    this.editingId = null;
+    this.replyingTo = null;
+    this.busy = false;
+    this.handleClick = this.handleClick.bind(this);
+    this.handleSubmit = this.handleSubmit.bind(this);
+  }
+
+  /**
+   * Load the comments and start listening for replies, edits and deletions
+   */
+  async initialize() {
+    if (!this.container) return;
+
+    this.container.addEventListener('click', this.handleClick);
+    this.container.addEventListener('submit', this.handleSubmit);
+    await this.loadComments();
+  }
+
+  async loadComments() {
+    this.container.innerHTML = '<p style="font-size: 14px; color: #6b7280;">Loading comments...</p>';
+    try {
+      this.comments = await accessReportController.getComments(this.report.id, this.report.mergedFrom || []);
+    } catch (error) {
+      this.container.innerHTML = '<p style="font-size: 14px; color: #ef4444;">Comments could not be loaded</p>';
+      return;
+    }
+    this.render();
+  }
+
+  /**
+   * Replies grouped under their parent; replies to a comment we can't see go to the top
+   */
+  buildThreads() {
+    const ids = new Set(this.comments.map(comment => comment.id));
+    const children = new Map();
+    this.comments.forEach(comment => {
+      const parentId = comment.parentId && ids.has(comment.parentId) ? comment.parentId : null;
+      if (!children.has(parentId)) children.set(parentId, []);
+      children.get(parentId).push(comment);
+    });
+    return children;
+  }
+
+  render() {
+    const children = this.buildThreads();
+    const visibleCount = this.comments.filter(comment => !comment.isDeleted).length;
+    const user = auth.currentUser;
+
+    this.container.innerHTML = `
+      <h3 style="margin-bottom: 8px; font-size: 16px; font-weight: 600;">💬 Comments (${visibleCount})</h3>
+      <div>
+        ${visibleCount > 0
+          ? this.renderReplies(children, null, 0)
+          : '<p style="font-size: 14px; color: #6b7280;">No comments yet. Seen this issue too? Add what you know.</p>'}
+      </div>
+      ${this.report.mergedInto
+        ? '<p style="font-size: 13px; color: #6b7280;">🔗 This report was merged - comment on the report it was merged into.</p>'
+        : user
+          ? this.renderForm('new')
+          : '<p style="font-size: 13px; color: #6b7280;">Sign in to join the discussion.</p>'}
+    `;
+  }
+
+  renderReplies(children, parentId, depth) {
+    return (children.get(parentId) || [])
+      .map(comment => this.renderComment(comment, children, depth))
+      .join('');
+  }
+
+  renderComment(comment, children, depth) {
+    const replies = this.renderReplies(children, comment.id, depth + 1);
+    // A deleted comment only stays as a placeholder while it has replies
+    if (comment.isDeleted && !replies) return '';
+
+    const user = auth.currentUser;
+    const isAuthor = user && comment.userId === user.uid && !comment.isDeleted;
+    const date = comment.createdAt ? new Date(comment.createdAt).toLocaleString() : '';
+    const indent = depth > 0 && depth <= MAX_INDENT_DEPTH ? 'margin-left: 20px; border-left: 2px solid #e5e7eb; padding-left: 12px;' : '';
+    const linkStyle = 'background: none; border: none; padding: 0; margin-right: 12px; color: #3b82f6; font-size: 12px; cursor: pointer;';
+
+    let body;
+    if (comment.isDeleted) {
+      body = '<p style="font-size: 14px; color: #9ca3af; font-style: italic; margin: 4px 0;">🗑️ Comment deleted</p>';
+    } else if (this.editingId === comment.id) {
+      body = this.renderForm('edit', comment);
+    } else {
+      body = `
+        ${comment.comment ? `<p style="font-size: 14px; color: #374151; line-height: 1.5; white-space: pre-wrap; margin: 4px 0;">${this.escapeHtml(comment.comment)}</p>` : ''}
+        ${comment.photos?.length ? `
+          <div style="display: flex; gap: 8px; margin: 6px 0;">
+            ${comment.photos.map((photo, index) => `
+              <img src="${photo.content}" alt="Comment photo ${index + 1}" data-comment-action="photo" data-comment-id="${comment.id}" data-photo-index="${index}"
+                style="width: 72px; height: 72px; object-fit: cover; border-radius: 6px; cursor: pointer;">
+            `).join('')}
+          </div>
+        ` : ''}
+        <div>
+          ${!this.report.mergedInto && user ? `<button type="button" data-comment-action="reply" data-comment-id="${comment.id}" style="${linkStyle}">↩️ Reply</button>` : ''}
+          ${isAuthor && comment.comment ? `<button type="button" data-comment-action="edit" data-comment-id="${comment.id}" style="${linkStyle}">✏️ Edit</button>` : ''}
+          ${isAuthor ? `<button type="button" data-comment-action="delete" data-comment-id="${comment.id}" style="${linkStyle} color: #ef4444;">🗑️ Delete</button>` : ''}
+        </div>
+        ${this.replyingTo === comment.id ? this.renderForm('reply', comment) : ''}
+      `;
+    }
+
+    return `
+      <div style="margin: 10px 0; ${indent}">
+        <div style="font-size: 13px; color: #6b7280;">
+          <strong style="color: #111827;">${this.escapeHtml(comment.isDeleted ? '' : comment.userName || 'Anonymous')}</strong>
+          ${date}${comment.isEdited && !comment.isDeleted ? ' · edited' : ''}
+          ${comment.reportId !== this.report.id ? ' · 🔗 from a merged duplicate' : ''}
+        </div>
+        ${body}
+        ${replies}
+      </div>
+    `;
+  }
+
+  /**
+   * mode: 'new', 'reply' (to comment) or 'edit' (comment)
+   */
+  renderForm(mode, comment = null) {
+    const placeholder = mode === 'reply' ? `Reply to ${comment.userName || 'Anonymous'}...` : 'Add a comment...';
+    return `
+      <form data-comment-form="${mode}" data-comment-id="${comment?.id || ''}" style="margin-top: 8px;">
+        <textarea name="comment" rows="${mode === 'new' ? 3 : 2}" maxlength="${MAX_COMMENT_LENGTH}" placeholder="${this.escapeAttribute(placeholder)}"
+          style="width: 100%; box-sizing: border-box; padding: 8px; border: 1px solid #d1d5db; border-radius: 8px; font: inherit; font-size: 14px;"
+        >${mode === 'edit' ? this.escapeHtml(comment.comment) : ''}</textarea>
+        <div style="display: flex; gap: 8px; align-items: center; margin-top: 6px; flex-wrap: wrap;">
+          ${mode !== 'edit' ? `
+            <label style="font-size: 13px; color: #6b7280; cursor: pointer;">
+              📷 Photos (up to ${MAX_COMMENT_PHOTOS})
+              <input type="file" name="photos" accept="image/*" multiple style="font-size: 12px;">
+            </label>
+          ` : ''}
+          <span style="flex: 1;"></span>
+          ${mode !== 'new' ? '<button type="button" data-comment-action="cancel" class="btn btn-secondary">Cancel</button>' : ''}
+          <button type="submit" class="btn btn-primary">${mode === 'edit' ? 'Save' : mode === 'reply' ? 'Reply' : 'Post Comment'}</button>
+        </div>
+      </form>
+    `;
+  }
+
+  async handleClick(e) {
+    const button = e.target.closest('[data-comment-action]');
+    if (!button || this.busy) return;
+
+    const { commentAction, commentId } = button.dataset;
+    const comment = this.comments.find(c => c.id === commentId);
+
+    if (commentAction === 'reply') {
+      this.replyingTo = commentId;
+      this.editingId = null;
+      this.render();
+      this.container.querySelector('[data-comment-form="reply"] textarea')?.focus();
+    } else if (commentAction === 'edit') {
+      this.editingId = commentId;
+      this.replyingTo = null;
+      this.render();
+      this.container.querySelector('[data-comment-form="edit"] textarea')?.focus();
+    } else if (commentAction === 'cancel') {
+      this.editingId = null;
+      this.replyingTo = null;
+      this.render();
+    } else if (commentAction === 'delete' && comment) {
+      const confirmed = await modal.confirm('Delete this comment? Replies to it will stay.', 'Delete Comment');
+      if (!confirmed) return;
+      await this.run(() => accessReportController.deleteComment(comment.reportId, comment.id));
+    } else if (commentAction === 'photo' && comment) {
+      const photo = comment.photos?.[Number(button.dataset.photoIndex)];
+      if (!photo) return;
+      modal.show({
+        type: 'info',
+        title: 'Comment Photo',
+        content: `<img src="${photo.content}" alt="Comment photo" style="max-width: 100%; max-height: 70vh; display: block; margin: 0 auto;">`,
+        size: 'lg',
+        buttons: [{ label: 'Close', action: 'close', variant: 'secondary' }]
+      });
+    }
+  }
+
+  async handleSubmit(e) {
+    const form = e.target.closest('[data-comment-form]');
+    if (!form) return;
+    e.preventDefault();
+    if (this.busy) return;
+
+    const mode = form.dataset.commentForm;
+    const commentId = form.dataset.commentId;
+    const text = form.elements.comment.value;
+    const photoFiles = Array.from(form.elements.photos?.files || []);
+
+    if (mode === 'edit') {
+      const comment = this.comments.find(c => c.id === commentId);
+      if (!comment) return;
+      await this.run(() => accessReportController.editComment(comment.reportId, comment.id, text));
+    } else {
+      await this.run(() => accessReportController.addComment(this.report.id, text, {
+        parentId: mode === 'reply' ? commentId : null,
+        photoFiles
+      }));
+    }
+  }
+
+  /**
+   * One change at a time, then reload so the thread matches what was saved.
+   * A failed change keeps the form as it was.
+   */
+  async run(change) {
+    const controls = this.container.querySelectorAll('button, textarea, input');
+    this.busy = true;
+    controls.forEach(el => { el.disabled = true; });
+
+    let ok = false;
+    try {
+      ok = await change();
+    } finally {
+      this.busy = false;
+      controls.forEach(el => { el.disabled = false; });
+    }
+
+    if (ok) {
+      this.editingId = null;
+      this.replyingTo = null;
+      await this.loadComments();
+    }
+  }
+
+  cleanup() {
+    this.container?.removeEventListener('click', this.handleClick);
+    this.container?.removeEventListener('submit', this.handleSubmit);
+  }
+
+  /**
+   * Escape HTML to prevent XSS
+   */
+  escapeHtml(text) {
+    if (!text) return '';
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+
+  // FIXED: escapeHtml leaves quotes alone, which is only safe outside attribute values
+  escapeAttribute(text) {
+    return this.escapeHtml(text)
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+}
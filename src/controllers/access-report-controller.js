@@ -9,11 +9,9 @@
 import { auth, db } from '../firebase-setup.js';
 import { 
   collection, 
-  addDoc, 
   getDoc,
   getDocs,
   doc, 
-  updateDoc, 
   deleteDoc, 
   query, 
   where, 
@@ -21,11 +19,25 @@ import {
   limit,
   serverTimestamp,
   increment,
-  arrayUnion
+  arrayUnion,
+  runTransaction
 } from 'https://www.gstatic.com/firebasejs/10.5.0/firebase-firestore.js';
 
 import toast from '../helpers/toasts.js';
 import modal from '../helpers/modals.js';
+import { cloudOutbox, createDocumentId, OutboxWaitError, OutboxPermanentError } from '../core/outbox.js';
+import { reportRoles, canChangeStatus, canModerate, coversReport } from './report-roles.js';
+import { reportJurisdictions } from './report-jurisdictions.js';
+import { reportNotifications, NOTIFICATION_TYPES } from '../core/notifications.js';
+import {
+  findDuplicateReports,
+  groupDuplicateReports,
+  combineReports,
+  separateReport,
+  statusBeforeMerge,
+  getDuplicateRadius
+} from '../utils/report-duplicates.js';
+import { canTransition, getResolutionOutcome, validateResolution } from '../utils/report-workflow.js';
 
 // Issue type definitions
 export const ISSUE_TYPES = {
@@ -83,9 +95,68 @@ export const STATUS_TYPES = {
   CLOSED: { id: 'closed', label: 'Closed', color: '#374151', icon: '🔒' }
 };
 
+// Why a report was flagged for the moderators
+export const FLAG_REASONS = {
+  SPAM: { id: 'spam', label: 'Spam or advertising' },
+  INACCURATE: { id: 'inaccurate', label: 'Inaccurate or misleading' },
+  DUPLICATE: { id: 'duplicate', label: 'Duplicate of another report' },
+  OFFENSIVE: { id: 'offensive', label: 'Offensive or abusive' },
+  PRIVACY: { id: 'privacy', label: 'Shows personal information' },
+  OTHER: { id: 'other', label: 'Something else' }
+};
+
+// Moderator queue actions - each one is written to the audit trail
+export const MODERATION_ACTIONS = {
+  FLAG: { id: 'flag', label: 'Flagged', icon: '🚩' },
+  HIDE: { id: 'hide', label: 'Hidden', icon: '🙈' },
+  RESTORE: { id: 'restore', label: 'Restored', icon: '♻️' },
+  MERGE: { id: 'merge', label: 'Merged', icon: '🔗' }
+};
+
+export const MAX_COMMENT_LENGTH = 2000;
+export const MAX_COMMENT_PHOTOS = 2;
+
+// Before and after photos each; they share the report document with its own photos
+export const MAX_RESOLUTION_PHOTOS = 2;
+const MAX_RESOLUTION_PHOTO_BYTES = 250 * 1024;
+// Firestore's limit is 1 MiB per document - leave room for the other fields
+const MAX_REPORT_BYTES = 1000 * 1000;
+
+/**
+ * Who gets notified about a report. Reports from before following existed
+ * have no followers list - their reporter follows them.
+ */
+export function getFollowers(report) {
+  return Array.isArray(report?.followers) ? report.followers : [report?.userId].filter(Boolean);
+}
+
 class AccessReportController {
   constructor() {
     this.reportsCollection = 'accessibilityReports';
+    this.auditCollection = 'moderationAudit';
+    this.commentsCollection = 'comments'; // subcollection of each report
+
+    // Writes go through the offline outbox; these handlers send them
+    cloudOutbox.registerHandler('report', payload => this.sendReport(payload));
+    cloudOutbox.registerHandler('upvote', payload => this.sendUpvote(payload));
+    cloudOutbox.registerHandler('reportStatus', payload => this.sendStatusChange(payload));
+    cloudOutbox.registerHandler('reportFlag', payload => this.sendFlag(payload));
+    cloudOutbox.registerHandler('reportModeration', payload => this.sendModeration(payload));
+    cloudOutbox.registerHandler('reportComment', payload => this.sendComment(payload));
+    cloudOutbox.registerHandler('reportAssignment', payload => this.sendAssignment(payload));
+    cloudOutbox.registerHandler('reportResolution', payload => this.sendResolution(payload));
+    cloudOutbox.registerHandler('reportFollow', payload => this.sendFollow(payload));
+  }
+
+  /**
+   * The queued write must be sent as the user who made it
+   */
+  requireUser(userId) {
+    const user = auth.currentUser;
+    if (!user || user.uid !== userId) {
+      throw new OutboxWaitError('Sign in to send this change');
+    }
+    return user;
   }
 
   /**
@@ -135,31 +206,47 @@ class AccessReportController {
         
         upvotes: 0,
         upvotedBy: [],
+        followers: [user.uid], // reporters follow their own reports
         commentCount: 0,
         viewCount: 0,
         
         linkedTrailId: reportData.linkedTrailId || null,
         jurisdiction: reportData.jurisdiction || null,
+        jurisdictionName: null,
         assignedTo: null,
         resolution: null,
         
-        createdAt: serverTimestamp(),
-        updatedAt: serverTimestamp(),
         acknowledgedAt: null,
         resolvedAt: null,
         
         tags: reportData.tags || [],
         isPublic: reportData.isPublic !== false,
-        isFlagged: false
+        isFlagged: false,
+        flagCount: 0,
+        flags: [],
+        flaggedBy: [],
+        isHidden: false,
+        mergedInto: null
       };
 
-      // Add to Firestore
-      const docRef = await addDoc(collection(db, this.reportsCollection), report);
+      // UPDATED: queued first, so a failed upload is retried instead of lost
+      const reportId = createDocumentId();
+      const item = await cloudOutbox.enqueue('report', { reportId, report }, {
+        key: `report:${reportId}`,
+        label: `Report "${reportData.title}"`
+      });
+      const { sent, item: queued } = await cloudOutbox.trySend(item.id);
       
-      console.log('✅ Report created with ID:', docRef.id);
-      toast.success('Report submitted successfully!');
+      if (sent) {
+        console.log('✅ Report created with ID:', reportId);
+        toast.success('Report submitted successfully!');
+      } else if (queued?.status === 'failed') {
+        toast.error(`Report could not be submitted: ${queued.lastError}`);
+      } else {
+        toast.info('📤 You are offline - the report will be submitted when you are back online');
+      }
       
-      return docRef.id;
+      return reportId;
 
     } catch (error) {
       console.error('❌ Error creating report:', error);
@@ -168,6 +255,39 @@ class AccessReportController {
     }
   }
 
+  /**
+   * Outbox handler: create the report unless an earlier attempt already did
+   */
+  async sendReport({ reportId, report }) {
+    this.requireUser(report.userId);
+
+    // NEW: Route to the jurisdiction whose boundary contains the report - matched
+    // here rather than on submit, so reports written offline are routed too
+    let routing = {};
+    if (!report.jurisdiction) {
+      const jurisdiction = await reportJurisdictions.match(report.location?.latitude, report.location?.longitude);
+      if (jurisdiction) {
+        routing = { jurisdiction: jurisdiction.id, jurisdictionName: jurisdiction.name };
+        console.log(`🏛️ Report routed to ${jurisdiction.name}`);
+      }
+    }
+
+    const reportRef = doc(db, this.reportsCollection, reportId);
+    await runTransaction(db, async (transaction) => {
+      const existing = await transaction.get(reportRef);
+      if (existing.exists()) return;
+
+      transaction.set(reportRef, {
+        ...report,
+        ...routing,
+        createdAt: serverTimestamp(),
+        updatedAt: serverTimestamp()
+      });
+    });
+
+    return reportId;
+  }
+
   /**
    * Process and compress photos to base64 (like media.js compressImage)
    */
@@ -317,11 +437,16 @@ class AccessReportController {
       q = query(q, ...constraints);
       const querySnapshot = await getDocs(q);
 
-      const reports = [];
+      let reports = [];
       querySnapshot.forEach((doc) => {
         reports.push({ id: doc.id, ...doc.data() });
       });
 
+      // NEW: Hidden and merged reports only show up in the moderator queue
+      if (!filters.includeHidden) {
+        reports = reports.filter(report => !report.isHidden);
+      }
+
       console.log(`📊 Retrieved ${reports.length} reports`);
       return reports;
 
@@ -341,36 +466,693 @@ class AccessReportController {
         throw new Error('Please sign in');
       }
 
-      const updateData = {
+      const change = {
+        reportId,
         status: newStatus,
+        timestamp: Date.now(),
+        updatedBy: user.uid,
+        note: note || `Status updated to ${newStatus}`
+      };
+      const item = await cloudOutbox.enqueue('reportStatus', change, {
+        key: `status:${reportId}:${change.timestamp}`,
+        label: `Status "${newStatus}" for report ${reportId}`
+      });
+      const { sent, item: queued } = await cloudOutbox.trySend(item.id);
+
+      if (sent) {
+        toast.success('Status updated successfully');
+      } else if (queued?.status === 'failed') {
+        throw new Error(queued.lastError);
+      } else {
+        toast.info('📤 Status change saved - it will be sent when you are back online');
+      }
+      return true;
+
+    } catch (error) {
+      console.error('Error updating status:', error);
+      toast.error('Failed to update status: ' + error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Outbox handler: apply a status change once, even if it's retried
+   */
+  async sendStatusChange({ reportId, status, timestamp, updatedBy, note }) {
+    this.requireUser(updatedBy);
+    const roleInfo = await reportRoles.getRole(updatedBy);
+
+    const reportRef = doc(db, this.reportsCollection, reportId);
+    await reportNotifications.runTransaction(async (transaction) => {
+      const reportDoc = await transaction.get(reportRef);
+      if (!reportDoc.exists()) {
+        throw new OutboxPermanentError('Report not found');
+      }
+
+      const history = reportDoc.data().statusHistory || [];
+      if (history.some(entry => entry.timestamp === timestamp && entry.updatedBy === updatedBy)) return;
+
+      // NEW: e.g. a closed report can't be reopened
+      const currentStatus = reportDoc.data().status;
+      if (!canTransition(currentStatus, status)) {
+        throw new OutboxPermanentError(`A ${currentStatus} report cannot be moved to ${status}`);
+      }
+
+      // UPDATED: only moderators, the report's jurisdiction admins and (for closing) its reporter
+      if (!canChangeStatus(roleInfo, reportDoc.data(), status)) {
+        throw new OutboxPermanentError('You do not have permission to change the status of this report');
+      }
+
+      const updateData = {
+        status,
         updatedAt: serverTimestamp(),
-        statusHistory: arrayUnion({
-          status: newStatus,
-          timestamp: Date.now(),
-          updatedBy: user.uid,
-          note: note || `Status updated to ${newStatus}`
-        })
+        statusHistory: arrayUnion({ status, timestamp, updatedBy, note })
       };
 
       // Set timestamp for specific statuses
-      if (newStatus === 'acknowledged' && !updateData.acknowledgedAt) {
+      if (status === 'acknowledged' && !reportDoc.data().acknowledgedAt) {
         updateData.acknowledgedAt = serverTimestamp();
-      } else if (newStatus === 'resolved') {
+      } else if (status === 'resolved') {
         updateData.resolvedAt = serverTimestamp();
       }
 
-      await updateDoc(doc(db, this.reportsCollection, reportId), updateData);
-      
-      toast.success('Status updated successfully');
+      // NEW: Reopened - the recorded resolution no longer applies
+      if (['in_progress', 'acknowledged'].includes(status) && ['resolved', 'wont_fix'].includes(currentStatus)) {
+        updateData.resolution = null;
+      }
+
+      transaction.update(reportRef, updateData);
+
+      // NEW: Followers hear about real changes, not confirmations
+      if (status !== currentStatus) {
+        const defaultNote = note === `Status updated to ${status}`;
+        this.notifyStatusChange(transaction, reportId, reportDoc.data(), { status, note: defaultNote ? '' : note, updatedBy, timestamp });
+      }
+    });
+  }
+
+  notifyStatusChange(transaction, reportId, report, { status, note, updatedBy, timestamp }) {
+    const statusInfo = STATUS_TYPES[status.toUpperCase()] || { icon: '', label: status };
+    reportNotifications.addToTransaction(transaction, getFollowers(report), {
+      eventId: `status_${reportId}_${timestamp}`,
+      type: NOTIFICATION_TYPES.STATUS.id,
+      reportId,
+      reportTitle: report.title,
+      message: `Status changed to ${statusInfo.icon} ${statusInfo.label}${note ? ` - ${note}` : ''}`,
+      actorId: updatedBy,
+      timestamp
+    });
+  }
+
+  // ==============================
+  // Assignment & resolution
+  // ==============================
+
+  /**
+   * Assign a report to a jurisdiction staff member (assignee null unassigns).
+   * Assigning a new report acknowledges it.
+   */
+  async assignReport(reportId, assignee) {
+    try {
+      const user = auth.currentUser;
+      if (!user) {
+        throw new Error('Please sign in');
+      }
+
+      const change = {
+        reportId,
+        assigneeId: assignee?.userId || null,
+        assigneeName: assignee ? (assignee.name || 'Staff member') : null,
+        actorId: user.uid,
+        timestamp: Date.now()
+      };
+      const item = await cloudOutbox.enqueue('reportAssignment', change, {
+        key: `assignment:${reportId}:${change.timestamp}`,
+        label: `Assignment for report ${reportId}`
+      });
+      const { sent, item: queued } = await cloudOutbox.trySend(item.id);
+
+      if (sent) {
+        toast.success(assignee ? `Assigned to ${change.assigneeName}` : 'Report unassigned');
+      } else if (queued?.status === 'failed') {
+        throw new Error(queued.lastError);
+      } else {
+        toast.info('📤 Assignment saved - it will be sent when you are back online');
+      }
       return true;
 
     } catch (error) {
-      console.error('Error updating status:', error);
-      toast.error('Failed to update status');
-      throw error;
+      console.error('Error assigning report:', error);
+      toast.error('Failed to assign report: ' + error.message);
+      return false;
     }
   }
 
+  /**
+   * Outbox handler: the assignment and its history entry, once
+   */
+  async sendAssignment({ reportId, assigneeId, assigneeName, actorId, timestamp }) {
+    this.requireUser(actorId);
+    const roleInfo = await reportRoles.getRole(actorId);
+    const assigneeRole = assigneeId ? await reportRoles.getRole(assigneeId) : null;
+
+    const reportRef = doc(db, this.reportsCollection, reportId);
+    await reportNotifications.runTransaction(async (transaction) => {
+      const reportDoc = await transaction.get(reportRef);
+      if (!reportDoc.exists()) {
+        throw new OutboxPermanentError('Report not found');
+      }
+      const report = reportDoc.data();
+      if ((report.statusHistory || []).some(entry => entry.timestamp === timestamp && entry.updatedBy === actorId)) return;
+
+      if (!coversReport(roleInfo, report)) {
+        throw new OutboxPermanentError('Only moderators and the report\'s jurisdiction staff can assign it');
+      }
+      if (assigneeId && !coversReport(assigneeRole, report)) {
+        throw new OutboxPermanentError(`${assigneeName} does not cover this report's jurisdiction`);
+      }
+      if (report.status === 'closed') {
+        throw new OutboxPermanentError('Closed reports cannot be assigned');
+      }
+
+      const status = assigneeId && report.status === 'new' ? 'acknowledged' : report.status;
+      const updateData = {
+        assignedTo: assigneeId ? { userId: assigneeId, name: assigneeName, assignedBy: actorId, assignedAt: timestamp } : null,
+        status,
+        statusHistory: arrayUnion({
+          status,
+          timestamp,
+          updatedBy: actorId,
+          note: !assigneeId ? 'Unassigned' : assigneeId === actorId ? `Claimed by ${assigneeName}` : `Assigned to ${assigneeName}`
+        }),
+        updatedAt: serverTimestamp()
+      };
+      if (status === 'acknowledged' && !report.acknowledgedAt) {
+        updateData.acknowledgedAt = serverTimestamp();
+      }
+
+      transaction.update(reportRef, updateData);
+      if (status !== report.status) {
+        this.notifyStatusChange(transaction, reportId, report, { status, note: `assigned to ${assigneeName}`, updatedBy: actorId, timestamp });
+      }
+    });
+  }
+
+  /**
+   * Record how a report was dealt with. The outcome sets the status, so it
+   * has to be a valid move from the current one.
+   */
+  async resolveReport(reportId, { outcome, summary, beforePhotoFiles = [], afterPhotoFiles = [] }, currentStatus) {
+    try {
+      const user = auth.currentUser;
+      if (!user) {
+        throw new Error('Please sign in');
+      }
+
+      const problem = validateResolution({ outcome, summary }, currentStatus);
+      if (problem) {
+        throw new Error(problem);
+      }
+
+      // Photos over the budget are left out rather than failing the whole resolution
+      let photoBytes = 0;
+      const withinBudget = (photos) => photos.filter(photo => {
+        photoBytes += photo.content.length;
+        return photoBytes <= MAX_RESOLUTION_PHOTO_BYTES;
+      });
+      const beforePhotos = withinBudget(await this.processPhotos(beforePhotoFiles.slice(0, MAX_RESOLUTION_PHOTOS)));
+      const afterPhotos = withinBudget(await this.processPhotos(afterPhotoFiles.slice(0, MAX_RESOLUTION_PHOTOS)));
+      if (beforePhotos.length + afterPhotos.length < Math.min(beforePhotoFiles.length, MAX_RESOLUTION_PHOTOS) + Math.min(afterPhotoFiles.length, MAX_RESOLUTION_PHOTOS)) {
+        toast.warning('Some photos were too large and were left out');
+      }
+
+      const change = {
+        reportId,
+        resolution: { outcome, summary: summary.trim(), beforePhotos, afterPhotos },
+        actorId: user.uid,
+        timestamp: Date.now()
+      };
+      const item = await cloudOutbox.enqueue('reportResolution', change, {
+        key: `resolution:${reportId}:${change.timestamp}`,
+        label: `Resolution for report ${reportId}`
+      });
+      const { sent, item: queued } = await cloudOutbox.trySend(item.id);
+
+      if (sent) {
+        toast.success('Resolution recorded');
+      } else if (queued?.status === 'failed') {
+        throw new Error(queued.lastError);
+      } else {
+        toast.info('📤 Resolution saved - it will be sent when you are back online');
+      }
+      return true;
+
+    } catch (error) {
+      console.error('Error resolving report:', error);
+      toast.error('Failed to record resolution: ' + error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Outbox handler: the state machine is checked against the status the report has now
+   */
+  async sendResolution({ reportId, resolution, actorId, timestamp }) {
+    this.requireUser(actorId);
+    const roleInfo = await reportRoles.getRole(actorId);
+
+    const reportRef = doc(db, this.reportsCollection, reportId);
+    await reportNotifications.runTransaction(async (transaction) => {
+      const reportDoc = await transaction.get(reportRef);
+      if (!reportDoc.exists()) {
+        throw new OutboxPermanentError('Report not found');
+      }
+      const report = reportDoc.data();
+      if ((report.statusHistory || []).some(entry => entry.timestamp === timestamp && entry.updatedBy === actorId)) return;
+
+      if (!coversReport(roleInfo, report)) {
+        throw new OutboxPermanentError('Only moderators and the report\'s jurisdiction staff can resolve it');
+      }
+      const problem = validateResolution(resolution, report.status);
+      if (problem) {
+        throw new OutboxPermanentError(problem);
+      }
+
+      const outcome = getResolutionOutcome(resolution.outcome);
+      const recorded = { ...resolution, resolvedBy: actorId, resolvedAt: timestamp };
+      if (JSON.stringify({ ...report, resolution: recorded }).length > MAX_REPORT_BYTES) {
+        throw new OutboxPermanentError('The report has too many photos to add these - try fewer or none');
+      }
+
+      const updateData = {
+        resolution: recorded,
+        status: outcome.status,
+        statusHistory: arrayUnion({
+          status: outcome.status,
+          timestamp,
+          updatedBy: actorId,
+          note: `${outcome.label}: ${resolution.summary}`
+        }),
+        updatedAt: serverTimestamp()
+      };
+      if (outcome.status === 'resolved') {
+        updateData.resolvedAt = serverTimestamp();
+      }
+
+      transaction.update(reportRef, updateData);
+      this.notifyStatusChange(transaction, reportId, report, {
+        status: outcome.status,
+        note: `${outcome.label}: ${resolution.summary}`,
+        updatedBy: actorId,
+        timestamp
+      });
+    });
+  }
+
+  // ==============================
+  // Following
+  // ==============================
+
+  /**
+   * Follow or unfollow a report's status changes, comments and merges
+   */
+  async followReport(reportId, follow = true) {
+    try {
+      const user = auth.currentUser;
+      if (!user) {
+        toast.warning('Please sign in to follow reports');
+        return false;
+      }
+
+      const change = { reportId, userId: user.uid, follow, timestamp: Date.now() };
+      const item = await cloudOutbox.enqueue('reportFollow', change, {
+        key: `follow:${reportId}:${user.uid}:${change.timestamp}`,
+        label: `${follow ? 'Follow' : 'Unfollow'} report ${reportId}`
+      });
+      const { sent, item: queued } = await cloudOutbox.trySend(item.id);
+
+      if (sent) {
+        toast.success(follow ? '🔔 Following - you\'ll be notified of updates' : '🔕 Unfollowed');
+      } else if (queued?.status === 'failed') {
+        throw new Error(queued.lastError);
+      } else {
+        toast.info('📤 Saved - it will be sent when you are back online');
+      }
+      return true;
+
+    } catch (error) {
+      console.error('Error following report:', error);
+      toast.error('Failed to update following: ' + error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Outbox handler: writes the whole list, so a report's implicit reporter follower is kept
+   */
+  async sendFollow({ reportId, userId, follow }) {
+    this.requireUser(userId);
+
+    const reportRef = doc(db, this.reportsCollection, reportId);
+    await runTransaction(db, async (transaction) => {
+      const reportDoc = await transaction.get(reportRef);
+      if (!reportDoc.exists()) {
+        throw new OutboxPermanentError('Report not found');
+      }
+
+      const followers = getFollowers(reportDoc.data()).filter(id => id !== userId);
+      if (follow) followers.push(userId);
+      transaction.update(reportRef, { followers });
+    });
+  }
+
+  // ==============================
+  // Flagging & moderation
+  // ==============================
+
+  /**
+   * Flag a report for the moderators - once per user and report
+   */
+  async flagReport(reportId, reason, details = '') {
+    try {
+      const user = auth.currentUser;
+      if (!user) {
+        toast.warning('Please sign in to flag reports');
+        return false;
+      }
+
+      const flag = {
+        reportId,
+        userId: user.uid,
+        reason,
+        details: details.trim().slice(0, 500),
+        timestamp: Date.now(),
+        auditId: createDocumentId()
+      };
+      const item = await cloudOutbox.enqueue('reportFlag', flag, {
+        key: `flag:${reportId}:${user.uid}`,
+        label: `Flag for report ${reportId}`
+      });
+      const { sent, result, item: queued } = await cloudOutbox.trySend(item.id);
+
+      if (!sent) {
+        if (queued?.status === 'failed') throw new Error(queued.lastError);
+        toast.info('📤 Flag saved - it will be sent when you are back online');
+      } else if (result === 'already-flagged') {
+        toast.info('You already flagged this report');
+      } else {
+        toast.success('Thanks - a moderator will review this report');
+      }
+      return true;
+
+    } catch (error) {
+      console.error('Error flagging report:', error);
+      toast.error('Failed to flag report: ' + error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Outbox handler: the flaggedBy check runs in the same transaction as the flag
+   */
+  async sendFlag({ reportId, userId, reason, details, timestamp, auditId }) {
+    this.requireUser(userId);
+    const roleInfo = await reportRoles.getRole(userId);
+
+    const reportRef = doc(db, this.reportsCollection, reportId);
+    return runTransaction(db, async (transaction) => {
+      const reportDoc = await transaction.get(reportRef);
+      if (!reportDoc.exists()) {
+        throw new OutboxPermanentError('Report not found');
+      }
+      if ((reportDoc.data().flaggedBy || []).includes(userId)) {
+        return 'already-flagged';
+      }
+
+      transaction.update(reportRef, {
+        isFlagged: true,
+        flagCount: increment(1),
+        flags: arrayUnion({ userId, reason, details, timestamp }),
+        flaggedBy: arrayUnion(userId),
+        updatedAt: serverTimestamp()
+      });
+      transaction.set(doc(db, this.auditCollection, auditId), {
+        reportId,
+        reportTitle: reportDoc.data().title || '',
+        action: MODERATION_ACTIONS.FLAG.id,
+        actorId: userId,
+        actorRole: roleInfo.role,
+        reason,
+        note: details,
+        targetId: null,
+        timestamp,
+        createdAt: serverTimestamp()
+      });
+      return 'flagged';
+    });
+  }
+
+  /**
+   * Hide, restore or merge a report (moderators and the report's jurisdiction admins).
+   * Restoring a visible report dismisses its flags.
+   */
+  async moderateReport(reportId, action, { note = '', targetId = null } = {}) {
+    try {
+      const user = auth.currentUser;
+      if (!user) {
+        throw new Error('Please sign in');
+      }
+      if (action === MODERATION_ACTIONS.MERGE.id && (!targetId || targetId === reportId)) {
+        throw new Error('Pick another report to merge into');
+      }
+
+      const change = {
+        reportId,
+        action,
+        targetId,
+        note: note.trim(),
+        actorId: user.uid,
+        timestamp: Date.now(),
+        auditId: createDocumentId()
+      };
+      const item = await cloudOutbox.enqueue('reportModeration', change, {
+        key: `moderation:${change.auditId}`,
+        label: `${action} report ${reportId}`
+      });
+      const { sent, item: queued } = await cloudOutbox.trySend(item.id);
+
+      if (sent) {
+        toast.success(`Report ${this.getModerationAction(action).label.toLowerCase()}`);
+      } else if (queued?.status === 'failed') {
+        throw new Error(queued.lastError);
+      } else {
+        toast.info('📤 Moderation saved - it will be sent when you are back online');
+      }
+      return true;
+
+    } catch (error) {
+      console.error('Error moderating report:', error);
+      toast.error('Moderation failed: ' + error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Outbox handler: applies the action and its audit entry together, once
+   */
+  async sendModeration({ reportId, action, targetId, note, actorId, timestamp, auditId }) {
+    this.requireUser(actorId);
+    const roleInfo = await reportRoles.getRole(actorId);
+
+    const reportRef = doc(db, this.reportsCollection, reportId);
+    const auditRef = doc(db, this.auditCollection, auditId);
+
+    await reportNotifications.runTransaction(async (transaction) => {
+      // Firestore wants every read before the first write
+      const auditDoc = await transaction.get(auditRef);
+      if (auditDoc.exists()) return;
+
+      const reportDoc = await transaction.get(reportRef);
+      if (!reportDoc.exists()) {
+        throw new OutboxPermanentError('Report not found');
+      }
+      const report = reportDoc.data();
+      if (!canModerate(roleInfo, report)) {
+        throw new OutboxPermanentError('You do not have permission to moderate this report');
+      }
+
+      const relatedId = action === MODERATION_ACTIONS.MERGE.id ? targetId : report.mergedInto;
+      const relatedRef = relatedId ? doc(db, this.reportsCollection, relatedId) : null;
+      const relatedDoc = relatedRef ? await transaction.get(relatedRef) : null;
+
+      const moderation = { action, by: actorId, at: timestamp, note };
+
+      if (action === MODERATION_ACTIONS.HIDE.id) {
+        transaction.update(reportRef, {
+          isHidden: true,
+          isFlagged: false,
+          moderation,
+          updatedAt: serverTimestamp()
+        });
+      } else if (action === MODERATION_ACTIONS.RESTORE.id) {
+        const restored = {
+          isHidden: false,
+          isFlagged: false,
+          mergedInto: null,
+          moderation,
+          updatedAt: serverTimestamp()
+        };
+        // FIXED: a merge closed the report - closed is final, so undo it here rather than via canTransition
+        if (report.mergedInto && report.status === 'closed') {
+          const status = statusBeforeMerge(report);
+          Object.assign(restored, {
+            status,
+            statusBeforeMerge: null,
+            statusHistory: arrayUnion({
+              status,
+              timestamp,
+              updatedBy: actorId,
+              note: `Restored from merge into report ${report.mergedInto}${note ? `: ${note}` : ''}`
+            })
+          });
+        }
+        transaction.update(reportRef, restored);
+        // UPDATED: take back the photos and history the merge copied; upvotes stay
+        if (relatedDoc?.exists()) {
+          transaction.update(relatedRef, {
+            ...separateReport(relatedDoc.data(), report, reportId),
+            updatedAt: serverTimestamp()
+          });
+        }
+      } else if (action === MODERATION_ACTIONS.MERGE.id) {
+        if (!relatedDoc?.exists()) {
+          throw new OutboxPermanentError('The report to merge into no longer exists');
+        }
+        const target = relatedDoc.data();
+        if (target.isHidden || target.mergedInto) {
+          throw new OutboxPermanentError('Cannot merge into a hidden or merged report');
+        }
+        if (!canModerate(roleInfo, target)) {
+          throw new OutboxPermanentError('You do not have permission to moderate the report to merge into');
+        }
+
+        // UPDATED: photos, upvotes, comments and status history all move to the kept report
+        transaction.update(relatedRef, {
+          ...combineReports(target, report, reportId, { timestamp, updatedBy: actorId, note }),
+          followers: [...new Set([...getFollowers(target), ...getFollowers(report)])],
+          updatedAt: serverTimestamp()
+        });
+        // NEW: Both sets of followers hear about it; the duplicate's followers now follow the kept report
+        const sourceFollowers = getFollowers(report);
+        const eventId = `merge_${auditId}`;
+        reportNotifications.addToTransaction(transaction, sourceFollowers, {
+          eventId,
+          type: NOTIFICATION_TYPES.MERGE.id,
+          reportId: targetId,
+          reportTitle: target.title,
+          message: `"${report.title}" was merged into this report - you now follow it`,
+          actorId,
+          timestamp
+        });
+        reportNotifications.addToTransaction(transaction, getFollowers(target).filter(id => !sourceFollowers.includes(id)), {
+          eventId,
+          type: NOTIFICATION_TYPES.MERGE.id,
+          reportId: targetId,
+          reportTitle: target.title,
+          message: `Duplicate report "${report.title}" was merged in`,
+          actorId,
+          timestamp
+        });
+
+        transaction.update(reportRef, {
+          isHidden: true,
+          isFlagged: false,
+          mergedInto: targetId,
+          status: 'closed',
+          statusBeforeMerge: report.status || 'new', // NEW: put back on restore
+          statusHistory: arrayUnion({
+            status: 'closed',
+            timestamp,
+            updatedBy: actorId,
+            note: `Merged into report ${targetId}${note ? `: ${note}` : ''}`
+          }),
+          moderation,
+          updatedAt: serverTimestamp()
+        });
+      } else {
+        throw new OutboxPermanentError(`Unknown moderation action "${action}"`);
+      }
+
+      transaction.set(auditRef, {
+        reportId,
+        reportTitle: report.title || '',
+        action,
+        actorId,
+        actorRole: roleInfo.role,
+        reason: null,
+        note,
+        targetId: action === MODERATION_ACTIONS.MERGE.id ? targetId : null,
+        timestamp,
+        createdAt: serverTimestamp()
+      });
+    });
+  }
+
+  getModerationAction(actionId) {
+    return Object.values(MODERATION_ACTIONS).find(action => action.id === actionId) || { id: actionId, label: actionId, icon: '📝' };
+  }
+
+  /**
+   * NEW: Open reports of the same issue type near a report that's about to be submitted.
+   * Never blocks submitting - offline or on error there are simply no suggestions.
+   */
+  async findDuplicates(candidate, radiusMeters = getDuplicateRadius()) {
+    try {
+      // Same client-side filtering as the reports page - no composite index needed
+      const reports = await this.getReports({ limit: 1000 });
+      return findDuplicateReports(reports.filter(report => report.isPublic !== false), candidate, radiusMeters);
+    } catch (error) {
+      console.warn('⚠️ Duplicate check skipped:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Flagged and hidden reports the signed-in moderator may act on
+   */
+  async getModerationQueue() {
+    const user = auth.currentUser;
+    const roleInfo = user ? await reportRoles.getRole(user.uid) : null;
+
+    // Same client-side filtering as the reports page - no composite index needed
+    const reports = (await this.getReports({ limit: 1000, includeHidden: true }))
+      .filter(report => canModerate(roleInfo, report));
+
+    return {
+      roleInfo,
+      flagged: reports
+        .filter(report => report.isFlagged && !report.isHidden)
+        .sort((a, b) => (b.flagCount || 0) - (a.flagCount || 0)),
+      hidden: reports.filter(report => report.isHidden),
+      visible: reports.filter(report => !report.isHidden),
+      duplicates: groupDuplicateReports(reports)
+    };
+  }
+
+  /**
+   * Latest audit entries, optionally for one report
+   */
+  async getAuditTrail({ reportId = null, max = 100 } = {}) {
+    const constraints = reportId
+      ? [where('reportId', '==', reportId)]
+      : [orderBy('timestamp', 'desc'), limit(max)];
+    const snapshot = await getDocs(query(collection(db, this.auditCollection), ...constraints));
+
+    const entries = [];
+    snapshot.forEach(entry => entries.push({ id: entry.id, ...entry.data() }));
+    return entries.sort((a, b) => b.timestamp - a.timestamp).slice(0, max);
+  }
+
   /**
    * Upvote a report
    */
@@ -382,32 +1164,256 @@ class AccessReportController {
         return;
       }
 
-      const reportRef = doc(db, this.reportsCollection, reportId);
-      const reportDoc = await getDoc(reportRef);
+      // One upvote per user and report - tapping again while queued adds nothing
+      const item = await cloudOutbox.enqueue('upvote', { reportId, userId: user.uid }, {
+        key: `upvote:${reportId}:${user.uid}`,
+        label: `Upvote for report ${reportId}`
+      });
+      const { sent, result, item: queued } = await cloudOutbox.trySend(item.id);
 
-      if (!reportDoc.exists()) {
-        throw new Error('Report not found');
+      if (!sent) {
+        if (queued?.status === 'failed') throw new Error(queued.lastError);
+        toast.info('📤 Upvote saved - it will be sent when you are back online');
+      } else if (result === 'already-upvoted') {
+        toast.info('You already upvoted this report');
+      } else {
+        toast.success('Upvoted!');
       }
 
-      const report = reportDoc.data();
-      const upvotedBy = report.upvotedBy || [];
+    } catch (error) {
+      console.error('Error upvoting:', error);
+      toast.error('Failed to upvote');
+    }
+  }
 
-      if (upvotedBy.includes(user.uid)) {
-        toast.info('You already upvoted this report');
-        return;
+  /**
+   * Outbox handler: the upvotedBy check runs in the same transaction as the increment
+   */
+  async sendUpvote({ reportId, userId }) {
+    this.requireUser(userId);
+
+    const reportRef = doc(db, this.reportsCollection, reportId);
+    return runTransaction(db, async (transaction) => {
+      const reportDoc = await transaction.get(reportRef);
+      if (!reportDoc.exists()) {
+        throw new OutboxPermanentError('Report not found');
       }
 
-      await updateDoc(reportRef, {
+      const upvotedBy = reportDoc.data().upvotedBy || [];
+      if (upvotedBy.includes(userId)) {
+        return 'already-upvoted';
+      }
+
+      transaction.update(reportRef, {
         upvotes: increment(1),
-        upvotedBy: arrayUnion(user.uid),
+        upvotedBy: arrayUnion(userId),
         updatedAt: serverTimestamp()
       });
+      return 'upvoted';
+    });
+  }
+
+  // ==============================
+  // Comments
+  // ==============================
+
+  /**
+   * Comment on a report, or reply to a comment (parentId). Returns the comment ID, null on failure.
+   */
+  async addComment(reportId, commentText, { parentId = null, photoFiles = [] } = {}) {
+    try {
+      const user = auth.currentUser;
+      if (!user) {
+        toast.warning('Please sign in to comment');
+        return null;
+      }
+
+      const text = commentText.trim().slice(0, MAX_COMMENT_LENGTH);
+      const photos = await this.processPhotos(photoFiles.slice(0, MAX_COMMENT_PHOTOS));
+      if (!text && photos.length === 0) {
+        throw new Error('Write something or add a photo');
+      }
+
+      const commentId = createDocumentId();
+      const timestamp = Date.now();
+      const comment = {
+        userId: user.uid,
+        userName: user.displayName || 'Anonymous User',
+        comment: text,
+        photos,
+        parentId,
+        createdAt: timestamp,
+        updatedAt: timestamp,
+        isEdited: false,
+        isDeleted: false
+      };
+
+      const item = await cloudOutbox.enqueue('reportComment', { op: 'add', reportId, commentId, userId: user.uid, comment }, {
+        key: `comment:${commentId}`,
+        label: `Comment on report ${reportId}`
+      });
+      await this.sendCommentChange(item, 'Comment added', '📤 Comment saved - it will be posted when you are back online');
+      return commentId;
 
-      toast.success('Upvoted!');
+    } catch (error) {
+      console.error('Error adding comment:', error);
+      toast.error('Failed to add comment: ' + error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Change the text of your own comment
+   */
+  async editComment(reportId, commentId, commentText) {
+    try {
+      const user = auth.currentUser;
+      if (!user) {
+        throw new Error('Please sign in');
+      }
+      const text = commentText.trim().slice(0, MAX_COMMENT_LENGTH);
+      if (!text) {
+        throw new Error('A comment cannot be empty');
+      }
+
+      const change = { op: 'edit', reportId, commentId, userId: user.uid, text, timestamp: Date.now() };
+      const item = await cloudOutbox.enqueue('reportComment', change, {
+        key: `comment:${commentId}:${change.timestamp}`,
+        label: `Comment edit on report ${reportId}`
+      });
+      await this.sendCommentChange(item, 'Comment updated', '📤 Edit saved - it will be sent when you are back online');
+      return true;
 
     } catch (error) {
-      console.error('Error upvoting:', error);
-      toast.error('Failed to upvote');
+      console.error('Error editing comment:', error);
+      toast.error('Failed to edit comment: ' + error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Delete your own comment. Replies stay, under a "deleted" placeholder.
+   */
+  async deleteComment(reportId, commentId) {
+    try {
+      const user = auth.currentUser;
+      if (!user) {
+        throw new Error('Please sign in');
+      }
+
+      const item = await cloudOutbox.enqueue('reportComment', { op: 'delete', reportId, commentId, userId: user.uid, timestamp: Date.now() }, {
+        key: `comment-delete:${commentId}`,
+        label: `Comment deletion on report ${reportId}`
+      });
+      await this.sendCommentChange(item, 'Comment deleted', '📤 Deletion saved - it will be sent when you are back online');
+      return true;
+
+    } catch (error) {
+      console.error('Error deleting comment:', error);
+      toast.error('Failed to delete comment: ' + error.message);
+      return false;
+    }
+  }
+
+  async sendCommentChange(item, sentMessage, queuedMessage) {
+    const { sent, item: queued } = await cloudOutbox.trySend(item.id);
+    if (sent) {
+      toast.success(sentMessage);
+    } else if (queued?.status === 'failed') {
+      throw new Error(queued.lastError);
+    } else {
+      toast.info(queuedMessage);
+    }
+    return sent;
+  }
+
+  /**
+   * Outbox handler: comment writes and the report's commentCount change together, once
+   */
+  async sendComment({ op, reportId, commentId, userId, comment, text, timestamp }) {
+    this.requireUser(userId);
+
+    const reportRef = doc(db, this.reportsCollection, reportId);
+    const commentRef = doc(db, this.reportsCollection, reportId, this.commentsCollection, commentId);
+
+    await reportNotifications.runTransaction(async (transaction) => {
+      const reportDoc = await transaction.get(reportRef);
+      if (!reportDoc.exists()) {
+        throw new OutboxPermanentError('Report not found');
+      }
+      const commentDoc = await transaction.get(commentRef);
+      // A merged report's comments are also counted on the report it was merged into
+      const mergedInto = reportDoc.data().mergedInto;
+      const countRefs = [reportRef, ...(mergedInto ? [doc(db, this.reportsCollection, mergedInto)] : [])];
+
+      if (op === 'add') {
+        if (commentDoc.exists()) return;
+        if (mergedInto) {
+          throw new OutboxPermanentError('This report was merged into another one - comment there instead');
+        }
+        transaction.set(commentRef, comment);
+        transaction.update(reportRef, { commentCount: increment(1), updatedAt: serverTimestamp() });
+
+        // NEW: Tell the followers, with the start of the comment
+        const snippet = comment.comment.length > 120 ? `${comment.comment.slice(0, 117)}...` : comment.comment;
+        reportNotifications.addToTransaction(transaction, getFollowers(reportDoc.data()), {
+          eventId: `comment_${commentId}`,
+          type: NOTIFICATION_TYPES.COMMENT.id,
+          reportId,
+          reportTitle: reportDoc.data().title,
+          message: `${comment.userName} ${comment.parentId ? 'replied' : 'commented'}${snippet ? `: "${snippet}"` : ' with a photo'}`,
+          actorId: userId,
+          timestamp: comment.createdAt
+        });
+        return;
+      }
+
+      if (!commentDoc.exists()) {
+        throw new OutboxPermanentError('Comment not found');
+      }
+      const existing = commentDoc.data();
+      if (existing.userId !== userId) {
+        throw new OutboxPermanentError('You can only change your own comments');
+      }
+
+      if (op === 'edit') {
+        if (existing.isDeleted) {
+          throw new OutboxPermanentError('This comment was deleted');
+        }
+        if (existing.updatedAt >= timestamp) return;
+        transaction.update(commentRef, { comment: text, updatedAt: timestamp, isEdited: true });
+      } else if (op === 'delete') {
+        if (existing.isDeleted) return;
+        transaction.update(commentRef, { comment: '', photos: [], isDeleted: true, updatedAt: timestamp });
+        countRefs.forEach(ref => transaction.update(ref, { commentCount: increment(-1) }));
+      } else {
+        throw new OutboxPermanentError(`Unknown comment change "${op}"`);
+      }
+    });
+  }
+
+  /**
+   * Comments on a report and on the duplicates merged into it, oldest first.
+   * Each comment carries the reportId it is stored under; parentId links replies.
+   */
+  async getComments(reportId, mergedFrom = []) {
+    try {
+      const snapshots = await Promise.all([reportId, ...mergedFrom].map(id =>
+        getDocs(query(collection(db, this.reportsCollection, id, this.commentsCollection), orderBy('createdAt', 'asc')))
+          .then(snapshot => ({ id, snapshot }))
+      ));
+
+      const comments = [];
+      snapshots.forEach(({ id, snapshot }) => {
+        snapshot.forEach((commentDoc) => {
+          comments.push({ id: commentDoc.id, reportId: id, ...commentDoc.data() });
+        });
+      });
+
+      return comments.sort((a, b) => a.createdAt - b.createdAt);
+    } catch (error) {
+      console.error('Error getting comments:', error);
+      throw error;
     }
   }
 
@@ -5,10 +5,22 @@
  * File: src/controllers/access-report-main.js
  */
 
-import { accessReportController, STATUS_TYPES, SEVERITY_LEVELS, ISSUE_TYPES } from './access-report-controller.js';
+import { auth } from '../firebase-setup.js';
+import {
+  accessReportController,
+  STATUS_TYPES,
+  SEVERITY_LEVELS,
+  ISSUE_TYPES,
+  FLAG_REASONS,
+  MAX_RESOLUTION_PHOTOS,
+  getFollowers
+} from './access-report-controller.js';
+import { reportRoles, canChangeStatus, canModerate, coversReport, getRoleInfo } from './report-roles.js';
+import { RESOLUTION_OUTCOMES, getResolutionOutcome, canTransition, MAX_RESOLUTION_SUMMARY } from '../utils/report-workflow.js';
 import { AccessReportUI } from './access-report-ui.js';
 import { AccessReportMap } from './access-report-map.js';
 import { AccessReportTimeline } from './access-report-timeline.js';
+import { AccessReportComments } from './access-report-comments.js';
 import toast from '../helpers/toasts.js';
 import modal from '../helpers/modals.js';
 
@@ -143,6 +155,15 @@ class AccessReportModule {
       report.createdAt.toDate().toLocaleString() : 
       'Unknown date';
 
+    // NEW: What the signed-in user may do with this report
+    const user = auth.currentUser;
+    const roleInfo = user ? await reportRoles.getRole(user.uid) : null;
+    const statusOptions = Object.values(STATUS_TYPES)
+      .filter(status => status.id !== report.status && canChangeStatus(roleInfo, report, status.id));
+    const alreadyFlagged = !!user && (report.flaggedBy || []).includes(user.uid);
+    const canManage = coversReport(roleInfo, report) && report.status !== 'closed';
+    const following = !!user && getFollowers(report).includes(user.uid);
+
     // Build photos gallery HTML
     let photosHTML = '';
     if (report.photos && report.photos.length > 0) {
@@ -203,6 +224,12 @@ class AccessReportModule {
           </span>
         </div>
 
+        ${report.isHidden ? `
+          <div style="background: #fef3c7; color: #92400e; padding: 10px 14px; border-radius: 8px; margin-bottom: 16px; font-size: 14px;">
+            ${report.mergedInto ? '🔗 Merged into another report by a moderator' : '🙈 Hidden by a moderator'}
+          </div>
+        ` : ''}
+
         <!-- Title -->
         <h2 style="font-size: 24px; font-weight: 700; margin: 0 0 16px 0; color: #111827;">
           ${this.escapeHtml(report.title)}
@@ -230,6 +257,22 @@ class AccessReportModule {
           </p>
         </div>
 
+        ${this.renderResolution(report)}
+
+        ${report.mergedFrom?.length ? `
+          <!-- Merged duplicates -->
+          <div style="margin: 20px 0;">
+            <h3 style="margin-bottom: 8px; font-size: 16px; font-weight: 600;">🔗 Merged Duplicate Reports (${report.mergedFrom.length})</h3>
+            <p style="font-size: 13px; color: #6b7280; margin: 0 0 8px 0;">Their photos, upvotes and history are included above.</p>
+            ${report.mergedFrom.map((mergedId, index) => `
+              <button type="button" data-action="view:${mergedId}"
+                style="padding: 6px 12px; margin: 0 6px 6px 0; background: #f3f4f6; border: 1px solid #e5e7eb; border-radius: 6px; cursor: pointer;">
+                View duplicate ${index + 1}
+              </button>
+            `).join('')}
+          </div>
+        ` : ''}
+
         <!-- Metadata -->
         <div style="margin: 20px 0; padding: 16px; background: #f9fafb; border-radius: 8px;">
           <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 12px; font-size: 14px;">
@@ -241,6 +284,16 @@ class AccessReportModule {
               <strong>📅 Date:</strong><br>
               ${createdDate}
             </div>
+            <div>
+              <strong>🏛️ Jurisdiction:</strong><br>
+              ${this.escapeHtml(report.jurisdictionName || report.jurisdiction || 'Not routed yet')}
+            </div>
+            ${report.assignedTo ? `
+              <div>
+                <strong>👷 Assigned to:</strong><br>
+                ${this.escapeHtml(report.assignedTo.name)}
+              </div>
+            ` : ''}
             ${report.upvotes ? `
               <div>
                 <strong>👍 Upvotes:</strong><br>
@@ -256,6 +309,9 @@ class AccessReportModule {
           </div>
         </div>
 
+        <!-- Comments (filled in once the modal is open) -->
+        <div id="reportComments_${report.id}" style="margin: 20px 0;"></div>
+
         <!-- Actions -->
         <div style="display: flex; gap: 8px; margin-top: 20px;">
           <button 
@@ -277,24 +333,250 @@ class AccessReportModule {
       </div>
     `;
 
-    const modalResult = await modal.show({
+    const dialog = modal.show({
       type: 'info',
       title: 'Accessibility Issue Details',
       content: modalHTML,
       size: 'lg',
       buttons: [
+        ...(user && !report.mergedInto ? [{ label: following ? '🔕 Unfollow' : '🔔 Follow', action: following ? 'unfollow' : 'follow', variant: 'secondary' }] : []),
+        ...(user && !alreadyFlagged && report.userId !== user.uid ? [{ label: '🚩 Flag', action: 'flag', variant: 'secondary' }] : []),
+        ...(statusOptions.length > 0 ? [{ label: '🔄 Update Status', action: 'status', variant: 'secondary' }] : []),
+        ...(canManage ? [{ label: '🏛️ Workflow', action: 'workflow', variant: 'secondary' }] : []),
+        ...(canModerate(roleInfo, report) ? [{ label: '🛡️ Moderate', action: 'moderate', variant: 'secondary' }] : []),
         { label: 'Close', action: 'close', variant: 'secondary' }
       ]
     });
 
+    // NEW: Comment thread
+    const comments = new AccessReportComments(document.getElementById(`reportComments_${report.id}`), report);
+    comments.initialize();
+
     console.log('✅ Modal displayed with inline onclick handlers');
-    
+    const modalResult = await dialog;
+    comments.cleanup();
+
     // Clean up photos when modal closes
     const photosId = `photos_${report.id}`;
     if (window[photosId]) {
       delete window[photosId];
       console.log(`🧹 Cleaned up ${photosId} after modal closed`);
     }
+
+    if (modalResult === 'flag') {
+      await this.promptFlag(report);
+    } else if (modalResult === 'status') {
+      await this.promptStatusChange(report, statusOptions);
+    } else if (modalResult?.startsWith('view:')) {
+      await this.viewReportDetails(modalResult.slice('view:'.length));
+    } else if (modalResult === 'follow' || modalResult === 'unfollow') {
+      await accessReportController.followReport(report.id, modalResult === 'follow');
+    } else if (modalResult === 'workflow') {
+      await this.promptWorkflow(report, user);
+    } else if (modalResult === 'moderate') {
+      window.location.href = `moderation.html?report=${encodeURIComponent(report.id)}`;
+    }
+  }
+
+  /**
+   * NEW: Outcome, summary and before/after photos of a recorded resolution
+   */
+  renderResolution(report) {
+    const resolution = report.resolution;
+    if (!resolution) return '';
+
+    const outcome = getResolutionOutcome(resolution.outcome) || { icon: '📋', label: resolution.outcome };
+    const photoRow = (photos, label) => photos?.length ? `
+      <div style="margin-top: 8px;">
+        <div style="font-size: 12px; font-weight: 600; color: #6b7280; margin-bottom: 4px;">${label}</div>
+        <div style="display: flex; gap: 8px; flex-wrap: wrap;">
+          ${photos.map((photo, index) => `
+            <img src="${photo.content}" alt="${label} photo ${index + 1}" style="width: 120px; height: 90px; object-fit: cover; border-radius: 6px;">
+          `).join('')}
+        </div>
+      </div>
+    ` : '';
+
+    return `
+      <!-- Resolution -->
+      <div style="margin: 20px 0; padding: 16px; background: #ecfdf5; border-radius: 8px;">
+        <h3 style="margin: 0 0 8px 0; font-size: 16px; font-weight: 600;">${outcome.icon} ${this.escapeHtml(outcome.label)}</h3>
+        <p style="font-size: 14px; color: #374151; margin: 0; white-space: pre-wrap;">${this.escapeHtml(resolution.summary)}</p>
+        ${resolution.resolvedAt ? `<small style="color: #6b7280;">${new Date(resolution.resolvedAt).toLocaleDateString()}</small>` : ''}
+        ${photoRow(resolution.beforePhotos, 'Before')}
+        ${photoRow(resolution.afterPhotos, 'After')}
+      </div>
+    `;
+  }
+
+  /**
+   * NEW: Claim, assign or resolve a report (jurisdiction staff and moderators)
+   */
+  async promptWorkflow(report, user) {
+    const assignedToMe = report.assignedTo?.userId === user.uid;
+    const canResolve = Object.values(RESOLUTION_OUTCOMES).some(outcome => canTransition(report.status, outcome.status));
+    const actions = [
+      ...(!assignedToMe ? [{ id: 'claim', title: '🙋 Claim', description: 'Assign this report to yourself' }] : []),
+      { id: 'assign', title: '👥 Assign...', description: 'Pick a staff member of the jurisdiction' },
+      ...(report.assignedTo ? [{ id: 'unassign', title: '↩️ Unassign', description: `Currently ${report.assignedTo.name}` }] : []),
+      ...(canResolve ? [{ id: 'resolve', title: '✅ Record resolution', description: 'Outcome, what was done and before/after photos' }] : [])
+    ];
+
+    const choice = await modal.list(actions, 'Report Workflow');
+    if (!choice) return;
+
+    let done = false;
+    if (choice.id === 'claim') {
+      const roleInfo = await reportRoles.getRole(user.uid);
+      done = await accessReportController.assignReport(report.id, { userId: user.uid, name: roleInfo.name || user.displayName });
+    } else if (choice.id === 'assign') {
+      done = await this.promptAssign(report);
+    } else if (choice.id === 'unassign') {
+      done = await accessReportController.assignReport(report.id, null);
+    } else if (choice.id === 'resolve') {
+      done = await this.promptResolution(report);
+    }
+
+    if (done) {
+      await this.loadAndDisplayReports();
+    }
+  }
+
+  async promptAssign(report) {
+    let staff;
+    try {
+      staff = (await reportRoles.getStaff(report.jurisdiction)).filter(member => coversReport(member, report));
+    } catch (error) {
+      console.error('Error loading staff:', error);
+      toast.error('Could not load the staff list');
+      return false;
+    }
+    if (staff.length === 0) {
+      toast.info('Nobody covers this jurisdiction yet');
+      return false;
+    }
+
+    const choice = await modal.list(staff.map(member => {
+      const role = getRoleInfo(member.role);
+      return {
+        member,
+        title: `${role.icon} ${member.name || member.userId}`,
+        description: member.userId === report.assignedTo?.userId ? `${role.label} · currently assigned` : role.label
+      };
+    }), 'Assign To');
+    if (!choice) return false;
+
+    return accessReportController.assignReport(report.id, choice.member);
+  }
+
+  async promptResolution(report) {
+    const outcomes = Object.values(RESOLUTION_OUTCOMES).filter(outcome => canTransition(report.status, outcome.status));
+    const values = { outcome: outcomes[0].id, summary: '', beforePhotoFiles: [], afterPhotoFiles: [] };
+    const dialog = modal.show({
+      type: 'success',
+      icon: '✅',
+      title: 'Record Resolution',
+      subtitle: report.title,
+      content: `
+        <div class="modal-form">
+          <label for="resolutionOutcome">Outcome</label>
+          <select id="resolutionOutcome" class="modal-form-input">
+            ${outcomes.map(outcome => `<option value="${outcome.id}">${outcome.icon} ${outcome.label}</option>`).join('')}
+          </select>
+          <label for="resolutionSummary">What was done</label>
+          <textarea id="resolutionSummary" class="modal-form-input" rows="4" maxlength="${MAX_RESOLUTION_SUMMARY}"></textarea>
+          <label for="resolutionBefore">Before photos (up to ${MAX_RESOLUTION_PHOTOS})</label>
+          <input type="file" id="resolutionBefore" class="modal-form-input" accept="image/*" multiple>
+          <label for="resolutionAfter">After photos (up to ${MAX_RESOLUTION_PHOTOS})</label>
+          <input type="file" id="resolutionAfter" class="modal-form-input" accept="image/*" multiple>
+        </div>
+      `,
+      buttons: [
+        { label: 'Cancel', action: 'cancel', variant: 'secondary' },
+        { label: 'Record', action: 'record', variant: 'primary' }
+      ]
+    });
+
+    document.getElementById('resolutionOutcome')?.addEventListener('change', (e) => { values.outcome = e.target.value; });
+    document.getElementById('resolutionSummary')?.addEventListener('input', (e) => { values.summary = e.target.value; });
+    document.getElementById('resolutionBefore')?.addEventListener('change', (e) => { values.beforePhotoFiles = Array.from(e.target.files); });
+    document.getElementById('resolutionAfter')?.addEventListener('change', (e) => { values.afterPhotoFiles = Array.from(e.target.files); });
+
+    if (await dialog !== 'record') return false;
+    return accessReportController.resolveReport(report.id, values, report.status);
+  }
+
+  /**
+   * NEW: Ask why the report should be reviewed, then flag it
+   */
+  async promptFlag(report) {
+    const values = { reason: FLAG_REASONS.INACCURATE.id, details: '' };
+    const dialog = modal.show({
+      type: 'warning',
+      icon: '🚩',
+      title: 'Flag Report',
+      subtitle: report.title,
+      content: `
+        <div class="modal-form">
+          <label for="flagReason">Reason</label>
+          <select id="flagReason" class="modal-form-input">
+            ${Object.values(FLAG_REASONS).map(reason => `
+              <option value="${reason.id}" ${reason.id === values.reason ? 'selected' : ''}>${reason.label}</option>
+            `).join('')}
+          </select>
+          <label for="flagDetails">Details (optional)</label>
+          <textarea id="flagDetails" class="modal-form-input" rows="3" maxlength="500"></textarea>
+        </div>
+      `,
+      buttons: [
+        { label: 'Cancel', action: 'cancel', variant: 'secondary' },
+        { label: 'Flag Report', action: 'flag', variant: 'danger' }
+      ]
+    });
+
+    // The modal DOM goes away on close, so track the values as they change
+    document.getElementById('flagReason')?.addEventListener('change', (e) => { values.reason = e.target.value; });
+    document.getElementById('flagDetails')?.addEventListener('input', (e) => { values.details = e.target.value; });
+
+    if (await dialog !== 'flag') return;
+    await accessReportController.flagReport(report.id, values.reason, values.details);
+  }
+
+  /**
+   * NEW: Status change limited to the statuses this user may set
+   */
+  async promptStatusChange(report, statusOptions) {
+    const values = { status: statusOptions[0].id, note: '' };
+    const dialog = modal.show({
+      type: 'info',
+      icon: '🔄',
+      title: 'Update Status',
+      subtitle: report.title,
+      content: `
+        <div class="modal-form">
+          <label for="statusSelect">New status</label>
+          <select id="statusSelect" class="modal-form-input">
+            ${statusOptions.map(status => `<option value="${status.id}">${status.icon} ${status.label}</option>`).join('')}
+          </select>
+          <label for="statusNote">Note (optional)</label>
+          <textarea id="statusNote" class="modal-form-input" rows="3"></textarea>
+        </div>
+      `,
+      buttons: [
+        { label: 'Cancel', action: 'cancel', variant: 'secondary' },
+        { label: 'Update', action: 'update', variant: 'primary' }
+      ]
+    });
+
+    document.getElementById('statusSelect')?.addEventListener('change', (e) => { values.status = e.target.value; });
+    document.getElementById('statusNote')?.addEventListener('input', (e) => { values.note = e.target.value; });
+
+    if (await dialog !== 'update') return;
+    try {
+      await accessReportController.updateReportStatus(report.id, values.status, values.note.trim());
+    } catch (error) {
+      // updateReportStatus already told the user
+    }
   }
 
   /**
@@ -162,6 +162,7 @@ export class AccessReportMap {
           <div>📅 ${createdDate}</div>
           <div>👤 ${this.escapeHtml(report.userName || 'Anonymous')}</div>
           ${report.upvotes ? `<div>👍 ${report.upvotes} upvotes</div>` : ''}
+          ${report.mergedFrom?.length ? `<div>🔗 ${report.mergedFrom.length} duplicate report${report.mergedFrom.length === 1 ? '' : 's'} merged in</div>` : ''}
         </div>
 
         <div class="report-popup-actions">
@@ -6,6 +6,7 @@
  */
 
 import { accessReportController, STATUS_TYPES, SEVERITY_LEVELS, ISSUE_TYPES } from './access-report-controller.js';
+import { AccessReportComments } from './access-report-comments.js';
 import toast from '../helpers/toasts.js';
 
 export class AccessReportTimeline {
@@ -219,7 +220,12 @@ export class AccessReportTimeline {
         <button class="btn-card-action btn-upvote" data-action="upvote" data-report-id="${report.id}">
           👍 Upvote
         </button>
+        <button class="btn-card-action btn-upvote" data-action="comments" data-report-id="${report.id}" aria-expanded="false">
+          💬 Comments${report.commentCount ? ` (${report.commentCount})` : ''}
+        </button>
       </div>
+
+      <div class="report-card-comments" style="display: none; padding: 0 16px 16px;"></div>
     `;
 
     // Add event listeners
@@ -242,6 +248,20 @@ export class AccessReportTimeline {
       }
     });
 
+    // NEW: Comment thread opens under the card, loaded the first time
+    let comments = null;
+    card.querySelector('[data-action="comments"]')?.addEventListener('click', async (e) => {
+      const container = card.querySelector('.report-card-comments');
+      const open = container.style.display === 'none';
+      container.style.display = open ? 'block' : 'none';
+      e.currentTarget.setAttribute('aria-expanded', String(open));
+
+      if (open && !comments) {
+        comments = new AccessReportComments(container, report);
+        await comments.initialize();
+      }
+    });
+
     return card;
   }
 
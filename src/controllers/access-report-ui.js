@@ -5,7 +5,8 @@
  * File: src/controllers/access-report-ui.js
  */
 
-import { accessReportController, ISSUE_TYPES, SEVERITY_LEVELS } from './access-report-controller.js';
+import { accessReportController, ISSUE_TYPES, SEVERITY_LEVELS, STATUS_TYPES } from './access-report-controller.js';
+import { getDuplicateRadius } from '../utils/report-duplicates.js';
 import { getCurrentPosition } from '../utils/geolocation.js';
 import toast from '../helpers/toasts.js';
 import modal from '../helpers/modals.js';
@@ -94,7 +95,10 @@ export class AccessReportUI {
       // If user clicked submit AND we have form data, submit it
       if (result === 'submit') {
         if (this.formData) {
-          await this.submitReportData();
+          // NEW: Offer to upvote an existing report of the same issue instead
+          if (await this.suggestExistingReport() === 'submit') {
+            await this.submitReportData();
+          }
         } else {
           console.error('❌ No form data captured');
           toast.error('Form data was not captured. Please try again.');
@@ -107,6 +111,71 @@ export class AccessReportUI {
     }
   }
 
+  /**
+   * Look for open reports of the same issue nearby. Resolves with 'submit'
+   * (none found, or the user wants a new report anyway), 'upvoted' or null.
+   */
+  async suggestExistingReport() {
+    const radius = getDuplicateRadius();
+    const loadingToast = toast.loading('Checking for similar reports...');
+    const duplicates = await accessReportController.findDuplicates({
+      issueType: this.formData.issueType,
+      latitude: this.selectedLocation.lat,
+      longitude: this.selectedLocation.lng
+    }, radius);
+    toast.dismiss(loadingToast);
+
+    if (duplicates.length === 0) return 'submit';
+
+    const issueType = Object.values(ISSUE_TYPES).find(type => type.id === this.formData.issueType) || ISSUE_TYPES.OTHER;
+    const choice = await modal.show({
+      type: 'warning',
+      icon: '🔁',
+      title: 'Already Reported?',
+      subtitle: `${duplicates.length} open "${issueType.label}" report${duplicates.length === 1 ? '' : 's'} within ${radius} m`,
+      content: `
+        <p style="margin-top: 0;">Upvoting the existing report keeps all the votes in one place, so it gets attention sooner.
+          Your new description and photos won't be sent.</p>
+        ${duplicates.slice(0, 5).map(({ report, distance }) => {
+          const status = STATUS_TYPES[report.status?.toUpperCase()] || STATUS_TYPES.NEW;
+          const date = report.createdAt?.toDate ? report.createdAt.toDate().toLocaleDateString() : 'Unknown date';
+          return `
+            <div style="display: flex; gap: 12px; align-items: center; padding: 10px; border: 1px solid #e5e7eb; border-radius: 8px; margin-bottom: 8px;">
+              ${report.photos?.[0]?.content ? `<img src="${report.photos[0].content}" alt="" style="width: 56px; height: 56px; object-fit: cover; border-radius: 6px;">` : ''}
+              <div style="flex: 1; min-width: 0;">
+                <div style="font-weight: 600;">${this.escapeHtml(report.title)}</div>
+                <div style="font-size: 12px; color: #6b7280;">
+                  ${Math.round(distance)} m away · ${status.icon} ${status.label} · 👍 ${report.upvotes || 0} · ${date}
+                </div>
+              </div>
+              <button type="button" class="btn btn-primary" data-action="upvote:${report.id}" style="white-space: nowrap;">👍 Upvote</button>
+            </div>
+          `;
+        }).join('')}
+      `,
+      buttons: [
+        { label: 'Cancel', action: 'cancel', variant: 'secondary' },
+        { label: 'Submit New Report Anyway', action: 'submit', variant: 'primary' }
+      ]
+    });
+
+    if (choice?.startsWith('upvote:')) {
+      const reportId = choice.slice('upvote:'.length);
+      await accessReportController.upvoteReport(reportId);
+      this.photoFiles = [];
+      this.formData = null;
+      window.dispatchEvent(new CustomEvent('report-submitted', { detail: { reportId, upvoted: true } }));
+      return 'upvoted';
+    }
+    return choice === 'submit' ? 'submit' : null;
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text || '';
+    return div.innerHTML;
+  }
+
   /**
    * Setup event listeners for form elements
    */
@@ -443,8 +512,8 @@ export class AccessReportUI {
         // Close loading
         toast.dismiss(loadingToast);
         
-        console.log('✅ Report submitted successfully with ID:', reportId);
-        toast.success('Report submitted successfully!');
+        // The controller reports whether it was sent or queued for later
+        console.log('✅ Report submitted with ID:', reportId);
         
         // Clear data
         this.photoFiles = [];
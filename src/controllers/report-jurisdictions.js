@@ -0,0 +1,67 @@
+/**
+ * Report Jurisdictions
+ * Which authority a report is routed to, matched by its location.
+ *
+ * Jurisdictions live in the jurisdictions collection, one document per
+ * authority: { name, boundary: [{ lat, lng }] } or { name, geojson } with a
+ * GeoJSON Polygon/MultiPolygon string. The document ID is what userRoles
+ * jurisdictions and report.jurisdiction refer to. Only moderators may write
+ * them - the Firestore rules must enforce that.
+ *
+ * File: src/controllers/report-jurisdictions.js
+ */
+
+import { db } from '../firebase-setup.js';
+import { collection, getDocs } from 'https://www.gstatic.com/firebasejs/10.5.0/firebase-firestore.js';
+import { findJurisdiction } from '../utils/report-workflow.js';
+
+export const JURISDICTIONS_COLLECTION = 'jurisdictions';
+
+// Boundaries rarely change
+const CACHE_TTL = 30 * 60 * 1000;
+
+class ReportJurisdictions {
+  constructor() {
+    this.jurisdictions = null;
+    this.loadedAt = 0;
+  }
+
+  /**
+   * All jurisdictions - cached, the last known list (or none) when offline
+   */
+  async getAll() {
+    if (this.jurisdictions && Date.now() - this.loadedAt < CACHE_TTL) {
+      return this.jurisdictions;
+    }
+
+    try {
+      const snapshot = await getDocs(collection(db, JURISDICTIONS_COLLECTION));
+      const jurisdictions = [];
+      snapshot.forEach(entry => jurisdictions.push({ id: entry.id, ...entry.data() }));
+
+      this.jurisdictions = jurisdictions;
+      this.loadedAt = Date.now();
+      return jurisdictions;
+    } catch (error) {
+      console.warn('⚠️ Could not load jurisdictions:', error);
+      return this.jurisdictions || [];
+    }
+  }
+
+  /**
+   * { id, name } of the jurisdiction covering a location, or null
+   */
+  async match(latitude, longitude) {
+    if (typeof latitude !== 'number' || typeof longitude !== 'number') return null;
+
+    const jurisdiction = findJurisdiction(await this.getAll(), { lat: latitude, lng: longitude });
+    return jurisdiction ? { id: jurisdiction.id, name: jurisdiction.name || jurisdiction.id } : null;
+  }
+
+  clear() {
+    this.jurisdictions = null;
+    this.loadedAt = 0;
+  }
+}
+
+export const reportJurisdictions = new ReportJurisdictions();
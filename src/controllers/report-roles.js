@@ -0,0 +1,132 @@
+/**
+ * Report Roles & Permissions
+ * Who may change a report's status, flag it or moderate it.
+ *
+ * Roles live in the userRoles collection ({ role, name, jurisdictions: [] }
+ * keyed by user ID). Users without a document are reporters. Only moderators may
+ * write userRoles - the Firestore rules must enforce that, these checks only
+ * keep the UI and the outbox honest.
+ *
+ * File: src/controllers/report-roles.js
+ */
+
+import { db } from '../firebase-setup.js';
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  query,
+  where
+} from 'https://www.gstatic.com/firebasejs/10.5.0/firebase-firestore.js';
+import { canTransition } from '../utils/report-workflow.js';
+
+export const ROLES_COLLECTION = 'userRoles';
+
+export const ROLES = {
+  REPORTER: { id: 'reporter', label: 'Reporter', icon: '👤' },
+  MODERATOR: { id: 'moderator', label: 'Moderator', icon: '🛡️' },
+  JURISDICTION_ADMIN: { id: 'jurisdiction_admin', label: 'Jurisdiction Admin', icon: '🏛️' }
+};
+
+// Statuses a reporter may set on their own report (withdrawing it, or confirming a fix)
+const REPORTER_STATUSES = ['resolved', 'closed'];
+
+const CACHE_TTL = 5 * 60 * 1000;
+
+const reporterRole = (userId) => ({ userId, role: ROLES.REPORTER.id, jurisdictions: [] });
+
+/**
+ * Moderators see everything; jurisdiction admins see the reports routed to them
+ */
+export function coversReport(roleInfo, report) {
+  if (roleInfo?.role === ROLES.MODERATOR.id) return true;
+  if (roleInfo?.role === ROLES.JURISDICTION_ADMIN.id) {
+    return !!report?.jurisdiction && (roleInfo.jurisdictions || []).includes(report.jurisdiction);
+  }
+  return false;
+}
+
+export function isStaff(roleInfo) {
+  return roleInfo?.role === ROLES.MODERATOR.id || roleInfo?.role === ROLES.JURISDICTION_ADMIN.id;
+}
+
+/**
+ * Keeping the current status only adds a dated confirmation, which anyone signed in may do.
+ * Other changes must also follow the status state machine.
+ */
+export function canChangeStatus(roleInfo, report, newStatus) {
+  if (!roleInfo || !report) return false;
+  if (newStatus === report.status) return true;
+  if (!canTransition(report.status, newStatus)) return false;
+  if (coversReport(roleInfo, report)) return true;
+  return report.userId === roleInfo.userId && REPORTER_STATUSES.includes(newStatus);
+}
+
+export function canModerate(roleInfo, report) {
+  return coversReport(roleInfo, report);
+}
+
+export function getRoleInfo(roleId) {
+  return Object.values(ROLES).find(role => role.id === roleId) || ROLES.REPORTER;
+}
+
+class ReportRoles {
+  constructor() {
+    this.cache = new Map(); // userId → { roleInfo, loadedAt }
+  }
+
+  /**
+   * The user's role - cached for a few minutes, reporter when unknown or offline
+   */
+  async getRole(userId) {
+    if (!userId) return null;
+
+    const cached = this.cache.get(userId);
+    if (cached && Date.now() - cached.loadedAt < CACHE_TTL) {
+      return cached.roleInfo;
+    }
+
+    try {
+      const snapshot = await getDoc(doc(db, ROLES_COLLECTION, userId));
+      const data = snapshot.exists() ? snapshot.data() : {};
+      const roleInfo = Object.values(ROLES).some(role => role.id === data.role)
+        ? { userId, role: data.role, name: data.name || '', jurisdictions: data.jurisdictions || [] }
+        : reporterRole(userId);
+
+      this.cache.set(userId, { roleInfo, loadedAt: Date.now() });
+      return roleInfo;
+    } catch (error) {
+      console.warn('⚠️ Could not load user role:', error);
+      return cached?.roleInfo || reporterRole(userId);
+    }
+  }
+
+  /**
+   * Who a report can be assigned to: the jurisdiction's admins, then the moderators
+   */
+  async getStaff(jurisdictionId = null) {
+    const queries = [where('role', '==', ROLES.MODERATOR.id)];
+    if (jurisdictionId) {
+      queries.unshift(where('jurisdictions', 'array-contains', jurisdictionId));
+    }
+
+    const snapshots = await Promise.all(queries.map(constraint =>
+      getDocs(query(collection(db, ROLES_COLLECTION), constraint))
+    ));
+
+    const staff = new Map();
+    snapshots.forEach(snapshot => snapshot.forEach(entry => {
+      const data = entry.data();
+      if (staff.has(entry.id) || !isStaff(data)) return;
+      staff.set(entry.id, { userId: entry.id, role: data.role, name: data.name || '', jurisdictions: data.jurisdictions || [] });
+    }));
+    return [...staff.values()];
+  }
+
+  clear() {
+    this.cache.clear();
+  }
+}
+
+export const reportRoles = new ReportRoles();
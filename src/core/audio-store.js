@@ -0,0 +1,124 @@
+// Voice note storage: audio Blobs in RouteDB's audio store, referenced from
+// route entries as { type: 'audio', audioId }. Exports, cloud uploads and
+// trail guides get the recording inline as a data URL in `content`, the same
+// way photos are handled by PhotoStore.
+import { dataURLToBlob, blobToDataURL } from './photo-store.js';
+
+export function isInlineAudio(entry) {
+  return entry?.type === 'audio' && typeof entry.content === 'string' && entry.content.startsWith('data:');
+}
+
+export class AudioStore {
+  constructor(routeDB) {
+    this.routeDB = routeDB;
+    this.objectURLs = new Map(); // audioId → object URL
+  }
+
+  isAvailable() {
+    return !!this.routeDB?.db;
+  }
+
+  createId() {
+    return `audio_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+  }
+
+  // Store a recording and return the fields a route entry needs
+  async saveAudio(blob, duration = 0) {
+    const id = this.createId();
+    const mimeType = blob.type || 'audio/webm';
+    await this.routeDB.saveAudio({
+      id,
+      blob,
+      mimeType,
+      size: blob.size,
+      duration,
+      createdAt: Date.now()
+    });
+    return { audioId: id, mimeType, size: blob.size };
+  }
+
+  // Object URL for <audio src> - loaded on first request and cached
+  async getAudioURL(entry) {
+    if (!entry) return null;
+    if (!entry.audioId) return entry.content || null;
+
+    if (this.objectURLs.has(entry.audioId)) {
+      return this.objectURLs.get(entry.audioId);
+    }
+
+    const record = this.isAvailable() ? await this.routeDB.getAudio(entry.audioId) : null;
+    if (!record) {
+      console.warn(`⚠️ Voice note ${entry.audioId} not found`);
+      return null;
+    }
+
+    const url = URL.createObjectURL(record.blob);
+    this.objectURLs.set(entry.audioId, url);
+    return url;
+  }
+
+  // Move inline recordings (imports, cloud copies) into the store. Returns { entries, moved }
+  async externalizeEntries(entries) {
+    if (!this.isAvailable()) return { entries, moved: 0 };
+
+    let moved = 0;
+    const result = [];
+    for (const entry of entries) {
+      if (!isInlineAudio(entry)) {
+        result.push(entry);
+        continue;
+      }
+
+      const { content, ...rest } = entry;
+      const reference = await this.saveAudio(dataURLToBlob(content), entry.duration || 0);
+      result.push({ ...rest, ...reference });
+      moved++;
+    }
+
+    return { entries: result, moved };
+  }
+
+  // Inline recordings again - for exports, guides and cloud uploads
+  async resolveEntries(entries) {
+    return Promise.all(entries.map(async (entry) => {
+      if (entry?.type !== 'audio' || !entry.audioId || !this.isAvailable()) return entry;
+
+      const record = await this.routeDB.getAudio(entry.audioId);
+      if (!record) return entry;
+
+      const { audioId, size, ...rest } = entry;
+      return { ...rest, content: await blobToDataURL(record.blob) };
+    }));
+  }
+
+  async deleteAudioForEntries(entries) {
+    const ids = entries.filter(e => e?.type === 'audio' && e.audioId).map(e => e.audioId);
+    ids.forEach(id => this.revoke(id));
+    if (this.isAvailable()) await this.routeDB.deleteAudio(ids);
+  }
+
+  // Same rules as PhotoStore.cleanupOrphans - recent recordings may belong to another tab
+  async cleanupOrphans(referencedIds, minAge = 24 * 60 * 60 * 1000) {
+    if (!this.isAvailable()) return 0;
+
+    const referenced = new Set(referencedIds);
+    const cutoff = Date.now() - minAge;
+    const orphaned = (await this.routeDB.getAllAudioIds()).filter(id => {
+      const createdAt = parseInt(String(id).split('_')[1], 10);
+      return !referenced.has(id) && (Number.isNaN(createdAt) || createdAt < cutoff);
+    });
+    if (orphaned.length > 0) {
+      await this.routeDB.deleteAudio(orphaned);
+      console.log(`🧹 Removed ${orphaned.length} orphaned voice notes`);
+    }
+    return orphaned.length;
+  }
+
+  revoke(audioId) {
+    const url = this.objectURLs.get(audioId);
+    if (url) {
+      URL.revokeObjectURL(url);
+      this.objectURLs.delete(audioId);
+    }
+  }
+}
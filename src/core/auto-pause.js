@@ -0,0 +1,144 @@
+// Stationary detection for automatic pause/resume during tracking
+// Works on raw GPS fixes: a stop is detected when speed stays low and the
+// recent fixes cluster tightly, and it ends once fixes move clearly away.
+import { haversineDistance } from '../utils/calculations.js';
+
+export class AutoPauseDetector {
+  constructor(options = {}) {
+    this.stopDelay = options.stopDelay ?? 20000; // ms of stillness before pausing
+    this.stopSpeed = options.stopSpeed ?? 0.3; // m/s
+    this.stopRadius = options.stopRadius ?? 6; // meters RMS around the centroid
+    this.resumeSpeed = options.resumeSpeed ?? 0.8; // m/s
+    this.resumeRadius = options.resumeRadius ?? 10; // meters from the stop centroid
+    this.resumeFixes = options.resumeFixes ?? 2; // consecutive moving fixes to resume
+    this.reset();
+  }
+
+  reset() {
+    this.window = [];
+    this.isStopped = false;
+    this.stop = null;
+    this.movingFixes = 0;
+  }
+
+  // Feed a fix: { coords, accuracy, speed, timestamp }
+  // Returns { type: 'stop-start', ... }, { type: 'stop-end', ... } or null
+  update(fix) {
+    if (!fix?.coords) return null;
+
+    this.window.push(fix);
+    this.trimWindow(fix.timestamp);
+
+    if (this.isStopped) {
+      return this.checkResume(fix);
+    }
+    return this.checkStop();
+  }
+
+  trimWindow(now) {
+    const maxAge = this.stopDelay * 1.5;
+    this.window = this.window.filter(f => now - f.timestamp <= maxAge);
+  }
+
+  checkStop() {
+    if (this.window.length < 3) return null;
+
+    const latest = this.window[this.window.length - 1];
+    const candidates = this.window.filter(f => latest.timestamp - f.timestamp <= this.stopDelay);
+    const span = latest.timestamp - candidates[0].timestamp;
+    if (span < this.stopDelay * 0.9 || candidates.length < 3) return null;
+
+    const centroid = this.getCentroid(candidates);
+    const spread = this.getSpread(candidates, centroid);
+    const medianAccuracy = this.median(candidates.map(f => f.accuracy || 0));
+    // Poor accuracy widens the jitter cloud - tolerate some of it
+    const allowedSpread = Math.max(this.stopRadius, medianAccuracy * 0.5);
+
+    const speed = this.getSpeed(candidates);
+    if (speed > this.stopSpeed || spread > allowedSpread) return null;
+
+    this.isStopped = true;
+    this.movingFixes = 0;
+    this.stop = {
+      startTime: candidates[0].timestamp,
+      coords: centroid,
+      spread
+    };
+
+    console.log(`⏸️ Stationary detected (speed ${speed.toFixed(2)} m/s, spread ${spread.toFixed(1)} m)`);
+    return { type: 'stop-start', ...this.stop };
+  }
+
+  checkResume(fix) {
+    const distance = haversineDistance(this.stop.coords, fix.coords) * 1000;
+    const speed = typeof fix.speed === 'number' ? fix.speed : 0;
+    const radius = Math.max(this.resumeRadius, (fix.accuracy || 0) * 0.75);
+
+    if (distance > radius || speed > this.resumeSpeed) {
+      this.movingFixes++;
+    } else {
+      this.movingFixes = 0;
+    }
+
+    if (this.movingFixes < this.resumeFixes) return null;
+
+    const event = this.end(fix.timestamp);
+    console.log(`▶️ Movement detected after ${Math.round(event.duration / 1000)}s stop`);
+    return event;
+  }
+
+  // Close the current stop (also used when the user pauses or stops manually)
+  end(endTime = Date.now()) {
+    if (!this.isStopped || !this.stop) return null;
+
+    const event = {
+      type: 'stop-end',
+      startTime: this.stop.startTime,
+      endTime,
+      duration: Math.max(0, endTime - this.stop.startTime),
+      coords: this.stop.coords
+    };
+
+    this.isStopped = false;
+    this.stop = null;
+    this.movingFixes = 0;
+    this.window = [];
+    return event;
+  }
+
+  getCentroid(fixes) {
+    const lat = fixes.reduce((sum, f) => sum + f.coords.lat, 0) / fixes.length;
+    const lng = fixes.reduce((sum, f) => sum + f.coords.lng, 0) / fixes.length;
+    return { lat, lng };
+  }
+
+  // RMS distance of the fixes around the centroid, in meters
+  getSpread(fixes, centroid) {
+    const sumSquares = fixes.reduce((sum, f) => {
+      const d = haversineDistance(centroid, f.coords) * 1000;
+      return sum + d * d;
+    }, 0);
+    return Math.sqrt(sumSquares / fixes.length);
+  }
+
+  // Prefer device-reported speed, otherwise net displacement over the window
+  getSpeed(fixes) {
+    const reported = fixes.map(f => f.speed).filter(s => typeof s === 'number' && !Number.isNaN(s));
+    if (reported.length >= fixes.length / 2) {
+      return this.median(reported);
+    }
+
+    const first = fixes[0];
+    const last = fixes[fixes.length - 1];
+    const seconds = (last.timestamp - first.timestamp) / 1000;
+    if (seconds <= 0) return 0;
+    return (haversineDistance(first.coords, last.coords) * 1000) / seconds;
+  }
+
+  median(values) {
+    if (values.length === 0) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+  }
+}
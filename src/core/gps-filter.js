@@ -0,0 +1,226 @@
+// GPS smoothing pipeline used by TrackingController.handlePositionUpdate
+// Each stage receives the working fix and either returns it (possibly modified)
+// or returns { reject: 'reason' } to drop the fix.
+import { haversineDistance } from '../utils/calculations.js';
+
+// Drops fixes whose reported accuracy is worse than the limit
+export class AccuracyGateStage {
+  constructor(options = {}) {
+    this.name = 'accuracy';
+    this.maxAccuracy = options.maxAccuracy ?? 100; // meters
+  }
+
+  process(fix) {
+    if (fix.accuracy > this.maxAccuracy) {
+      return { reject: `GPS accuracy too low: ${fix.accuracy}m` };
+    }
+    return fix;
+  }
+}
+
+// Rejects jumps that imply an impossible speed for someone on foot or wheels.
+// After several consecutive rejections the jump is accepted as real and the
+// downstream filter is asked to reset, so a genuine relocation can't lock us out.
+export class SpeedOutlierStage {
+  constructor(options = {}) {
+    this.name = 'speed';
+    this.maxSpeed = options.maxSpeed ?? 7; // m/s (~25 km/h)
+    this.maxConsecutiveRejects = options.maxConsecutiveRejects ?? 5;
+    this.consecutiveRejects = 0;
+  }
+
+  process(fix, context) {
+    const last = context.lastAccepted;
+    if (!last) {
+      fix.speed = fix.deviceSpeed ?? 0;
+      return fix;
+    }
+
+    const seconds = Math.max((fix.timestamp - last.timestamp) / 1000, 0.001);
+    const meters = haversineDistance(last.coords, fix.coords) * 1000;
+    // Allow the jump to be explained by the combined position uncertainty
+    const unexplained = Math.max(0, meters - fix.accuracy - (last.accuracy || 0));
+    const impliedSpeed = unexplained / seconds;
+
+    if (impliedSpeed > this.maxSpeed && this.consecutiveRejects < this.maxConsecutiveRejects) {
+      this.consecutiveRejects++;
+      return { reject: `Implausible speed: ${(impliedSpeed * 3.6).toFixed(1)} km/h` };
+    }
+
+    if (this.consecutiveRejects >= this.maxConsecutiveRejects) {
+      console.warn('⚠️ Accepting GPS jump after repeated rejections, resetting filter');
+      fix.resetFilter = true;
+    }
+
+    this.consecutiveRejects = 0;
+    fix.speed = fix.deviceSpeed ?? meters / seconds;
+    return fix;
+  }
+
+  reset() {
+    this.consecutiveRejects = 0;
+  }
+}
+
+// Accuracy-weighted Kalman filter on lat/lng with a constant-position model.
+// Process noise grows with elapsed time, so the estimate follows real movement
+// while fixes with large accuracy circles get little weight.
+export class KalmanFilterStage {
+  constructor(options = {}) {
+    this.name = 'kalman';
+    this.processNoise = options.processNoise ?? 3; // expected movement noise, m/s
+    this.minAccuracy = options.minAccuracy ?? 1; // meters
+    this.reset();
+  }
+
+  process(fix) {
+    if (fix.resetFilter) this.reset();
+
+    const accuracy = Math.max(fix.accuracy, this.minAccuracy);
+
+    if (this.variance < 0) {
+      this.lat = fix.coords.lat;
+      this.lng = fix.coords.lng;
+      this.variance = accuracy * accuracy;
+      this.timestamp = fix.timestamp;
+    } else {
+      const seconds = (fix.timestamp - this.timestamp) / 1000;
+      if (seconds > 0) {
+        this.variance += seconds * this.processNoise * this.processNoise;
+        this.timestamp = fix.timestamp;
+      }
+
+      const gain = this.variance / (this.variance + accuracy * accuracy);
+      this.lat += gain * (fix.coords.lat - this.lat);
+      this.lng += gain * (fix.coords.lng - this.lng);
+      this.variance = (1 - gain) * this.variance;
+    }
+
+    fix.coords = { lat: this.lat, lng: this.lng };
+    fix.filteredAccuracy = Math.sqrt(this.variance);
+    return fix;
+  }
+
+  reset() {
+    this.lat = 0;
+    this.lng = 0;
+    this.variance = -1;
+    this.timestamp = 0;
+  }
+}
+
+// Minimum movement before a point is recorded, scaled with speed:
+// slow wheelchair routes keep fine detail, faster movement skips redundant points.
+export class AdaptiveDistanceStage {
+  constructor(options = {}) {
+    this.name = 'distance';
+    this.minDistance = options.minDistance ?? 1.5; // meters
+    this.maxDistance = options.maxDistance ?? 10; // meters
+    this.secondsPerPoint = options.secondsPerPoint ?? 2;
+  }
+
+  process(fix, context) {
+    const last = context.lastAccepted;
+    if (!last) return fix;
+
+    const threshold = this.getThreshold(fix.speed || 0);
+    const meters = haversineDistance(last.coords, fix.coords) * 1000;
+
+    if (meters < threshold) {
+      return { reject: `Movement below threshold: ${meters.toFixed(1)}m < ${threshold.toFixed(1)}m` };
+    }
+    return fix;
+  }
+
+  getThreshold(speed) {
+    return Math.min(this.maxDistance, Math.max(this.minDistance, speed * this.secondsPerPoint));
+  }
+}
+
+export class GPSFilterPipeline {
+  constructor(stages = GPSFilterPipeline.createDefaultStages()) {
+    this.stages = [...stages];
+    this.context = { lastAccepted: null };
+    this.stats = { accepted: 0, rejected: {} };
+  }
+
+  static createDefaultStages(options = {}) {
+    return [
+      new AccuracyGateStage(options),
+      new SpeedOutlierStage(options),
+      new KalmanFilterStage(options),
+      new AdaptiveDistanceStage(options)
+    ];
+  }
+
+  addStage(stage, index = this.stages.length) {
+    this.stages.splice(index, 0, stage);
+    return this;
+  }
+
+  removeStage(name) {
+    this.stages = this.stages.filter(stage => stage.name !== name);
+    return this;
+  }
+
+  getStage(name) {
+    return this.stages.find(stage => stage.name === name) || null;
+  }
+
+  // Run a Geolocation API position through all stages.
+  // Returns { accepted, raw, filtered, speed, reason }
+  process(position) {
+    const { latitude, longitude, accuracy, speed } = position.coords;
+    const raw = { lat: latitude, lng: longitude };
+
+    let fix = {
+      coords: { ...raw },
+      accuracy,
+      deviceSpeed: typeof speed === 'number' && !Number.isNaN(speed) ? speed : null,
+      timestamp: position.timestamp || Date.now()
+    };
+
+    for (const stage of this.stages) {
+      const result = stage.process(fix, this.context);
+      if (!result || result.reject) {
+        const reason = result?.reject || `Rejected by ${stage.name}`;
+        this.stats.rejected[stage.name] = (this.stats.rejected[stage.name] || 0) + 1;
+        return { accepted: false, raw, reason, stage: stage.name };
+      }
+      fix = result;
+    }
+
+    this.context.lastAccepted = {
+      coords: fix.coords,
+      accuracy: fix.filteredAccuracy ?? fix.accuracy,
+      timestamp: fix.timestamp
+    };
+    this.stats.accepted++;
+
+    return {
+      accepted: true,
+      raw,
+      filtered: fix.coords,
+      accuracy,
+      filteredAccuracy: fix.filteredAccuracy ?? accuracy,
+      speed: fix.speed ?? 0,
+      timestamp: fix.timestamp
+    };
+  }
+
+  // Seed the pipeline with a known last point (e.g. when resuming a restored route)
+  seed(coords, timestamp = Date.now(), accuracy = 10) {
+    this.reset();
+    this.context.lastAccepted = { coords, accuracy, timestamp };
+  }
+
+  reset() {
+    this.context = { lastAccepted: null };
+    this.stats = { accepted: 0, rejected: {} };
+    this.stages.forEach(stage => stage.reset?.());
+  }
+
+  getStats() {
+    return { ...this.stats, rejected: { ...this.stats.rejected } };
+  }
+}
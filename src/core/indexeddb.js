@@ -1,8 +1,9 @@
 // Modern IndexedDB wrapper for route storage
+import { validateRoute, RouteValidationError } from './route-schema.js';
 export class RouteDB {
   constructor() {
     this.dbName = 'AccessNatureDB';
-    this.version = 1;
+    this.version = 5; // v2: photos store, v3: cloud outbox, v4: tracking journal, v5: voice notes
     this.db = null;
   }
 
@@ -17,6 +18,8 @@ export class RouteDB {
       
       request.onsuccess = () => {
         this.db = request.result;
+        // Let a newer version of the app in another tab upgrade the schema
+        this.db.onversionchange = () => this.close();
         console.log('✅ IndexedDB initialized successfully');
         resolve(this.db);
       };
@@ -55,14 +58,51 @@ export class RouteDB {
           console.log('🌐 Trail guides store created');
         }
         
+        // Photos store - image Blobs referenced from route entries by photoId
+        if (!db.objectStoreNames.contains('photos')) {
+          const photoStore = db.createObjectStore('photos', { keyPath: 'id' });
+          photoStore.createIndex('createdAt', 'createdAt');
+          console.log('📷 Photos store created');
+        }
+        
+        // Outbox store - cloud writes waiting to be sent
+        if (!db.objectStoreNames.contains('outbox')) {
+          const outboxStore = db.createObjectStore('outbox', { keyPath: 'id' });
+          outboxStore.createIndex('status', 'status');
+          console.log('📤 Outbox store created');
+        }
+        
+        // Journal store - entries of the route being recorded, appended as they arrive
+        if (!db.objectStoreNames.contains('journal')) {
+          db.createObjectStore('journal', { keyPath: 'seq' });
+          console.log('📓 Journal store created');
+        }
+        
+        // Audio store - voice note Blobs referenced from route entries by audioId
+        if (!db.objectStoreNames.contains('audio')) {
+          const audioStore = db.createObjectStore('audio', { keyPath: 'id' });
+          audioStore.createIndex('createdAt', 'createdAt');
+          console.log('🎙️ Audio store created');
+        }
+        
         console.log('✅ IndexedDB schema creation complete');
       };
     });
   }
 
+  // NEW: Routes must match the current schema before they reach the store
+  assertValidRoute(routeData) {
+    const { valid, errors } = validateRoute(routeData);
+    if (!valid) {
+      console.error(`❌ Refusing to store invalid route "${routeData?.name}":`, errors);
+      throw new RouteValidationError(errors, `Route "${routeData?.name}"`);
+    }
+  }
+
   // Save route (replaces localStorage sessions)
   async saveRoute(routeData) {
     if (!this.db) throw new Error('Database not initialized');
+    this.assertValidRoute(routeData);
     
     const transaction = this.db.transaction(['routes'], 'readwrite');
     const store = transaction.objectStore('routes');
@@ -83,6 +123,7 @@ export class RouteDB {
   // Update existing route
   async updateRoute(routeData) {
     if (!this.db) throw new Error('Database not initialized');
+    this.assertValidRoute(routeData);
     
     const transaction = this.db.transaction(['routes'], 'readwrite');
     const store = transaction.objectStore('routes');
@@ -149,6 +190,253 @@ export class RouteDB {
     });
   }
 
+  // NEW: Save photo Blob - { id, blob, mimeType, size, createdAt }
+  async savePhoto(photo) {
+    if (!this.db) throw new Error('Database not initialized');
+    
+    const transaction = this.db.transaction(['photos'], 'readwrite');
+    const store = transaction.objectStore('photos');
+    
+    return new Promise((resolve, reject) => {
+      const request = store.put(photo);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.error('❌ Failed to save photo:', request.error);
+        reject(request.error);
+      };
+    });
+  }
+
+  // Get single photo record by ID
+  async getPhoto(id) {
+    if (!this.db) throw new Error('Database not initialized');
+    
+    const transaction = this.db.transaction(['photos'], 'readonly');
+    const store = transaction.objectStore('photos');
+    
+    return new Promise((resolve, reject) => {
+      const request = store.get(id);
+      request.onsuccess = () => resolve(request.result || null);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // Delete photos by ID
+  async deletePhotos(ids) {
+    if (!this.db) throw new Error('Database not initialized');
+    if (ids.length === 0) return;
+    
+    const transaction = this.db.transaction(['photos'], 'readwrite');
+    const store = transaction.objectStore('photos');
+    ids.forEach(id => store.delete(id));
+    
+    return new Promise((resolve, reject) => {
+      transaction.oncomplete = () => {
+        console.log(`🗑️ ${ids.length} photos deleted from IndexedDB`);
+        resolve();
+      };
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  // Photo IDs only - no Blobs are read
+  async getAllPhotoIds() {
+    if (!this.db) throw new Error('Database not initialized');
+    
+    const transaction = this.db.transaction(['photos'], 'readonly');
+    const store = transaction.objectStore('photos');
+    
+    return new Promise((resolve, reject) => {
+      const request = store.getAllKeys();
+      request.onsuccess = () => resolve(request.result || []);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // Count and total size from the stored metadata
+  async getPhotoStats() {
+    if (!this.db) throw new Error('Database not initialized');
+    
+    const transaction = this.db.transaction(['photos'], 'readonly');
+    const store = transaction.objectStore('photos');
+    
+    return new Promise((resolve, reject) => {
+      const stats = { count: 0, totalSize: 0 };
+      const request = store.openCursor();
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve(stats);
+          return;
+        }
+        stats.count++;
+        stats.totalSize += cursor.value.size || 0;
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // NEW: Outbox items - { id, type, key, label, payload, status, attempts, ... }
+  async saveOutboxItem(item) {
+    if (!this.db) throw new Error('Database not initialized');
+    
+    const transaction = this.db.transaction(['outbox'], 'readwrite');
+    const store = transaction.objectStore('outbox');
+    
+    return new Promise((resolve, reject) => {
+      const request = store.put(item);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async getOutboxItems() {
+    if (!this.db) throw new Error('Database not initialized');
+    
+    const transaction = this.db.transaction(['outbox'], 'readonly');
+    const store = transaction.objectStore('outbox');
+    
+    return new Promise((resolve, reject) => {
+      const request = store.getAll();
+      request.onsuccess = () => resolve(request.result || []);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async deleteOutboxItem(id) {
+    if (!this.db) throw new Error('Database not initialized');
+    
+    const transaction = this.db.transaction(['outbox'], 'readwrite');
+    const store = transaction.objectStore('outbox');
+    
+    return new Promise((resolve, reject) => {
+      const request = store.delete(id);
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // NEW: Save voice note Blob - { id, blob, mimeType, size, duration, createdAt }
+  async saveAudio(audio) {
+    if (!this.db) throw new Error('Database not initialized');
+    
+    const transaction = this.db.transaction(['audio'], 'readwrite');
+    const store = transaction.objectStore('audio');
+    
+    return new Promise((resolve, reject) => {
+      const request = store.put(audio);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.error('❌ Failed to save voice note:', request.error);
+        reject(request.error);
+      };
+    });
+  }
+
+  async getAudio(id) {
+    if (!this.db) throw new Error('Database not initialized');
+    
+    const transaction = this.db.transaction(['audio'], 'readonly');
+    const store = transaction.objectStore('audio');
+    
+    return new Promise((resolve, reject) => {
+      const request = store.get(id);
+      request.onsuccess = () => resolve(request.result || null);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async deleteAudio(ids) {
+    if (!this.db) throw new Error('Database not initialized');
+    if (ids.length === 0) return;
+    
+    const transaction = this.db.transaction(['audio'], 'readwrite');
+    const store = transaction.objectStore('audio');
+    ids.forEach(id => store.delete(id));
+    
+    return new Promise((resolve, reject) => {
+      transaction.oncomplete = () => {
+        console.log(`🗑️ ${ids.length} voice notes deleted from IndexedDB`);
+        resolve();
+      };
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  async getAllAudioIds() {
+    if (!this.db) throw new Error('Database not initialized');
+    
+    const transaction = this.db.transaction(['audio'], 'readonly');
+    const store = transaction.objectStore('audio');
+    
+    return new Promise((resolve, reject) => {
+      const request = store.getAllKeys();
+      request.onsuccess = () => resolve(request.result || []);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // NEW: Tracking journal - { seq, kind: 'entry' | 'start' | 'state', time, ... }
+  // Strict durability: the record is on disk before the write reports success
+  async appendJournal(record) {
+    if (!this.db) throw new Error('Database not initialized');
+    
+    const transaction = this.db.transaction(['journal'], 'readwrite', { durability: 'strict' });
+    const store = transaction.objectStore('journal');
+    
+    return new Promise((resolve, reject) => {
+      store.put(record);
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  // Records in seq order
+  async getJournal() {
+    if (!this.db) throw new Error('Database not initialized');
+    
+    const transaction = this.db.transaction(['journal'], 'readonly');
+    const store = transaction.objectStore('journal');
+    
+    return new Promise((resolve, reject) => {
+      const request = store.getAll();
+      request.onsuccess = () => resolve(request.result || []);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // Drop records the route backup already contains
+  async compactJournal(uptoSeq) {
+    if (!this.db) throw new Error('Database not initialized');
+    
+    const transaction = this.db.transaction(['journal'], 'readwrite');
+    const store = transaction.objectStore('journal');
+    
+    return new Promise((resolve, reject) => {
+      const request = store.delete(IDBKeyRange.upperBound(uptoSeq));
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async clearJournal() {
+    if (!this.db) throw new Error('Database not initialized');
+    
+    const transaction = this.db.transaction(['journal'], 'readwrite');
+    const store = transaction.objectStore('journal');
+    
+    return new Promise((resolve, reject) => {
+      const request = store.clear();
+      request.onsuccess = () => {
+        console.log('🧹 Journal cleared from IndexedDB');
+        resolve();
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
   // Save backup (replaces localStorage route_backup)
   async saveBackup(backupData) {
     if (!this.db) throw new Error('Database not initialized');
@@ -268,7 +556,7 @@ export class RouteDB {
   async clearAllData() {
     if (!this.db) throw new Error('Database not initialized');
     
-    const stores = ['routes', 'backups', 'settings', 'trail_guides'];
+    const stores = ['routes', 'backups', 'settings', 'trail_guides', 'photos', 'outbox', 'journal', 'audio'];
     const transaction = this.db.transaction(stores, 'readwrite');
     
     const promises = stores.map(storeName => {
@@ -0,0 +1,75 @@
+// Digest email hook. A mailer is any object with
+//   async send({ to, subject, text, html }) - resolves once the mail is accepted
+// The app queues mail through FirestoreMailer (src/core/notifications.js);
+// MockMailer keeps it in memory for tests and local development:
+//   reportNotifications.setMailer(new MockMailer())
+
+export class MockMailer {
+  constructor() {
+    this.sent = [];
+  }
+
+  async send(message) {
+    if (!message?.to) {
+      throw new Error('A mail needs a recipient');
+    }
+    this.sent.push({ ...message, sentAt: Date.now() });
+    console.log(`📧 [mock mailer] To ${message.to}: ${message.subject}`);
+    return { id: `mock-${this.sent.length}` };
+  }
+
+  clear() {
+    this.sent = [];
+  }
+}
+
+const escapeHtml = (text) => String(text ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// { subject, text, html } for a list of notifications, grouped by report; null when there is nothing to send
+export function buildDigest(notifications, { appUrl = '' } = {}) {
+  if (!notifications?.length) return null;
+
+  const byReport = new Map();
+  [...notifications]
+    .sort((a, b) => a.timestamp - b.timestamp)
+    .forEach(notification => {
+      if (!byReport.has(notification.reportId)) {
+        byReport.set(notification.reportId, { title: notification.reportTitle || 'Accessibility report', items: [] });
+      }
+      byReport.get(notification.reportId).items.push(notification);
+    });
+
+  const count = notifications.length;
+  const subject = `Access Nature: ${count} update${count === 1 ? '' : 's'} on ${byReport.size} report${byReport.size === 1 ? '' : 's'} you follow`;
+  const reportUrl = (reportId) => `${appUrl}reports.html?report=${encodeURIComponent(reportId)}`;
+  const when = (timestamp) => new Date(timestamp).toLocaleString();
+
+  const text = [
+    subject,
+    '',
+    ...[...byReport.entries()].flatMap(([reportId, { title, items }]) => [
+      title,
+      ...items.map(item => `  ${item.icon || '•'} ${item.message} (${when(item.timestamp)})`),
+      `  ${reportUrl(reportId)}`,
+      ''
+    ]),
+    'You get this digest because you follow these reports. Unfollow a report from its details to stop.'
+  ].join('\n');
+
+  const html = `
+    <h2>${escapeHtml(subject)}</h2>
+    ${[...byReport.entries()].map(([reportId, { title, items }]) => `
+      <h3><a href="${escapeHtml(reportUrl(reportId))}">${escapeHtml(title)}</a></h3>
+      <ul>
+        ${items.map(item => `<li>${escapeHtml(item.icon || '')} ${escapeHtml(item.message)} <small>${escapeHtml(when(item.timestamp))}</small></li>`).join('')}
+      </ul>
+    `).join('')}
+    <p><small>You get this digest because you follow these reports. Unfollow a report from its details to stop.</small></p>
+  `;
+
+  return { subject, text, html };
+}
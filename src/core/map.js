@@ -2,6 +2,9 @@
 // NEW: Import UI helpers
 import toast from '../helpers/toasts.js';
 import modal from '../helpers/modals.js';
+import { createTileLayer } from './offline-tiles.js';
+import { getMarkerType, describeMarkerAttributes } from '../utils/trail-markers.js';
+import { buildSurfaceSegments, hasSurfaceData, getSurfaceColor, surfaceBreakdown } from '../utils/surfaces.js';
 
 export class MapController {
   constructor() {
@@ -9,7 +12,11 @@ export class MapController {
     this.marker = null;
     this.routePolylines = [];
     this.routeMarkers = [];
+    this.editLayer = null;
+    this.referenceLayer = null;
+    this.snapMarker = null;
     this.lastBearing = 0;
+    this.surfaceLegend = null;
   }
 
   async initialize() {
@@ -20,10 +27,8 @@ export class MapController {
 
     this.map = L.map('map').setView([32.0853, 34.7818], 15);
 
-    L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
-      maxZoom: 19,
-      attribution: '© OpenStreetMap contributors'
-    }).addTo(this.map);
+    // UPDATED: configurable tile source, served from the offline cache when available
+    createTileLayer().addTo(this.map);
 
     // Create custom arrow marker instead of default marker
 const arrowIcon = L.divIcon({
@@ -148,7 +153,9 @@ setTimeout(() => {
   }
 
   // FIXED: Enhanced route data visualization with proper data handling
-  showRouteData(routeData) {
+  showRouteData(routeData, options = {}) {
+    const { fitBounds = true, silent = false } = options;
+
     if (!routeData || routeData.length === 0) {
       toast.warning('No route data to display');
       return;
@@ -173,8 +180,21 @@ setTimeout(() => {
       return;
     }
 
-    // Draw route line
-    if (locationPoints.length > 1) {
+    // NEW: Colour-coded by surface once any stretch has one
+    if (locationPoints.length > 1 && hasSurfaceData(routeData)) {
+      buildSurfaceSegments(routeData).forEach(segment => {
+        const polyline = L.polyline(segment.coords.map(point => [point.lat, point.lng]), {
+          color: getSurfaceColor(segment.surface),
+          weight: 5,
+          opacity: 0.9
+        }).addTo(this.map);
+        polyline.bindTooltip(`${this.escapeHtml(segment.surface || 'Surface unknown')} · ${(segment.distanceKm * 1000).toFixed(0)} m`, { sticky: true });
+
+        this.routePolylines.push(polyline);
+        bounds.extend(polyline.getBounds());
+      });
+      this.showSurfaceLegend(routeData);
+    } else if (locationPoints.length > 1) {
   const routeLine = locationPoints.map(point => [point.coords.lat, point.coords.lng]);
   
   const polyline = L.polyline(routeLine, {
@@ -201,14 +221,25 @@ setTimeout(() => {
           className: 'custom-div-icon photo-marker'
         });
 
-        const photoMarker = L.marker([entry.coords.lat, entry.coords.lng], { icon })
-          .addTo(this.map)
-          .bindPopup(`
+        const photoPopup = (src) => `
             <div style="text-align: center;">
-              <img src="${entry.content}" style="width:200px; max-height:150px; object-fit:cover; border-radius:8px;">
+              ${src ? `<img src="${this.escapeAttribute(src)}" style="width:200px; max-height:150px; object-fit:cover; border-radius:8px;">` : '<em>Loading photo…</em>'}
               <br><small>${new Date(entry.timestamp).toLocaleString()}</small>
             </div>
-          `);
+          `;
+
+        const photoMarker = L.marker([entry.coords.lat, entry.coords.lng], { icon })
+          .addTo(this.map)
+          .bindPopup(photoPopup(entry.content));
+
+        // NEW: stored photos load from IndexedDB only when the popup opens
+        if (entry.photoId) {
+          photoMarker.on('popupopen', async () => {
+            const photoStore = window.AccessNatureApp?.getController('state')?.photoStore;
+            const url = await photoStore?.getPhotoURL(entry);
+            photoMarker.setPopupContent(url ? photoPopup(url) : '<em>Photo unavailable</em>');
+          });
+        }
         
         this.routeMarkers.push(photoMarker);
         
@@ -224,13 +255,85 @@ setTimeout(() => {
           .bindPopup(`
             <div style="max-width: 200px;">
               <strong>Note:</strong><br>
-              ${entry.content}<br>
+              ${this.escapeHtml(entry.content || '')}<br>
               <small>${new Date(entry.timestamp).toLocaleString()}</small>
             </div>
           `);
         
         this.routeMarkers.push(noteMarker);
         
+      } else if (entry.type === 'audio') {
+        const icon = L.divIcon({
+          html: '🎙️',
+          iconSize: [30, 30],
+          className: 'custom-div-icon voice-note-marker'
+        });
+
+        const voicePopup = (src) => `
+            <div style="max-width: 240px;">
+              <strong>Voice note</strong> <small>(${Math.round(entry.duration || 0)} s)</small><br>
+              ${src ? `<audio controls preload="metadata" src="${this.escapeAttribute(src)}" style="width:220px;"></audio>` : '<em>Loading voice note…</em>'}
+              ${entry.transcript ? `<div><em>${this.escapeHtml(entry.transcript)}</em></div>` : ''}
+              <small>${new Date(entry.timestamp).toLocaleString()}</small>
+            </div>
+          `;
+
+        const voiceMarker = L.marker([entry.coords.lat, entry.coords.lng], { icon })
+          .addTo(this.map)
+          .bindPopup(voicePopup(entry.content));
+
+        // NEW: stored recordings load from IndexedDB only when the popup opens
+        if (entry.audioId) {
+          voiceMarker.on('popupopen', async () => {
+            const audioStore = window.AccessNatureApp?.getController('state')?.audioStore;
+            const url = await audioStore?.getAudioURL(entry);
+            voiceMarker.setPopupContent(url ? voicePopup(url) : '<em>Voice note unavailable</em>');
+          });
+        }
+        
+        this.routeMarkers.push(voiceMarker);
+        
+      } else if (entry.type === 'marker') {
+        const type = getMarkerType(entry.markerType);
+        const icon = L.divIcon({
+          html: type.icon,
+          iconSize: [30, 30],
+          className: `custom-div-icon trail-marker trail-marker-${entry.markerType}`
+        });
+
+        const details = describeMarkerAttributes(entry);
+        const featureMarker = L.marker([entry.coords.lat, entry.coords.lng], { icon })
+          .addTo(this.map)
+          .bindPopup(`
+            <div style="max-width: 220px;">
+              <strong>${type.icon} ${type.label}</strong><br>
+              ${details.map(line => this.escapeHtml(line)).join('<br>')}${details.length ? '<br>' : ''}
+              <small>${new Date(entry.timestamp).toLocaleString()}</small>
+            </div>
+          `);
+        
+        this.routeMarkers.push(featureMarker);
+        
+      } else if (entry.type === 'stop') {
+        const minutes = Math.round((entry.duration || 0) / 60000);
+        const icon = L.divIcon({
+          html: '☕',
+          iconSize: [30, 30],
+          className: 'custom-div-icon stop-marker'
+        });
+
+        const stopMarker = L.marker([entry.coords.lat, entry.coords.lng], { icon })
+          .addTo(this.map)
+          .bindPopup(`
+            <div>
+              <strong>${entry.auto ? 'Rest stop' : 'Paused'}</strong><br>
+              ${minutes > 0 ? `${minutes} min` : 'Under a minute'}<br>
+              <small>${new Date(entry.timestamp).toLocaleString()}</small>
+            </div>
+          `);
+        
+        this.routeMarkers.push(stopMarker);
+        
       } else if (entry.type === 'location' && (index === 0 || index === locationPoints.length - 1)) {
         const isStart = index === 0;
         const icon = L.divIcon({
@@ -253,7 +356,7 @@ setTimeout(() => {
     });
 
     // Fit map to show all route data
-    if (bounds.isValid()) {
+    if (fitBounds && bounds.isValid()) {
       this.map.fitBounds(bounds, { padding: [20, 20] });
       console.log('🎯 Map fitted to route bounds');
     } else {
@@ -262,10 +365,136 @@ setTimeout(() => {
 
     // Show summary info
     const photos = routeData.filter(p => p.type === 'photo').length;
-    const notes = routeData.filter(p => p.type === 'text').length;
+    const notes = routeData.filter(p => p.type === 'text' || p.type === 'audio').length;
     
     console.log(`✅ Route displayed: ${locationPoints.length} GPS points, ${photos} photos, ${notes} notes`);
-    toast.success(`Route displayed: ${locationPoints.length} points, ${photos} photos, ${notes} notes`);
+    if (!silent) {
+      toast.success(`Route displayed: ${locationPoints.length} points, ${photos} photos, ${notes} notes`);
+    }
+  }
+
+  // NEW: Clickable GPS points for the route editor (canvas-rendered, routes can be long)
+  showEditPoints(routeData, { selectedIndex = null, onSelect } = {}) {
+    this.clearEditPoints();
+    this.editLayer = L.layerGroup().addTo(this.map);
+    const renderer = L.canvas({ padding: 0.5 });
+
+    routeData.forEach((entry, index) => {
+      if (entry.type !== 'location' || !entry.coords) return;
+
+      const isSelected = index === selectedIndex;
+      const point = L.circleMarker([entry.coords.lat, entry.coords.lng], {
+        renderer,
+        radius: isSelected ? 8 : 4,
+        color: isSelected ? '#e74c3c' : '#2e7d32',
+        weight: 2,
+        fillColor: '#ffffff',
+        fillOpacity: 1
+      });
+
+      point.on('click', () => onSelect?.(index));
+      point.addTo(this.editLayer);
+    });
+  }
+
+  clearEditPoints() {
+    if (this.editLayer) {
+      this.map.removeLayer(this.editLayer);
+      this.editLayer = null;
+    }
+  }
+
+  // NEW: Trail being followed - kept apart from the recorded route so redraws don't remove it
+  showReferenceLine(points, waypoints = []) {
+    this.clearReferenceLine();
+    this.referenceLayer = L.layerGroup().addTo(this.map);
+
+    const line = L.polyline(points.map(point => [point.lat, point.lng]), {
+      color: '#667eea',
+      weight: 6,
+      opacity: 0.6,
+      dashArray: '8, 8'
+    }).addTo(this.referenceLayer);
+
+    waypoints.forEach(waypoint => {
+      const icon = L.divIcon({
+        html: waypoint.icon,
+        iconSize: [26, 26],
+        className: 'custom-div-icon'
+      });
+      L.marker([waypoint.coords.lat, waypoint.coords.lng], { icon })
+        .bindPopup(`<strong>${waypoint.title}</strong>${waypoint.detail ? `<br>${waypoint.detail}` : ''}`)
+        .addTo(this.referenceLayer);
+    });
+
+    this.map.fitBounds(line.getBounds(), { padding: [20, 20] });
+  }
+
+  // Where the live position was matched onto the followed trail
+  updateSnappedPosition(coords) {
+    if (!this.referenceLayer || !coords) return;
+
+    if (!this.snapMarker) {
+      this.snapMarker = L.circleMarker([coords.lat, coords.lng], {
+        radius: 7,
+        color: '#667eea',
+        weight: 3,
+        fillColor: '#ffffff',
+        fillOpacity: 1
+      }).addTo(this.referenceLayer);
+    } else {
+      this.snapMarker.setLatLng([coords.lat, coords.lng]);
+    }
+  }
+
+  clearReferenceLine() {
+    if (this.referenceLayer) {
+      this.map.removeLayer(this.referenceLayer);
+      this.referenceLayer = null;
+    }
+    this.snapMarker = null;
+  }
+
+  // NEW: Accessibility reports from an imported GeoJSON/KML file
+  async showReportMarkers(reports) {
+    const bounds = L.latLngBounds([]);
+
+    // FIXED: Imported files are untrusted - only known issue icons go into marker HTML
+    const { ISSUE_TYPES } = await import('../controllers/access-report-controller.js');
+    const issueTypes = Object.values(ISSUE_TYPES);
+    const knownIcons = new Set(issueTypes.map(type => type.icon));
+
+    reports.forEach(report => {
+      const { latitude, longitude } = report.location || {};
+      if (typeof latitude !== 'number' || typeof longitude !== 'number') return;
+
+      const issueIcon = issueTypes.find(type => type.id === report.issueType)?.icon
+        || (knownIcons.has(report.issueIcon) ? report.issueIcon : '⚠️');
+      const icon = L.divIcon({
+        html: issueIcon,
+        iconSize: [30, 30],
+        className: 'custom-div-icon report-marker'
+      });
+
+      const reportMarker = L.marker([latitude, longitude], { icon })
+        .addTo(this.map)
+        .bindPopup(`
+          <div style="max-width: 220px;">
+            <strong>${this.escapeHtml(report.title || report.issueLabel || 'Accessibility report')}</strong><br>
+            ${this.escapeHtml(report.description || '')}<br>
+            <small>${this.escapeHtml([report.severity, report.status].filter(Boolean).join(' · '))}</small>
+          </div>
+        `);
+
+      this.routeMarkers.push(reportMarker);
+      bounds.extend([latitude, longitude]);
+    });
+
+    if (bounds.isValid()) {
+      this.map.fitBounds(bounds, { padding: [20, 20] });
+    }
+
+    console.log(`📍 Displayed ${reports.length} imported accessibility reports`);
   }
 
   // FIXED: Complete route clearing including all markers
@@ -280,9 +509,33 @@ setTimeout(() => {
     });
     this.routeMarkers = [];
 
+    if (this.surfaceLegend) {
+      this.surfaceLegend.remove();
+      this.surfaceLegend = null;
+    }
+
     console.log('🧹 Route display cleared');
   }
 
+  // NEW: Which colour is which surface, with each one's share of the route
+  showSurfaceLegend(routeData) {
+    const rows = surfaceBreakdown(routeData).map(item => `
+      <div style="display: flex; align-items: center; gap: 6px; white-space: nowrap;">
+        <span style="width: 14px; height: 4px; background: ${getSurfaceColor(item.surface)};"></span>
+        ${this.escapeHtml(item.surface || 'Unknown')} · ${item.distanceKm.toFixed(2)} km (${item.percent}%)
+      </div>
+    `).join('');
+
+    this.surfaceLegend = L.control({ position: 'bottomright' });
+    this.surfaceLegend.onAdd = () => {
+      const div = L.DomUtil.create('div', 'surface-legend');
+      div.style.cssText = 'background: white; padding: 6px 8px; border-radius: 6px; font-size: 12px; box-shadow: 0 1px 4px rgba(0,0,0,0.3);';
+      div.innerHTML = `<strong>🛤️ Surfaces</strong>${rows}`;
+      return div;
+    };
+    this.surfaceLegend.addTo(this.map);
+  }
+
   clearRoute() {
     this.routePolylines.forEach(polyline => {
       this.map.removeLayer(polyline);
@@ -382,4 +635,17 @@ setTimeout(() => {
       mapContainer.style.transform = 'rotate(0deg)';
     }
   }
+
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+
+  // FIXED: escapeHtml leaves quotes alone, which is only safe outside attribute values
+  escapeAttribute(text) {
+    return this.escapeHtml(text)
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
 }
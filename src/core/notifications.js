@@ -0,0 +1,209 @@
+// In-app notifications for report followers, and the digest email hook.
+// Notifications are written by whoever makes the change, in the same
+// transaction as the change itself (followers past MAX_RECIPIENTS right
+// after it), one document per recipient:
+//   notifications/{eventId}_{userId} = { userId, type, icon, reportId, reportTitle,
+//                                        message, actorId, timestamp, read, emailed }
+import { db } from '../firebase-setup.js';
+import {
+  addDoc,
+  collection,
+  doc,
+  getDocs,
+  onSnapshot,
+  query,
+  runTransaction,
+  serverTimestamp,
+  where,
+  writeBatch
+} from 'https://www.gstatic.com/firebasejs/10.5.0/firebase-firestore.js';
+import { buildDigest } from './mailer.js';
+
+export const NOTIFICATIONS_COLLECTION = 'notifications';
+export const MAIL_COLLECTION = 'mail';
+export const DIGEST_TEMPLATE = 'notificationDigest';
+
+export const NOTIFICATION_TYPES = {
+  STATUS: { id: 'status', label: 'Status change', icon: '🔄' },
+  COMMENT: { id: 'comment', label: 'New comment', icon: '💬' },
+  MERGE: { id: 'merge', label: 'Duplicate merged', icon: '🔗' }
+};
+
+// Per event and transaction. A transaction allows 500 writes, and a merge notifies
+// two groups of followers on top of its own writes. Any more followers are
+// notified in batches once the transaction has committed.
+const MAX_RECIPIENTS = 240;
+
+// Firestore batches allow 500 writes
+const BATCH_SIZE = 450;
+
+// The rules reject longer ones; a status note can carry a whole resolution summary
+export const MAX_NOTIFICATION_MESSAGE = 1500;
+export const MAX_NOTIFICATION_TITLE = 200;
+
+const clip = (text, max) => (text.length > max ? `${text.slice(0, max - 3)}...` : text);
+
+// Queues mail for the Firebase "Trigger Email" extension, which watches the mail collection.
+// FIXED: Always through the digest template, so the rules can pin both the template and the
+// recipient (the signed-in user) - clients can't use the collection to mail anyone anything.
+export class FirestoreMailer {
+  async send({ to, subject, text, html }) {
+    const mailDoc = await addDoc(collection(db, MAIL_COLLECTION), {
+      to,
+      template: { name: DIGEST_TEMPLATE, data: { subject, text, html } },
+      createdAt: serverTimestamp()
+    });
+    return { id: mailDoc.id };
+  }
+}
+
+class ReportNotifications {
+  constructor() {
+    this.mailer = new FirestoreMailer();
+    // Notifications past MAX_RECIPIENTS, by the transaction they belong to
+    this.overflow = new WeakMap();
+  }
+
+  setMailer(mailer) {
+    this.mailer = mailer;
+  }
+
+  /**
+   * runTransaction for changes that notify followers. Notifications that didn't fit
+   * in the transaction are written once it has committed.
+   */
+  async runTransaction(updateFunction) {
+    let overflow = [];
+    const result = await runTransaction(db, async (transaction) => {
+      overflow = []; // a retried transaction starts over
+      this.overflow.set(transaction, overflow);
+      return updateFunction(transaction);
+    });
+    await this.writeOverflow(overflow);
+    return result;
+  }
+
+  /**
+   * Add one notification per recipient to a transaction. The actor is left out,
+   * and the document IDs come from eventId so a retried transaction writes the same ones.
+   * Past MAX_RECIPIENTS they wait for the transaction to commit - see runTransaction.
+   */
+  addToTransaction(transaction, recipients, { eventId, type, reportId, reportTitle, message, actorId, timestamp }) {
+    const typeInfo = Object.values(NOTIFICATION_TYPES).find(t => t.id === type) || NOTIFICATION_TYPES.STATUS;
+    const userIds = [...new Set(recipients || [])]
+      .filter(userId => userId && userId !== actorId);
+
+    const overflow = this.overflow.get(transaction);
+    if (userIds.length > MAX_RECIPIENTS && !overflow) {
+      console.warn(`⚠️ Only the first ${MAX_RECIPIENTS} of ${userIds.length} followers are notified of ${eventId}`);
+    }
+
+    userIds.forEach((userId, index) => {
+      const notification = [doc(db, NOTIFICATIONS_COLLECTION, `${eventId}_${userId}`), {
+        userId,
+        type: typeInfo.id,
+        icon: typeInfo.icon,
+        reportId,
+        reportTitle: clip(reportTitle || '', MAX_NOTIFICATION_TITLE),
+        message: clip(message || '', MAX_NOTIFICATION_MESSAGE),
+        actorId,
+        timestamp,
+        read: false,
+        emailed: false,
+        createdAt: serverTimestamp()
+      }];
+
+      if (index < MAX_RECIPIENTS) {
+        transaction.set(...notification);
+      } else {
+        overflow?.push(notification);
+      }
+    });
+    return overflow ? userIds.length : Math.min(userIds.length, MAX_RECIPIENTS);
+  }
+
+  /**
+   * The change is already saved, so a failure here is only logged - retrying
+   * the change would find nothing left to do and notify no one.
+   */
+  async writeOverflow(overflow) {
+    if (overflow.length === 0) return;
+
+    try {
+      for (let i = 0; i < overflow.length; i += BATCH_SIZE) {
+        const batch = writeBatch(db);
+        overflow.slice(i, i + BATCH_SIZE).forEach(([ref, data]) => batch.set(ref, data));
+        await batch.commit();
+      }
+      console.log(`🔔 ${overflow.length} more followers notified after the change`);
+    } catch (error) {
+      console.warn(`⚠️ ${overflow.length} follower notifications not sent:`, error);
+    }
+  }
+
+  /**
+   * Live list of a user's notifications, newest first. Returns the unsubscribe function.
+   * The callback gets (notifications, added) - added holds the ones that just arrived.
+   */
+  subscribe(userId, callback) {
+    // Filtered by user only and sorted here, so no composite index is needed
+    const notificationsQuery = query(collection(db, NOTIFICATIONS_COLLECTION), where('userId', '==', userId));
+    let first = true;
+
+    return onSnapshot(notificationsQuery, (snapshot) => {
+      const notifications = [];
+      snapshot.forEach(entry => notifications.push({ id: entry.id, ...entry.data() }));
+      notifications.sort((a, b) => b.timestamp - a.timestamp);
+
+      const added = first ? [] : snapshot.docChanges()
+        .filter(change => change.type === 'added')
+        .map(change => ({ id: change.doc.id, ...change.doc.data() }));
+      first = false;
+
+      callback(notifications, added);
+    }, (error) => {
+      console.warn('⚠️ Notifications unavailable:', error);
+    });
+  }
+
+  async getNotifications(userId) {
+    const snapshot = await getDocs(query(collection(db, NOTIFICATIONS_COLLECTION), where('userId', '==', userId)));
+    const notifications = [];
+    snapshot.forEach(entry => notifications.push({ id: entry.id, ...entry.data() }));
+    return notifications.sort((a, b) => b.timestamp - a.timestamp);
+  }
+
+  async markRead(notificationIds) {
+    await this.updateAll(notificationIds, { read: true });
+  }
+
+  async updateAll(notificationIds, changes) {
+    for (let i = 0; i < notificationIds.length; i += BATCH_SIZE) {
+      const batch = writeBatch(db);
+      notificationIds.slice(i, i + BATCH_SIZE).forEach(id => {
+        batch.update(doc(db, NOTIFICATIONS_COLLECTION, id), changes);
+      });
+      await batch.commit();
+    }
+  }
+
+  /**
+   * Mail the user their unread notifications that haven't been mailed yet.
+   * Resolves with how many went out (0 when there was nothing new).
+   */
+  async sendDigest(user, mailer = this.mailer, { appUrl = new URL('./', window.location.href).href } = {}) {
+    if (!user?.email) return 0;
+
+    const pending = (await this.getNotifications(user.uid)).filter(n => !n.read && !n.emailed);
+    const digest = buildDigest(pending, { appUrl });
+    if (!digest) return 0;
+
+    await mailer.send({ to: user.email, ...digest });
+    await this.updateAll(pending.map(n => n.id), { emailed: true });
+
+    console.log(`📧 Digest with ${pending.length} notifications sent to ${user.email}`);
+    return pending.length;
+  }
+}
+
+export const reportNotifications = new ReportNotifications();
@@ -0,0 +1,300 @@
+// Offline map tiles: configurable tile source, tile math and the region
+// downloader that fills the cache service-worker.js serves tiles from.
+
+// Keep in sync with TILE_CACHE_NAME in service-worker.js
+export const TILE_CACHE_NAME = 'accessnature-tiles-v1';
+
+// OSM's tile usage policy forbids bulk downloads at high zoom levels,
+// so the default source caps what the "download this area" tool may fetch.
+// A self-hosted or local test tile server can raise these limits.
+export const DEFAULT_TILE_SOURCE = {
+  url: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+  subdomains: 'abc',
+  attribution: '© OpenStreetMap contributors',
+  maxZoom: 19,
+  maxDownloadZoom: 16,
+  maxDownloadTiles: 2500
+};
+
+const TILE_SOURCE_KEY = 'tileSource';
+const REGIONS_SETTING = 'offlineRegions';
+const AVERAGE_TILE_BYTES = 20 * 1024;
+const DOWNLOAD_CONCURRENCY = 2;
+const MAX_LATITUDE = 85.0511;
+
+// window.ACCESS_NATURE_TILE_SOURCE (e.g. set by a test page) wins over the saved setting
+export function getTileSource() {
+  let saved = null;
+  try {
+    saved = JSON.parse(localStorage.getItem(TILE_SOURCE_KEY) || 'null');
+  } catch (error) {
+    console.warn('⚠️ Invalid tile source setting, using default');
+  }
+  return { ...DEFAULT_TILE_SOURCE, ...saved, ...(window.ACCESS_NATURE_TILE_SOURCE || {}) };
+}
+
+// Pass null to go back to the default source
+export function setTileSource(source) {
+  if (source) {
+    localStorage.setItem(TILE_SOURCE_KEY, JSON.stringify(source));
+  } else {
+    localStorage.removeItem(TILE_SOURCE_KEY);
+  }
+}
+
+export function createTileLayer(options = {}) {
+  const source = getTileSource();
+  return L.tileLayer(source.url, {
+    subdomains: source.subdomains,
+    maxZoom: source.maxZoom,
+    attribution: source.attribution,
+    ...options
+  });
+}
+
+// ==============================
+// Tile math (Web Mercator / slippy map)
+// ==============================
+
+function clampTile(value, zoom) {
+  return Math.min(Math.max(value, 0), 2 ** zoom - 1);
+}
+
+export function lngToTileX(lng, zoom) {
+  return clampTile(Math.floor((lng + 180) / 360 * 2 ** zoom), zoom);
+}
+
+export function latToTileY(lat, zoom) {
+  const rad = Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, lat)) * Math.PI / 180;
+  const y = (1 - Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI) / 2;
+  return clampTile(Math.floor(y * 2 ** zoom), zoom);
+}
+
+// bounds: { north, south, east, west }
+export function getTileRange(bounds, zoom) {
+  return {
+    minX: lngToTileX(bounds.west, zoom),
+    maxX: lngToTileX(bounds.east, zoom),
+    minY: latToTileY(bounds.north, zoom),
+    maxY: latToTileY(bounds.south, zoom)
+  };
+}
+
+export function countTiles(bounds, minZoom, maxZoom) {
+  let count = 0;
+  for (let z = minZoom; z <= maxZoom; z++) {
+    const { minX, maxX, minY, maxY } = getTileRange(bounds, z);
+    count += (maxX - minX + 1) * (maxY - minY + 1);
+  }
+  return count;
+}
+
+export function* iterateTiles(bounds, minZoom, maxZoom) {
+  for (let z = minZoom; z <= maxZoom; z++) {
+    const { minX, maxX, minY, maxY } = getTileRange(bounds, z);
+    for (let x = minX; x <= maxX; x++) {
+      for (let y = minY; y <= maxY; y++) {
+        yield { x, y, z };
+      }
+    }
+  }
+}
+
+// Same subdomain choice as Leaflet, so cached URLs match what the map requests
+export function getTileUrl(source, { x, y, z }) {
+  const subdomains = typeof source.subdomains === 'string'
+    ? source.subdomains.split('')
+    : (source.subdomains || []);
+  const s = subdomains.length > 0 ? subdomains[Math.abs(x + y) % subdomains.length] : '';
+
+  return source.url
+    .replace('{s}', s)
+    .replace('{z}', z)
+    .replace('{x}', x)
+    .replace('{y}', y)
+    .replace('{r}', '');
+}
+
+export function boundsFromLeaflet(latLngBounds) {
+  return {
+    north: latLngBounds.getNorth(),
+    south: latLngBounds.getSouth(),
+    east: latLngBounds.getEast(),
+    west: latLngBounds.getWest()
+  };
+}
+
+// ==============================
+// Region downloads
+// ==============================
+
+export class OfflineTileManager {
+  constructor(routeDB) {
+    this.routeDB = routeDB;
+  }
+
+  isSupported() {
+    return 'caches' in window && 'serviceWorker' in navigator;
+  }
+
+  // Region metadata lives in RouteDB settings, or localStorage without IndexedDB
+  async getRegions() {
+    try {
+      if (this.routeDB?.db) {
+        return await this.routeDB.getSetting(REGIONS_SETTING, []);
+      }
+      return JSON.parse(localStorage.getItem(REGIONS_SETTING) || '[]');
+    } catch (error) {
+      console.warn('⚠️ Failed to load offline regions:', error);
+      return [];
+    }
+  }
+
+  async saveRegions(regions) {
+    if (this.routeDB?.db) {
+      await this.routeDB.saveSetting(REGIONS_SETTING, regions);
+    } else {
+      localStorage.setItem(REGIONS_SETTING, JSON.stringify(regions));
+    }
+  }
+
+  // Tile count, size estimate and whether the download is allowed and fits in storage
+  async planRegion({ bounds, minZoom, maxZoom }) {
+    const source = getTileSource();
+    const tileCount = minZoom <= maxZoom ? countTiles(bounds, minZoom, maxZoom) : 0;
+    const estimatedBytes = tileCount * AVERAGE_TILE_BYTES;
+    const storage = await this.routeDB.getStorageEstimate();
+    const available = storage.quota ? storage.quota - storage.usage : null;
+
+    const problems = [];
+    if (minZoom > maxZoom) {
+      problems.push('The minimum zoom must not be above the maximum zoom');
+    }
+    if (maxZoom > source.maxDownloadZoom) {
+      problems.push(`This tile server allows offline downloads up to zoom ${source.maxDownloadZoom}`);
+    }
+    if (tileCount > source.maxDownloadTiles) {
+      problems.push(`${tileCount.toLocaleString()} tiles is over the ${source.maxDownloadTiles.toLocaleString()} tile limit - zoom in or lower the maximum zoom`);
+    }
+    // Leave headroom for routes and photos
+    if (available !== null && estimatedBytes > available * 0.8) {
+      problems.push('Not enough free storage on this device for this area');
+    }
+
+    return {
+      tileCount,
+      estimatedBytes,
+      storage,
+      available,
+      problems,
+      canDownload: tileCount > 0 && problems.length === 0
+    };
+  }
+
+  async downloadRegion({ name, bounds, minZoom, maxZoom }, { onProgress, signal } = {}) {
+    if (!('caches' in window)) {
+      throw new Error('Offline storage is not supported by this browser');
+    }
+
+    const source = getTileSource();
+    const cache = await caches.open(TILE_CACHE_NAME);
+    const tiles = [...iterateTiles(bounds, minZoom, maxZoom)];
+    const added = [];
+    let next = 0;
+    let done = 0;
+    let failed = 0;
+    let bytes = 0;
+
+    const worker = async () => {
+      while (next < tiles.length) {
+        if (signal?.aborted) throw new DOMException('Download cancelled', 'AbortError');
+
+        const url = getTileUrl(source, tiles[next++]);
+        try {
+          const cached = await cache.match(url);
+          if (cached) {
+            bytes += (await cached.blob()).size;
+          } else {
+            const response = await fetch(url, { mode: 'cors', signal });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            await cache.put(url, response.clone());
+            added.push(url);
+            bytes += (await response.blob()).size;
+          }
+        } catch (error) {
+          if (error.name === 'AbortError') throw error;
+          failed++;
+        }
+
+        done++;
+        onProgress?.({ done, total: tiles.length, failed, bytes });
+      }
+    };
+
+    try {
+      await Promise.all(Array.from({ length: DOWNLOAD_CONCURRENCY }, worker));
+    } catch (error) {
+      // Don't leave tiles from a cancelled download behind without a region
+      await Promise.all(added.map(url => cache.delete(url)));
+      throw error;
+    }
+
+    const region = {
+      id: `region_${Date.now()}`,
+      name,
+      bounds,
+      minZoom,
+      maxZoom,
+      tileCount: tiles.length - failed,
+      failedCount: failed,
+      bytes,
+      sourceUrl: source.url,
+      subdomains: source.subdomains,
+      createdAt: Date.now()
+    };
+
+    await this.saveRegions([...(await this.getRegions()), region]);
+    console.log(`🗺️ Offline region "${name}" saved: ${region.tileCount} tiles${failed ? `, ${failed} failed` : ''}`);
+    return region;
+  }
+
+  getRegionUrls(region) {
+    const source = { url: region.sourceUrl, subdomains: region.subdomains };
+    return [...iterateTiles(region.bounds, region.minZoom, region.maxZoom)].map(tile => getTileUrl(source, tile));
+  }
+
+  // Tiles shared with another saved region stay cached
+  async deleteRegion(id) {
+    const regions = await this.getRegions();
+    const region = regions.find(r => r.id === id);
+    if (!region) return 0;
+
+    const remaining = regions.filter(r => r.id !== id);
+    const stillNeeded = new Set(remaining.flatMap(r => this.getRegionUrls(r)));
+    let removed = 0;
+
+    if ('caches' in window) {
+      const cache = await caches.open(TILE_CACHE_NAME);
+      for (const url of this.getRegionUrls(region)) {
+        if (!stillNeeded.has(url) && await cache.delete(url)) removed++;
+      }
+    }
+
+    await this.saveRegions(remaining);
+    console.log(`🧹 Offline region "${region.name}" deleted (${removed} tiles)`);
+    return removed;
+  }
+
+  async getCacheStats() {
+    const regions = await this.getRegions();
+    const tileCount = 'caches' in window
+      ? (await (await caches.open(TILE_CACHE_NAME)).keys()).length
+      : 0;
+
+    return {
+      regionCount: regions.length,
+      tileCount,
+      totalSize: regions.reduce((sum, region) => sum + (region.bytes || 0), 0)
+    };
+  }
+}
@@ -0,0 +1,324 @@
+// Persistent outbox for cloud writes (routes, trail guides, reports, upvotes,
+// status changes). Items are kept in RouteDB until the write succeeds and are
+// retried with backoff when connectivity returns. Every item carries the
+// Firestore document ID chosen when it was queued, and handlers only create
+// documents that don't exist yet - so a retry never adds a second copy.
+import { RouteDB } from './indexeddb.js';
+
+const STORAGE_KEY = 'cloud_outbox';
+const LOCK_NAME = 'accessnature-outbox';
+const MAX_ATTEMPTS = 8;
+const BASE_RETRY_DELAY = 5000;
+const MAX_RETRY_DELAY = 30 * 60 * 1000;
+const WAIT_RETRY_DELAY = 60 * 1000;
+const ATTEMPT_TIMEOUT = 30000;
+
+// Firestore error codes a retry won't fix
+const PERMANENT_ERROR_CODES = ['permission-denied', 'invalid-argument', 'not-found', 'out-of-range', 'unimplemented'];
+
+// Thrown by a handler when the item can't be sent yet (e.g. signed out) - doesn't use up an attempt
+export class OutboxWaitError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'OutboxWaitError';
+  }
+}
+
+// Thrown by a handler when the item can never be sent - it goes straight to failed
+export class OutboxPermanentError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'OutboxPermanentError';
+  }
+}
+
+// Same shape as Firestore's auto IDs, generated without the SDK so it works offline
+export function createDocumentId() {
+  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+  const bytes = crypto.getRandomValues(new Uint8Array(20));
+  return Array.from(bytes, byte => chars[byte % chars.length]).join('');
+}
+
+export function getRetryDelay(attempts) {
+  const delay = Math.min(BASE_RETRY_DELAY * 2 ** Math.max(0, attempts - 1), MAX_RETRY_DELAY);
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+export function isPermanentError(error) {
+  return error instanceof OutboxPermanentError || PERMANENT_ERROR_CODES.includes(error?.code);
+}
+
+export class CloudOutbox {
+  constructor() {
+    this.routeDB = null;
+    this.ready = null;
+    this.handlers = new Map();
+    this.listeners = new Set();
+    this.sendingId = null;
+    this.flushing = null;
+    this.retryTimer = null;
+  }
+
+  // Lazy so pages that never queue anything don't open the database
+  init() {
+    if (!this.ready) {
+      this.ready = this.openStorage();
+
+      window.addEventListener('online', () => {
+        console.log('🌐 Back online - sending queued cloud writes');
+        this.flush({ force: true });
+      });
+      document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'visible') this.flush();
+      });
+
+      this.ready.then(() => this.flush());
+    }
+    return this.ready;
+  }
+
+  async openStorage() {
+    if (!('indexedDB' in window)) return;
+
+    try {
+      const routeDB = new RouteDB();
+      await routeDB.init();
+      this.routeDB = routeDB;
+    } catch (error) {
+      console.warn('⚠️ Outbox falling back to localStorage:', error);
+    }
+  }
+
+  // handler(payload, item) performs the write; whatever it returns is passed back by trySend()
+  registerHandler(type, handler) {
+    this.handlers.set(type, handler);
+    this.init();
+  }
+
+  onChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  async notify() {
+    const items = await this.getItems();
+    this.listeners.forEach(listener => {
+      try {
+        listener(items);
+      } catch (error) {
+        console.error('❌ Outbox listener failed:', error);
+      }
+    });
+  }
+
+  // ==============================
+  // Storage
+  // ==============================
+
+  async getItems() {
+    await this.init();
+    try {
+      const items = this.routeDB
+        ? await this.routeDB.getOutboxItems()
+        : JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+      return items.sort((a, b) => a.createdAt - b.createdAt);
+    } catch (error) {
+      console.warn('⚠️ Failed to read outbox:', error);
+      return [];
+    }
+  }
+
+  async getItem(id) {
+    return (await this.getItems()).find(item => item.id === id) || null;
+  }
+
+  async saveItem(item) {
+    await this.init();
+    if (this.routeDB) {
+      await this.routeDB.saveOutboxItem(item);
+    } else {
+      const items = (await this.getItems()).filter(existing => existing.id !== item.id);
+      localStorage.setItem(STORAGE_KEY, JSON.stringify([...items, item]));
+    }
+  }
+
+  async deleteItem(id) {
+    await this.init();
+    if (this.routeDB) {
+      await this.routeDB.deleteOutboxItem(id);
+    } else {
+      const items = (await this.getItems()).filter(item => item.id !== id);
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(items));
+    }
+  }
+
+  // ==============================
+  // Queue
+  // ==============================
+
+  // key identifies the write (e.g. "upvote:<reportId>:<uid>") - queuing it twice returns the queued item
+  async enqueue(type, payload, { key, label } = {}) {
+    const items = await this.getItems();
+    const existing = key && items.find(item => item.key === key);
+    if (existing) {
+      console.log(`📤 Already queued: ${existing.label}`);
+      return existing;
+    }
+
+    const item = {
+      id: `outbox_${Date.now()}_${createDocumentId().slice(0, 6)}`,
+      type,
+      key: key || null,
+      label: label || type,
+      payload,
+      status: 'pending',
+      attempts: 0,
+      lastError: null,
+      nextAttemptAt: Date.now(),
+      createdAt: Date.now()
+    };
+
+    await this.saveItem(item);
+    console.log(`📤 Queued for upload: ${item.label}`);
+    this.notify();
+    return item;
+  }
+
+  // Send one item right away (e.g. straight after the user saved something).
+  // Returns { sent, result, item } - item is the queued entry when it wasn't sent.
+  async trySend(id) {
+    await this.flushing;
+    const item = await this.getItem(id);
+    if (!item) return { sent: true, result: undefined, item: null };
+    if (!navigator.onLine) return { sent: false, result: undefined, item };
+
+    const result = await this.withLock(() => this.process(item));
+    if (result.sent) return { sent: true, result: result.value, item: null };
+    return { sent: false, result: undefined, item: await this.getItem(id) };
+  }
+
+  // force: ignore the backoff schedule (used when the connection comes back)
+  flush({ force = false } = {}) {
+    if (!this.flushing) {
+      this.flushing = this.withLock(() => this.processDue(force))
+        .catch(error => console.error('❌ Outbox flush failed:', error))
+        .finally(() => {
+          this.flushing = null;
+          this.scheduleRetry();
+        });
+    }
+    return this.flushing;
+  }
+
+  async processDue(force) {
+    if (!navigator.onLine) return;
+
+    const now = Date.now();
+    const due = (await this.getItems()).filter(item =>
+      item.status === 'pending' &&
+      this.handlers.has(item.type) &&
+      (force || item.nextAttemptAt <= now)
+    );
+
+    for (const item of due) {
+      await this.process(item);
+      if (!navigator.onLine) break;
+    }
+  }
+
+  // Only one tab sends at a time; the others leave the queue alone
+  async withLock(task) {
+    if (!navigator.locks) return task();
+    return navigator.locks.request(LOCK_NAME, task);
+  }
+
+  async process(item) {
+    const handler = this.handlers.get(item.type);
+    if (!handler) return { sent: false };
+
+    // Another tab may have sent it while we waited for the lock
+    const current = await this.getItem(item.id);
+    if (!current) return { sent: true };
+
+    this.sendingId = item.id;
+    this.notify();
+
+    try {
+      const value = await this.withTimeout(handler(current.payload, current));
+      await this.deleteItem(current.id);
+      console.log(`☁️ Uploaded: ${current.label}`);
+      return { sent: true, value };
+    } catch (error) {
+      await this.recordFailure(current, error);
+      return { sent: false };
+    } finally {
+      this.sendingId = null;
+      this.notify();
+    }
+  }
+
+  withTimeout(promise) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(Object.assign(new Error('Upload timed out'), { code: 'deadline-exceeded' })), ATTEMPT_TIMEOUT);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  }
+
+  async recordFailure(item, error) {
+    const updated = { ...item, lastError: error.message || String(error) };
+
+    if (error instanceof OutboxWaitError) {
+      updated.nextAttemptAt = Date.now() + WAIT_RETRY_DELAY;
+    } else {
+      updated.attempts = item.attempts + 1;
+      if (isPermanentError(error) || updated.attempts >= MAX_ATTEMPTS) {
+        updated.status = 'failed';
+      } else {
+        updated.nextAttemptAt = Date.now() + getRetryDelay(updated.attempts);
+      }
+    }
+
+    await this.saveItem(updated);
+    const next = updated.status === 'failed' ? 'giving up' : `retry in ${Math.round((updated.nextAttemptAt - Date.now()) / 1000)}s`;
+    console.warn(`⚠️ Upload failed: ${item.label} (${updated.lastError}) - ${next}`);
+  }
+
+  async scheduleRetry() {
+    clearTimeout(this.retryTimer);
+
+    const pending = (await this.getItems()).filter(item => item.status === 'pending' && this.handlers.has(item.type));
+    if (pending.length === 0) return;
+
+    const next = Math.min(...pending.map(item => item.nextAttemptAt));
+    this.retryTimer = setTimeout(() => this.flush(), Math.max(1000, next - Date.now()));
+  }
+
+  // Failed items stay until the user retries or discards them
+  async retry(id) {
+    const item = await this.getItem(id);
+    if (!item) return false;
+
+    await this.saveItem({ ...item, status: 'pending', attempts: 0, nextAttemptAt: Date.now() });
+    this.notify();
+    await this.flush({ force: true });
+    return !(await this.getItem(id));
+  }
+
+  async discard(id) {
+    await this.deleteItem(id);
+    console.log(`🗑️ Discarded queued upload ${id}`);
+    this.notify();
+  }
+
+  async getCounts() {
+    const items = await this.getItems();
+    return {
+      pending: items.filter(item => item.status === 'pending').length,
+      failed: items.filter(item => item.status === 'failed').length
+    };
+  }
+}
+
+// One queue per page, shared by the tracker, the report controllers and the outbox UI
+export const cloudOutbox = new CloudOutbox();
@@ -0,0 +1,155 @@
+// Photo storage: Blobs in RouteDB's photos store, referenced from route
+// entries as { type: 'photo', photoId } instead of inline base64 content.
+// Without IndexedDB (localStorage fallback) photos stay inline as before.
+
+export function dataURLToBlob(dataURL) {
+  const [header, data] = dataURL.split(',');
+  const mimeType = header.match(/data:([^;]+)/)?.[1] || 'image/jpeg';
+  const isBase64 = header.includes(';base64');
+  const binary = isBase64 ? atob(data) : decodeURIComponent(data);
+
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return new Blob([bytes], { type: mimeType });
+}
+
+export function blobToDataURL(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(new Error('Failed to read photo'));
+    reader.readAsDataURL(blob);
+  });
+}
+
+export function isInlinePhoto(entry) {
+  return entry?.type === 'photo' && typeof entry.content === 'string' && entry.content.startsWith('data:');
+}
+
+export class PhotoStore {
+  constructor(routeDB) {
+    this.routeDB = routeDB;
+    this.objectURLs = new Map(); // photoId → object URL
+  }
+
+  isAvailable() {
+    return !!this.routeDB?.db;
+  }
+
+  createId() {
+    return `photo_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+  }
+
+  // Store a Blob and return the fields a route entry needs
+  async savePhoto(blob) {
+    const id = this.createId();
+    await this.routeDB.savePhoto({
+      id,
+      blob,
+      mimeType: blob.type || 'image/jpeg',
+      size: blob.size,
+      createdAt: Date.now()
+    });
+    return { photoId: id, mimeType: blob.type || 'image/jpeg', size: blob.size };
+  }
+
+  // Object URL for <img src> - loaded on first request and cached
+  async getPhotoURL(entry) {
+    if (!entry) return null;
+    if (!entry.photoId) return entry.content || null;
+    if (entry.evictedAt) return null; // freed locally, only in the cloud copy
+
+    if (this.objectURLs.has(entry.photoId)) {
+      return this.objectURLs.get(entry.photoId);
+    }
+
+    const record = await this.routeDB.getPhoto(entry.photoId);
+    if (!record) {
+      console.warn(`⚠️ Photo ${entry.photoId} not found`);
+      return null;
+    }
+
+    const url = URL.createObjectURL(record.blob);
+    this.objectURLs.set(entry.photoId, url);
+    return url;
+  }
+
+  async getPhotoDataURL(entry) {
+    if (!entry?.photoId) return entry?.content || null;
+    const record = await this.routeDB.getPhoto(entry.photoId);
+    return record ? blobToDataURL(record.blob) : null;
+  }
+
+  // Move inline base64 photos into the store. Returns { entries, moved }
+  async externalizeEntries(entries) {
+    if (!this.isAvailable()) return { entries, moved: 0 };
+
+    let moved = 0;
+    const result = [];
+    for (const entry of entries) {
+      if (!isInlinePhoto(entry)) {
+        result.push(entry);
+        continue;
+      }
+
+      const { content, ...rest } = entry;
+      const reference = await this.savePhoto(dataURLToBlob(content));
+      result.push({ ...rest, ...reference });
+      moved++;
+    }
+
+    return { entries: result, moved };
+  }
+
+  // Inline photo content again - for exports and cloud uploads that need self-contained data
+  async resolveEntries(entries) {
+    return Promise.all(entries.map(async (entry) => {
+      if (entry?.type !== 'photo' || !entry.photoId) return entry;
+
+      const content = this.isAvailable() ? await this.getPhotoDataURL(entry) : null;
+      if (!content) return entry;
+
+      const { photoId, size, ...rest } = entry;
+      return { ...rest, content };
+    }));
+  }
+
+  async deletePhotosForEntries(entries) {
+    const ids = entries.filter(e => e?.type === 'photo' && e.photoId).map(e => e.photoId);
+    ids.forEach(id => this.revoke(id));
+    if (this.isAvailable()) await this.routeDB.deletePhotos(ids);
+  }
+
+  // Remove Blobs no route, backup or live entry references (e.g. a discarded recording).
+  // Recent photos are left alone - another tab may be recording them right now.
+  async cleanupOrphans(referencedIds, minAge = 24 * 60 * 60 * 1000) {
+    if (!this.isAvailable()) return 0;
+
+    const referenced = new Set(referencedIds);
+    const cutoff = Date.now() - minAge;
+    const orphaned = (await this.routeDB.getAllPhotoIds()).filter(id => {
+      const createdAt = parseInt(String(id).split('_')[1], 10);
+      return !referenced.has(id) && (Number.isNaN(createdAt) || createdAt < cutoff);
+    });
+    if (orphaned.length > 0) {
+      await this.routeDB.deletePhotos(orphaned);
+      console.log(`🧹 Removed ${orphaned.length} orphaned photos`);
+    }
+    return orphaned.length;
+  }
+
+  async getStats() {
+    if (!this.isAvailable()) return { count: 0, totalSize: 0 };
+    return this.routeDB.getPhotoStats();
+  }
+
+  revoke(photoId) {
+    const url = this.objectURLs.get(photoId);
+    if (url) {
+      URL.revokeObjectURL(url);
+      this.objectURLs.delete(photoId);
+    }
+  }
+}
@@ -0,0 +1,105 @@
+// Installable app: service worker registration and the update-available prompt.
+// Loaded by every page; the worker itself lives in /service-worker.js.
+
+const SERVICE_WORKER_URL = new URL('../../service-worker.js', import.meta.url);
+const BANNER_ID = 'appUpdateBanner';
+
+let registrationPromise = null;
+let updateAccepted = false;
+
+// Safe to call more than once - every caller shares one registration
+export function registerServiceWorker() {
+  if (!('serviceWorker' in navigator)) {
+    console.warn('⚠️ Service workers not supported - the app needs a connection to load');
+    return Promise.resolve(null);
+  }
+
+  if (!registrationPromise) {
+    registrationPromise = navigator.serviceWorker.register(SERVICE_WORKER_URL)
+      .then(registration => {
+        console.log('✅ Service worker registered - app available offline');
+        watchForUpdates(registration);
+        return registration;
+      })
+      .catch(error => {
+        console.warn('⚠️ Service worker registration failed:', error);
+        return null;
+      });
+  }
+
+  return registrationPromise;
+}
+
+function watchForUpdates(registration) {
+  // A new version finished installing while this page was closed
+  if (registration.waiting && navigator.serviceWorker.controller) {
+    showUpdatePrompt(registration.waiting);
+  }
+
+  registration.addEventListener('updatefound', () => {
+    const worker = registration.installing;
+    worker?.addEventListener('statechange', () => {
+      // Without a controller this is the first install, not an update
+      if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+        showUpdatePrompt(worker);
+      }
+    });
+  });
+
+  // First install also changes the controller - only reload when the user asked for it
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (updateAccepted) window.location.reload();
+  });
+
+  // Long-lived tabs (and the installed app) check again when brought back to the front
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible') {
+      registration.update().catch(() => {});
+    }
+  });
+}
+
+function isRecording() {
+  const tracking = window.AccessNatureApp?.getController?.('tracking');
+  return !!tracking?.isTracking;
+}
+
+// Plain inline-styled banner: it has to work on every page, whichever
+// toast/modal system that page loads, and must not block the tracker.
+function showUpdatePrompt(worker) {
+  if (document.getElementById(BANNER_ID)) return;
+
+  const banner = document.createElement('div');
+  banner.id = BANNER_ID;
+  banner.setAttribute('role', 'status');
+  banner.style.cssText = `
+    position: fixed; left: 50%; bottom: 80px; transform: translateX(-50%);
+    z-index: 10001; display: flex; align-items: center; gap: 12px;
+    max-width: calc(100% - 32px); padding: 12px 16px; border-radius: 12px;
+    background: #333; color: white; font-size: 14px;
+    box-shadow: 0 4px 16px rgba(0,0,0,0.3);
+  `;
+  banner.innerHTML = `
+    <span>🔄 A new version of Access Nature is available</span>
+    <button type="button" data-action="update" style="padding: 6px 12px; border: none; border-radius: 8px; background: #667eea; color: white; font-weight: 600; cursor: pointer;">Update</button>
+    <button type="button" data-action="later" aria-label="Update later" style="padding: 6px 8px; border: none; background: transparent; color: #ccc; cursor: pointer;">Later</button>
+  `;
+
+  banner.querySelector('[data-action="update"]').addEventListener('click', () => {
+    // Reloading mid-recording would stop GPS - the backup survives, but the user should decide when
+    if (isRecording()) {
+      const message = 'Stop your recording first - the update reloads the page';
+      window.toast?.warning ? window.toast.warning(message) : alert(message);
+      return;
+    }
+
+    updateAccepted = true;
+    banner.remove();
+    worker.postMessage({ type: 'SKIP_WAITING' });
+  });
+
+  banner.querySelector('[data-action="later"]').addEventListener('click', () => banner.remove());
+
+  document.body.appendChild(banner);
+  console.log('🔄 App update waiting for confirmation');
+}
@@ -0,0 +1,162 @@
+// Crash-safe journal for the route being recorded. Every entry (GPS point,
+// photo, note) and every start/pause/stop is appended to IndexedDB as it
+// happens. The periodic backup is a checkpoint: it stores the seq of the last
+// record it contains, and records up to that seq are then compacted away.
+// After a crash, replayJournal() rebuilds the route from checkpoint + journal.
+import { haversineDistance } from '../utils/calculations.js';
+
+function entryKey(entry) {
+  return `${entry.type}:${entry.timestamp}`;
+}
+
+function isLocation(entry) {
+  return entry?.type === 'location' && !!entry.coords;
+}
+
+export class RouteJournal {
+  constructor(routeDB) {
+    this.routeDB = routeDB;
+    this.lastSeq = 0;
+  }
+
+  // Time-based so seqs keep growing across reloads and recording tabs -
+  // compacting an old checkpoint never removes newer records
+  nextSeq() {
+    this.lastSeq = Math.max(this.lastSeq + 1, Date.now() * 1000);
+    return this.lastSeq;
+  }
+
+  // Fire-and-forget: the write is queued synchronously, so records keep their order
+  append(kind, data) {
+    const record = { seq: this.nextSeq(), kind, time: Date.now(), ...data };
+    this.routeDB.appendJournal(record).catch(error => {
+      console.warn('⚠️ Journal write failed:', error);
+    });
+    return record.seq;
+  }
+
+  appendEntry(entry) {
+    return this.append('entry', { entry });
+  }
+
+  appendStart(startTime) {
+    return this.append('start', { startTime });
+  }
+
+  appendState(state) {
+    return this.append('state', { state });
+  }
+
+  async getRecords() {
+    const records = await this.routeDB.getJournal();
+    if (records.length > 0) {
+      this.lastSeq = Math.max(this.lastSeq, records[records.length - 1].seq);
+    }
+    return records;
+  }
+
+  // The backup now holds everything up to seq
+  compact(seq) {
+    return this.routeDB.compactJournal(seq);
+  }
+
+  // Issued synchronously so it runs before any record appended afterwards
+  clear() {
+    return this.routeDB.clearJournal();
+  }
+}
+
+// Checkpoint (the last backup, may be null) + journal records -> the backup
+// to restore, with a `recovery` summary of exactly what it contains.
+// Returns null when there is nothing to recover.
+export function replayJournal(backup, records = []) {
+  const checkpoint = backup?.journalSeq || 0;
+  const fresh = records.filter(record => record.seq > checkpoint).sort((a, b) => a.seq - b.seq);
+
+  if (!backup && fresh.length === 0) return null;
+
+  const base = backup || {
+    routeData: [],
+    pathPoints: [],
+    totalDistance: 0,
+    elapsedTime: 0,
+    stoppedTime: 0,
+    startTime: null,
+    isTracking: true,
+    isPaused: false,
+    backupTime: 0
+  };
+
+  // Records appended just before the backup was written may also be in it
+  const known = new Set(base.routeData.map(entryKey));
+  const added = [];
+  let startTime = base.startTime;
+  let clock = {
+    elapsedTime: base.elapsedTime || 0,
+    stoppedTime: base.stoppedTime || 0,
+    isTracking: base.isTracking !== false,
+    isPaused: !!base.isPaused,
+    time: base.backupTime || base.startTime || fresh[0]?.time || 0
+  };
+  let lastActivity = clock.time;
+
+  fresh.forEach(record => {
+    if (record.kind === 'entry' && record.entry) {
+      const key = entryKey(record.entry);
+      if (!known.has(key)) {
+        known.add(key);
+        added.push(record.entry);
+      }
+      lastActivity = Math.max(lastActivity, record.entry.timestamp || record.time);
+    } else if (record.kind === 'start') {
+      // Fresh start or resume: startTime is backdated by the time already elapsed
+      startTime = record.startTime;
+      clock = { ...clock, elapsedTime: record.time - record.startTime, isTracking: true, isPaused: false, time: record.time };
+      lastActivity = Math.max(lastActivity, record.time);
+    } else if (record.kind === 'state' && record.state) {
+      clock = { ...clock, ...record.state, time: record.time };
+      lastActivity = Math.max(lastActivity, record.time);
+    }
+  });
+
+  // The clock kept running until the last thing that was recorded
+  const running = clock.isTracking && !clock.isPaused;
+  const elapsedTime = clock.elapsedTime + (running ? Math.max(0, lastActivity - clock.time) : 0);
+
+  // Distance continues from the last point in the backup, the same way the tracker adds it up
+  let lastCoords = [...base.routeData].reverse().find(isLocation)?.coords || null;
+  let addedDistance = 0;
+  const addedPath = [];
+  added.filter(isLocation).forEach(entry => {
+    if (lastCoords) addedDistance += haversineDistance(lastCoords, entry.coords);
+    lastCoords = entry.coords;
+    addedPath.push(entry.coords);
+  });
+
+  const routeData = [...base.routeData, ...added];
+  const count = (entries, type) => entries.filter(entry => entry?.type === type).length;
+
+  return {
+    ...base,
+    routeData,
+    pathPoints: (base.pathPoints || []).length > 0 ? [...base.pathPoints, ...addedPath] : [],
+    totalDistance: (base.totalDistance || 0) + addedDistance,
+    elapsedTime,
+    stoppedTime: clock.stoppedTime,
+    startTime: startTime || routeData[0]?.timestamp || null,
+    isTracking: clock.isTracking,
+    isPaused: clock.isPaused,
+    backupTime: lastActivity || Date.now(),
+    journalSeq: fresh.length > 0 ? fresh[fresh.length - 1].seq : checkpoint,
+    recovery: {
+      hadBackup: !!backup,
+      checkpointTime: backup?.backupTime || null,
+      fromJournal: added.length,
+      journalLocations: count(added, 'location'),
+      journalPhotos: count(added, 'photo'),
+      journalNotes: count(added, 'text') + count(added, 'audio'),
+      journalDistance: addedDistance,
+      lastEntryTime: routeData.reduce((latest, entry) => Math.max(latest, entry?.timestamp || 0), 0) || null
+    }
+  };
+}
@@ -0,0 +1,401 @@
+// Versioned route format: schema, validator and migration chain
+// Saved sessions, IndexedDB records and exported files all go through here.
+// Validation errors are reported by field path, e.g. "data[12].coords.lat".
+
+// Bump when the stored route format changes, and add a migration below
+export const ROUTE_SCHEMA_VERSION = 3;
+
+// Export file format (exportCurrentRoute / exportSavedRoute / exportAllRoutes)
+export const EXPORT_SCHEMA_VERSION = 3;
+
+export class RouteValidationError extends Error {
+  constructor(errors, context = 'Route') {
+    const preview = errors.slice(0, 3).map(e => `${e.path}: ${e.message}`).join('; ');
+    const more = errors.length > 3 ? ` (+${errors.length - 3} more)` : '';
+    super(`${context} failed validation - ${preview}${more}`);
+    this.name = 'RouteValidationError';
+    this.errors = errors;
+  }
+}
+
+// ==============================
+// Schema (JSON Schema subset: type, required, properties, items,
+// minimum, maximum, minLength, enum, format: 'date-time', plus
+// requireOneOf: at least one of the listed keys must be present)
+// ==============================
+
+const COORDS_SCHEMA = {
+  type: 'object',
+  required: ['lat', 'lng'],
+  properties: {
+    lat: { type: 'number', minimum: -90, maximum: 90 },
+    lng: { type: 'number', minimum: -180, maximum: 180 }
+  }
+};
+
+const TIMESTAMP_SCHEMA = { type: 'number', minimum: 0 };
+
+// Every entry has these; unknown entry types only need to pass the base
+const ENTRY_BASE_SCHEMA = {
+  type: 'object',
+  required: ['type', 'timestamp'],
+  properties: {
+    type: { type: 'string', minLength: 1 },
+    coords: COORDS_SCHEMA,
+    timestamp: TIMESTAMP_SCHEMA,
+    elevation: { type: ['number', 'null'] }
+  }
+};
+
+export const ENTRY_SCHEMAS = {
+  location: {
+    required: ['coords'],
+    properties: {
+      rawCoords: COORDS_SCHEMA,
+      accuracy: { type: 'number', minimum: 0 },
+      filteredAccuracy: { type: 'number', minimum: 0 },
+      speed: { type: 'number', minimum: 0 },
+      altitude: { type: ['number', 'null'] }
+    }
+  },
+  // Inline base64 content (localStorage fallback, imports) or a RouteDB photos reference
+  photo: {
+    required: ['coords'],
+    requireOneOf: ['content', 'photoId'],
+    properties: {
+      content: { type: 'string', minLength: 1 },
+      photoId: { type: 'string', minLength: 1 },
+      mimeType: { type: 'string' },
+      size: { type: 'number', minimum: 0 },
+      originalSize: { type: 'number', minimum: 0 },
+      evictedAt: TIMESTAMP_SCHEMA // Blob freed by the storage manager - the photo is in the cloud copy
+    }
+  },
+  // Voice note: a RouteDB audio reference, or an inline data URL in exports and cloud copies
+  audio: {
+    required: ['coords'],
+    requireOneOf: ['audioId', 'content'],
+    properties: {
+      audioId: { type: 'string', minLength: 1 },
+      content: { type: 'string', minLength: 1 },
+      mimeType: { type: 'string' },
+      size: { type: 'number', minimum: 0 },
+      duration: { type: 'number', minimum: 0 }, // seconds
+      transcript: { type: 'string' }
+    }
+  },
+  text: {
+    required: ['coords', 'content'],
+    properties: {
+      content: { type: 'string' }
+    }
+  },
+  // Structured obstacle/feature marker - types and attributes in src/utils/trail-markers.js
+  marker: {
+    required: ['coords', 'markerType'],
+    properties: {
+      markerType: { type: 'string', minLength: 1 },
+      attributes: { type: 'object' }
+    }
+  },
+  stop: {
+    required: ['coords', 'endTime', 'duration'],
+    properties: {
+      endTime: TIMESTAMP_SCHEMA,
+      duration: { type: 'number', minimum: 0 },
+      auto: { type: 'boolean' },
+      sessionBreak: { type: 'boolean' } // gap between merged sessions
+    }
+  }
+};
+
+export const ROUTE_SCHEMA = {
+  type: 'object',
+  required: ['schemaVersion', 'id', 'name', 'date', 'data'],
+  properties: {
+    schemaVersion: { type: 'integer', minimum: 1, maximum: ROUTE_SCHEMA_VERSION },
+    id: { type: ['number', 'string'] },
+    name: { type: 'string', minLength: 1 },
+    date: { type: 'string', format: 'date-time' },
+    totalDistance: { type: 'number', minimum: 0 },
+    elapsedTime: { type: 'number', minimum: 0 },
+    movingTime: { type: 'number', minimum: 0 },
+    stoppedTime: { type: 'number', minimum: 0 },
+    dataSize: { type: 'number', minimum: 0 },
+    elevationProfile: { type: ['object', 'null'] },
+    accessibilityData: { type: ['object', 'null'] },
+    data: { type: 'array', items: 'entry' },
+    // Set by the route editor: the route as recorded, for reverting edits
+    original: {
+      type: 'object',
+      required: ['data'],
+      properties: {
+        data: { type: 'array', items: 'entry' }
+      }
+    },
+    editedAt: { type: 'string', format: 'date-time' },
+    // Set once the cloud outbox has uploaded the route
+    cloudId: { type: 'string', minLength: 1 },
+    uploadedAt: { type: 'string', format: 'date-time' }
+  }
+};
+
+// ==============================
+// Validator
+// ==============================
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') {
+    if (Number.isNaN(value)) return 'NaN';
+    return Number.isInteger(value) ? 'integer' : 'number';
+  }
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  const allowed = Array.isArray(type) ? type : [type];
+  return allowed.some(t => t === actual || (t === 'number' && actual === 'integer'));
+}
+
+function joinPath(path, key) {
+  if (typeof key === 'number') return `${path}[${key}]`;
+  return path ? `${path}.${key}` : key;
+}
+
+function validateNode(value, schema, path, errors) {
+  if (schema === 'entry') {
+    validateEntryNode(value, path, errors);
+    return;
+  }
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    const expected = Array.isArray(schema.type) ? schema.type.join(' or ') : schema.type;
+    errors.push({ path: path || '(root)', message: `expected ${expected}, got ${typeOf(value)}` });
+    return;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `must be one of ${schema.enum.join(', ')}` });
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path, message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path, message: `must be <= ${schema.maximum}` });
+    }
+  }
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path, message: schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.format === 'date-time' && Number.isNaN(new Date(value).getTime())) {
+      errors.push({ path, message: 'must be an ISO date-time string' });
+    }
+  }
+
+  if (schema.required && typeOf(value) === 'object') {
+    schema.required.forEach(key => {
+      if (value[key] === undefined) {
+        errors.push({ path: joinPath(path, key), message: 'is required' });
+      }
+    });
+  }
+  if (schema.requireOneOf && typeOf(value) === 'object' && !schema.requireOneOf.some(key => value[key] !== undefined)) {
+    errors.push({ path: joinPath(path, schema.requireOneOf[0]), message: `is required (or ${schema.requireOneOf.slice(1).join(', ')})` });
+  }
+  if (schema.properties && typeOf(value) === 'object') {
+    Object.entries(schema.properties).forEach(([key, propertySchema]) => {
+      if (value[key] !== undefined) {
+        validateNode(value[key], propertySchema, joinPath(path, key), errors);
+      }
+    });
+  }
+  if (schema.items && Array.isArray(value)) {
+    value.forEach((item, index) => validateNode(item, schema.items, joinPath(path, index), errors));
+  }
+}
+
+function validateEntryNode(entry, path, errors) {
+  const before = errors.length;
+  validateNode(entry, ENTRY_BASE_SCHEMA, path, errors);
+  if (errors.length > before || typeOf(entry) !== 'object') return;
+
+  const typeSchema = ENTRY_SCHEMAS[entry.type];
+  if (typeSchema) {
+    validateNode(entry, { type: 'object', ...typeSchema }, path, errors);
+  }
+}
+
+// Validate a full saved route / session. Returns { valid, errors: [{ path, message }] }
+export function validateRoute(route) {
+  const errors = [];
+  validateNode(route, ROUTE_SCHEMA, '', errors);
+  return { valid: errors.length === 0, errors };
+}
+
+// Validate a bare routeData array (imports, backups)
+export function validateRouteData(routeData, basePath = 'data') {
+  const errors = [];
+  validateNode(routeData, ROUTE_SCHEMA.properties.data, basePath, errors);
+  return { valid: errors.length === 0, errors };
+}
+
+export function assertValidRoute(route, context = 'Route') {
+  const { valid, errors } = validateRoute(route);
+  if (!valid) throw new RouteValidationError(errors, context);
+  return route;
+}
+
+// ==============================
+// Migrations
+// ==============================
+
+// Legacy routes: no marker → 1 (localStorage era), version '2.0' → 2
+export function getRouteSchemaVersion(route) {
+  if (Number.isInteger(route?.schemaVersion)) return route.schemaVersion;
+  if (route?.version === '2.0') return 2;
+  return 1;
+}
+
+function toTimestamp(value, fallback) {
+  if (typeof value === 'number' && Number.isFinite(value)) return value;
+  if (typeof value === 'string') {
+    const numeric = Number(value);
+    if (value.trim() !== '' && Number.isFinite(numeric)) return numeric;
+    const parsed = new Date(value).getTime();
+    if (!Number.isNaN(parsed)) return parsed;
+  }
+  return fallback;
+}
+
+function toNumber(value, fallback = 0) {
+  const number = typeof value === 'string' ? parseFloat(value) : value;
+  return typeof number === 'number' && Number.isFinite(number) ? number : fallback;
+}
+
+// Old entries stored coords as { lat, lon }, { latitude, longitude } or [lat, lng]
+function normalizeCoords(coords) {
+  if (!coords) return coords;
+  if (Array.isArray(coords) && coords.length >= 2) {
+    return { lat: toNumber(coords[0], NaN), lng: toNumber(coords[1], NaN) };
+  }
+  if (typeof coords !== 'object') return coords;
+
+  const lat = coords.lat ?? coords.latitude;
+  const lng = coords.lng ?? coords.lon ?? coords.longitude;
+  return { lat: toNumber(lat, NaN), lng: toNumber(lng, NaN) };
+}
+
+// Entry-level upgrade - idempotent, safe to run on any version
+export function migrateEntry(entry, fallbackTimestamp = Date.now()) {
+  if (!entry || typeof entry !== 'object') return entry;
+
+  const migrated = { ...entry };
+  if (migrated.coords !== undefined) migrated.coords = normalizeCoords(migrated.coords);
+  if (migrated.rawCoords !== undefined) migrated.rawCoords = normalizeCoords(migrated.rawCoords);
+  migrated.timestamp = toTimestamp(migrated.timestamp, fallbackTimestamp);
+  if (migrated.type === 'stop') {
+    migrated.endTime = toTimestamp(migrated.endTime, migrated.timestamp);
+    migrated.duration = toNumber(migrated.duration, Math.max(0, migrated.endTime - migrated.timestamp));
+  }
+  return migrated;
+}
+
+export function migrateRouteData(routeData, fallbackTimestamp = Date.now()) {
+  if (!Array.isArray(routeData)) return routeData;
+  return routeData.map((entry, index) => migrateEntry(entry, fallbackTimestamp + index));
+}
+
+// Each step upgrades from version N to N + 1
+const MIGRATIONS = {
+  // localStorage-era sessions: loose types, no dataSize, old coordinate shapes
+  1: (route) => {
+    const date = route.date && !Number.isNaN(new Date(route.date).getTime())
+      ? new Date(route.date).toISOString()
+      : new Date(typeof route.id === 'number' ? route.id : Date.now()).toISOString();
+    const data = migrateRouteData(route.data || route.route || [], new Date(date).getTime());
+    const { route: legacyRoute, ...rest } = route;
+
+    return {
+      ...rest,
+      id: route.id ?? new Date(date).getTime(),
+      name: typeof route.name === 'string' && route.name.trim() ? route.name : `Route ${date.slice(0, 10)}`,
+      date,
+      totalDistance: toNumber(route.totalDistance),
+      elapsedTime: toNumber(route.elapsedTime),
+      data,
+      dataSize: JSON.stringify(data).length
+    };
+  },
+
+  // Auto-pause (moving/stopped time) and explicit schemaVersion
+  2: (route) => {
+    const { version, ...rest } = route;
+    const stoppedTime = toNumber(route.stoppedTime);
+    return {
+      ...rest,
+      data: migrateRouteData(route.data || [], new Date(route.date).getTime()),
+      stoppedTime,
+      movingTime: toNumber(route.movingTime, Math.max(0, toNumber(route.elapsedTime) - stoppedTime))
+    };
+  }
+};
+
+// Upgrade a stored route to the current schema. Returns { route, fromVersion, migrated }
+export function migrateRoute(route) {
+  const fromVersion = getRouteSchemaVersion(route);
+  if (fromVersion > ROUTE_SCHEMA_VERSION) {
+    throw new Error(`Route "${route?.name}" uses schema v${fromVersion}, newer than this app (v${ROUTE_SCHEMA_VERSION})`);
+  }
+
+  let current = { ...route };
+  for (let version = fromVersion; version < ROUTE_SCHEMA_VERSION; version++) {
+    current = MIGRATIONS[version](current);
+    current.schemaVersion = version + 1;
+  }
+
+  return { route: current, fromVersion, migrated: fromVersion !== ROUTE_SCHEMA_VERSION };
+}
+
+// Upgrade an exported JSON file. Returns a list of routes in the stored format.
+export function migrateExportFile(data) {
+  if (!data || typeof data !== 'object') {
+    throw new RouteValidationError([{ path: '(root)', message: 'expected an object' }], 'Import');
+  }
+
+  const fileVersion = Number.isInteger(data.schemaVersion) ? data.schemaVersion : 1;
+  if (fileVersion > EXPORT_SCHEMA_VERSION) {
+    throw new Error(`File uses export schema v${fileVersion}, newer than this app (v${EXPORT_SCHEMA_VERSION})`);
+  }
+
+  // Older exports carried route info next to the entries rather than as a session
+  const toRoute = (info = {}, entries) => migrateRoute({
+    ...info,
+    id: info.id ?? Date.now(),
+    name: info.name || 'Imported Route',
+    date: info.date || info.originalDate || data.exportDate || new Date().toISOString(),
+    data: entries,
+    // Files from before schemaVersion existed are treated as localStorage-era data
+    schemaVersion: fileVersion === 1 ? undefined : info.schemaVersion ?? fileVersion,
+    version: undefined
+  }).route;
+
+  if (Array.isArray(data.routes)) {
+    return data.routes.map(({ route: entries, data: storedEntries, ...info }, index) =>
+      toRoute({ name: `Route ${index + 1}`, ...info }, entries || storedEntries));
+  }
+  if (Array.isArray(data.route)) {
+    return [toRoute({
+      totalDistance: data.totalDistance,
+      elapsedTime: data.elapsedTime,
+      stoppedTime: data.stoppedTime,
+      ...data.routeInfo
+    }, data.route)];
+  }
+
+  throw new RouteValidationError([{ path: 'route', message: 'is required (no route data found)' }], 'Import');
+}
@@ -0,0 +1,281 @@
+// Storage quota: browser estimate, per-route size accounting, persistent
+// storage and eviction policies that only remove data which can be recovered
+// or is no longer needed.
+import { OfflineTileManager } from './offline-tiles.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Free space wanted before a recording: ~100 photos plus GPS data and headroom
+export const RECORDING_RESERVE_BYTES = 50 * 1024 * 1024;
+
+export const EVICTION_POLICIES = {
+  uploadedPhotos: {
+    id: 'uploadedPhotos',
+    icon: '📷',
+    label: 'Photos already uploaded to the cloud',
+    description: 'The photos stay in the cloud copy of the route',
+    defaultDays: 30
+  },
+  editOriginals: {
+    id: 'editOriginals',
+    icon: '✂️',
+    label: 'Pre-edit copies of edited routes',
+    description: 'You can no longer restore the route as recorded',
+    defaultDays: 30
+  },
+  offlineMaps: {
+    id: 'offlineMaps',
+    icon: '🗺️',
+    label: 'Downloaded offline map areas',
+    description: 'Download the area again before your next trip',
+    defaultDays: 90
+  }
+};
+
+function isStoredPhoto(entry) {
+  return entry?.type === 'photo' && !!entry.photoId && !entry.evictedAt;
+}
+
+// Split and merged routes share photo Blobs - only free a Blob nothing else uses
+function photoIdsOutside(sessions, session, liveEntries = []) {
+  return new Set([
+    ...liveEntries,
+    ...sessions
+      .filter(other => other.id !== session.id)
+      .flatMap(other => [...(other.data || []), ...(other.original?.data || [])])
+  ].filter(isStoredPhoto).map(entry => entry.photoId));
+}
+
+function jsonSize(value) {
+  return value ? JSON.stringify(value).length : 0;
+}
+
+export class StorageQuotaManager {
+  constructor(appState) {
+    this.appState = appState;
+    this.tiles = new OfflineTileManager(appState.routeDB);
+  }
+
+  // ==============================
+  // Usage
+  // ==============================
+
+  async getEstimate() {
+    const estimate = { usage: 0, quota: 0, available: null, usagePercent: 0, details: null };
+
+    try {
+      if (navigator.storage?.estimate) {
+        const result = await navigator.storage.estimate();
+        estimate.usage = result.usage || 0;
+        estimate.quota = result.quota || 0;
+        estimate.available = result.quota ? Math.max(0, result.quota - result.usage) : null;
+        estimate.usagePercent = result.quota ? Math.round((result.usage / result.quota) * 100) : 0;
+        // Chromium only: { indexedDB, caches, serviceWorkerRegistrations }
+        estimate.details = result.usageDetails || null;
+      }
+    } catch (error) {
+      console.warn('⚠️ Storage estimate not available:', error);
+    }
+
+    estimate.persisted = await this.isPersisted();
+    return estimate;
+  }
+
+  async isPersisted() {
+    try {
+      return navigator.storage?.persisted ? await navigator.storage.persisted() : false;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Persistent storage isn't evicted by the browser under storage pressure
+  async requestPersistence() {
+    if (!navigator.storage?.persist) return false;
+
+    try {
+      const granted = await navigator.storage.persist();
+      console.log(granted ? '🔒 Persistent storage granted' : '⚠️ Persistent storage denied');
+      return granted;
+    } catch (error) {
+      console.warn('⚠️ Persistent storage request failed:', error);
+      return false;
+    }
+  }
+
+  // Size of every saved route: route data, stored photos and the pre-edit copy.
+  // Photos shared between a route and its pre-edit copy are counted once.
+  async getRouteSizes() {
+    const sessions = await this.appState.getSessions();
+
+    return sessions.map(session => {
+      const photos = new Map();
+      [...(session.data || []), ...(session.original?.data || [])]
+        .filter(isStoredPhoto)
+        .forEach(entry => photos.set(entry.photoId, entry.size || 0));
+
+      const dataBytes = jsonSize(session.data);
+      const originalBytes = jsonSize(session.original?.data);
+      const photoBytes = [...photos.values()].reduce((sum, size) => sum + size, 0);
+
+      return {
+        id: session.id,
+        name: session.name,
+        date: session.date,
+        uploaded: !!session.cloudId,
+        photoCount: photos.size,
+        dataBytes,
+        originalBytes,
+        photoBytes,
+        totalBytes: dataBytes + originalBytes + photoBytes
+      };
+    }).sort((a, b) => b.totalBytes - a.totalBytes);
+  }
+
+  async getBreakdown() {
+    const [routes, photoStats, tileStats] = await Promise.all([
+      this.getRouteSizes(),
+      this.appState.photoStore.getStats(),
+      this.tiles.getCacheStats().catch(() => ({ regionCount: 0, totalSize: 0 }))
+    ]);
+
+    return {
+      routes,
+      routeBytes: routes.reduce((sum, route) => sum + route.dataBytes + route.originalBytes, 0),
+      photoCount: photoStats.count,
+      photoBytes: photoStats.totalSize,
+      offlineMapCount: tileStats.regionCount,
+      offlineMapBytes: tileStats.totalSize
+    };
+  }
+
+  // ==============================
+  // Eviction policies
+  // ==============================
+
+  // Returns { policy, days, count, bytes, targets } without changing anything
+  async planEviction(policyId, days = EVICTION_POLICIES[policyId]?.defaultDays) {
+    const cutoff = Date.now() - days * DAY;
+
+    switch (policyId) {
+      case 'uploadedPhotos':
+        return this.planUploadedPhotos(cutoff, days);
+      case 'editOriginals':
+        return this.planEditOriginals(cutoff, days);
+      case 'offlineMaps':
+        return this.planOfflineMaps(cutoff, days);
+      default:
+        throw new Error(`Unknown storage policy: ${policyId}`);
+    }
+  }
+
+  async planUploadedPhotos(cutoff, days) {
+    const sessions = await this.appState.getSessions();
+    const targets = sessions
+      .filter(session => session.cloudId)
+      .map(session => {
+        const shared = photoIdsOutside(sessions, session, this.appState.routeData);
+        return {
+          session,
+          photos: (session.data || []).filter(entry =>
+            isStoredPhoto(entry) && entry.timestamp < cutoff && !shared.has(entry.photoId)
+          )
+        };
+      })
+      .filter(target => target.photos.length > 0);
+
+    const photos = targets.flatMap(target => target.photos);
+    return {
+      policy: 'uploadedPhotos',
+      days,
+      count: photos.length,
+      bytes: photos.reduce((sum, entry) => sum + (entry.size || 0), 0),
+      targets
+    };
+  }
+
+  async planEditOriginals(cutoff, days) {
+    const sessions = await this.appState.getSessions();
+    const targets = sessions.filter(session =>
+      session.original && session.editedAt && new Date(session.editedAt).getTime() < cutoff
+    );
+
+    const plans = targets.map(session => {
+      const kept = new Set([
+        ...(session.data || []).filter(isStoredPhoto).map(entry => entry.photoId),
+        ...photoIdsOutside(sessions, session, this.appState.routeData)
+      ]);
+      return {
+        session,
+        photos: session.original.data.filter(entry => isStoredPhoto(entry) && !kept.has(entry.photoId))
+      };
+    });
+
+    const bytes = plans.reduce((sum, { session, photos }) =>
+      sum + jsonSize(session.original.data) + photos.reduce((total, entry) => total + (entry.size || 0), 0), 0);
+
+    return { policy: 'editOriginals', days, count: plans.length, bytes, targets: plans };
+  }
+
+  async planOfflineMaps(cutoff, days) {
+    const targets = (await this.tiles.getRegions()).filter(region => region.createdAt < cutoff);
+    return {
+      policy: 'offlineMaps',
+      days,
+      count: targets.length,
+      bytes: targets.reduce((sum, region) => sum + (region.bytes || 0), 0),
+      targets
+    };
+  }
+
+  // Returns the estimated bytes freed
+  async applyEviction(plan) {
+    if (plan.count === 0) return 0;
+
+    switch (plan.policy) {
+      case 'uploadedPhotos':
+        await this.evictUploadedPhotos(plan.targets);
+        break;
+      case 'editOriginals':
+        await this.evictEditOriginals(plan.targets);
+        break;
+      case 'offlineMaps':
+        for (const region of plan.targets) {
+          await this.tiles.deleteRegion(region.id);
+        }
+        break;
+    }
+
+    console.log(`🧹 Storage policy "${plan.policy}" freed ~${plan.bytes} bytes (${plan.count} items)`);
+    return plan.bytes;
+  }
+
+  // The entry keeps its photoId and is marked evictedAt, so the route still
+  // shows where the photo was taken and exports know it's in the cloud copy.
+  async evictUploadedPhotos(targets) {
+    const photoStore = this.appState.photoStore;
+    const evictedAt = Date.now();
+
+    for (const { session, photos } of targets) {
+      const ids = new Set(photos.map(entry => entry.photoId));
+      const markEvicted = entries => entries.map(entry =>
+        isStoredPhoto(entry) && ids.has(entry.photoId) ? { ...entry, evictedAt } : entry
+      );
+
+      await this.appState.updateSession({
+        ...session,
+        data: markEvicted(session.data),
+        ...(session.original && { original: { ...session.original, data: markEvicted(session.original.data) } })
+      });
+      await photoStore.deletePhotosForEntries(photos);
+    }
+  }
+
+  async evictEditOriginals(targets) {
+    for (const { session, photos } of targets) {
+      const { original, ...rest } = session;
+      await this.appState.updateSession(rest);
+      await this.appState.photoStore.deletePhotosForEntries(photos);
+    }
+  }
+}
@@ -1,6 +1,10 @@
 // FIXED: Storage controller with proper backup/restore data structures
 // Enhanced storage with IndexedDB migration - CORRECTED VERSION
 import { RouteDB } from './indexeddb.js';
+import { PhotoStore, isInlinePhoto } from './photo-store.js';
+import { AudioStore, isInlineAudio } from './audio-store.js';
+import { RouteJournal, replayJournal } from './route-journal.js';
+import { ROUTE_SCHEMA_VERSION, migrateRoute, migrateRouteData, validateRoute, assertValidRoute } from './route-schema.js';
 
 export class AppState {
   constructor() {
@@ -8,15 +12,21 @@ export class AppState {
     this.pathPoints = [];
     this.totalDistance = 0;
     this.elapsedTime = 0;
+    this.stoppedTime = 0;
     this.isTracking = false;
     this.isPaused = false;
     this.startTime = null;
     this.lastCoords = null;
     this.lastBackupTime = 0;
     this.backupInterval = null;
+    this.readOnly = false; // mirroring another tab's recording - never touch the shared backup
+    this.routeListeners = [];
     
     // IndexedDB integration
     this.routeDB = new RouteDB();
+    this.photoStore = new PhotoStore(this.routeDB);
+    this.audioStore = new AudioStore(this.routeDB);
+    this.journal = new RouteJournal(this.routeDB);
     this.dbReady = false;
     this.initDB();
   }
@@ -30,6 +40,9 @@ export class AppState {
       
       // Migrate localStorage data if exists
       await this.migrateFromLocalStorage();
+
+      // Loading sessions moves any inline base64 photos into the photos store
+      await this.cleanupOrphanPhotos();
     } catch (error) {
       console.warn('⚠️ IndexedDB failed, falling back to localStorage:', error);
       this.dbReady = false;
@@ -64,12 +77,13 @@ export class AppState {
         let migratedCount = 0;
         for (const session of oldSessions) {
           try {
+            // UPDATED: run the schema migration chain instead of just stamping a version
+            const { route } = migrateRoute(session);
             await this.routeDB.saveRoute({
-              ...session,
+              ...route,
               migrated: true,
               migratedAt: new Date().toISOString(),
-              migratedFrom: 'localStorage',
-              version: '2.0'
+              migratedFrom: 'localStorage'
             });
             migratedCount++;
             console.log(`✅ Migrated: ${session.name}`);
@@ -119,12 +133,12 @@ export class AppState {
       let recoveredCount = 0;
       for (const session of oldSessions) {
         try {
+          const { route } = migrateRoute(session);
           await this.routeDB.saveRoute({
-            ...session,
+            ...route,
             migrated: true,
             migratedAt: new Date().toISOString(),
-            migratedFrom: 'localStorage_backup_recovery',
-            version: '2.0'
+            migratedFrom: 'localStorage_backup_recovery'
           });
           recoveredCount++;
         } catch (error) {
@@ -141,10 +155,17 @@ export class AppState {
 
   // Enhanced route point addition with better backup timing
   addRoutePoint(entry) {
-    this.routeData.push({
+    const stored = {
       ...entry,
       timestamp: entry.timestamp || Date.now()
-    });
+    };
+    this.routeData.push(stored);
+    this.routeListeners.forEach(listener => listener(stored));
+
+    // NEW: Journal every entry of a recording right away - the backup below can be minutes old
+    if (this.isTracking && this.canJournal()) {
+      this.journal.appendEntry(stored);
+    }
     
     // Smart backup: every 10 points or every 2 minutes
     const shouldBackup = this.routeData.length % 10 === 0 || 
@@ -159,12 +180,28 @@ export class AppState {
     return [...this.routeData];
   }
 
+  // NEW: Notified of every entry added to the live route
+  addRouteListener(listener) {
+    this.routeListeners.push(listener);
+  }
+
+  // Only the recording tab writes the journal, and only when IndexedDB is available
+  canJournal() {
+    return this.dbReady && !this.readOnly;
+  }
+
+  setReadOnly(readOnly) {
+    this.readOnly = readOnly;
+    if (readOnly) this.stopAutoBackup();
+  }
+
   // Enhanced clear with IndexedDB cleanup
   clearRouteData() {
     this.routeData = [];
     this.pathPoints = [];
     this.totalDistance = 0;
     this.elapsedTime = 0;
+    this.stoppedTime = 0;
     this.lastCoords = null;
     this.isTracking = false;
     this.isPaused = false;
@@ -182,8 +219,18 @@ export class AppState {
 
   // Enhanced tracking state with auto backup
   setTrackingState(isTracking, isPaused = false) {
+    const wasTracking = this.isTracking;
     this.isTracking = isTracking;
     this.isPaused = isPaused;
+
+    // NEW: Journal starts, pauses and stops so a replay knows how long the clock ran
+    if (this.canJournal()) {
+      if (isTracking && !wasTracking) {
+        this.journal.appendStart(this.startTime || Date.now());
+      } else if (wasTracking) {
+        this.journal.appendState({ ...this.getLiveTimes(), isTracking, isPaused });
+      }
+    }
     
     if (isTracking && !isPaused) {
       this.startAutoBackup();
@@ -207,6 +254,19 @@ export class AppState {
     return this.elapsedTime;
   }
 
+  // Time spent stationary (auto-paused) within the elapsed time
+  setStoppedTime(time) {
+    this.stoppedTime = time;
+  }
+
+  getStoppedTime() {
+    return this.stoppedTime;
+  }
+
+  getMovingTime() {
+    return Math.max(0, this.elapsedTime - this.stoppedTime);
+  }
+
   setStartTime(time) {
     this.startTime = time;
   }
@@ -225,23 +285,47 @@ export class AppState {
     return this.lastCoords;
   }
 
+  // NEW: Self-contained entries for exports, guides and cloud uploads - stored photos and voice notes inlined
+  async resolveMediaEntries(entries) {
+    return this.audioStore.resolveEntries(await this.photoStore.resolveEntries(entries));
+  }
+
   // Smart save session (IndexedDB first, localStorage fallback)
   async saveSession(name) {
     if (!name || this.routeData.length === 0) {
       throw new Error('Invalid session data');
     }
 
+    // NEW: imported routes may still carry inline photos - keep the record light
+    if (this.dbReady) {
+      const { entries, moved } = await this.photoStore.externalizeEntries(this.routeData);
+      if (moved > 0) {
+        this.routeData = entries;
+        console.log(`📷 Moved ${moved} photos to the photo store`);
+      }
+      const audio = await this.audioStore.externalizeEntries(this.routeData);
+      if (audio.moved > 0) {
+        this.routeData = audio.entries;
+        console.log(`🎙️ Moved ${audio.moved} voice notes to the audio store`);
+      }
+    }
+
     const session = {
       id: Date.now(),
       name,
       date: new Date().toISOString(),
       totalDistance: this.totalDistance,
       elapsedTime: this.elapsedTime,
+      movingTime: this.getMovingTime(),
+      stoppedTime: this.stoppedTime,
       data: [...this.routeData],
       dataSize: JSON.stringify(this.routeData).length,
-      version: '2.0' // Mark as new version
+      schemaVersion: ROUTE_SCHEMA_VERSION
     };
 
+    // NEW: never persist a route that doesn't match the schema
+    assertValidRoute(session, `Route "${name}"`);
+
     try {
       if (this.dbReady) {
         // Use IndexedDB for better storage
@@ -261,6 +345,22 @@ export class AppState {
     } catch (error) {
       console.error('❌ Save failed:', error);
       
+      // NEW: offer to free space safely and retry once before falling back
+      if (this.dbReady && error.name === 'QuotaExceededError') {
+        const storageManager = window.AccessNatureApp?.getController('storageManager');
+        const freed = await storageManager?.handleQuotaExceeded(session.dataSize);
+        if (freed > 0) {
+          try {
+            await this.routeDB.saveRoute(session);
+            await this.clearRouteBackup();
+            console.log(`✅ Route "${name}" saved after freeing space`);
+            return session;
+          } catch (retryError) {
+            console.warn('⚠️ Save still failing after clean-up:', retryError);
+          }
+        }
+      }
+      
       // If IndexedDB failed, try localStorage as fallback
       if (this.dbReady && error.name === 'QuotaExceededError') {
         console.log('💾 IndexedDB quota exceeded, trying localStorage fallback...');
@@ -279,15 +379,59 @@ export class AppState {
     }
   }
 
+  // NEW: Persist a complete route record (route editor split/merge results)
+  async addSession(session) {
+    if (!session?.name || !Array.isArray(session.data) || session.data.length === 0) {
+      throw new Error('Invalid session data');
+    }
+
+    const record = {
+      ...session,
+      id: session.id ?? Date.now(),
+      date: session.date || new Date().toISOString(),
+      dataSize: JSON.stringify(session.data).length,
+      schemaVersion: ROUTE_SCHEMA_VERSION
+    };
+    assertValidRoute(record, `Route "${record.name}"`);
+
+    if (this.dbReady) {
+      await this.routeDB.saveRoute(record);
+    } else {
+      const sessions = await this.getSessions();
+      sessions.push(record);
+      localStorage.setItem('sessions', JSON.stringify(sessions));
+    }
+    return record;
+  }
+
+  // Update a saved session in place (e.g. to attach derived data after saving)
+  async updateSession(session) {
+    if (!session || session.id === undefined) {
+      throw new Error('Invalid session data');
+    }
+    assertValidRoute(session, `Route "${session.name}"`);
+
+    if (this.dbReady) {
+      await this.routeDB.updateRoute(session);
+    } else {
+      const sessions = await this.getSessions();
+      const index = sessions.findIndex(s => s.id === session.id);
+      if (index === -1) throw new Error('Session not found');
+      sessions[index] = session;
+      localStorage.setItem('sessions', JSON.stringify(sessions));
+    }
+    return session;
+  }
+
   // Smart get sessions (IndexedDB first, localStorage fallback)
   async getSessions() {
     try {
       if (this.dbReady) {
-        const routes = await this.routeDB.getAllRoutes();
+        const routes = await this.upgradeSessions(await this.routeDB.getAllRoutes());
         return routes.sort((a, b) => new Date(b.date) - new Date(a.date));
       } else {
         // Fallback to localStorage
-        return JSON.parse(localStorage.getItem('sessions') || '[]');
+        return this.upgradeSessions(JSON.parse(localStorage.getItem('sessions') || '[]'));
       }
     } catch (error) {
       console.error('❌ Failed to get sessions:', error);
@@ -301,28 +445,136 @@ export class AppState {
     }
   }
 
-  async autoSave() {
-  // Get current elapsed time from timer if running
-  let currentElapsed = this.elapsedTime;
-  
-  // If tracking is active, get live elapsed time from timer
-  if (this.isTracking) {
-    const app = window.AccessNatureApp;
-    const timer = app?.getController('timer');
-    if (timer && timer.isTimerRunning()) {
-      currentElapsed = timer.getCurrentElapsed();
+  // NEW: Bring older sessions up to the current schema as they're loaded.
+  // Upgraded routes are written back; invalid ones are kept but reported.
+  async upgradeSessions(sessions) {
+    let localChanged = false;
+
+    const upgraded = await Promise.all(sessions.map(async (session) => {
+      let result;
+      try {
+        result = migrateRoute(session);
+      } catch (error) {
+        console.warn(`⚠️ Skipping migration for "${session?.name}":`, error.message);
+        return session;
+      }
+
+      const { valid, errors } = validateRoute(result.route);
+      if (!valid) {
+        console.warn(`⚠️ Route "${result.route.name}" has ${errors.length} schema errors:`, errors);
+      }
+
+      let changed = result.migrated;
+      if (result.migrated) {
+        console.log(`🔄 Route "${result.route.name}" upgraded from schema v${result.fromVersion} to v${ROUTE_SCHEMA_VERSION}`);
+      }
+
+      // NEW: base64 photos from older saves move into the photos store
+      if (valid && this.dbReady && (result.route.data || []).some(isInlinePhoto)) {
+        try {
+          const { entries, moved } = await this.photoStore.externalizeEntries(result.route.data);
+          result.route = { ...result.route, data: entries, dataSize: JSON.stringify(entries).length };
+          changed = true;
+          console.log(`📷 Moved ${moved} photos of "${result.route.name}" to the photo store`);
+        } catch (error) {
+          console.warn(`⚠️ Could not move photos of "${result.route.name}":`, error);
+        }
+      }
+      if (valid && this.dbReady && (result.route.data || []).some(isInlineAudio)) {
+        try {
+          const { entries, moved } = await this.audioStore.externalizeEntries(result.route.data);
+          result.route = { ...result.route, data: entries, dataSize: JSON.stringify(entries).length };
+          changed = true;
+          console.log(`🎙️ Moved ${moved} voice notes of "${result.route.name}" to the audio store`);
+        } catch (error) {
+          console.warn(`⚠️ Could not move voice notes of "${result.route.name}":`, error);
+        }
+      }
+
+      if (changed) {
+        if (valid && this.dbReady) {
+          try {
+            await this.routeDB.updateRoute(result.route);
+          } catch (error) {
+            console.warn(`⚠️ Could not store upgraded route "${result.route.name}":`, error);
+          }
+        } else if (!this.dbReady) {
+          localChanged = true;
+        }
+      }
+
+      return result.route;
+    }));
+
+    if (localChanged) {
+      localStorage.setItem('sessions', JSON.stringify(upgraded));
+    }
+    return upgraded;
+  }
+
+  // NEW: Delete photo and voice note Blobs nothing references any more
+  async cleanupOrphanPhotos() {
+    if (!this.dbReady) return;
+
+    try {
+      const sessions = await this.getSessions();
+      const backup = await this.routeDB.getBackup();
+      const journal = await this.routeDB.getJournal();
+      let localBackup = null;
+      try {
+        localBackup = JSON.parse(localStorage.getItem('route_backup') || 'null');
+      } catch (error) {
+        localBackup = null;
+      }
+
+      const referenced = [
+        ...this.routeData,
+        ...sessions.flatMap(session => [...(session.data || []), ...(session.original?.data || [])]),
+        ...(backup?.routeData || []),
+        ...(localBackup?.routeData || []),
+        ...journal.filter(record => record.kind === 'entry').map(record => record.entry)
+      ];
+
+      await this.photoStore.cleanupOrphans(
+        referenced.filter(entry => entry?.type === 'photo' && entry.photoId).map(entry => entry.photoId)
+      );
+      await this.audioStore.cleanupOrphans(
+        referenced.filter(entry => entry?.type === 'audio' && entry.audioId).map(entry => entry.audioId)
+      );
+    } catch (error) {
+      console.warn('⚠️ Photo cleanup failed:', error);
+    }
+  }
+
+  // Elapsed and stopped time, live from the timer while tracking (a paused timer holds its total)
+  getLiveTimes() {
+    const timer = window.AccessNatureApp?.getController('timer');
+    if (this.isTracking && timer) {
+      return { elapsedTime: timer.getCurrentElapsed(), stoppedTime: timer.getStoppedTime() };
     }
+    return { elapsedTime: this.elapsedTime, stoppedTime: this.stoppedTime };
   }
 
+  async autoSave() {
+  // Another tab owns the backup while this one only mirrors its recording
+  if (this.readOnly) return;
+
+  // Get current elapsed time from timer if running
+  const { elapsedTime: currentElapsed, stoppedTime: currentStopped } = this.getLiveTimes();
+  // NEW: Everything journaled so far is in this backup
+  const journalSeq = this.journal.lastSeq;
+
   const backup = {
     routeData: this.routeData,
     pathPoints: this.pathPoints,
     totalDistance: this.totalDistance,
     elapsedTime: currentElapsed,  // Fixed: Use live elapsed time
+    stoppedTime: currentStopped,
     startTime: this.startTime,
     isTracking: this.isTracking,
     isPaused: this.isPaused,
     backupTime: Date.now(),
+    journalSeq,
     deviceInfo: {
       userAgent: navigator.userAgent,
       url: window.location.href
@@ -332,6 +584,7 @@ export class AppState {
   try {
     if (this.dbReady) {
       await this.routeDB.saveBackup(backup);
+      await this.journal.compact(journalSeq);
       console.log(`💾 Auto-backup to IndexedDB: ${this.routeData.length} points, ${this.totalDistance.toFixed(2)} km, ${Math.floor(currentElapsed/1000)}s elapsed`);
     } else {
       localStorage.setItem('route_backup', JSON.stringify(backup));
@@ -382,17 +635,30 @@ export class AppState {
         }
       }
       
-      if (!backup) {
-        console.log('📭 No backup found');
-        return null;
+      // Validate backup structure
+      const invalidBackup = backup && (typeof backup !== 'object' || !Array.isArray(backup.routeData));
+      if (invalidBackup) {
+        console.warn('⚠️ Invalid backup structure, ignoring it...');
+        backup = null;
       }
 
-      // Validate backup structure
-      if (typeof backup !== 'object' || !backup.routeData || !Array.isArray(backup.routeData)) {
-        console.warn('⚠️ Invalid backup structure, removing...');
-        await this.clearRouteBackup();
+      // NEW: Replay the journal on top of the backup - it has every entry up to the crash
+      let records = [];
+      if (this.dbReady) {
+        try {
+          records = await this.journal.getRecords();
+        } catch (journalError) {
+          console.warn('⚠️ Journal check failed:', journalError);
+        }
+      }
+      const recovered = replayJournal(backup, records);
+
+      if (!recovered) {
+        if (invalidBackup) await this.clearRouteBackup();
+        console.log('📭 No backup found');
         return null;
       }
+      backup = recovered;
 
       // Validate backup age
       const backupTime = backup.backupTime || 0;
@@ -413,7 +679,7 @@ export class AppState {
       }
 
       const locationPoints = backup.routeData.filter(p => p && p.type === 'location').length;
-      console.log(`🔍 Found valid route backup: ${backup.routeData.length} points (${locationPoints} GPS), ${backup.totalDistance?.toFixed(2) || 0} km`);
+      console.log(`🔍 Found valid route backup: ${backup.routeData.length} points (${locationPoints} GPS), ${backup.totalDistance?.toFixed(2) || 0} km, ${backup.recovery.fromJournal} from the journal`);
       
       return backup;
       
@@ -439,10 +705,11 @@ export class AppState {
       }
       
       // Handle both old and new backup formats
-      this.routeData = Array.isArray(backupData.routeData) ? backupData.routeData : [];
+      this.routeData = Array.isArray(backupData.routeData) ? migrateRouteData(backupData.routeData, backupData.startTime || Date.now()) : [];
       this.pathPoints = Array.isArray(backupData.pathPoints) ? backupData.pathPoints : [];
       this.totalDistance = typeof backupData.totalDistance === 'number' ? backupData.totalDistance : 0;
       this.elapsedTime = typeof backupData.elapsedTime === 'number' ? backupData.elapsedTime : 0;
+      this.stoppedTime = typeof backupData.stoppedTime === 'number' ? backupData.stoppedTime : 0;
       this.startTime = backupData.startTime || null;
       
       // FIXED: Rebuild pathPoints from routeData if missing
@@ -566,9 +833,15 @@ redrawRouteOnMap() {
 
   // Enhanced backup clearing
   async clearRouteBackup() {
+    if (this.readOnly) {
+      this.stopAutoBackup();
+      return;
+    }
+
     try {
       if (this.dbReady) {
-        await this.routeDB.clearBackup();
+        // Both clears are queued now, ahead of any record of the next recording
+        await Promise.all([this.routeDB.clearBackup(), this.journal.clear()]);
       }
       localStorage.removeItem('route_backup');
       this.stopAutoBackup();
@@ -594,6 +867,11 @@ redrawRouteOnMap() {
         info.usagePercent = estimate.usagePercent;
         info.usageFormatted = this.formatBytes(estimate.usage);
         info.quotaFormatted = this.formatBytes(estimate.quota);
+
+        const photoStats = await this.photoStore.getStats();
+        info.photoCount = photoStats.count;
+        info.photoSize = photoStats.totalSize;
+        info.photoSizeFormatted = this.formatBytes(photoStats.totalSize);
       } else {
         // Estimate localStorage usage
         let totalSize = 0;
@@ -632,6 +910,8 @@ redrawRouteOnMap() {
         const routes = await this.routeDB.getAllRoutes();
         for (const route of routes) {
           await this.routeDB.deleteRoute(route.id);
+          await this.photoStore.deletePhotosForEntries([...(route.data || []), ...(route.original?.data || [])]);
+          await this.audioStore.deleteAudioForEntries([...(route.data || []), ...(route.original?.data || [])]);
         }
         console.log('🧹 All routes cleared from IndexedDB');
       }
@@ -0,0 +1,508 @@
+// Multi-tab coordination for the tracker: only the tab holding the tracking lock
+// records. Other tabs mirror it read-only over BroadcastChannel and take over
+// if the recording tab is closed mid-route.
+import toast from '../helpers/toasts.js';
+
+const LOCK_NAME = 'accessnature-tracking';
+const CHANNEL_NAME = 'accessnature-tracking';
+const LEASE_KEY = 'tracking_lease';
+const LEASE_TTL = 6000;
+const HEARTBEAT_INTERVAL = 2000;
+const STATUS_INTERVAL = 1000;
+const HANDOVER_GRACE = 500;
+
+// Web Locks are released by the browser as soon as the holding tab closes or crashes.
+// Without them we fall back to a localStorage lease the holder keeps renewing.
+export class TrackingLock {
+  constructor(tabId) {
+    this.tabId = tabId;
+    this.held = false;
+    this.releaseLock = null;
+    this.cancelPending = null;
+    this.heartbeat = null;
+  }
+
+  hasWebLocks() {
+    return !!navigator.locks?.request;
+  }
+
+  isHeld() {
+    return this.held;
+  }
+
+  // Take the lock if no other tab has it - resolves true/false without waiting
+  async acquire() {
+    if (this.held) return true;
+    if (!this.hasWebLocks()) return this.acquireLease();
+
+    return new Promise((resolve) => {
+      navigator.locks.request(LOCK_NAME, { ifAvailable: true }, (lock) => {
+        if (!lock) {
+          resolve(false);
+          return null;
+        }
+        return this.hold(resolve);
+      }).catch((error) => {
+        console.warn('⚠️ Tracking lock request failed:', error);
+        resolve(false);
+      });
+    });
+  }
+
+  // Queue behind the current holder. Resolves true once it lets go,
+  // false if cancelWait() is called first
+  waitForRelease() {
+    this.cancelWait();
+
+    if (!this.hasWebLocks()) {
+      return new Promise((resolve) => {
+        const poll = setInterval(() => {
+          if (this.acquireLease()) {
+            clearInterval(poll);
+            this.cancelPending = null;
+            resolve(true);
+          }
+        }, HEARTBEAT_INTERVAL);
+
+        this.cancelPending = () => {
+          clearInterval(poll);
+          resolve(false);
+        };
+      });
+    }
+
+    const controller = new AbortController();
+    return new Promise((resolve) => {
+      this.cancelPending = () => controller.abort();
+
+      navigator.locks.request(LOCK_NAME, { signal: controller.signal }, () => {
+        this.cancelPending = null;
+        return this.hold(resolve);
+      }).catch(() => resolve(false));
+    });
+  }
+
+  cancelWait() {
+    if (this.cancelPending) {
+      this.cancelPending();
+      this.cancelPending = null;
+    }
+  }
+
+  // The Web Lock stays held until the returned promise settles
+  hold(resolve) {
+    this.held = true;
+    resolve(true);
+    return new Promise((release) => {
+      this.releaseLock = release;
+    });
+  }
+
+  release() {
+    if (!this.held) return;
+    this.held = false;
+
+    if (this.releaseLock) {
+      this.releaseLock();
+      this.releaseLock = null;
+    }
+
+    if (this.heartbeat) {
+      clearInterval(this.heartbeat);
+      this.heartbeat = null;
+      if (this.readLease()?.tabId === this.tabId) {
+        localStorage.removeItem(LEASE_KEY);
+      }
+    }
+  }
+
+  async isHeldElsewhere() {
+    if (this.held) return false;
+
+    if (this.hasWebLocks() && navigator.locks.query) {
+      const { held = [] } = await navigator.locks.query();
+      return held.some(lock => lock.name === LOCK_NAME);
+    }
+
+    const lease = this.readLease();
+    return !!lease && lease.tabId !== this.tabId && lease.expires > Date.now();
+  }
+
+  readLease() {
+    try {
+      return JSON.parse(localStorage.getItem(LEASE_KEY));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  writeLease() {
+    localStorage.setItem(LEASE_KEY, JSON.stringify({
+      tabId: this.tabId,
+      expires: Date.now() + LEASE_TTL
+    }));
+  }
+
+  acquireLease() {
+    const lease = this.readLease();
+    if (lease && lease.tabId !== this.tabId && lease.expires > Date.now()) {
+      return false;
+    }
+
+    this.writeLease();
+    this.held = true;
+    this.heartbeat = setInterval(() => this.writeLease(), HEARTBEAT_INTERVAL);
+    return true;
+  }
+}
+
+export class TabSyncController {
+  constructor(appState) {
+    this.appState = appState;
+    this.dependencies = {};
+    this.tabId = `tab_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+    this.lock = new TrackingLock(this.tabId);
+    this.channel = null;
+    this.isFollowing = false;
+    this.leaderStatus = null;
+    this.snapshotRequested = false;
+    this.statusInterval = null;
+  }
+
+  setDependencies(deps) {
+    this.dependencies = deps;
+  }
+
+  initialize() {
+    if ('BroadcastChannel' in window) {
+      this.channel = new BroadcastChannel(CHANNEL_NAME);
+      this.channel.onmessage = (event) => this.handleMessage(event.data);
+    } else {
+      console.warn('⚠️ BroadcastChannel not supported - other tabs will not get a live view');
+    }
+
+    this.appState.addRouteListener((entry) => {
+      if (this.lock.isHeld()) {
+        this.post('entry', { entry });
+      }
+    });
+
+    // pagehide also fires on mobile where beforeunload often doesn't
+    window.addEventListener('pagehide', () => this.handlePageHide());
+    window.addEventListener('pageshow', (event) => {
+      if (event.persisted) this.handlePageRestore();
+    });
+
+    console.log('✅ Tab sync initialized');
+  }
+
+  isLeader() {
+    return this.lock.isHeld();
+  }
+
+  async isRecordingElsewhere() {
+    try {
+      return await this.lock.isHeldElsewhere();
+    } catch (error) {
+      console.warn('⚠️ Could not query tracking lock:', error);
+      return false;
+    }
+  }
+
+  // Called by TrackingController.start - false means another tab is recording
+  async claimTracking() {
+    if (this.isFollowing) {
+      toast.warning('Another tab is recording this route. Stop it there first.');
+      return false;
+    }
+
+    if (await this.lock.acquire()) {
+      return true;
+    }
+
+    if (this.appState.getRouteData().length > 0) {
+      toast.warning('Another tab is already recording. Finish that route before continuing this one.');
+    } else {
+      this.startFollowing();
+    }
+    return false;
+  }
+
+  // Called once recording is running in this tab
+  announceTracking() {
+    this.post('tracking-started', { snapshot: this.getSnapshot() });
+    this.startStatusUpdates();
+  }
+
+  // Called when recording stops in this tab
+  releaseTracking() {
+    this.stopStatusUpdates();
+    if (!this.lock.isHeld()) return;
+
+    this.post('tracking-stopped');
+    this.lock.release();
+    console.log('🔓 Tracking lock released');
+  }
+
+  post(type, payload = {}) {
+    if (!this.channel) return;
+    try {
+      this.channel.postMessage({ type, tabId: this.tabId, sentAt: Date.now(), ...payload });
+    } catch (error) {
+      console.warn(`⚠️ Failed to broadcast ${type}:`, error);
+    }
+  }
+
+  getStatus() {
+    const tracking = this.dependencies.tracking;
+    const timer = this.dependencies.timer;
+
+    return {
+      isTracking: tracking ? tracking.isTrackingActive() : this.appState.isTracking,
+      isPaused: tracking ? tracking.isPausedState() : this.appState.isPaused,
+      isAutoPaused: !!tracking?.isAutoPaused,
+      elapsedTime: timer ? timer.getCurrentElapsed() : this.appState.getElapsedTime(),
+      stoppedTime: timer ? timer.getStoppedTime() : this.appState.getStoppedTime(),
+      totalDistance: this.appState.getTotalDistance(),
+      entryCount: this.appState.routeData.length
+    };
+  }
+
+  getSnapshot() {
+    return {
+      ...this.getStatus(),
+      routeData: this.appState.getRouteData(),
+      startTime: this.appState.startTime
+    };
+  }
+
+  startStatusUpdates() {
+    this.stopStatusUpdates();
+    this.statusInterval = setInterval(() => {
+      this.post('status', { status: this.getStatus() });
+    }, STATUS_INTERVAL);
+  }
+
+  stopStatusUpdates() {
+    if (this.statusInterval) {
+      clearInterval(this.statusInterval);
+      this.statusInterval = null;
+    }
+  }
+
+  handleMessage(message) {
+    if (!message || message.tabId === this.tabId) return;
+
+    switch (message.type) {
+      case 'snapshot-request':
+        if (this.lock.isHeld()) {
+          this.post('snapshot', { snapshot: this.getSnapshot() });
+        }
+        break;
+      case 'tracking-started':
+      case 'snapshot':
+      case 'leader-closing':
+        if (!this.lock.isHeld()) this.applySnapshot(message.snapshot);
+        break;
+      case 'entry':
+        if (this.isFollowing) this.applyEntry(message.entry);
+        break;
+      case 'status':
+        if (!this.lock.isHeld()) this.applyStatus(message.status);
+        break;
+      case 'tracking-stopped':
+        this.leaderStatus = null;
+        if (this.isFollowing) this.stopFollowing(true);
+        break;
+    }
+  }
+
+  // Enter the read-only live view of another tab's recording
+  startFollowing() {
+    if (this.isFollowing || this.lock.isHeld()) return;
+
+    this.isFollowing = true;
+    this.appState.setReadOnly(true);
+    this.dependencies.tracking?.setFollowerMode(true);
+    this.updateFollowIndicator();
+
+    this.snapshotRequested = true;
+    this.post('snapshot-request');
+    this.waitForHandover();
+
+    toast.info('A route is being recorded in another tab - showing a live view', { duration: 4000 });
+    console.log('👀 Following recording in another tab');
+  }
+
+  stopFollowing(routeFinished) {
+    if (!this.isFollowing) return;
+
+    this.isFollowing = false;
+    this.snapshotRequested = false;
+    this.lock.cancelWait();
+
+    if (routeFinished) {
+      // Still read-only here, so the recording tab's backup is left alone
+      this.appState.clearRouteData();
+      this.dependencies.map?.clearRouteDisplay();
+      this.dependencies.timer?.reset();
+      this.dependencies.tracking?.updateDistanceDisplay(0);
+      toast.info('Recording finished in the other tab');
+    }
+
+    this.appState.setReadOnly(false);
+    this.dependencies.tracking?.setFollowerMode(false);
+    this.updateFollowIndicator();
+  }
+
+  async waitForHandover() {
+    const acquired = await this.lock.waitForRelease();
+    if (!acquired) return;
+
+    // Let a 'tracking-stopped' sent just before the release arrive first
+    await new Promise(resolve => setTimeout(resolve, HANDOVER_GRACE));
+
+    if (this.isFollowing && this.leaderStatus?.isTracking) {
+      await this.takeOver();
+    } else {
+      this.lock.release();
+    }
+  }
+
+  // The recording tab went away mid-route - continue recording here
+  async takeOver() {
+    const wasPaused = !!this.leaderStatus?.isPaused;
+    this.leaderStatus = null;
+    this.stopFollowing(false);
+
+    const tracking = this.dependencies.tracking;
+    try {
+      const started = tracking ? await tracking.start() : false;
+      if (!started) {
+        this.lock.release();
+        return;
+      }
+
+      if (wasPaused) {
+        tracking.togglePause();
+      }
+      await this.appState.autoSave();
+
+      toast.success('The recording tab was closed - recording continues in this tab');
+      console.log('🔐 Took over tracking from closed tab');
+    } catch (error) {
+      console.error('❌ Failed to take over tracking:', error);
+      this.lock.release();
+      toast.error('Failed to continue recording: ' + error.message);
+    }
+  }
+
+  applySnapshot(snapshot) {
+    if (!snapshot) return;
+
+    if (!this.isFollowing) {
+      if (this.appState.getRouteData().length > 0) return;
+      this.startFollowing();
+    }
+
+    this.snapshotRequested = false;
+    this.leaderStatus = snapshot;
+    this.appState.restoreFromBackup(snapshot);
+    this.dependencies.timer?.showElapsed(snapshot.elapsedTime || 0);
+    this.updateFollowIndicator();
+  }
+
+  applyEntry(entry) {
+    if (!entry) return;
+
+    const lastCoords = this.appState.getLastCoords();
+    this.appState.addRoutePoint(entry);
+
+    if (entry.type !== 'location' || !entry.coords) return;
+
+    const map = this.dependencies.map;
+    if (map && lastCoords) {
+      map.addRouteSegment(lastCoords, entry.coords);
+      if (this.dependencies.tracking) {
+        map.updateMarkerDirection(this.dependencies.tracking.calculateBearing(lastCoords, entry.coords));
+      }
+    }
+    this.appState.addPathPoint(entry.coords);
+    map?.updateMarkerPosition(entry.coords);
+  }
+
+  applyStatus(status) {
+    if (!status) return;
+    this.leaderStatus = status;
+
+    if (!this.isFollowing) {
+      // Don't replace an unsaved route this tab is holding
+      if (status.isTracking && this.appState.getRouteData().length === 0) {
+        this.startFollowing();
+      }
+      return;
+    }
+
+    // Missed messages (e.g. the tab was frozen) - resync from a full snapshot
+    if (status.entryCount !== this.appState.routeData.length && !this.snapshotRequested) {
+      this.snapshotRequested = true;
+      this.post('snapshot-request');
+    }
+
+    this.appState.updateDistance(status.totalDistance);
+    this.appState.setElapsedTime(status.elapsedTime);
+    this.appState.setStoppedTime(status.stoppedTime);
+    this.dependencies.tracking?.updateDistanceDisplay(status.totalDistance);
+    this.dependencies.timer?.showElapsed(status.elapsedTime);
+    this.updateFollowIndicator();
+  }
+
+  updateFollowIndicator() {
+    const indicator = document.getElementById('recording-indicator');
+    if (!indicator) return;
+
+    if (!this.isFollowing) {
+      if (!this.dependencies.tracking?.isTrackingActive()) {
+        indicator.classList.add('hidden');
+      }
+      return;
+    }
+
+    indicator.classList.remove('hidden');
+    indicator.style.background = 'rgba(33, 150, 243, 0.95)';
+
+    const text = indicator.querySelector('.recording-text');
+    if (text) {
+      const paused = this.leaderStatus?.isPaused || this.leaderStatus?.isAutoPaused;
+      text.textContent = paused ? 'LIVE VIEW · PAUSED' : 'LIVE VIEW';
+    }
+  }
+
+  handlePageHide() {
+    if (!this.lock.isHeld()) return;
+    this.stopStatusUpdates();
+
+    if (this.appState.isTracking) {
+      this.appState.autoSave();
+      this.post('leader-closing', { snapshot: this.getSnapshot() });
+    }
+    this.lock.release();
+  }
+
+  // Back from the bfcache - the lock was handed over in pagehide
+  async handlePageRestore() {
+    const tracking = this.dependencies.tracking;
+    if (!tracking?.isTrackingActive() || this.lock.isHeld()) return;
+
+    if (await this.lock.acquire()) {
+      this.announceTracking();
+      return;
+    }
+
+    console.warn('⚠️ Recording moved to another tab while this page was hidden');
+    tracking.cleanup();
+    this.appState.setTrackingState(false);
+    tracking.updateTrackingButtons();
+    this.startFollowing();
+  }
+}
@@ -6,6 +6,8 @@ export class TimerController {
     this.isRunning = false;
     this.intervalId = null;
     this.pausedTime = 0;
+    this.stoppedTime = 0;
+    this.stoppedSince = null;
   }
 
   initialize() {
@@ -15,9 +17,16 @@ export class TimerController {
   }
 
   // FIXED: Start with optional elapsed time for restoration
-  start(resumeFromElapsed = 0) {
+  start(resumeFromElapsed = 0, resumeStoppedTime = null) {
   if (this.isRunning) return;
 
+  if (resumeStoppedTime !== null) {
+    this.stoppedTime = resumeStoppedTime;
+  } else if (resumeFromElapsed === 0) {
+    this.stoppedTime = 0;
+  }
+  this.stoppedSince = null;
+
   console.log(`⏱️ Timer starting${resumeFromElapsed > 0 ? ` (resuming from ${this.formatTime(resumeFromElapsed)})` : ''}`);
   
   // Set the elapsed time first
@@ -39,6 +48,7 @@ export class TimerController {
   stop() {
   if (!this.isRunning) return this.elapsedTime;
 
+  this.markMoving();
   this.isRunning = false;
   if (this.timerInterval) {  // Changed from intervalId to timerInterval
     clearInterval(this.timerInterval);
@@ -56,6 +66,7 @@ export class TimerController {
   pause() {
   if (!this.isRunning) return;
 
+  this.markMoving();
   this.isRunning = false;
   if (this.timerInterval) {  // Changed from intervalId to timerInterval
     clearInterval(this.timerInterval);
@@ -74,7 +85,39 @@ export class TimerController {
     console.log(`▶️ Timer resuming from: ${this.formatTime(this.elapsedTime)}`);
     
     // Restart timer from current elapsed time
-    this.start(this.elapsedTime);
+    this.start(this.elapsedTime, this.stoppedTime);
+  }
+
+  // NEW: Auto-pause support - the clock keeps running while stationary,
+  // but that span is booked as stopped time instead of moving time
+  markStopped(since = Date.now()) {
+    if (!this.isRunning || this.stoppedSince !== null) return;
+    this.stoppedSince = Math.max(since, this.startTime);
+  }
+
+  markMoving() {
+    if (this.stoppedSince === null) return;
+    this.stoppedTime += Math.max(0, Date.now() - this.stoppedSince);
+    this.stoppedSince = null;
+  }
+
+  isStopped() {
+    return this.stoppedSince !== null;
+  }
+
+  getStoppedTime() {
+    if (this.stoppedSince !== null && this.isRunning) {
+      return this.stoppedTime + Math.max(0, Date.now() - this.stoppedSince);
+    }
+    return this.stoppedTime;
+  }
+
+  getMovingTime() {
+    return Math.max(0, this.getCurrentElapsed() - this.getStoppedTime());
+  }
+
+  setStoppedTime(stopped) {
+    this.stoppedTime = stopped || 0;
   }
 
   // NEW: Get current elapsed time
@@ -92,6 +135,12 @@ export class TimerController {
     console.log(`⏱️ Timer set to: ${this.formatTime(elapsed)}`);
   }
 
+  // NEW: Display-only update for tabs mirroring another tab's recording
+  showElapsed(elapsed) {
+    this.elapsedTime = elapsed;
+    this.updateDisplay();
+  }
+
   updateTimer() {
     if (!this.isRunning) return;
 
@@ -119,6 +168,8 @@ export class TimerController {
     this.stop();
     this.elapsedTime = 0;
     this.startTime = null;
+    this.stoppedTime = 0;
+    this.stoppedSince = null;
     this.updateDisplay();
     console.log('🔄 Timer reset');
   }
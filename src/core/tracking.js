@@ -3,6 +3,12 @@ import { haversineDistance } from '../utils/calculations.js';
 import toast from '../helpers/toasts.js';
 import modal from '../helpers/modals.js';
 import { showLoading, hideLoading } from '../helpers/loading.js';
+import { GPSFilterPipeline } from './gps-filter.js';
+import { AutoPauseDetector } from './auto-pause.js';
+import { buildElevationProfile } from '../utils/elevation.js';
+import { cloudOutbox, createDocumentId, OutboxWaitError, OutboxPermanentError } from './outbox.js';
+
+const FIRESTORE_URL = 'https://www.gstatic.com/firebasejs/10.5.0/firebase-firestore.js';
 
 export class TrackingController {
   constructor(appState) {
@@ -11,12 +17,52 @@ export class TrackingController {
     this.isTracking = false;
     this.isPaused = false;
     this.dependencies = {};
+    this.gpsFilter = new GPSFilterPipeline();
+    this.autoPause = new AutoPauseDetector();
+    this.autoPauseEnabled = localStorage.getItem('autoPauseEnabled') !== 'false';
+    this.isAutoPaused = false;
+    this.manualPause = null;
+    this.isFollowing = false;
+    this.positionListeners = [];
+
+    // NEW: cloud uploads go through the outbox and may run after a reload
+    cloudOutbox.registerHandler('route', payload => this.uploadRoute(payload));
+    cloudOutbox.registerHandler('trailGuide', payload => this.generateTrailGuide(payload));
   }
 
   setDependencies(deps) {
     this.dependencies = deps;
   }
 
+  // Swap the GPS smoothing pipeline (e.g. different stages or thresholds)
+  setGPSFilter(pipeline) {
+    this.gpsFilter = pipeline;
+  }
+
+  // NEW: Enable/disable automatic pause when stationary
+  setAutoPauseEnabled(enabled) {
+    this.autoPauseEnabled = enabled;
+    localStorage.setItem('autoPauseEnabled', enabled ? 'true' : 'false');
+
+    if (!enabled && this.isAutoPaused) {
+      this.endAutoPause(this.autoPause.end());
+    }
+    this.autoPause.reset();
+    console.log(`⏯️ Auto-pause ${enabled ? 'enabled' : 'disabled'}`);
+  }
+
+  isAutoPauseEnabled() {
+    return this.autoPauseEnabled;
+  }
+
+  // NEW: Notified of every accepted (filtered) GPS fix; returns an unsubscribe function
+  addPositionListener(listener) {
+    this.positionListeners.push(listener);
+    return () => {
+      this.positionListeners = this.positionListeners.filter(existing => existing !== listener);
+    };
+  }
+
 async start() {
   if (this.isTracking) return false;
 
@@ -24,6 +70,16 @@ async start() {
     throw new Error('Geolocation not supported by this browser');
   }
 
+  // NEW: Only the tab holding the tracking lock may record
+  const tabSync = this.dependencies.tabSync;
+  if (tabSync && !(await tabSync.claimTracking())) {
+    console.log('🔒 Tracking is active in another tab');
+    return false;
+  }
+
+  // NEW: Offer a clean-up first if a long recording might not fit
+  await window.AccessNatureApp?.getController('storageManager')?.checkBeforeRecording();
+
   console.log('🚀 Starting GPS tracking...');
 
   // FIXED: Check if we're resuming a restored route
@@ -45,6 +101,18 @@ async start() {
   this.appState.setElapsedTime(currentElapsed);
 }
 
+  // Reset the smoothing filter; when resuming, continue from the last recorded point
+  const lastCoords = this.appState.getLastCoords();
+  if (isResuming && lastCoords) {
+    this.gpsFilter.seed(lastCoords);
+  } else {
+    this.gpsFilter.reset();
+  }
+
+  this.autoPause.reset();
+  this.isAutoPaused = false;
+  this.manualPause = null;
+
   this.isTracking = true;
   this.isPaused = false;
   this.appState.setTrackingState(true);
@@ -66,7 +134,7 @@ async start() {
     // FIXED: Get the actual elapsed time from app state
     const restoredElapsed = this.appState.getElapsedTime();
     console.log(`⏱️ Starting timer with restored elapsed: ${restoredElapsed}ms`);
-    this.dependencies.timer.start(restoredElapsed);
+    this.dependencies.timer.start(restoredElapsed, this.appState.getStoppedTime());
   } else {
     this.dependencies.timer.start();
   }
@@ -78,6 +146,11 @@ async start() {
 if (recordingIndicator) {
   recordingIndicator.classList.remove('hidden');
 }
+  this.updateRecordingIndicator();
+
+  if (tabSync) {
+    tabSync.announceTracking();
+  }
   
   if (isResuming) {
     console.log('✅ GPS tracking resumed successfully');
@@ -119,10 +192,18 @@ stop() {
     this.watchId = null;
   }
 
+  // Close any open stop so it's recorded with the route
+  if (this.isAutoPaused) {
+    this.endAutoPause(this.autoPause.end());
+  } else if (this.isPaused) {
+    this.recordManualPause();
+  }
+
   // Stop timer and get final elapsed time
   if (this.dependencies.timer) {
     const finalElapsed = this.dependencies.timer.stop();
     this.appState.setElapsedTime(finalElapsed);
+    this.appState.setStoppedTime(this.dependencies.timer.getStoppedTime());
   }
 
   this.isTracking = false;
@@ -130,6 +211,11 @@ stop() {
   this.appState.setTrackingState(false);
   this.updateTrackingButtons();
 
+  // Let other tabs record again
+  if (this.dependencies.tabSync) {
+    this.dependencies.tabSync.releaseTracking();
+  }
+
   const recordingIndicator = document.getElementById('recording-indicator');
 if (recordingIndicator) {
   recordingIndicator.classList.add('hidden');
@@ -152,6 +238,8 @@ if (recordingIndicator) {
       // Resume
       console.log('▶️ Resuming tracking...');
       this.isPaused = false;
+      this.recordManualPause();
+      this.autoPause.reset();
       
       if (this.dependencies.timer) {
         this.dependencies.timer.resume();
@@ -171,7 +259,17 @@ if (recordingIndicator) {
     } else {
       // Pause
       console.log('⏸️ Pausing tracking...');
+
+      // A manual pause takes over from an auto-pause in progress
+      if (this.isAutoPaused) {
+        this.endAutoPause(this.autoPause.end());
+      }
+
       this.isPaused = true;
+      this.manualPause = {
+        startTime: Date.now(),
+        coords: this.appState.getLastCoords()
+      };
       
       if (this.dependencies.timer) {
         this.dependencies.timer.pause();
@@ -184,16 +282,7 @@ if (recordingIndicator) {
       }
     }
 
-    const recordingIndicator = document.getElementById('recording-indicator');
-  if (recordingIndicator) {
-    if (this.isPaused) {
-      recordingIndicator.style.background = 'rgba(255, 152, 0, 0.95)';
-      recordingIndicator.querySelector('.recording-text').textContent = 'PAUSED';
-    } else {
-      recordingIndicator.style.background = 'rgba(231, 76, 60, 0.95)';
-      recordingIndicator.querySelector('.recording-text').textContent = 'RECORDING';
-    }
-  }
+    this.updateRecordingIndicator();
 
     this.appState.setTrackingState(this.isTracking, this.isPaused);
     this.updateTrackingButtons();
@@ -204,30 +293,47 @@ if (recordingIndicator) {
     if (!this.isTracking || this.isPaused) return;
 
     const { latitude, longitude, accuracy } = position.coords;
-    
-    // Filter out inaccurate readings
-    if (accuracy > 100) {
-      console.warn(`GPS accuracy too low: ${accuracy}m`);
+
+    // Stationary detection runs on every raw fix, even ones the filter would drop
+    if (this.autoPauseEnabled) {
+      const motionEvent = this.autoPause.update({
+        coords: { lat: latitude, lng: longitude },
+        accuracy,
+        speed: position.coords.speed,
+        timestamp: position.timestamp || Date.now()
+      });
+
+      if (motionEvent?.type === 'stop-start') {
+        this.startAutoPause(motionEvent);
+      } else if (motionEvent?.type === 'stop-end') {
+        this.endAutoPause(motionEvent);
+      }
+
+      if (this.isAutoPaused) return;
+    }
+
+    // Run the fix through the smoothing pipeline (accuracy gate, outlier rejection,
+    // Kalman filter, adaptive movement threshold)
+    const result = this.gpsFilter.process(position);
+    if (!result.accepted) {
+      console.log(`🚫 GPS fix skipped (${result.stage}): ${result.reason}`);
       return;
     }
 
-    const currentCoords = { lat: latitude, lng: longitude };
+    const currentCoords = result.filtered;
     const lastCoords = this.appState.getLastCoords();
 
     // Calculate distance if we have a previous point
     if (lastCoords) {
       const distance = haversineDistance(lastCoords, currentCoords);
-      
-      // Ignore micro-movements (less than 3 meters)
-      if (distance < 0.003) return;
 
       // Calculate bearing (direction of movement)
-  const bearing = this.calculateBearing(lastCoords, currentCoords);
-  
-  // Update arrow direction on map
-  if (this.dependencies.map) {
-    this.dependencies.map.updateMarkerDirection(bearing);
-  }
+      const bearing = this.calculateBearing(lastCoords, currentCoords);
+
+      // Update arrow direction on map
+      if (this.dependencies.map) {
+        this.dependencies.map.updateMarkerDirection(bearing);
+      }
 
       // Update total distance
       const newTotal = this.appState.getTotalDistance() + distance;
@@ -240,12 +346,17 @@ if (recordingIndicator) {
       }
     }
 
-    // Add GPS point to route data
+    // Add GPS point to route data - filtered coords drive the route,
+    // the raw fix is kept alongside for later comparison
     this.appState.addRoutePoint({
       type: 'location',
       coords: currentCoords,
+      rawCoords: result.raw,
       timestamp: Date.now(),
-      accuracy: accuracy
+      accuracy: accuracy,
+      filteredAccuracy: result.filteredAccuracy,
+      speed: result.speed,
+      altitude: typeof position.coords.altitude === 'number' ? position.coords.altitude : null
     });
 
     this.appState.addPathPoint(currentCoords);
@@ -255,7 +366,94 @@ if (recordingIndicator) {
       this.dependencies.map.updateMarkerPosition(currentCoords);
     }
 
-    console.log(`📍 GPS: ${latitude.toFixed(6)}, ${longitude.toFixed(6)} (±${accuracy.toFixed(1)}m)`);
+    // NEW: e.g. trail following snaps this fix onto the trail
+    this.positionListeners.forEach(listener => {
+      try {
+        listener(currentCoords, { accuracy: result.filteredAccuracy, timestamp: Date.now() });
+      } catch (error) {
+        console.error('❌ Position listener failed:', error);
+      }
+    });
+
+    console.log(`📍 GPS: ${latitude.toFixed(6)}, ${longitude.toFixed(6)} (±${accuracy.toFixed(1)}m) → ${currentCoords.lat.toFixed(6)}, ${currentCoords.lng.toFixed(6)} (±${result.filteredAccuracy.toFixed(1)}m)`);
+  }
+
+  // NEW: Auto-pause - GPS keeps running so movement can resume recording
+  startAutoPause(event) {
+    this.isAutoPaused = true;
+
+    if (this.dependencies.timer) {
+      this.dependencies.timer.markStopped(event.startTime);
+    }
+
+    this.updateRecordingIndicator();
+    toast.info('Auto-paused: you seem to be stopped', { duration: 2500 });
+  }
+
+  endAutoPause(event) {
+    if (!this.isAutoPaused) return;
+    this.isAutoPaused = false;
+
+    if (this.dependencies.timer) {
+      this.dependencies.timer.markMoving();
+    }
+
+    if (event) {
+      this.recordStop(event.coords, event.startTime, event.endTime, true);
+
+      // Continue filtering from the last recorded point, not the stale filter state
+      const lastCoords = this.appState.getLastCoords();
+      if (lastCoords) {
+        this.gpsFilter.seed(lastCoords, event.startTime);
+      }
+    }
+
+    this.updateRecordingIndicator();
+    if (this.isTracking && !this.isPaused) {
+      toast.info('Movement detected, recording resumed', { duration: 2500 });
+    }
+  }
+
+  recordManualPause() {
+    if (!this.manualPause) return;
+
+    const { startTime, coords } = this.manualPause;
+    this.manualPause = null;
+    this.recordStop(coords, startTime, Date.now(), false);
+  }
+
+  // Stops are stored as route entries so they show up on the map and in exports
+  recordStop(coords, startTime, endTime, auto) {
+    const stopCoords = coords || this.appState.getLastCoords();
+    if (!stopCoords) return;
+
+    this.appState.addRoutePoint({
+      type: 'stop',
+      coords: stopCoords,
+      timestamp: startTime,
+      endTime: endTime,
+      duration: Math.max(0, endTime - startTime),
+      auto: auto
+    });
+
+    console.log(`🛑 Stop recorded: ${this.formatTime(endTime - startTime)} (${auto ? 'auto' : 'manual'})`);
+  }
+
+  updateRecordingIndicator() {
+    const recordingIndicator = document.getElementById('recording-indicator');
+    if (!recordingIndicator) return;
+
+    const text = recordingIndicator.querySelector('.recording-text');
+    if (this.isPaused) {
+      recordingIndicator.style.background = 'rgba(255, 152, 0, 0.95)';
+      if (text) text.textContent = 'PAUSED';
+    } else if (this.isAutoPaused) {
+      recordingIndicator.style.background = 'rgba(255, 193, 7, 0.95)';
+      if (text) text.textContent = 'AUTO-PAUSED';
+    } else {
+      recordingIndicator.style.background = 'rgba(231, 76, 60, 0.95)';
+      if (text) text.textContent = 'RECORDING';
+    }
   }
 
   handlePositionError(error) {
@@ -328,6 +526,20 @@ if (recordingIndicator) {
       stopBtn.disabled = !this.isTracking;
       stopBtn.style.opacity = this.isTracking ? '1' : '0.5';
     }
+
+    // NEW: Read-only while another tab is recording
+    if (this.isFollowing) {
+      [startBtn, pauseBtn, stopBtn].forEach(btn => {
+        if (!btn) return;
+        btn.disabled = true;
+        btn.style.opacity = '0.5';
+      });
+    }
+  }
+
+  setFollowerMode(following) {
+    this.isFollowing = following;
+    this.updateTrackingButtons();
   }
 
   updateDistanceDisplay(distance) {
@@ -356,12 +568,17 @@ if (recordingIndicator) {
     const locationPoints = routeData.filter(point => point.type === 'location').length;
     const photos = routeData.filter(point => point.type === 'photo').length;
     const notes = routeData.filter(point => point.type === 'text').length;
+    const stops = routeData.filter(point => point.type === 'stop').length;
+    const stoppedTime = this.appState.getStoppedTime();
+    const movingTime = this.appState.getMovingTime();
 
     // Create a detailed save dialog
 const routeStats = `Route Summary:
 📍 GPS Points: ${locationPoints}
 📏 Distance: ${totalDistance.toFixed(2)} km
 ⏱️ Duration: ${this.formatTime(elapsedTime)}
+🚶 Moving: ${this.formatTime(movingTime)}
+☕ Stopped: ${this.formatTime(stoppedTime)} (${stops} stops)
 📷 Photos: ${photos}
 📝 Notes: ${notes}`;
 
@@ -437,6 +654,9 @@ async saveRoute() {
     
     // Show success message for local save
     this.showSuccessMessage(`✅ "${routeName}" saved locally!`);
+
+    // Attach the measured elevation/slope profile (best effort - skipped offline)
+    const elevationProfile = await this.attachElevationProfile(savedSession);
     
     // Check if user is logged in and offer cloud save
     const app = window.AccessNatureApp;
@@ -448,13 +668,12 @@ async saveRoute() {
       
       if (cloudChoice && cloudChoice !== 'skip') {
         try {
-          // Get the current route data before clearing it
-          const routeData = this.appState.getRouteData();
           const routeInfo = {
             name: routeName,
             totalDistance: this.appState.getTotalDistance(),
             elapsedTime: this.appState.getElapsedTime(),
             date: new Date().toISOString(),
+            elevationProfile: elevationProfile,
             makePublic: cloudChoice === 'public' // Add this flag
           };
           
@@ -467,12 +686,12 @@ async saveRoute() {
             console.warn('Could not load accessibility data:', error);
           }
           
-          // Save to cloud directly
-          await this.saveRouteToCloud(routeData, routeInfo, accessibilityData, authController);
+          // UPDATED: queued in the outbox - retried automatically if this attempt fails
+          await this.saveRouteToCloud(savedSession, routeInfo, accessibilityData, authController);
           
         } catch (cloudError) {
           console.error('❌ Cloud save failed:', cloudError);
-          toast.error('⚠️ Local save successful, but cloud save failed.\nYou can upload it to cloud later from the Routes panel.');
+          toast.error('⚠️ Local save successful, but the cloud upload could not be queued.');
         }
       }
     } else {
@@ -493,6 +712,24 @@ async saveRoute() {
   }
 }
 
+// NEW: Look up elevation for a saved route and store the profile with it
+async attachElevationProfile(session) {
+  try {
+    const profile = await buildElevationProfile(session.data);
+    if (!profile) return null;
+
+    session.elevationProfile = profile;
+    await this.appState.updateSession(session);
+
+    const { totalAscent, maxGrade } = profile.summary;
+    console.log(`⛰️ Elevation profile saved: +${totalAscent.toFixed(0)} m, max grade ${maxGrade.toFixed(1)}%`);
+    return profile;
+  } catch (error) {
+    console.warn('⚠️ Elevation profile unavailable:', error);
+    return null;
+  }
+}
+
 // NEW: Ask user about cloud save options
 askCloudSaveOptions(routeName) {
   const message = `"${routeName}" saved locally! 
@@ -524,214 +761,206 @@ Choose an option:`;
   }
 }
 
-// UPDATED: Generate trail guide with public/private setting
-async generateTrailGuide(routeId, routeData, routeInfo, accessibilityData, authController) {
-  try {
-    console.log('🌐 Generating trail guide HTML...');
-    
-    // Get the export controller to generate HTML
-    const app = window.AccessNatureApp;
-    const exportController = app?.getController('export');
-    
-    if (!exportController || typeof exportController.generateRouteSummaryHTML !== 'function') {
-      console.warn('Export controller not available for HTML generation');
-      return;
-    }
-    
-    const htmlContent = exportController.generateRouteSummaryHTML(routeData, routeInfo, accessibilityData);
-    const user = authController.getCurrentUser();
-    
-    // Create trail guide document
-    const trailGuideDoc = {
-      routeId: routeId,
-      routeName: routeInfo.name,
-      userId: user.uid,
-      userEmail: user.email,
-      htmlContent: htmlContent,
-      generatedAt: new Date().toISOString(),
-      isPublic: routeInfo.makePublic || false, // Use the user's choice
-      
-      // Add publication info if made public
-      ...(routeInfo.makePublic && {
-        publishedAt: new Date().toISOString()
-      }),
-      
-      // Enhanced metadata for search and discovery
-      metadata: {
-        totalDistance: routeInfo.totalDistance || 0,
-        elapsedTime: routeInfo.elapsedTime || 0,
-        originalDate: routeInfo.date,
-        locationCount: routeData.filter(p => p.type === 'location').length,
-        photoCount: routeData.filter(p => p.type === 'photo').length,
-        noteCount: routeData.filter(p => p.type === 'text').length
-      },
-      
-      // Accessibility features for search
-      accessibility: accessibilityData ? {
-        wheelchairAccess: accessibilityData.wheelchairAccess || 'Unknown',
-        trailSurface: accessibilityData.trailSurface || 'Unknown',
-        difficulty: accessibilityData.difficulty || 'Unknown',
-        facilities: accessibilityData.facilities || [],
-        location: accessibilityData.location || 'Unknown'
-      } : null,
-      
-      // Technical info
-      stats: {
-        fileSize: new Blob([htmlContent]).size,
-        version: '1.0',
-        generatedBy: 'Access Nature App'
-      },
-      
-      // Community features
-      community: {
-        views: 0,
-        downloads: 0,
-        ratings: [],
-        averageRating: 0,
-        reviews: []
-      }
-    };
-    
-    // Import Firestore and save trail guide
-    const { collection, addDoc } = await import("https://www.gstatic.com/firebasejs/10.5.0/firebase-firestore.js");
-    const { db } = await import('../firebase-setup.js');
-    
-    const guideRef = await addDoc(collection(db, 'trail_guides'), trailGuideDoc);
-    
-    const visibilityText = routeInfo.makePublic ? 'public' : 'private';
-    console.log(`✅ ${visibilityText} trail guide generated with ID:`, guideRef.id);
-    
-  } catch (error) {
-    console.error('❌ Failed to generate trail guide:', error);
+// UPDATED: Queue the route for upload and try to send it right away
+async saveRouteToCloud(session, routeInfo, accessibilityData, authController) {
+  const user = authController.getCurrentUser();
+  if (!user) {
+    throw new Error('User not authenticated');
+  }
+
+  const item = await cloudOutbox.enqueue('route', {
+    sessionId: session.id,
+    routeId: createDocumentId(),
+    userId: user.uid,
+    routeInfo,
+    accessibilityData
+  }, { key: `route:${session.id}`, label: `Route "${routeInfo.name}"` });
+
+  const { sent, item: queued } = await cloudOutbox.trySend(item.id);
+
+  if (sent) {
+    // The trail guide was queued by the route upload
+    await cloudOutbox.flush();
+    this.showSuccessMessage(`✅ "${routeInfo.name}" saved to cloud with trail guide! ☁️`);
+  } else if (queued?.status === 'failed') {
+    toast.error(`Cloud upload of "${routeInfo.name}" failed: ${queued.lastError}`);
+  } else {
+    toast.info(`☁️ "${routeInfo.name}" will be uploaded when you're back online`);
   }
 }
 
-// NEW: Save route to cloud (separate method)
-async saveRouteToCloud(routeData, routeInfo, accessibilityData, authController) {
-  try {
-    console.log('☁️ Saving route to cloud...');
-    
-    // Import Firestore functions
-    const { collection, addDoc } = await import("https://www.gstatic.com/firebasejs/10.5.0/firebase-firestore.js");
-    const { db } = await import('../firebase-setup.js');
+// NEW: Outbox handler - loads the saved route so later edits are uploaded too
+async uploadRoute({ sessionId, routeId, userId, routeInfo, accessibilityData }) {
+  const user = window.AccessNatureApp?.getController('auth')?.getCurrentUser();
+  if (!user || user.uid !== userId) {
+    throw new OutboxWaitError('Sign in to upload this route');
+  }
+
+  const session = (await this.appState.getSessions()).find(s => s.id === sessionId);
+  if (!session) {
+    throw new OutboxPermanentError('The route was deleted before it could be uploaded');
+  }
+
+  console.log('☁️ Saving route to cloud...');
+
+  // Cloud documents carry photos and voice notes inline - load them from IndexedDB
+  const routeData = await this.appState.resolveMediaEntries(session.data);
+
+  const { doc, runTransaction } = await import(FIRESTORE_URL);
+  const { db } = await import('../firebase-setup.js');
+
+  // Prepare route document for Firestore
+  const routeDoc = {
+    userId: user.uid,
+    userEmail: user.email,
+    routeName: routeInfo.name,
+    createdAt: new Date().toISOString(),
+    uploadedAt: new Date().toISOString(),
     
-    const user = authController.getCurrentUser();
-    if (!user) {
-      throw new Error('User not authenticated');
-    }
+    // Route statistics
+    totalDistance: routeInfo.totalDistance || 0,
+    elapsedTime: routeInfo.elapsedTime || 0,
+    originalDate: routeInfo.date,
     
-    // Prepare route document for Firestore
-    const routeDoc = {
-      userId: user.uid,
-      userEmail: user.email,
-      routeName: routeInfo.name,
-      createdAt: new Date().toISOString(),
-      uploadedAt: new Date().toISOString(),
-      
-      // Route statistics
-      totalDistance: routeInfo.totalDistance || 0,
-      elapsedTime: routeInfo.elapsedTime || 0,
-      originalDate: routeInfo.date,
-      
-      // Route data
-      routeData: routeData,
-      
-      // Statistics for quick access
-      stats: {
-        locationPoints: routeData.filter(p => p.type === 'location').length,
-        photos: routeData.filter(p => p.type === 'photo').length,
-        notes: routeData.filter(p => p.type === 'text').length,
-        totalDataPoints: routeData.length
-      },
-      
-      // Accessibility information
-      accessibilityData: accessibilityData,
-      
-      // Technical info
-      deviceInfo: {
-        userAgent: navigator.userAgent,
-        timestamp: Date.now(),
-        appVersion: '1.0'
-      }
-    };
-
-    // Save route to cloud
-    const docRef = await addDoc(collection(db, 'routes'), routeDoc);
-    console.log('✅ Route saved to cloud with ID:', docRef.id);
+    // Route data
+    routeData: routeData,
     
-    // Generate trail guide HTML
-    await this.generateTrailGuide(docRef.id, routeData, routeInfo, accessibilityData, authController);
+    // Statistics for quick access
+    stats: {
+      locationPoints: routeData.filter(p => p.type === 'location').length,
+      photos: routeData.filter(p => p.type === 'photo').length,
+      notes: routeData.filter(p => p.type === 'text').length,
+      totalDataPoints: routeData.length
+    },
     
-    this.showSuccessMessage(`✅ "${routeInfo.name}" saved to cloud with trail guide! ☁️`);
+    // Measured elevation and slope analysis
+    elevationProfile: routeInfo.elevationProfile || null,
+
+    // Accessibility information
+    accessibilityData: accessibilityData,
     
-  } catch (error) {
-    console.error('❌ Cloud save failed:', error);
-    throw error;
+    // Technical info
+    deviceInfo: {
+      userAgent: navigator.userAgent,
+      timestamp: Date.now(),
+      appVersion: '1.0'
+    }
+  };
+
+  // The ID was fixed when queued - a retry after a lost response finds the document
+  const routeRef = doc(db, 'routes', routeId);
+  await runTransaction(db, async (transaction) => {
+    const existing = await transaction.get(routeRef);
+    if (!existing.exists()) transaction.set(routeRef, routeDoc);
+  });
+  console.log('✅ Route saved to cloud with ID:', routeId);
+
+  // Remember the upload locally (used to tell which photos are safe to free)
+  if (!session.cloudId) {
+    await this.appState.updateSession({ ...session, cloudId: routeId, uploadedAt: new Date().toISOString() });
   }
+
+  await cloudOutbox.enqueue('trailGuide', {
+    routeId,
+    guideId: createDocumentId(),
+    sessionId,
+    userId,
+    routeInfo,
+    accessibilityData
+  }, { key: `trailGuide:${routeId}`, label: `Trail guide "${routeInfo.name}"` });
+
+  return routeId;
 }
 
-// NEW: Save route to cloud (separate method)
-async saveRouteToCloud(routeData, routeInfo, accessibilityData, authController) {
-  try {
-    console.log('☁️ Saving route to cloud...');
-    
-    // Import Firestore functions
-    const { collection, addDoc } = await import("https://www.gstatic.com/firebasejs/10.5.0/firebase-firestore.js");
-    const { db } = await import('../firebase-setup.js');
+// UPDATED: Generate trail guide with public/private setting - outbox handler
+async generateTrailGuide({ routeId, guideId, sessionId, userId, routeInfo, accessibilityData }) {
+  console.log('🌐 Generating trail guide HTML...');
+  
+  // Get the export controller to generate HTML
+  const app = window.AccessNatureApp;
+  const exportController = app?.getController('export');
+  
+  if (!exportController || typeof exportController.generateRouteSummaryHTML !== 'function') {
+    throw new OutboxWaitError('Export controller not available for HTML generation');
+  }
+
+  const user = app.getController('auth')?.getCurrentUser();
+  if (!user || user.uid !== userId) {
+    throw new OutboxWaitError('Sign in to upload this trail guide');
+  }
+
+  const session = (await this.appState.getSessions()).find(s => s.id === sessionId);
+  if (!session) {
+    throw new OutboxPermanentError('The route was deleted before its trail guide was uploaded');
+  }
+
+  const routeData = await this.appState.resolveMediaEntries(session.data);
+  const htmlContent = exportController.generateRouteSummaryHTML(routeData, routeInfo, accessibilityData);
+  
+  // Create trail guide document
+  const trailGuideDoc = {
+    routeId: routeId,
+    routeName: routeInfo.name,
+    userId: user.uid,
+    userEmail: user.email,
+    htmlContent: htmlContent,
+    generatedAt: new Date().toISOString(),
+    isPublic: routeInfo.makePublic || false, // Use the user's choice
     
-    const user = authController.getCurrentUser();
-    if (!user) {
-      throw new Error('User not authenticated');
-    }
+    // Add publication info if made public
+    ...(routeInfo.makePublic && {
+      publishedAt: new Date().toISOString()
+    }),
     
-    // Prepare route document for Firestore
-    const routeDoc = {
-      userId: user.uid,
-      userEmail: user.email,
-      routeName: routeInfo.name,
-      createdAt: new Date().toISOString(),
-      uploadedAt: new Date().toISOString(),
-      
-      // Route statistics
+    // Enhanced metadata for search and discovery
+    metadata: {
       totalDistance: routeInfo.totalDistance || 0,
       elapsedTime: routeInfo.elapsedTime || 0,
       originalDate: routeInfo.date,
-      
-      // Route data
-      routeData: routeData,
-      
-      // Statistics for quick access
-      stats: {
-        locationPoints: routeData.filter(p => p.type === 'location').length,
-        photos: routeData.filter(p => p.type === 'photo').length,
-        notes: routeData.filter(p => p.type === 'text').length,
-        totalDataPoints: routeData.length
-      },
-      
-      // Accessibility information
-      accessibilityData: accessibilityData,
-      
-      // Technical info
-      deviceInfo: {
-        userAgent: navigator.userAgent,
-        timestamp: Date.now(),
-        appVersion: '1.0'
-      }
-    };
-
-    // Save route to cloud
-    const docRef = await addDoc(collection(db, 'routes'), routeDoc);
-    console.log('✅ Route saved to cloud with ID:', docRef.id);
+      locationCount: routeData.filter(p => p.type === 'location').length,
+      photoCount: routeData.filter(p => p.type === 'photo').length,
+      noteCount: routeData.filter(p => p.type === 'text').length
+    },
     
-    // Generate trail guide HTML
-    await this.generateTrailGuide(docRef.id, routeData, routeInfo, accessibilityData, authController);
+    // Accessibility features for search
+    accessibility: accessibilityData ? {
+      wheelchairAccess: accessibilityData.wheelchairAccess || 'Unknown',
+      trailSurface: accessibilityData.trailSurface || 'Unknown',
+      difficulty: accessibilityData.difficulty || 'Unknown',
+      facilities: accessibilityData.facilities || [],
+      location: accessibilityData.location || 'Unknown'
+    } : null,
     
-    this.showSuccessMessage(`✅ "${routeInfo.name}" saved to cloud with trail guide! ☁️`);
+    // Technical info
+    stats: {
+      fileSize: new Blob([htmlContent]).size,
+      version: '1.0',
+      generatedBy: 'Access Nature App'
+    },
     
-  } catch (error) {
-    console.error('❌ Cloud save failed:', error);
-    throw error;
-  }
+    // Community features
+    community: {
+      views: 0,
+      downloads: 0,
+      ratings: [],
+      averageRating: 0,
+      reviews: []
+    }
+  };
+  
+  // Import Firestore and save trail guide
+  const { doc, runTransaction } = await import(FIRESTORE_URL);
+  const { db } = await import('../firebase-setup.js');
+  
+  const guideRef = doc(db, 'trail_guides', guideId);
+  await runTransaction(db, async (transaction) => {
+    const existing = await transaction.get(guideRef);
+    if (!existing.exists()) transaction.set(guideRef, trailGuideDoc);
+  });
+  
+  const visibilityText = routeInfo.makePublic ? 'public' : 'private';
+  console.log(`✅ ${visibilityText} trail guide generated with ID:`, guideId);
+  return guideId;
 }
 
   discardRoute() {
@@ -816,9 +1045,13 @@ async saveRouteToCloud(routeData, routeInfo, accessibilityData, authController)
     return {
       isTracking: this.isTracking,
       isPaused: this.isPaused,
+      isAutoPaused: this.isAutoPaused,
       totalDistance: this.appState.getTotalDistance(),
       elapsedTime: this.appState.getElapsedTime(),
-      pointCount: this.appState.getRouteData().length
+      movingTime: this.dependencies.timer?.getMovingTime() ?? this.appState.getMovingTime(),
+      stoppedTime: this.dependencies.timer?.getStoppedTime() ?? this.appState.getStoppedTime(),
+      pointCount: this.appState.getRouteData().length,
+      gpsFilter: this.gpsFilter.getStats()
     };
   }
 
@@ -834,5 +1067,11 @@ async saveRouteToCloud(routeData, routeInfo, accessibilityData, authController)
     
     this.isTracking = false;
     this.isPaused = false;
+    this.isAutoPaused = false;
+    this.autoPause.reset();
+
+    if (this.dependencies.tabSync) {
+      this.dependencies.tabSync.releaseTracking();
+    }
   }
 }
\ No newline at end of file
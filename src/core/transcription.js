@@ -0,0 +1,78 @@
+// Optional transcription for voice notes, behind a small pluggable interface.
+//
+// A transcriber is { id, label, isSupported(), start({ lang }) } where start()
+// returns a session { finish(blob) -> Promise<string>, cancel() }.
+// start() runs when recording begins, so live engines can listen alongside
+// MediaRecorder; engines that work on the finished recording (e.g. an
+// on-device speech model) do their work in finish(blob). Register one with
+// registerTranscriber() - the user picks whether voice notes are transcribed.
+
+const FINISH_TIMEOUT = 5000;
+const transcribers = new Map();
+
+export function registerTranscriber(transcriber) {
+  if (!transcriber?.id || typeof transcriber.start !== 'function') {
+    throw new Error('A transcriber needs an id and a start() method');
+  }
+  transcribers.set(transcriber.id, transcriber);
+}
+
+export function getTranscriber(id) {
+  const transcriber = transcribers.get(id);
+  if (!transcriber || transcriber.isSupported?.() === false) return null;
+  return transcriber;
+}
+
+// Transcribers this browser can run
+export function getAvailableTranscribers() {
+  return [...transcribers.values()].filter(transcriber => transcriber.isSupported?.() !== false);
+}
+
+// Built-in: the browser's speech recognition, kept on the device where the
+// browser supports local processing
+const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+
+registerTranscriber({
+  id: 'web-speech',
+  label: 'Browser speech recognition',
+  isSupported: () => !!SpeechRecognition,
+
+  start({ lang = navigator.language || 'en-US' } = {}) {
+    const recognition = new SpeechRecognition();
+    recognition.lang = lang;
+    recognition.continuous = true;
+    recognition.interimResults = false;
+    if ('processLocally' in recognition) {
+      recognition.processLocally = true;
+    }
+
+    const parts = [];
+    let markEnded;
+    const ended = new Promise(resolve => {
+      markEnded = resolve;
+    });
+
+    recognition.onresult = (event) => {
+      for (let i = event.resultIndex; i < event.results.length; i++) {
+        if (event.results[i].isFinal) {
+          parts.push(event.results[i][0].transcript.trim());
+        }
+      }
+    };
+    recognition.onerror = (event) => console.warn('⚠️ Speech recognition error:', event.error);
+    recognition.onend = () => markEnded();
+    recognition.start();
+
+    return {
+      async finish() {
+        recognition.stop();
+        // Some browsers never fire 'end' after an error - don't hold the note back
+        await Promise.race([ended, new Promise(resolve => setTimeout(resolve, FINISH_TIMEOUT))]);
+        return parts.join(' ').trim();
+      },
+      cancel() {
+        recognition.abort();
+      }
+    };
+  }
+});
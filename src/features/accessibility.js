@@ -1,9 +1,14 @@
 // Enhanced accessibility form functionality with comprehensive survey
+import { SLOPE_CATEGORIES, buildElevationProfile } from '../utils/elevation.js';
+import { suggestAccessibilityValues, getLocationCoords } from '../utils/route-analysis.js';
+
 export class AccessibilityForm {
   constructor() {
     this.isOpen = false;
     this.currentCallback = null;
     this.formData = {};
+    this.suggestions = {};
+    this.elevationCache = null;
   }
 
   initialize() {
@@ -255,16 +260,16 @@ export class AccessibilityForm {
                 <label>Trail Slopes</label>
                 <div class="radio-group">
                   <div class="radio-item">
-                    <input type="radio" id="slopeNone" name="trailSlopes" value="No slopes to mild slopes (up to 5%)">
-                    <label for="slopeNone">No slopes to mild slopes (up to 5%)</label>
+                    <input type="radio" id="slopeNone" name="trailSlopes" value="${SLOPE_CATEGORIES.mild.label}">
+                    <label for="slopeNone">${SLOPE_CATEGORIES.mild.label}</label>
                   </div>
                   <div class="radio-item">
-                    <input type="radio" id="slopeModerate" name="trailSlopes" value="Moderate slopes - assistance recommended (5%-10%)">
-                    <label for="slopeModerate">Moderate slopes - assistance recommended (5%-10%)</label>
+                    <input type="radio" id="slopeModerate" name="trailSlopes" value="${SLOPE_CATEGORIES.moderate.label}">
+                    <label for="slopeModerate">${SLOPE_CATEGORIES.moderate.label}</label>
                   </div>
                   <div class="radio-item">
-                    <input type="radio" id="slopeSteep" name="trailSlopes" value="Steep slopes - not accessible (over 10%)">
-                    <label for="slopeSteep">Steep slopes - not accessible (over 10%)</label>
+                    <input type="radio" id="slopeSteep" name="trailSlopes" value="${SLOPE_CATEGORIES.steep.label}">
+                    <label for="slopeSteep">${SLOPE_CATEGORIES.steep.label}</label>
                   </div>
                 </div>
               </div>
@@ -534,6 +539,16 @@ export class AccessibilityForm {
       if (surveyDateField && !surveyDateField.value) {
         surveyDateField.value = new Date().toISOString().split('T')[0];
       }
+
+      // Editing a suggested field by hand counts as overriding the suggestion
+      const handleManualEdit = (e) => {
+        const name = e.target.name;
+        if (this.suggestions[name] && this.suggestions[name].status !== 'accepted') {
+          this.resolveSuggestion(name, 'overridden');
+        }
+      };
+      form.addEventListener('change', handleManualEdit);
+      form.addEventListener('input', handleManualEdit);
     }
 
     // Make toggle function global
@@ -662,9 +677,140 @@ export class AccessibilityForm {
       });
     } catch (error) {
       console.error('Failed to prefill form:', error);
+    } finally {
+      this.applyTrackSuggestions();
+    }
+  }
+
+  // NEW: Suggest answers measured from the recorded track
+  async applyTrackSuggestions() {
+    const form = document.getElementById('accessibilityForm');
+    if (!form) return;
+
+    form.querySelectorAll('.suggested-badge').forEach(badge => badge.remove());
+    this.suggestions = {};
+
+    const app = window.AccessNatureApp;
+    const state = app?.getController('state');
+    const routeData = state?.getRouteData() || [];
+    if (getLocationCoords(routeData).length < 2) return;
+
+    const timer = app?.getController('timer');
+    const elapsedTime = timer?.isTimerRunning() ? timer.getCurrentElapsed() : state.getElapsedTime();
+
+    const trackMetrics = {
+      routeData,
+      totalDistance: state.getTotalDistance(),
+      elapsedTime,
+      elevationProfile: this.getCachedElevationProfile(routeData)
+    };
+
+    Object.entries(suggestAccessibilityValues(trackMetrics)).forEach(([name, suggestion]) => {
+      this.showSuggestion(form, name, suggestion);
+    });
+
+    // Elevation needs a network/DEM lookup - add the slope suggestion when it arrives
+    if (!trackMetrics.elevationProfile) {
+      const profile = await this.loadElevationProfile(routeData);
+      const slopes = profile && suggestAccessibilityValues({ ...trackMetrics, elevationProfile: profile }).trailSlopes;
+      if (slopes && this.isOpen) {
+        this.showSuggestion(form, 'trailSlopes', slopes);
+      }
+    }
+  }
+
+  getCachedElevationProfile(routeData) {
+    const pointCount = getLocationCoords(routeData).length;
+    return this.elevationCache?.pointCount === pointCount ? this.elevationCache.profile : null;
+  }
+
+  async loadElevationProfile(routeData) {
+    try {
+      const profile = await buildElevationProfile(routeData);
+      this.elevationCache = { pointCount: getLocationCoords(routeData).length, profile };
+      return profile;
+    } catch (error) {
+      console.warn('Elevation lookup failed, skipping slope suggestion:', error);
+      return null;
+    }
+  }
+
+  showSuggestion(form, name, suggestion) {
+    const fields = form.querySelectorAll(`[name="${name}"]`);
+    const group = fields[0]?.closest('.form-group');
+    if (!group) return;
+
+    // Only fill empty fields - never overwrite what the surveyor entered
+    const currentValue = this.getFieldValue(form, name);
+    const prefilled = Array.isArray(currentValue) ? currentValue.length === 0 : !currentValue;
+    const applied = prefilled || [].concat(currentValue).sort().join('|') === [].concat(suggestion.value).sort().join('|');
+    if (prefilled) {
+      this.setFieldValue(form, name, suggestion.value);
+    }
+
+    this.suggestions[name] = { ...suggestion, status: applied ? 'suggested' : 'pending' };
+
+    group.querySelector(`.suggested-badge[data-field="${name}"]`)?.remove();
+    const badge = document.createElement('span');
+    badge.className = 'suggested-badge';
+    badge.dataset.field = name;
+    badge.title = suggestion.reason;
+    badge.innerHTML = applied
+      ? `✨ Suggested
+         <button type="button" class="suggested-accept" aria-label="Accept suggested value">✓</button>
+         <button type="button" class="suggested-dismiss" aria-label="Clear suggested value">✕</button>`
+      : `✨ Suggested: ${[].concat(suggestion.value).join(', ')}
+         <button type="button" class="suggested-accept" aria-label="Use suggested value">Use</button>
+         <button type="button" class="suggested-dismiss" aria-label="Keep my answer">✕</button>`;
+
+    badge.querySelector('.suggested-accept').addEventListener('click', () => {
+      this.setFieldValue(form, name, suggestion.value);
+      this.resolveSuggestion(name, 'accepted');
+    });
+    badge.querySelector('.suggested-dismiss').addEventListener('click', () => {
+      if (prefilled) this.setFieldValue(form, name, '');
+      this.resolveSuggestion(name, 'overridden');
+    });
+
+    const label = group.querySelector('label');
+    (label || group).appendChild(badge);
+  }
+
+  resolveSuggestion(name, status) {
+    if (!this.suggestions[name]) return;
+    this.suggestions[name].status = status;
+    document.querySelector(`#accessibilityForm .suggested-badge[data-field="${name}"]`)?.remove();
+  }
+
+  getFieldValue(form, name) {
+    const fields = form.querySelectorAll(`[name="${name}"]`);
+    if (fields.length === 0) return '';
+    if (fields[0].type === 'radio') {
+      return Array.from(fields).find(field => field.checked)?.value || '';
+    }
+    if (fields[0].type === 'checkbox') {
+      return Array.from(fields).filter(field => field.checked).map(field => field.value);
+    }
+    return fields[0].value;
+  }
+
+  setFieldValue(form, name, value) {
+    const fields = form.querySelectorAll(`[name="${name}"]`);
+    if (fields.length === 0) return;
+    if (fields[0].type === 'radio') {
+      fields.forEach(field => { field.checked = field.value === value; });
+    } else if (fields[0].type === 'checkbox') {
+      const values = [].concat(value || []);
+      fields.forEach(field => { field.checked = values.includes(field.value); });
+    } else {
+      fields[0].value = value;
     }
   }
 
+  getSuggestions() {
+    return { ...this.suggestions };
+  }
+
   getFormData() {
     return { ...this.formData };
   }
@@ -674,7 +674,7 @@ async saveCurrentRouteToCloud() {
     
     if (!routeDataToSave || routeDataToSave.length === 0) {
       // No current route data, let user choose from saved routes
-      const savedSessions = state?.getSessions();
+      const savedSessions = await state?.getSessions();
       
       if (!savedSessions || savedSessions.length === 0) {
         alert('❌ No route data available to save to cloud.\n\n💡 To save routes to cloud:\n• Start tracking and record a route, OR\n• Save a route locally first, then upload it to cloud');
@@ -717,6 +717,11 @@ async saveCurrentRouteToCloud() {
       return;
     }
 
+    // Cloud documents carry photos and voice notes inline - load them from IndexedDB
+    if (state?.resolveMediaEntries) {
+      routeDataToSave = await state.resolveMediaEntries(routeDataToSave);
+    }
+
     // Show saving indicator
     this.showCloudSyncIndicator('Saving route to cloud...');
     console.log('☁️ Starting cloud save process for:', routeInfo.name);
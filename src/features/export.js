@@ -1,8 +1,16 @@
 // Export functionality - Fixed to handle both current and saved routes
+import { buildElevationProfile, SLOPE_CATEGORIES } from '../utils/elevation.js';
+import { buildGPX, parseGPX, gpxToRouteData } from './gpx.js';
+import { buildGeoJSON, buildKML, parseGeoJSON, parseKML, isGeoJSON } from './geo-formats.js';
+import { EXPORT_SCHEMA_VERSION, migrateExportFile, validateRoute, validateRouteData } from '../core/route-schema.js';
+import { isMarkerEntry, getMarkerType, describeMarkerAttributes, summarizeMarkers, describeMarkerSummary } from '../utils/trail-markers.js';
+import { hasSurfaceData, buildSurfaceSegments, surfaceBreakdown, getSurfaceColor } from '../utils/surfaces.js';
+
 export class ExportController {
   constructor(appState) {
     this.appState = appState;
     this.dependencies = {};
+    this.importedReports = [];
   }
 
   setDependencies(deps) {
@@ -39,9 +47,9 @@ export class ExportController {
   }
 
   // NEW: Show export options - current route or saved routes
-  showExportOptions() {
+  async showExportOptions() {
     const currentRouteData = this.appState.getRouteData();
-    const savedSessions = this.appState.getSessions();
+    const savedSessions = await this.appState.getSessions();
     
     let message = '📦 Export Options:\n\n';
     let options = [];
@@ -96,18 +104,23 @@ export class ExportController {
   }
 
   // Export current active route
-  exportCurrentRoute() {
-    const routeData = this.appState.getRouteData();
-    if (!routeData || routeData.length === 0) {
+  async exportCurrentRoute() {
+    const currentRouteData = this.appState.getRouteData();
+    if (!currentRouteData || currentRouteData.length === 0) {
       alert('No current route data to export');
       return;
     }
 
+    // Exported files are self-contained - stored photos are inlined again
+    const routeData = await this.resolveMedia(currentRouteData);
+
     const exportData = {
       exportType: 'current_route',
+      schemaVersion: EXPORT_SCHEMA_VERSION,
       exportDate: new Date().toISOString(),
       totalDistance: this.appState.getTotalDistance(),
       elapsedTime: this.appState.getElapsedTime(),
+      stoppedTime: this.appState.getStoppedTime(),
       route: routeData
     };
 
@@ -116,8 +129,8 @@ export class ExportController {
   }
 
   // Show list of saved routes for export selection
-  showSavedRoutesForExport() {
-    const sessions = this.appState.getSessions();
+  async showSavedRoutesForExport() {
+    const sessions = await this.appState.getSessions();
     if (!sessions || sessions.length === 0) {
       alert('No saved routes available');
       return;
@@ -145,18 +158,20 @@ export class ExportController {
   }
 
   // Export a specific saved route
-  exportSavedRoute(session) {
+  async exportSavedRoute(session) {
     const exportData = {
       exportType: 'saved_route',
+      schemaVersion: EXPORT_SCHEMA_VERSION,
       exportDate: new Date().toISOString(),
       routeInfo: {
         id: session.id,
         name: session.name,
         originalDate: session.date,
         totalDistance: session.totalDistance,
-        elapsedTime: session.elapsedTime
+        elapsedTime: session.elapsedTime,
+        stoppedTime: session.stoppedTime
       },
-      route: session.data || []
+      route: await this.resolveMedia(session.data || [])
     };
 
     const filename = `${session.name.replace(/[^a-z0-9]/gi, '_').toLowerCase()}-${session.id}.json`;
@@ -165,8 +180,8 @@ export class ExportController {
   }
 
   // Export all saved routes
-  exportAllRoutes() {
-    const sessions = this.appState.getSessions();
+  async exportAllRoutes() {
+    const sessions = await this.appState.getSessions();
     if (!sessions || sessions.length === 0) {
       alert('No saved routes to export');
       return;
@@ -174,58 +189,96 @@ export class ExportController {
 
     const exportData = {
       exportType: 'all_routes',
+      schemaVersion: EXPORT_SCHEMA_VERSION,
       exportDate: new Date().toISOString(),
       totalRoutes: sessions.length,
-      routes: sessions.map(session => ({
+      routes: await Promise.all(sessions.map(async session => ({
         id: session.id,
         name: session.name,
         date: session.date,
         totalDistance: session.totalDistance,
         elapsedTime: session.elapsedTime,
+        stoppedTime: session.stoppedTime,
         dataPoints: session.data ? session.data.length : 0,
-        route: session.data || []
-      }))
+        route: await this.resolveMedia(session.data || [])
+      })))
     };
 
     this.downloadJSON(exportData, `all-routes-export-${Date.now()}.json`);
     this.showSuccessMessage(`✅ All ${sessions.length} routes exported successfully!`);
   }
 
-  // Updated GPX export to handle both current and saved routes
-  exportGPX() {
+  // NEW: Shared route picker for the GPX/GeoJSON/KML exports.
+  // Returns { routeData, routeInfo, baseName } or null when nothing was chosen.
+  async selectRouteToExport(formatLabel) {
     const currentRouteData = this.appState.getRouteData();
-    const savedSessions = this.appState.getSessions();
-    
-    let routeDataToExport = null;
-    let filename = `route-${Date.now()}.gpx`;
-    
-    // Determine what data to export
+    const savedSessions = await this.appState.getSessions();
+
+    const fromSession = (session) => ({
+      routeData: session.data || [],
+      routeInfo: session,
+      baseName: session.name.replace(/[^a-z0-9]/gi, '_').toLowerCase()
+    });
+
     if (currentRouteData && currentRouteData.length > 0) {
-      const useCurrent = confirm('Export current route to GPX?\n\nClick OK for current route, Cancel to choose from saved routes.');
-      
+      const useCurrent = confirm(`Export current route to ${formatLabel}?\n\nClick OK for current route, Cancel to choose from saved routes.`);
+
       if (useCurrent) {
-        routeDataToExport = currentRouteData;
-        filename = `current-route-${Date.now()}.gpx`;
-      } else if (savedSessions && savedSessions.length > 0) {
-        const selectedRoute = this.selectRouteForExport(savedSessions);
-        if (selectedRoute) {
-          routeDataToExport = selectedRoute.data;
-          filename = `${selectedRoute.name.replace(/[^a-z0-9]/gi, '_').toLowerCase()}.gpx`;
-        }
+        return {
+          routeData: currentRouteData,
+          routeInfo: {
+            name: 'Current Route',
+            totalDistance: this.appState.getTotalDistance(),
+            elapsedTime: this.appState.getElapsedTime(),
+            stoppedTime: this.appState.getStoppedTime(),
+            date: new Date().toISOString()
+          },
+          baseName: `current-route-${Date.now()}`
+        };
       }
-    } else if (savedSessions && savedSessions.length > 0) {
+    }
+
+    if (savedSessions && savedSessions.length > 0) {
       const selectedRoute = this.selectRouteForExport(savedSessions);
-      if (selectedRoute) {
-        routeDataToExport = selectedRoute.data;
-        filename = `${selectedRoute.name.replace(/[^a-z0-9]/gi, '_').toLowerCase()}.gpx`;
-      }
-    } else {
+      return selectedRoute ? fromSession(selectedRoute) : null;
+    }
+
+    return null;
+  }
+
+  // NEW: Photos and voice notes live in IndexedDB - inline them for self-contained exports
+  async resolveMedia(routeData) {
+    return this.appState.resolveMediaEntries ? this.appState.resolveMediaEntries(routeData) : routeData;
+  }
+
+  // NEW: saved routes carry their own survey, the live route uses the form's last save
+  getAccessibilityDataForExport(routeInfo) {
+    if (routeInfo?.accessibilityData) return routeInfo.accessibilityData;
+
+    try {
+      const storedAccessibilityData = localStorage.getItem('accessibilityData');
+      return storedAccessibilityData ? JSON.parse(storedAccessibilityData) : null;
+    } catch (error) {
+      console.warn('Could not load accessibility data:', error);
+      return null;
+    }
+  }
+
+  // Updated GPX export to handle both current and saved routes
+  async exportGPX() {
+    const currentRouteData = this.appState.getRouteData();
+    const savedSessions = await this.appState.getSessions();
+
+    if (!(currentRouteData && currentRouteData.length > 0) && !(savedSessions && savedSessions.length > 0)) {
       alert('❌ No GPS data available to export to GPX!\n\nTo export GPX files:\n• Start tracking and record a route with GPS points, OR\n• Load a previously saved route');
       return;
     }
-    
-    if (!routeDataToExport) return;
-    
+
+    const selection = await this.selectRouteToExport('GPX');
+    if (!selection) return;
+
+    const { routeInfo } = selection;
+    const routeDataToExport = await this.resolveMedia(selection.routeData);
     const locationPoints = routeDataToExport.filter(point => point.type === 'location' && point.coords);
     
     if (locationPoints.length === 0) {
@@ -233,16 +286,92 @@ export class ExportController {
       return;
     }
 
+    const accessibilityData = this.getAccessibilityDataForExport(routeInfo);
+
     try {
-      const gpxContent = this.generateGPX(locationPoints);
-      this.downloadFile(gpxContent, filename, 'application/gpx+xml');
-      this.showSuccessMessage(`✅ GPX file exported with ${locationPoints.length} GPS points!`);
+      const gpxContent = this.generateGPX(routeDataToExport, routeInfo, accessibilityData);
+      const waypointCount = routeDataToExport.filter(point => point.type !== 'location' && point.coords).length;
+      this.downloadFile(gpxContent, `${selection.baseName}.gpx`, 'application/gpx+xml');
+      this.showSuccessMessage(`✅ GPX file exported with ${locationPoints.length} GPS points and ${waypointCount} waypoints!`);
     } catch (error) {
       console.error('GPX export failed:', error);
       alert('❌ GPX export failed: ' + error.message);
     }
   }
 
+  // NEW: GeoJSON export for GIS tools - route, notes/photos and optionally accessibility reports
+  async exportGeoJSON() {
+    const content = await this.selectGeoExportContent('GeoJSON');
+    if (!content) return;
+
+    try {
+      const geojson = buildGeoJSON(content);
+      this.downloadFile(JSON.stringify(geojson, null, 2), `${content.baseName}.geojson`, 'application/geo+json');
+      this.showSuccessMessage(`✅ GeoJSON exported with ${geojson.features.length} features!`);
+    } catch (error) {
+      console.error('GeoJSON export failed:', error);
+      alert('❌ GeoJSON export failed: ' + error.message);
+    }
+  }
+
+  // NEW: KML export for Google Earth / My Maps
+  async exportKML() {
+    const content = await this.selectGeoExportContent('KML');
+    if (!content) return;
+
+    try {
+      const kml = buildKML(content);
+      this.downloadFile(kml, `${content.baseName}.kml`, 'application/vnd.google-earth.kml+xml');
+      this.showSuccessMessage('✅ KML file exported successfully!');
+    } catch (error) {
+      console.error('KML export failed:', error);
+      alert('❌ KML export failed: ' + error.message);
+    }
+  }
+
+  // Route (if any) plus accessibility reports for the GIS formats
+  async selectGeoExportContent(formatLabel) {
+    const savedSessions = await this.appState.getSessions();
+    const hasRoutes = this.appState.getRouteData().length > 0 || savedSessions.length > 0;
+
+    let selection = null;
+    if (hasRoutes) {
+      selection = await this.selectRouteToExport(formatLabel);
+    }
+
+    const includeReports = confirm(`Include community accessibility reports in the ${formatLabel} file?`);
+    let reportData = { reports: [], issueTypes: {}, severityLevels: {} };
+    if (includeReports) {
+      reportData = await this.loadAccessReports();
+    }
+
+    if (!selection && reportData.reports.length === 0) {
+      alert(`❌ Nothing to export to ${formatLabel}.\n\nRecord or load a route, or include accessibility reports.`);
+      return null;
+    }
+
+    return {
+      routeData: await this.resolveMedia(selection?.routeData || []),
+      routeInfo: selection?.routeInfo || { name: 'Accessibility Reports' },
+      accessibilityData: selection ? this.getAccessibilityDataForExport(selection.routeInfo) : null,
+      baseName: selection?.baseName || `accessibility-reports-${Date.now()}`,
+      ...reportData
+    };
+  }
+
+  // Reports live in Firestore - load the controller only when they're requested
+  async loadAccessReports() {
+    try {
+      const { accessReportController, ISSUE_TYPES, SEVERITY_LEVELS } = await import('../controllers/access-report-controller.js');
+      const reports = await accessReportController.getReports({ isPublic: true, limit: 1000 });
+      return { reports, issueTypes: ISSUE_TYPES, severityLevels: SEVERITY_LEVELS };
+    } catch (error) {
+      console.error('Failed to load accessibility reports:', error);
+      alert('⚠️ Could not load accessibility reports - exporting without them.');
+      return { reports: [], issueTypes: {}, severityLevels: {} };
+    }
+  }
+
   // Updated PDF export with route selection
   exportPDF() {
     if (!window.jsPDF) {
@@ -350,7 +479,12 @@ export class ExportController {
       `⏱️ Duration: ${this.formatDuration(routeInfo.elapsedTime || 0)}`,
       `📍 GPS Points: ${routeData.filter(p => p.type === 'location').length}`,
       `📷 Photos: ${routeData.filter(p => p.type === 'photo').length}`,
-      `📝 Notes: ${routeData.filter(p => p.type === 'text').length}`
+      `📝 Notes: ${routeData.filter(p => p.type === 'text').length}`,
+      `🎙️ Voice Notes: ${routeData.filter(p => p.type === 'audio').length}`,
+      ...describeMarkerSummary(summarizeMarkers(routeData)),
+      ...(hasSurfaceData(routeData)
+        ? surfaceBreakdown(routeData).map(item => `🛤️ ${item.surface || 'Unknown surface'}: ${item.distanceKm.toFixed(2)} km (${item.percent}%)`)
+        : [])
     ];
 
     stats.forEach(stat => {
@@ -387,32 +521,9 @@ export class ExportController {
   }
 
   // Keep all the existing methods (generateGPX, handleFileImport, etc.)
-  generateGPX(locationPoints) {
-    let gpx = `<?xml version="1.0" encoding="UTF-8"?>
-<gpx version="1.1" creator="Access Nature" xmlns="http://www.topografix.com/GPX/1/1">
-  <metadata>
-    <name>Access Nature Route</name>
-    <desc>Generated by Access Nature App</desc>
-    <time>${new Date().toISOString()}</time>
-  </metadata>
-  <trk>
-    <name>Route Track</name>
-    <trkseg>`;
-
-    locationPoints.forEach(point => {
-      const timestamp = new Date(point.timestamp).toISOString();
-      gpx += `
-      <trkpt lat="${point.coords.lat}" lon="${point.coords.lng}">
-        <time>${timestamp}</time>
-      </trkpt>`;
-    });
-
-    gpx += `
-    </trkseg>
-  </trk>
-</gpx>`;
-
-    return gpx;
+  // UPDATED: full GPX 1.1 - waypoints, elevation, accuracy and the accessibility survey
+  generateGPX(routeData, routeInfo = {}, accessibilityData = null) {
+    return buildGPX({ routeData, routeInfo: routeInfo || {}, accessibilityData });
   }
 
   formatDuration(milliseconds) {
@@ -464,8 +575,12 @@ export class ExportController {
         await this.importJSON(file);
       } else if (fileType === 'gpx') {
         await this.importGPX(file);
+      } else if (fileType === 'geojson') {
+        await this.importGeoFile(parseGeoJSON(await this.readFileAsText(file)), 'GeoJSON');
+      } else if (fileType === 'kml') {
+        await this.importGeoFile(parseKML(await this.readFileAsText(file)), 'KML');
       } else {
-        throw new Error('Unsupported file type. Please use .json or .gpx files.');
+        throw new Error('Unsupported file type. Please use .json, .gpx, .geojson or .kml files.');
       }
       
     } catch (error) {
@@ -480,25 +595,35 @@ export class ExportController {
     const text = await this.readFileAsText(file);
     const data = JSON.parse(text);
 
-    let routeData = null;
-    
-    // Handle different export formats
-    if (data.route && Array.isArray(data.route)) {
-      routeData = data.route;
-    } else if (data.routes && Array.isArray(data.routes)) {
+    // GeoJSON saved with a plain .json extension
+    if (isGeoJSON(data)) {
+      await this.importGeoFile(parseGeoJSON(data), 'GeoJSON');
+      return;
+    }
+
+    // UPDATED: older export formats are upgraded through the schema migration chain
+    const routes = migrateExportFile(data);
+    let route = routes[0];
+
+    if (routes.length > 1) {
       // Multiple routes - let user choose
-      const routeNames = data.routes.map((r, i) => `${i + 1}. ${r.name || 'Route ' + (i + 1)}`);
+      const routeNames = routes.map((r, i) => `${i + 1}. ${r.name}`);
       const choice = prompt(`Multiple routes found. Select one:\n${routeNames.join('\n')}\n\nEnter number:`);
       const index = parseInt(choice) - 1;
-      if (index >= 0 && index < data.routes.length) {
-        routeData = data.routes[index].route;
-      }
+      route = index >= 0 && index < routes.length ? routes[index] : null;
     }
 
-    if (!routeData || !Array.isArray(routeData)) {
-      throw new Error('Invalid JSON format - no route data found');
+    if (!route) return;
+
+    // Validate before touching the current route so a bad file can't corrupt state
+    const { valid, errors } = validateRoute(route);
+    if (!valid) {
+      this.showValidationErrors(errors);
+      return;
     }
 
+    const routeData = route.data;
+
     const shouldClear = this.appState.getRouteData().length > 0 ? 
       confirm('Clear current route data before importing?') : true;
 
@@ -508,21 +633,92 @@ export class ExportController {
 
     routeData.forEach(point => {
       this.appState.addRoutePoint(point);
+      if (point.type === 'location') {
+        this.appState.addPathPoint(point.coords);
+      }
     });
 
+    if (shouldClear) {
+      this.appState.updateDistance(route.totalDistance || 0);
+      this.appState.setElapsedTime(route.elapsedTime || 0);
+      this.appState.setStoppedTime(route.stoppedTime || 0);
+    }
+
     this.showSuccessMessage(`✅ Successfully imported ${routeData.length} data points!`);
   }
 
+  // NEW: List schema errors by field path
+  showValidationErrors(errors) {
+    const shown = errors.slice(0, 10).map(e => `• ${e.path}: ${e.message}`).join('\n');
+    const more = errors.length > 10 ? `\n…and ${errors.length - 10} more` : '';
+    console.error('❌ Import validation failed:', errors);
+    alert(`❌ Import failed - the file doesn't match the route format:\n\n${shown}${more}`);
+  }
+
   async importGPX(file) {
     const text = await this.readFileAsText(file);
-    const parser = new DOMParser();
-    const gpxDoc = parser.parseFromString(text, 'text/xml');
+    const parsed = parseGPX(text);
 
-    const trackPoints = gpxDoc.querySelectorAll('trkpt');
-    if (trackPoints.length === 0) {
+    if (parsed.tracks.length === 0) {
       throw new Error('No track points found in GPX file');
     }
 
+    await this.applyImportedRoute(parsed, 'GPX');
+  }
+
+  // NEW: GeoJSON/KML import - same flow as GPX, plus any accessibility reports
+  async importGeoFile(parsed, formatLabel) {
+    if (parsed.tracks.length === 0 && parsed.waypoints.length === 0 && parsed.reports.length === 0) {
+      throw new Error(`No routes, points or reports found in ${formatLabel} file`);
+    }
+
+    if (parsed.tracks.length > 0 || parsed.waypoints.length > 0) {
+      const imported = await this.applyImportedRoute(parsed, formatLabel);
+      if (!imported) return;
+    }
+
+    if (parsed.reports.length > 0) {
+      this.importedReports = parsed.reports;
+      if (this.dependencies.map) {
+        await this.dependencies.map.showReportMarkers(parsed.reports);
+      }
+      this.showSuccessMessage(`✅ Imported ${parsed.reports.length} accessibility reports from ${formatLabel}!`);
+    }
+  }
+
+  getImportedReports() {
+    return this.importedReports;
+  }
+
+  // Shared by the GPX/GeoJSON/KML importers - parsed is the parseGPX() shape
+  async applyImportedRoute(parsed, formatLabel) {
+    // NEW: multi-track files - pick one or merge them all
+    let trackIndexes = null;
+    if (parsed.tracks.length > 1) {
+      const trackNames = parsed.tracks.map((t, i) => {
+        const points = t.segments.reduce((sum, segment) => sum + segment.length, 0);
+        return `${i + 1}. ${t.name} (${points} points)`;
+      });
+      const choice = prompt(`Multiple tracks found. Select one:\n${trackNames.join('\n')}\n\nEnter number, or leave empty to merge all tracks:`);
+      if (choice === null) return false;
+
+      if (choice.trim() !== '') {
+        const index = parseInt(choice) - 1;
+        if (!(index >= 0 && index < parsed.tracks.length)) {
+          throw new Error('Invalid track selection');
+        }
+        trackIndexes = [index];
+      }
+    }
+
+    const { routeData, totalDistance } = gpxToRouteData(parsed, trackIndexes);
+
+    const validation = validateRouteData(routeData);
+    if (!validation.valid) {
+      this.showValidationErrors(validation.errors);
+      return false;
+    }
+
     const shouldClear = this.appState.getRouteData().length > 0 ? 
       confirm('Clear current route data before importing?') : true;
 
@@ -530,26 +726,41 @@ export class ExportController {
       this.appState.clearRouteData();
     }
 
-    let importedPoints = 0;
-    trackPoints.forEach(trkpt => {
-      const lat = parseFloat(trkpt.getAttribute('lat'));
-      const lon = parseFloat(trkpt.getAttribute('lon'));
-      
-      if (isNaN(lat) || isNaN(lon)) return;
-
-      const timeElement = trkpt.querySelector('time');
-      
-      const point = {
-        type: 'location',
-        coords: { lat, lng: lon },
-        timestamp: timeElement ? new Date(timeElement.textContent).getTime() : Date.now() + importedPoints * 1000
-      };
-
+    routeData.forEach(point => {
       this.appState.addRoutePoint(point);
-      importedPoints++;
+      if (point.type === 'location') {
+        this.appState.addPathPoint(point.coords);
+      }
     });
 
-    this.showSuccessMessage(`✅ Successfully imported ${importedPoints} GPS points from GPX!`);
+    // Distance and timing only make sense when the import replaced the route
+    if (shouldClear) {
+      this.appState.updateDistance(parsed.routeInfo.totalDistance ?? totalDistance);
+      if (typeof parsed.routeInfo.elapsedTime === 'number') {
+        this.appState.setElapsedTime(parsed.routeInfo.elapsedTime);
+      }
+      if (typeof parsed.routeInfo.stoppedTime === 'number') {
+        this.appState.setStoppedTime(parsed.routeInfo.stoppedTime);
+      }
+    } else {
+      this.appState.updateDistance(this.appState.getTotalDistance() + totalDistance);
+    }
+
+    if (parsed.accessibilityData) {
+      const hasSurvey = !!localStorage.getItem('accessibilityData');
+      if (!hasSurvey || confirm('This GPX file includes an accessibility survey. Replace your current survey data with it?')) {
+        localStorage.setItem('accessibilityData', JSON.stringify(parsed.accessibilityData));
+      }
+    }
+
+    if (this.dependencies.map) {
+      this.dependencies.map.showRouteData(this.appState.getRouteData());
+    }
+
+    const importedPoints = routeData.filter(point => point.type === 'location').length;
+    const waypointCount = routeData.length - importedPoints;
+    this.showSuccessMessage(`✅ Successfully imported ${importedPoints} GPS points and ${waypointCount} waypoints from ${formatLabel}!`);
+    return true;
   }
 
   readFileAsText(file) {
@@ -594,6 +805,8 @@ setupExportButtons() {
     { id: 'prepareAndExportBtn', handler: () => this.showExportOptions() },
     { id: 'exportGPXBtn', handler: () => this.exportGPX() },
     { id: 'exportPDFBtn', handler: () => this.exportPDF() },
+    { id: 'exportGeoJSONBtn', handler: () => this.exportGeoJSON() },
+    { id: 'exportKMLBtn', handler: () => this.exportKML() },
     { id: 'exportSummaryBtn', handler: () => this.exportRouteSummary() } // Make sure this line is here
   ];
 
@@ -623,7 +836,7 @@ setupExportButtons() {
 // NEW: Export Route Summary - Beautiful HTML page for sharing
 async exportRouteSummary() {
   const currentRouteData = this.appState.getRouteData();
-  const savedSessions = this.appState.getSessions();
+  const savedSessions = await this.appState.getSessions();
   
   let routeDataToExport = null;
   let routeInfo = null;
@@ -669,8 +882,20 @@ async exportRouteSummary() {
 
   if (!routeDataToExport || !routeInfo) return;
 
+  // Measure elevation for routes saved before profiles existed (or the live route)
+  if (!routeInfo.elevationProfile) {
+    try {
+      const elevationProfile = await buildElevationProfile(routeDataToExport);
+      if (elevationProfile) {
+        routeInfo = { ...routeInfo, elevationProfile };
+      }
+    } catch (error) {
+      console.warn('Elevation profile unavailable for summary:', error);
+    }
+  }
+
   try {
-    const htmlContent = this.generateRouteSummaryHTML(routeDataToExport, routeInfo, accessibilityData);
+    const htmlContent = this.generateRouteSummaryHTML(await this.resolveMedia(routeDataToExport), routeInfo, accessibilityData);
     const filename = `${routeInfo.name.replace(/[^a-z0-9]/gi, '_').toLowerCase()}_summary.html`;
     
     this.downloadFile(htmlContent, filename, 'text/html');
@@ -693,6 +918,11 @@ generateRouteSummaryHTML(routeData, routeInfo, accessibilityData) {
   const locationPoints = routeData.filter(p => p.type === 'location' && p.coords);
   const photos = routeData.filter(p => p.type === 'photo');
   const notes = routeData.filter(p => p.type === 'text');
+  // Only recordings that were inlined (resolveMedia) can play in a standalone page
+  const voiceNotes = routeData.filter(p => p.type === 'audio' && p.content);
+  const markers = routeData.filter(isMarkerEntry);
+  const surfaceSegments = hasSurfaceData(routeData) ? buildSurfaceSegments(routeData) : [];
+  const voicePopup = (note) => `🎙️ ${note.transcript ? this.escapeHtml(note.transcript) : 'Voice note'}<br><audio controls src="${note.content}" style="width:220px;"></audio>`;
   
   const date = new Date(routeInfo.date);
   const formattedDate = date.toLocaleDateString('en-US', { 
@@ -945,6 +1175,11 @@ generateRouteSummaryHTML(routeData, routeInfo, accessibilityData) {
             grid-column: 1 / -1;
         }
         
+        .voice-note-item audio {
+            width: 100%;
+            margin: 10px 0 5px;
+        }
+        
         .notes-list {
             margin-top: 20px;
         }
@@ -1086,6 +1321,12 @@ generateRouteSummaryHTML(routeData, routeInfo, accessibilityData) {
 
             ${accessibilityData ? this.generateAccessibilitySection(accessibilityData) : ''}
 
+            <!-- Obstacles & Features -->
+            ${markers.length > 0 ? this.generateMarkersSection(routeData) : ''}
+
+            <!-- Surfaces -->
+            ${surfaceSegments.length > 0 ? this.generateSurfaceSection(routeData) : ''}
+
             <!-- Interactive Map -->
             ${locationPoints.length > 0 ? `
             <div class="card map-container">
@@ -1093,6 +1334,9 @@ generateRouteSummaryHTML(routeData, routeInfo, accessibilityData) {
             </div>
             ` : ''}
 
+            <!-- Elevation & Slope Profile -->
+            ${routeInfo.elevationProfile ? this.generateElevationSection(routeInfo.elevationProfile, accessibilityData) : ''}
+
             <!-- Photos Section -->
             ${photos.length > 0 ? `
             <div class="card photos-section">
@@ -1124,6 +1368,22 @@ generateRouteSummaryHTML(routeData, routeInfo, accessibilityData) {
                 </div>
             </div>
             ` : ''}
+
+            <!-- Voice Notes Section -->
+            ${voiceNotes.length > 0 ? `
+            <div class="card notes-section">
+                <h2>🎙️ Voice Notes (${voiceNotes.length})</h2>
+                <div class="notes-list">
+                    ${voiceNotes.map(note => `
+                        <div class="note-item voice-note-item">
+                            <div class="note-time">${new Date(note.timestamp).toLocaleString()} · ${Math.round(note.duration || 0)} s</div>
+                            <audio controls preload="none" src="${note.content}"></audio>
+                            ${note.transcript ? `<div class="note-content">${this.escapeHtml(note.transcript)}</div>` : ''}
+                        </div>
+                    `).join('')}
+                </div>
+            </div>
+            ` : ''}
         </div>
 
         <!-- Footer -->
@@ -1152,9 +1412,20 @@ generateRouteSummaryHTML(routeData, routeInfo, accessibilityData) {
         const polyline = L.polyline(routePoints, {
             color: '#4a7c59',
             weight: 4,
-            opacity: 0.8
+            opacity: ${surfaceSegments.length > 0 ? 0 : 0.8}
         }).addTo(map);
 
+        // Colour-coded surfaces on top of the route line
+        ${JSON.stringify(surfaceSegments.map(segment => ({
+          points: segment.coords.map(point => [point.lat, point.lng]),
+          color: getSurfaceColor(segment.surface),
+          label: `${this.escapeHtml(segment.surface || 'Surface unknown')} · ${Math.round(segment.distanceKm * 1000)} m`
+        })))}.forEach(segment => {
+            L.polyline(segment.points, { color: segment.color, weight: 5, opacity: 0.9 })
+                .bindTooltip(segment.label, { sticky: true })
+                .addTo(map);
+        });
+
         // Add start marker
         L.marker([${locationPoints[0].coords.lat}, ${locationPoints[0].coords.lng}])
             .addTo(map)
@@ -1177,6 +1448,28 @@ generateRouteSummaryHTML(routeData, routeInfo, accessibilityData) {
         }).addTo(map).bindPopup('<img src="${photo.content}" style="width:200px; border-radius:10px;">');
         ` : '').join('')}
 
+        // Add obstacle/feature markers
+        ${markers.map(marker => `
+        L.marker([${marker.coords.lat}, ${marker.coords.lng}], {
+            icon: L.divIcon({
+                html: '${getMarkerType(marker.markerType).icon}',
+                iconSize: [30, 30],
+                className: 'trail-marker'
+            })
+        }).addTo(map).bindPopup(${JSON.stringify(this.markerPopupHTML(marker))});
+        `).join('')}
+
+        // Add voice note markers
+        ${voiceNotes.map(note => note.coords ? `
+        L.marker([${note.coords.lat}, ${note.coords.lng}], {
+            icon: L.divIcon({
+                html: '🎙️',
+                iconSize: [30, 30],
+                className: 'voice-note-marker'
+            })
+        }).addTo(map).bindPopup(${JSON.stringify(voicePopup(note))});
+        ` : '').join('')}
+
         // Fit map to route bounds
         map.fitBounds(polyline.getBounds(), { padding: [20, 20] });
     </script>
@@ -1390,6 +1683,140 @@ generateAccessibilitySection(accessibilityData) {
   `;
 }
 
+// Generate elevation/grade chart section (inline SVG so the guide stays self-contained)
+generateElevationSection(profile, accessibilityData) {
+  if (!profile || !profile.samples || profile.samples.length < 2) return '';
+
+  const { samples, segments, summary } = profile;
+  const width = 800;
+  const height = 200;
+  const gradeBandHeight = 24;
+  const chartHeight = height - gradeBandHeight - 10;
+  const totalDistance = samples[samples.length - 1].distance || 1;
+  const elevationRange = Math.max(summary.maxElevation - summary.minElevation, 10);
+
+  const x = (distance) => (distance / totalDistance) * width;
+  const y = (elevation) => chartHeight - ((elevation - summary.minElevation) / elevationRange) * (chartHeight - 10);
+
+  const linePoints = samples.map(s => `${x(s.distance).toFixed(1)},${y(s.elevation).toFixed(1)}`).join(' ');
+  const areaPoints = `0,${chartHeight} ${linePoints} ${width},${chartHeight}`;
+
+  const gradeBars = segments.map(segment => `
+                    <rect x="${x(segment.startDistance).toFixed(1)}" y="${chartHeight + 10}" width="${Math.max(x(segment.endDistance) - x(segment.startDistance), 1).toFixed(1)}" height="${gradeBandHeight}" fill="${SLOPE_CATEGORIES[segment.category].color}">
+                        <title>${segment.grade.toFixed(1)}% at ${(segment.startDistance / 1000).toFixed(2)} km</title>
+                    </rect>`).join('');
+
+  const formatKm = (meters) => (meters / 1000).toFixed(2);
+  const surveyedSlopes = accessibilityData?.trailSlopes;
+  const measuredMatches = !surveyedSlopes || surveyedSlopes === summary.trailSlopes;
+
+  return `
+    <div class="card elevation-section">
+        <h2>⛰️ Elevation & Slope Profile</h2>
+        <div class="stats-grid">
+            <div class="stat-item">
+                <span class="stat-value">${summary.totalAscent.toFixed(0)} m</span>
+                <span class="stat-label">Total Climb</span>
+            </div>
+            <div class="stat-item">
+                <span class="stat-value">${summary.totalDescent.toFixed(0)} m</span>
+                <span class="stat-label">Total Descent</span>
+            </div>
+            <div class="stat-item">
+                <span class="stat-value">${summary.maxGrade.toFixed(1)}%</span>
+                <span class="stat-label">Steepest Grade</span>
+            </div>
+            <div class="stat-item">
+                <span class="stat-value">${summary.averageGrade.toFixed(1)}%</span>
+                <span class="stat-label">Average Grade</span>
+            </div>
+        </div>
+
+        <svg viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" role="img" aria-label="Elevation profile from ${summary.minElevation.toFixed(0)} to ${summary.maxElevation.toFixed(0)} meters" style="width: 100%; height: 220px; margin-top: 20px; background: #f8f9fa; border-radius: 10px;">
+            <polygon points="${areaPoints}" fill="rgba(74, 124, 89, 0.25)" />
+            <polyline points="${linePoints}" fill="none" stroke="#4a7c59" stroke-width="2" vector-effect="non-scaling-stroke" />
+            ${gradeBars}
+        </svg>
+        <div style="display: flex; justify-content: space-between; font-size: 0.85rem; color: #666;">
+            <span>0 km · ${summary.minElevation.toFixed(0)}–${summary.maxElevation.toFixed(0)} m elevation</span>
+            <span>${formatKm(totalDistance)} km</span>
+        </div>
+
+        <div style="display: flex; flex-wrap: wrap; gap: 15px; margin-top: 15px; font-size: 0.9rem;">
+            ${Object.entries(SLOPE_CATEGORIES).map(([key, category]) => `
+            <span><span style="display: inline-block; width: 12px; height: 12px; border-radius: 3px; background: ${category.color}; margin-right: 5px;"></span>${category.label}: ${formatKm(summary.distanceByCategory[key] || 0)} km</span>
+            `).join('')}
+        </div>
+
+        <div class="accessibility-item" style="margin-top: 20px;">
+            <h4>📐 Measured Slope Classification</h4>
+            <p>${summary.trailSlopes}</p>
+            ${surveyedSlopes ? `<p style="font-size: 0.9rem; color: ${measuredMatches ? '#4a7c59' : '#c0392b'};">${measuredMatches ? '✅ Matches the surveyor\'s assessment' : `⚠️ Surveyor reported: ${surveyedSlopes}`}</p>` : ''}
+            <p style="font-size: 0.8rem; color: #888;">Grades measured over ${segments.length} segments using ${profile.provider} elevation data.</p>
+        </div>
+    </div>
+  `;
+}
+
+// NEW: Obstacles & features recorded with structured markers
+generateMarkersSection(routeData) {
+  const markers = routeData.filter(isMarkerEntry).sort((a, b) => a.timestamp - b.timestamp);
+  const summaryLines = describeMarkerSummary(summarizeMarkers(routeData));
+
+  return `
+    <div class="card notes-section">
+        <h2>🚧 Obstacles & Features (${markers.length})</h2>
+        ${summaryLines.length > 0 ? `
+        <div class="accessibility-item">
+            <h4>📋 Along the Route</h4>
+            ${summaryLines.map(line => `<p>${this.escapeHtml(line)}</p>`).join('')}
+        </div>
+        ` : ''}
+        <div class="accessibility-grid">
+            ${markers.map(marker => `
+            <div class="accessibility-item">
+                ${this.markerPopupHTML(marker)}
+            </div>
+            `).join('')}
+        </div>
+    </div>
+  `;
+}
+
+// NEW: How much of the route is on each surface
+generateSurfaceSection(routeData) {
+  const breakdown = surfaceBreakdown(routeData);
+
+  return `
+    <div class="card">
+        <h2>🛤️ Trail Surfaces</h2>
+        <div style="display: flex; height: 14px; border-radius: 7px; overflow: hidden; margin-bottom: 1rem;">
+            ${breakdown.map(item => `<div style="flex: ${item.distanceKm}; background: ${getSurfaceColor(item.surface)};" title="${this.escapeHtml(item.surface || 'Unknown')}"></div>`).join('')}
+        </div>
+        <div class="accessibility-grid">
+            ${breakdown.map(item => `
+            <div class="accessibility-item">
+                <h4><span style="display: inline-block; width: 12px; height: 12px; border-radius: 50%; background: ${getSurfaceColor(item.surface)};"></span> ${this.escapeHtml(item.surface || 'Unknown surface')}</h4>
+                <p>${item.distanceKm.toFixed(2)} km (${item.percent}%)</p>
+            </div>
+            `).join('')}
+        </div>
+    </div>
+  `;
+}
+
+markerPopupHTML(marker) {
+  const type = getMarkerType(marker.markerType);
+  const details = describeMarkerAttributes(marker);
+  return `<h4>${type.icon} ${this.escapeHtml(type.label)}</h4>${details.map(line => `<p>${this.escapeHtml(line)}</p>`).join('')}<p><small>${new Date(marker.timestamp).toLocaleString()}</small></p>`;
+}
+
+escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+}
+
 // Preview the generated HTML in a new tab
 previewRouteSummary(htmlContent) {
   const blob = new Blob([htmlContent], { type: 'text/html' });
@@ -62,6 +62,12 @@ export class FirebaseController {
 
     try {
       console.log('☁️ Saving route to cloud...');
+
+      // Cloud documents carry photos and voice notes inline - load them from IndexedDB
+      const state = window.AccessNatureApp?.getController('state');
+      if (state?.resolveMediaEntries) {
+        routeData = await state.resolveMediaEntries(routeData);
+      }
       
       const routeDoc = {
         userId: this.user.uid,
@@ -0,0 +1,520 @@
+// GeoJSON and KML conversion for routes and accessibility reports
+// Routes become LineStrings (MultiLineString / MultiGeometry when paused),
+// notes, photos, stops and reports become Points carrying their properties.
+// Parsers return the same shape as parseGPX so gpxToRouteData can flatten them.
+import { escapeXML, safeMediaURL, splitIntoSegments, getPointElevations } from './gpx.js';
+import { getMarkerType, describeMarkerAttributes } from '../utils/trail-markers.js';
+import { hasSurfaceData, surfaceBreakdown } from '../utils/surfaces.js';
+
+export const KML_NS = 'http://www.opengis.net/kml/2.2';
+
+// Fields never written to shared files
+const PRIVATE_REPORT_FIELDS = ['userEmail', 'upvotedBy'];
+
+// Firestore Timestamps (or their JSON form) → ISO strings, recursively
+function toPlainValue(value) {
+  if (value === null || value === undefined) return value;
+  if (typeof value.toDate === 'function') return value.toDate().toISOString();
+  if (typeof value === 'object' && typeof value.seconds === 'number' && typeof value.nanoseconds === 'number') {
+    return new Date(value.seconds * 1000 + value.nanoseconds / 1e6).toISOString();
+  }
+  if (Array.isArray(value)) return value.map(toPlainValue);
+  if (typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, toPlainValue(v)]));
+  }
+  return value;
+}
+
+function formatTime(timestamp) {
+  if (timestamp === null || timestamp === undefined) return null;
+  const date = new Date(timestamp);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function parseTime(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const time = typeof value === 'number' ? value : new Date(value).getTime();
+  return Number.isNaN(time) ? null : time;
+}
+
+function positionFor(coords, elevation) {
+  const position = [coords.lng, coords.lat];
+  if (typeof elevation === 'number') position.push(Math.round(elevation * 10) / 10);
+  return position;
+}
+
+// ==============================
+// Features
+// ==============================
+
+function buildRouteFeature(routeData, routeInfo, accessibilityData) {
+  const segments = splitIntoSegments(routeData);
+  const locationPoints = segments.flat();
+  if (locationPoints.length < 2) return null;
+
+  const elevations = getPointElevations(locationPoints, routeInfo.elevationProfile);
+  const lines = segments.map(segment => segment.map(point => positionFor(point.coords, elevations.get(point))));
+  const times = segments.map(segment => segment.map(point => formatTime(point.timestamp)));
+
+  const properties = {
+    entryType: 'route',
+    name: routeInfo.name || 'Access Nature Route',
+    date: routeInfo.date || null,
+    totalDistance: routeInfo.totalDistance ?? null,
+    elapsedTime: routeInfo.elapsedTime ?? null,
+    movingTime: routeInfo.movingTime ?? null,
+    stoppedTime: routeInfo.stoppedTime ?? null,
+    // Per-vertex times, same convention as togeojson/Mapbox
+    coordTimes: lines.length === 1 ? times[0] : times
+  };
+
+  if (routeInfo.elevationProfile?.summary) {
+    const { steepestSegment, ...summary } = routeInfo.elevationProfile.summary;
+    properties.elevation = summary;
+  }
+  // Surface markers travel as Points; this is the per-surface summary
+  if (hasSurfaceData(routeData)) {
+    properties.surfaces = surfaceBreakdown(routeData).map(item => ({
+      surface: item.surface,
+      distanceKm: Math.round(item.distanceKm * 1000) / 1000,
+      percent: item.percent
+    }));
+  }
+  if (accessibilityData) {
+    properties.accessibility = accessibilityData;
+  }
+
+  return {
+    type: 'Feature',
+    geometry: lines.length === 1
+      ? { type: 'LineString', coordinates: lines[0] }
+      : { type: 'MultiLineString', coordinates: lines },
+    properties
+  };
+}
+
+function buildEntryFeature(entry) {
+  const { coords, timestamp, type, ...rest } = entry;
+  return {
+    type: 'Feature',
+    geometry: { type: 'Point', coordinates: positionFor(coords, entry.elevation) },
+    properties: {
+      ...rest,
+      entryType: type,
+      timestamp: formatTime(timestamp)
+    }
+  };
+}
+
+// Flatten an AccessReportController report into Point properties
+export function reportToFeature(report, issueTypes = {}) {
+  const { location = {}, ...fields } = report;
+  if (typeof location.latitude !== 'number' || typeof location.longitude !== 'number') return null;
+
+  const properties = { entryType: 'report' };
+  Object.entries(toPlainValue(fields)).forEach(([key, value]) => {
+    if (!PRIVATE_REPORT_FIELDS.includes(key)) properties[key] = value;
+  });
+
+  properties.address = location.address || '';
+  properties.placeDescription = location.placeDescription || '';
+
+  const issue = Object.values(issueTypes).find(t => t.id === report.issueType);
+  if (issue) {
+    properties.issueLabel = issue.label;
+    properties.issueIcon = issue.icon;
+  }
+
+  return {
+    type: 'Feature',
+    id: report.id,
+    geometry: { type: 'Point', coordinates: [location.longitude, location.latitude] },
+    properties
+  };
+}
+
+export function buildFeatures({ routeData = [], routeInfo = {}, accessibilityData = null, reports = [], issueTypes = {} } = {}) {
+  const features = [];
+
+  const routeFeature = buildRouteFeature(routeData, routeInfo, accessibilityData);
+  if (routeFeature) features.push(routeFeature);
+
+  routeData
+    .filter(entry => entry && entry.type !== 'location' && entry.coords)
+    .forEach(entry => features.push(buildEntryFeature(entry)));
+
+  reports
+    .map(report => reportToFeature(report, issueTypes))
+    .filter(Boolean)
+    .forEach(feature => features.push(feature));
+
+  return features;
+}
+
+// ==============================
+// GeoJSON
+// ==============================
+
+export function buildGeoJSON(options = {}) {
+  return {
+    type: 'FeatureCollection',
+    name: options.routeInfo?.name || 'Access Nature Export',
+    generator: 'Access Nature',
+    generatedAt: new Date().toISOString(),
+    features: buildFeatures(options)
+  };
+}
+
+export function isGeoJSON(data) {
+  return !!data && ['FeatureCollection', 'Feature', 'LineString', 'MultiLineString', 'Point'].includes(data.type);
+}
+
+export function parseGeoJSON(input) {
+  const data = typeof input === 'string' ? JSON.parse(input) : input;
+  if (!isGeoJSON(data)) {
+    throw new Error('Invalid GeoJSON - expected a FeatureCollection, Feature or geometry');
+  }
+
+  const features = data.type === 'FeatureCollection' ? data.features || []
+    : data.type === 'Feature' ? [data]
+    : [{ type: 'Feature', geometry: data, properties: {} }];
+
+  const result = createParseResult(data.name || null);
+
+  features.forEach(feature => {
+    const geometry = feature?.geometry;
+    if (!geometry) return;
+    const properties = feature.properties || {};
+
+    if (geometry.type === 'LineString' || geometry.type === 'MultiLineString') {
+      const lines = geometry.type === 'LineString' ? [geometry.coordinates] : geometry.coordinates;
+      const times = properties.coordTimes || properties.times || [];
+      const lineTimes = geometry.type === 'LineString' ? [times] : times;
+
+      addTrack(result, properties, lines.map((line, lineIndex) =>
+        line.map((position, i) => ({ position, time: (lineTimes[lineIndex] || [])[i] }))
+      ));
+    } else if (geometry.type === 'Point') {
+      addPoint(result, geometry.coordinates, properties, feature.id);
+    } else if (geometry.type === 'MultiPoint') {
+      geometry.coordinates.forEach(position => addPoint(result, position, properties));
+    }
+  });
+
+  return result;
+}
+
+// ==============================
+// KML
+// ==============================
+
+// '#rrggbb' → KML 'aabbggrr'
+function toKMLColor(hex, alpha = 'ff') {
+  const clean = (hex || '#4CAF50').replace('#', '');
+  return `${alpha}${clean.slice(4, 6)}${clean.slice(2, 4)}${clean.slice(0, 2)}`.toLowerCase();
+}
+
+function buildExtendedData(properties, skip = []) {
+  const data = Object.entries(properties)
+    .filter(([key, value]) => !skip.includes(key) && value !== undefined && value !== null)
+    .map(([key, value]) => {
+      const text = typeof value === 'string' ? value : JSON.stringify(value);
+      return `
+        <Data name="${escapeXML(key)}"><value>${escapeXML(text)}</value></Data>`;
+    });
+
+  return data.length > 0 ? `
+      <ExtendedData>${data.join('')}
+      </ExtendedData>` : '';
+}
+
+function kmlCoordinates(positions) {
+  return positions.map(position => position.join(',')).join(' ');
+}
+
+function buildPlacemark(feature, severityLevels) {
+  const { geometry, properties } = feature;
+  const time = properties.timestamp || properties.createdAt || null;
+
+  let name = properties.name;
+  let description = '';
+  let styleUrl = '#route-line';
+
+  if (properties.entryType === 'report') {
+    name = properties.title || properties.issueLabel || 'Accessibility report';
+    description = properties.description || '';
+    styleUrl = severityLevels.some(s => s.id === properties.severity) ? `#severity-${properties.severity}` : '#entry';
+  } else if (properties.entryType === 'text') {
+    name = 'Note';
+    description = properties.content || '';
+    styleUrl = '#entry';
+  } else if (properties.entryType === 'photo') {
+    name = 'Photo';
+    styleUrl = '#entry';
+  } else if (properties.entryType === 'marker') {
+    name = getMarkerType(properties.markerType).label;
+    description = describeMarkerAttributes(properties).join('; ');
+    styleUrl = '#entry';
+  } else if (properties.entryType === 'audio') {
+    name = 'Voice note';
+    description = properties.transcript || '';
+    styleUrl = '#entry';
+  } else if (properties.entryType === 'stop') {
+    name = properties.auto ? 'Rest stop' : 'Paused';
+    styleUrl = '#entry';
+  }
+
+  let geometryXML;
+  if (geometry.type === 'Point') {
+    geometryXML = `
+      <Point><coordinates>${kmlCoordinates([geometry.coordinates])}</coordinates></Point>`;
+  } else if (geometry.type === 'LineString') {
+    geometryXML = `
+      <LineString><tessellate>1</tessellate><coordinates>${kmlCoordinates(geometry.coordinates)}</coordinates></LineString>`;
+  } else {
+    geometryXML = `
+      <MultiGeometry>${geometry.coordinates.map(line => `
+        <LineString><tessellate>1</tessellate><coordinates>${kmlCoordinates(line)}</coordinates></LineString>`).join('')}
+      </MultiGeometry>`;
+  }
+
+  return `
+    <Placemark${feature.id ? ` id="${escapeXML(feature.id)}"` : ''}>
+      <name>${escapeXML(name || 'Untitled')}</name>${
+      description ? `
+      <description>${escapeXML(description)}</description>` : ''}${
+      time && geometry.type === 'Point' ? `
+      <TimeStamp><when>${escapeXML(time)}</when></TimeStamp>` : ''}
+      <styleUrl>${styleUrl}</styleUrl>${buildExtendedData(properties)}${geometryXML}
+    </Placemark>`;
+}
+
+export function buildKML(options = {}) {
+  const severityLevels = Object.values(options.severityLevels || {});
+  const features = buildFeatures(options);
+  const name = options.routeInfo?.name || 'Access Nature Export';
+
+  const folders = [
+    { name: 'Route', match: f => f.properties.entryType === 'route' },
+    { name: 'Notes & Photos', match: f => ['text', 'audio', 'photo', 'stop'].includes(f.properties.entryType) },
+    { name: 'Obstacles & Features', match: f => f.properties.entryType === 'marker' },
+    { name: 'Accessibility Reports', match: f => f.properties.entryType === 'report' },
+    { name: 'Other', match: f => !['route', 'text', 'audio', 'photo', 'stop', 'marker', 'report'].includes(f.properties.entryType) }
+  ];
+
+  const severityStyles = severityLevels.map(level => `
+  <Style id="severity-${escapeXML(level.id)}">
+    <IconStyle><color>${toKMLColor(level.color)}</color></IconStyle>
+  </Style>`).join('');
+
+  const foldersXML = folders.map(folder => {
+    const placemarks = features.filter(folder.match);
+    if (placemarks.length === 0) return '';
+    return `
+  <Folder>
+    <name>${escapeXML(folder.name)}</name>${placemarks.map(f => buildPlacemark(f, severityLevels)).join('')}
+  </Folder>`;
+  }).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="${KML_NS}">
+<Document>
+  <name>${escapeXML(name)}</name>
+  <description>Generated by Access Nature App</description>
+  <Style id="route-line">
+    <LineStyle><color>${toKMLColor('#4CAF50', 'cc')}</color><width>4</width></LineStyle>
+  </Style>
+  <Style id="entry">
+    <IconStyle><color>${toKMLColor('#2196F3')}</color></IconStyle>
+  </Style>${severityStyles}${foldersXML}
+</Document>
+</kml>`;
+}
+
+function kmlElements(parent, localName) {
+  return Array.from(parent.getElementsByTagNameNS('*', localName));
+}
+
+function kmlChildText(parent, localName) {
+  const child = Array.from(parent.children || []).find(c => c.localName === localName);
+  return child ? child.textContent.trim() : null;
+}
+
+// Values written by buildExtendedData are JSON unless they were plain strings
+function decodeDataValue(text) {
+  try {
+    const value = JSON.parse(text);
+    return typeof value === 'string' ? text : value;
+  } catch (error) {
+    return text;
+  }
+}
+
+function parseKMLCoordinates(text) {
+  return (text || '')
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(tuple => tuple.split(',').map(Number))
+    .filter(position => position.length >= 2 && !Number.isNaN(position[0]) && !Number.isNaN(position[1]));
+}
+
+export function parseKML(text) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('Invalid KML file - XML could not be parsed');
+  }
+  if (!doc.documentElement || doc.documentElement.localName !== 'kml') {
+    throw new Error('Invalid KML file - missing <kml> root element');
+  }
+
+  const documentElement = kmlElements(doc, 'Document')[0];
+  const result = createParseResult(documentElement ? kmlChildText(documentElement, 'name') : null);
+
+  kmlElements(doc, 'Placemark').forEach(placemark => {
+    const properties = {};
+    kmlElements(placemark, 'Data').forEach(data => {
+      const key = data.getAttribute('name');
+      const value = kmlElements(data, 'value')[0];
+      if (key && value) properties[key] = decodeDataValue(value.textContent);
+    });
+    kmlElements(placemark, 'SimpleData').forEach(data => {
+      const key = data.getAttribute('name');
+      if (key) properties[key] = data.textContent;
+    });
+
+    // Our own placemarks carry everything in ExtendedData already
+    if (!properties.entryType) {
+      properties.name = properties.name ?? kmlChildText(placemark, 'name');
+      properties.description = properties.description ?? kmlChildText(placemark, 'description');
+      const when = kmlElements(placemark, 'when')[0];
+      if (when && !properties.timestamp) properties.timestamp = when.textContent.trim();
+    }
+
+    // gx:Track - Google Earth's timed tracks
+    const tracks = kmlElements(placemark, 'Track');
+    if (tracks.length > 0) {
+      addTrack(result, properties, tracks.map(track => {
+        const times = kmlElements(track, 'when').map(w => w.textContent.trim());
+        return kmlElements(track, 'coord').map((coord, i) => ({
+          position: coord.textContent.trim().split(/\s+/).map(Number),
+          time: times[i]
+        }));
+      }));
+      return;
+    }
+
+    const lines = kmlElements(placemark, 'LineString')
+      .map(line => parseKMLCoordinates(kmlElements(line, 'coordinates')[0]?.textContent));
+    if (lines.length > 0) {
+      const times = properties.coordTimes || [];
+      const lineTimes = lines.length === 1 && !Array.isArray(times[0]) ? [times] : times;
+      addTrack(result, properties, lines.map((line, lineIndex) =>
+        line.map((position, i) => ({ position, time: (lineTimes[lineIndex] || [])[i] }))
+      ));
+      return;
+    }
+
+    kmlElements(placemark, 'Point').forEach(point => {
+      const position = parseKMLCoordinates(kmlElements(point, 'coordinates')[0]?.textContent)[0];
+      if (position) addPoint(result, position, properties, placemark.getAttribute('id'));
+    });
+  });
+
+  return result;
+}
+
+// ==============================
+// Shared parse helpers
+// ==============================
+
+function createParseResult(name) {
+  return {
+    name,
+    routeInfo: {},
+    accessibilityData: null,
+    tracks: [],
+    waypoints: [],
+    reports: []
+  };
+}
+
+function addTrack(result, properties, lines) {
+  const segments = lines
+    .map(line => line
+      .filter(({ position }) => Array.isArray(position) && position.length >= 2)
+      .map(({ position, time }) => {
+        const point = {
+          type: 'location',
+          coords: { lat: position[1], lng: position[0] },
+          timestamp: parseTime(time)
+        };
+        if (typeof position[2] === 'number' && !Number.isNaN(position[2])) point.elevation = position[2];
+        return point;
+      }))
+    .filter(segment => segment.length > 0);
+
+  if (segments.length === 0) return;
+
+  result.tracks.push({ name: properties.name || `Track ${result.tracks.length + 1}`, segments });
+
+  // Route-level data from our own exports
+  if (properties.entryType === 'route') {
+    if (!result.name && properties.name) result.name = properties.name;
+    ['totalDistance', 'elapsedTime', 'movingTime', 'stoppedTime'].forEach(field => {
+      if (typeof properties[field] === 'number') result.routeInfo[field] = properties[field];
+    });
+    if (properties.date) result.routeInfo.date = properties.date;
+    if (properties.accessibility && typeof properties.accessibility === 'object') {
+      result.accessibilityData = properties.accessibility;
+    }
+  }
+}
+
+function addPoint(result, position, properties, featureId = null) {
+  if (!Array.isArray(position) || position.length < 2) return;
+  const coords = { lat: position[1], lng: position[0] };
+
+  if (properties.entryType === 'report') {
+    const { entryType, address, placeDescription, issueLabel, issueIcon, ...report } = properties;
+    result.reports.push({
+      id: featureId ?? undefined,
+      ...report,
+      location: {
+        latitude: coords.lat,
+        longitude: coords.lng,
+        address: address || '',
+        placeDescription: placeDescription || ''
+      },
+      issueLabel,
+      issueIcon
+    });
+    return;
+  }
+
+  const { entryType, timestamp, ...rest } = properties;
+  const entry = {
+    ...rest,
+    type: entryType || 'text',
+    coords,
+    timestamp: parseTime(timestamp) || Date.now()
+  };
+
+  // Foreign points become notes built from their name/description
+  if (!entryType) {
+    entry.content = properties.content
+      || [properties.name || properties.title, properties.description].filter(Boolean).join(' - ');
+    delete entry.name;
+    delete entry.description;
+  } else if (entry.type === 'photo' || entry.type === 'audio') {
+    // FIXED: shown as the marker popup's src - no scripts or other schemes from a foreign file
+    entry.content = safeMediaURL(entry.content, entry.type === 'photo' ? 'image' : 'audio');
+  } else if (entry.content !== undefined) {
+    entry.content = String(entry.content);
+  }
+  if (typeof position[2] === 'number' && !Number.isNaN(position[2]) && entry.elevation === undefined) {
+    entry.elevation = position[2];
+  }
+
+  result.waypoints.push(entry);
+}
@@ -0,0 +1,508 @@
+// GPX 1.1 writer/reader with Access Nature extensions
+// Track points carry elevation and accuracy, photos/notes/stops become <wpt>
+// elements and the accessibility survey travels in the Access Nature namespace.
+import { haversineDistance } from '../utils/calculations.js';
+import { getMarkerType, describeMarkerAttributes } from '../utils/trail-markers.js';
+
+export const GPX_NS = 'http://www.topografix.com/GPX/1/1';
+export const ACCESS_NATURE_NS = 'https://accessnature.app/xmlns/gpx/1';
+
+// Typical GPS user-equivalent range error, used to express accuracy (m) as HDOP
+const UERE_METERS = 5;
+
+// Route entry fields that are written as standard GPX elements
+const WAYPOINT_STANDARD_FIELDS = ['type', 'coords', 'timestamp', 'content', 'elevation'];
+
+export function escapeXML(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// Imported photo/voice note content ends up in a src attribute: only embedded
+// media of the right kind or a web URL is kept
+export function safeMediaURL(value, kind = 'image') {
+  const url = String(value || '').trim();
+  return url.startsWith(`data:${kind}/`) || /^https?:\/\//i.test(url) ? url : '';
+}
+
+function formatTime(timestamp) {
+  const date = new Date(timestamp);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+// ==============================
+// Writer
+// ==============================
+
+export function buildGPX({ routeData = [], routeInfo = {}, accessibilityData = null } = {}) {
+  const locationPoints = routeData.filter(p => p && p.type === 'location' && p.coords);
+  const waypoints = routeData.filter(p => p && p.type !== 'location' && p.coords);
+  const elevations = getPointElevations(locationPoints, routeInfo.elevationProfile);
+  const segments = splitIntoSegments(routeData);
+  const name = routeInfo.name || 'Access Nature Route';
+
+  let gpx = `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="Access Nature"
+  xmlns="${GPX_NS}"
+  xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+  xmlns:an="${ACCESS_NATURE_NS}"
+  xsi:schemaLocation="${GPX_NS} http://www.topografix.com/GPX/1/1/gpx.xsd">
+  <metadata>
+    <name>${escapeXML(name)}</name>
+    <desc>Generated by Access Nature App</desc>
+    <time>${new Date().toISOString()}</time>
+    <extensions>
+${buildRouteInfoExtension(routeInfo)}${accessibilityData ? buildSurveyExtension(accessibilityData) : ''}    </extensions>
+  </metadata>`;
+
+  waypoints.forEach((entry, index) => {
+    gpx += buildWaypoint(entry, index);
+  });
+
+  gpx += `
+  <trk>
+    <name>${escapeXML(name)}</name>`;
+
+  segments.forEach(segment => {
+    gpx += `
+    <trkseg>`;
+    segment.forEach(point => {
+      gpx += buildTrackPoint(point, elevations.get(point));
+    });
+    gpx += `
+    </trkseg>`;
+  });
+
+  gpx += `
+  </trk>
+</gpx>`;
+
+  return gpx;
+}
+
+// Manual pauses (non-auto stops) start a new track segment
+export function splitIntoSegments(routeData) {
+  const segments = [[]];
+  routeData.forEach(entry => {
+    if (!entry) return;
+    if (entry.type === 'stop' && entry.auto === false && segments[segments.length - 1].length > 0) {
+      segments.push([]);
+    } else if (entry.type === 'location' && entry.coords) {
+      segments[segments.length - 1].push(entry);
+    }
+  });
+  return segments.filter(segment => segment.length > 0);
+}
+
+// Per-point elevation: interpolated from the DEM profile when we have one,
+// otherwise whatever the point itself carries (imported <ele> or GPS altitude)
+export function getPointElevations(locationPoints, elevationProfile) {
+  const elevations = new Map();
+  const samples = elevationProfile?.samples || [];
+
+  let distance = 0;
+  let sampleIndex = 0;
+
+  locationPoints.forEach((point, index) => {
+    if (index > 0) {
+      distance += haversineDistance(locationPoints[index - 1].coords, point.coords) * 1000;
+    }
+
+    let elevation = null;
+    if (samples.length >= 2) {
+      while (sampleIndex < samples.length - 2 && samples[sampleIndex + 1].distance < distance) {
+        sampleIndex++;
+      }
+      const from = samples[sampleIndex];
+      const to = samples[sampleIndex + 1];
+      const span = to.distance - from.distance;
+      const ratio = span > 0 ? Math.min(1, Math.max(0, (distance - from.distance) / span)) : 0;
+      elevation = from.elevation + (to.elevation - from.elevation) * ratio;
+    } else if (typeof point.elevation === 'number') {
+      elevation = point.elevation;
+    } else if (typeof point.altitude === 'number') {
+      elevation = point.altitude;
+    }
+
+    if (elevation !== null) elevations.set(point, elevation);
+  });
+
+  return elevations;
+}
+
+function buildTrackPoint(point, elevation) {
+  const time = formatTime(point.timestamp);
+  const extensions = [];
+
+  if (typeof point.accuracy === 'number') {
+    extensions.push(`<an:accuracy>${point.accuracy}</an:accuracy>`);
+  }
+  if (typeof point.filteredAccuracy === 'number') {
+    extensions.push(`<an:filteredAccuracy>${point.filteredAccuracy.toFixed(2)}</an:filteredAccuracy>`);
+  }
+  if (typeof point.speed === 'number') {
+    extensions.push(`<an:speed>${point.speed.toFixed(2)}</an:speed>`);
+  }
+  if (point.rawCoords) {
+    extensions.push(`<an:raw lat="${point.rawCoords.lat}" lon="${point.rawCoords.lng}"/>`);
+  }
+  if (typeof point.altitude === 'number') {
+    extensions.push(`<an:gpsAltitude>${point.altitude}</an:gpsAltitude>`);
+  }
+
+  return `
+      <trkpt lat="${point.coords.lat}" lon="${point.coords.lng}">${
+        typeof elevation === 'number' ? `
+        <ele>${elevation.toFixed(1)}</ele>` : ''}${
+        time ? `
+        <time>${time}</time>` : ''}${
+        typeof point.accuracy === 'number' ? `
+        <hdop>${(point.accuracy / UERE_METERS).toFixed(1)}</hdop>` : ''}${
+        extensions.length > 0 ? `
+        <extensions>
+          ${extensions.join('\n          ')}
+        </extensions>` : ''}
+      </trkpt>`;
+}
+
+function buildWaypoint(entry, index) {
+  const time = formatTime(entry.timestamp);
+  const label = {
+    photo: 'Photo',
+    text: 'Note',
+    audio: 'Voice note',
+    stop: 'Stop'
+  }[entry.type] || (entry.type === 'marker' ? getMarkerType(entry.markerType).label : entry.type);
+
+  // Everything that isn't a standard GPX field goes into an:properties as JSON
+  const properties = {};
+  Object.entries(entry).forEach(([key, value]) => {
+    if (!WAYPOINT_STANDARD_FIELDS.includes(key) && value !== undefined) {
+      properties[key] = value;
+    }
+  });
+
+  const description = {
+    text: entry.content,
+    audio: entry.transcript,
+    marker: entry.type === 'marker' ? describeMarkerAttributes(entry).join('; ') : null
+  }[entry.type] || null;
+  const photoData = entry.type === 'photo' && typeof entry.content === 'string' ? entry.content : null;
+  const audioData = entry.type === 'audio' && typeof entry.content === 'string' ? entry.content : null;
+
+  return `
+  <wpt lat="${entry.coords.lat}" lon="${entry.coords.lng}">${
+    typeof entry.elevation === 'number' ? `
+    <ele>${entry.elevation.toFixed(1)}</ele>` : ''}${
+    time ? `
+    <time>${time}</time>` : ''}
+    <name>${escapeXML(`${label} ${index + 1}`)}</name>${
+    description ? `
+    <desc>${escapeXML(description)}</desc>` : ''}
+    <type>${escapeXML(entry.type)}</type>
+    <extensions>
+      <an:entryType>${escapeXML(entry.type)}</an:entryType>${
+      photoData ? `
+      <an:photo>${escapeXML(photoData)}</an:photo>` : ''}${
+      audioData ? `
+      <an:audio>${escapeXML(audioData)}</an:audio>` : ''}${
+      Object.keys(properties).length > 0 ? `
+      <an:properties>${escapeXML(JSON.stringify(properties))}</an:properties>` : ''}
+    </extensions>
+  </wpt>`;
+}
+
+function buildRouteInfoExtension(routeInfo) {
+  const fields = ['totalDistance', 'elapsedTime', 'movingTime', 'stoppedTime', 'date'];
+  const lines = fields
+    .filter(field => routeInfo[field] !== undefined && routeInfo[field] !== null)
+    .map(field => `        <an:${field}>${escapeXML(routeInfo[field])}</an:${field}>`);
+
+  if (routeInfo.elevationProfile) {
+    lines.push(`        <an:elevationProfile>${escapeXML(JSON.stringify(routeInfo.elevationProfile))}</an:elevationProfile>`);
+  }
+
+  return lines.length > 0 ? `      <an:route>
+${lines.join('\n')}
+      </an:route>
+` : '';
+}
+
+function buildSurveyExtension(accessibilityData) {
+  const fields = Object.entries(accessibilityData)
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([name, value]) => {
+      if (Array.isArray(value)) {
+        return `        <an:field name="${escapeXML(name)}" multiple="true">${
+          value.map(item => `<an:value>${escapeXML(item)}</an:value>`).join('')
+        }</an:field>`;
+      }
+      return `        <an:field name="${escapeXML(name)}">${escapeXML(value)}</an:field>`;
+    });
+
+  return `      <an:survey>
+${fields.join('\n')}
+      </an:survey>
+`;
+}
+
+// ==============================
+// Reader
+// ==============================
+
+function childElements(element, localName) {
+  return Array.from(element?.children || []).filter(child => child.localName === localName);
+}
+
+function childText(element, localName) {
+  const child = childElements(element, localName)[0];
+  return child ? child.textContent.trim() : null;
+}
+
+function extensionElement(element, localName) {
+  const extensions = childElements(element, 'extensions')[0];
+  if (!extensions) return null;
+  return Array.from(extensions.getElementsByTagNameNS(ACCESS_NATURE_NS, localName))[0] || null;
+}
+
+function extensionText(element, localName) {
+  const child = extensionElement(element, localName);
+  return child ? child.textContent.trim() : null;
+}
+
+function parseNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const number = parseFloat(value);
+  return Number.isNaN(number) ? null : number;
+}
+
+function parseTimestamp(value) {
+  if (!value) return null;
+  const time = new Date(value).getTime();
+  return Number.isNaN(time) ? null : time;
+}
+
+// Parse a GPX document into Access Nature structures.
+// Returns { name, routeInfo, accessibilityData, tracks: [{ name, segments: [[entries]] }], waypoints }
+export function parseGPX(text) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('Invalid GPX file - XML could not be parsed');
+  }
+
+  const root = doc.documentElement;
+  if (!root || root.localName !== 'gpx') {
+    throw new Error('Invalid GPX file - missing <gpx> root element');
+  }
+
+  const metadata = childElements(root, 'metadata')[0] || null;
+  const result = {
+    name: metadata ? childText(metadata, 'name') : null,
+    routeInfo: metadata ? parseRouteInfo(metadata) : {},
+    accessibilityData: metadata ? parseSurvey(metadata) : null,
+    tracks: [],
+    waypoints: childElements(root, 'wpt').map(parseWaypoint).filter(Boolean)
+  };
+
+  childElements(root, 'trk').forEach((trk, trackIndex) => {
+    const segments = childElements(trk, 'trkseg')
+      .map(trkseg => childElements(trkseg, 'trkpt').map(parseTrackPoint).filter(Boolean))
+      .filter(segment => segment.length > 0);
+
+    if (segments.length > 0) {
+      result.tracks.push({
+        name: childText(trk, 'name') || `Track ${trackIndex + 1}`,
+        segments
+      });
+    }
+  });
+
+  // Routes (<rte>) are planned paths - treat each as a single-segment track
+  childElements(root, 'rte').forEach((rte, routeIndex) => {
+    const points = childElements(rte, 'rtept').map(parseTrackPoint).filter(Boolean);
+    if (points.length > 0) {
+      result.tracks.push({
+        name: childText(rte, 'name') || `Route ${routeIndex + 1}`,
+        segments: [points]
+      });
+    }
+  });
+
+  return result;
+}
+
+function parseTrackPoint(trkpt) {
+  const lat = parseNumber(trkpt.getAttribute('lat'));
+  const lng = parseNumber(trkpt.getAttribute('lon'));
+  if (lat === null || lng === null) return null;
+
+  const point = {
+    type: 'location',
+    coords: { lat, lng },
+    timestamp: parseTimestamp(childText(trkpt, 'time'))
+  };
+
+  const elevation = parseNumber(childText(trkpt, 'ele'));
+  if (elevation !== null) point.elevation = elevation;
+
+  // Exact accuracy from our extension, otherwise estimate it from HDOP
+  const accuracy = parseNumber(extensionText(trkpt, 'accuracy'));
+  const hdop = parseNumber(childText(trkpt, 'hdop'));
+  if (accuracy !== null) {
+    point.accuracy = accuracy;
+  } else if (hdop !== null) {
+    point.accuracy = hdop * UERE_METERS;
+  }
+
+  const filteredAccuracy = parseNumber(extensionText(trkpt, 'filteredAccuracy'));
+  if (filteredAccuracy !== null) point.filteredAccuracy = filteredAccuracy;
+
+  const speed = parseNumber(extensionText(trkpt, 'speed'));
+  if (speed !== null) point.speed = speed;
+
+  const altitude = parseNumber(extensionText(trkpt, 'gpsAltitude'));
+  if (altitude !== null) point.altitude = altitude;
+
+  const raw = extensionElement(trkpt, 'raw');
+  if (raw) {
+    const rawLat = parseNumber(raw.getAttribute('lat'));
+    const rawLng = parseNumber(raw.getAttribute('lon'));
+    if (rawLat !== null && rawLng !== null) point.rawCoords = { lat: rawLat, lng: rawLng };
+  }
+
+  return point;
+}
+
+function parseWaypoint(wpt) {
+  const lat = parseNumber(wpt.getAttribute('lat'));
+  const lng = parseNumber(wpt.getAttribute('lon'));
+  if (lat === null || lng === null) return null;
+
+  let properties = {};
+  const propertiesText = extensionText(wpt, 'properties');
+  if (propertiesText) {
+    try {
+      properties = JSON.parse(propertiesText);
+    } catch (error) {
+      console.warn('Ignoring malformed waypoint properties:', error);
+    }
+  }
+
+  // Foreign GPX waypoints become notes built from their name/description
+  const type = extensionText(wpt, 'entryType') || 'text';
+  const description = childText(wpt, 'desc') || childText(wpt, 'cmt');
+  const entry = {
+    ...properties,
+    type,
+    coords: { lat, lng },
+    timestamp: parseTimestamp(childText(wpt, 'time')) || properties.timestamp || Date.now()
+  };
+
+  if (entry.type === 'photo') {
+    entry.content = safeMediaURL(extensionText(wpt, 'photo') || childElements(wpt, 'link')[0]?.getAttribute('href'));
+  } else if (entry.type === 'audio') {
+    entry.content = safeMediaURL(extensionText(wpt, 'audio'), 'audio');
+  } else if (entry.type === 'text') {
+    entry.content = description || childText(wpt, 'name') || '';
+  }
+
+  const elevation = parseNumber(childText(wpt, 'ele'));
+  if (elevation !== null) entry.elevation = elevation;
+
+  return entry;
+}
+
+function parseRouteInfo(metadata) {
+  const info = {};
+  const route = extensionElement(metadata, 'route');
+  if (!route) return info;
+
+  ['totalDistance', 'elapsedTime', 'movingTime', 'stoppedTime'].forEach(field => {
+    const value = parseNumber(extensionText(route, field) ?? childText(route, field));
+    if (value !== null) info[field] = value;
+  });
+
+  const date = childText(route, 'date');
+  if (date) info.date = date;
+
+  const profile = childText(route, 'elevationProfile');
+  if (profile) {
+    try {
+      info.elevationProfile = JSON.parse(profile);
+    } catch (error) {
+      console.warn('Ignoring malformed elevation profile:', error);
+    }
+  }
+
+  return info;
+}
+
+function parseSurvey(metadata) {
+  const survey = extensionElement(metadata, 'survey');
+  if (!survey) return null;
+
+  const data = {};
+  childElements(survey, 'field').forEach(field => {
+    const name = field.getAttribute('name');
+    if (!name) return;
+
+    if (field.getAttribute('multiple') === 'true') {
+      data[name] = childElements(field, 'value').map(value => value.textContent);
+    } else {
+      data[name] = field.textContent;
+    }
+  });
+
+  return Object.keys(data).length > 0 ? data : null;
+}
+
+// Flatten parsed tracks into route entries, merged with waypoints by time.
+// A manual-pause stop entry marks each segment break so it survives a re-export.
+export function gpxToRouteData(parsed, trackIndexes = null) {
+  const tracks = trackIndexes ? trackIndexes.map(i => parsed.tracks[i]).filter(Boolean) : parsed.tracks;
+  const entries = [];
+  let totalDistance = 0;
+  let fallbackTime = Date.now();
+
+  const manualStops = parsed.waypoints.filter(w => w.type === 'stop' && w.auto === false);
+
+  tracks.forEach((track, trackIndex) => {
+    track.segments.forEach((segment, segmentIndex) => {
+      if ((trackIndex > 0 || segmentIndex > 0) && entries.length > 0) {
+        const previous = entries[entries.length - 1];
+        const startTime = previous.timestamp;
+        const endTime = segment[0].timestamp || startTime;
+        // Our own exports already carry the pause as a stop waypoint
+        const hasStop = manualStops.some(stop => stop.timestamp >= startTime && stop.timestamp <= endTime);
+        if (!hasStop) {
+          entries.push({
+            type: 'stop',
+            coords: previous.coords,
+            timestamp: startTime,
+            endTime,
+            duration: Math.max(0, endTime - startTime),
+            auto: false
+          });
+        }
+      }
+
+      segment.forEach((point, pointIndex) => {
+        if (pointIndex > 0) {
+          totalDistance += haversineDistance(segment[pointIndex - 1].coords, point.coords);
+        }
+        entries.push({ ...point, timestamp: point.timestamp || fallbackTime++ });
+      });
+    });
+  });
+
+  const routeData = [...entries, ...parsed.waypoints]
+    .map((entry, index) => ({ entry, index }))
+    .sort((a, b) => (a.entry.timestamp - b.entry.timestamp) || (a.index - b.index))
+    .map(({ entry }) => entry);
+
+  return { routeData, totalDistance };
+}
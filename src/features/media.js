@@ -4,15 +4,26 @@ import { getCurrentPosition } from '../utils/geolocation.js';
 // NEW: Import UI helpers
 import toast from '../helpers/toasts.js';
 import modal from '../helpers/modals.js';
+import { blobToDataURL } from '../core/photo-store.js';
+import { getTranscriber, getAvailableTranscribers } from '../core/transcription.js';
+import { MARKER_TYPES, getMarkerType, parseMarkerAttributes } from '../utils/trail-markers.js';
+import { SURFACE_OPTIONS, getSurfaceColor, surfaceAt } from '../utils/surfaces.js';
+
+const MAX_VOICE_NOTE_SECONDS = 120;
+const VOICE_NOTE_BITRATE = 32000; // small enough to travel inline in cloud copies and guides
+const AUDIO_TYPES = ['audio/webm;codecs=opus', 'audio/ogg;codecs=opus', 'audio/mp4'];
+const TRANSCRIBER_SETTING = 'voiceNoteTranscriber';
 
 export class MediaController {
   constructor(appState) {
     this.appState = appState;
+    this.recording = null; // voice note in progress
   }
 
   initialize() {
     this.setupFileInputs();
     this.setupMediaButtons();
+    this.updateTranscriptionButton();
   }
 
   setupFileInputs() {
@@ -31,6 +42,27 @@ export class MediaController {
         this.capturePhoto();
       });
     }
+
+    const addMarkerBtn = document.getElementById('addMarkerBtn');
+    if (addMarkerBtn) {
+      addMarkerBtn.addEventListener('click', () => {
+        this.addMarker();
+      });
+    }
+
+    const surfaceBtn = document.getElementById('surfaceBtn');
+    if (surfaceBtn) {
+      surfaceBtn.addEventListener('click', () => {
+        this.setSurface();
+      });
+    }
+
+    const voiceNoteBtn = document.getElementById('voiceNoteBtn');
+    if (voiceNoteBtn) {
+      voiceNoteBtn.addEventListener('click', () => {
+        this.toggleVoiceNote();
+      });
+    }
   }
 
   async capturePhoto() {
@@ -56,12 +88,21 @@ export class MediaController {
         lng: position.coords.longitude
       };
 
-      const compressedImage = await this.compressImage(file, 0.7);
+      // UPDATED: store a Blob in the photos store and reference it from the route;
+      // fall back to inline base64 when IndexedDB isn't available
+      const photoStore = this.appState.photoStore;
+      let photoFields;
+      if (photoStore?.isAvailable()) {
+        const blob = await this.compressImageToBlob(file, 0.7);
+        photoFields = await photoStore.savePhoto(blob);
+      } else {
+        photoFields = { content: await this.compressImage(file, 0.7) };
+      }
 
       this.appState.addRoutePoint({
         type: 'photo',
         coords: coords,
-        content: compressedImage,
+        ...photoFields,
         timestamp: Date.now(),
         originalSize: file.size
       });
@@ -105,6 +146,428 @@ export class MediaController {
     }
   }
 
+  // ==============================
+  // Obstacle/feature markers
+  // ==============================
+
+  // NEW: Pick a type with one tap, then optionally fill in its attributes
+  async addMarker() {
+    if (!this.appState.getTrackingState().isTracking) {
+      toast.warning('Start tracking first to add markers');
+      return;
+    }
+
+    // The marker goes where the walker tapped, not where they finished the form
+    const position = getCurrentPosition().catch(() => null);
+
+    const choice = await modal.show({
+      type: 'info',
+      icon: '📍',
+      title: 'Add Marker',
+      content: `
+        <div style="display: grid; grid-template-columns: repeat(3, 1fr); gap: 8px;">
+          ${Object.entries(MARKER_TYPES).map(([id, type]) => `
+            <button type="button" class="btn btn-secondary" data-action="marker:${id}" style="display: flex; flex-direction: column; align-items: center; gap: 4px; padding: 10px 4px;">
+              <span style="font-size: 24px;" aria-hidden="true">${type.icon}</span>
+              <span style="font-size: 12px;">${type.label}</span>
+            </button>
+          `).join('')}
+        </div>
+      `,
+      buttons: [{ label: 'Cancel', action: 'cancel', variant: 'secondary' }]
+    });
+    if (!choice?.startsWith('marker:')) return;
+
+    const markerType = choice.slice('marker:'.length);
+    const attributes = await this.promptMarkerAttributes(markerType);
+    if (!attributes) return;
+
+    try {
+      const fix = await position;
+      const coords = fix
+        ? { lat: fix.coords.latitude, lng: fix.coords.longitude }
+        : this.appState.getLastCoords();
+      if (!coords) {
+        throw new Error('Location unavailable');
+      }
+
+      this.appState.addRoutePoint({
+        type: 'marker',
+        markerType,
+        coords,
+        attributes,
+        timestamp: Date.now()
+      });
+
+      const type = getMarkerType(markerType);
+      toast.success(`${type.icon} ${type.label} marked`);
+    } catch (error) {
+      console.error('Failed to add marker:', error);
+      toast.error('Failed to add marker: ' + error.message);
+    }
+  }
+
+  // ==============================
+  // Surface changes
+  // ==============================
+
+  // NEW: One tap records the surface from here on - a surface_change marker
+  async setSurface() {
+    if (!this.appState.getTrackingState().isTracking) {
+      toast.warning('Start tracking first to mark surfaces');
+      return;
+    }
+
+    const position = getCurrentPosition().catch(() => null);
+    const current = surfaceAt(this.appState.getRouteData(), Date.now());
+
+    const choice = await modal.show({
+      type: 'info',
+      icon: '🛤️',
+      title: 'Surface From Here',
+      subtitle: current ? `Currently: ${current}` : 'Surface so far: not set',
+      content: `
+        <div style="display: grid; grid-template-columns: repeat(2, 1fr); gap: 8px;">
+          ${SURFACE_OPTIONS.map((surface, index) => `
+            <button type="button" class="btn btn-secondary" data-action="surface:${index}" style="display: flex; align-items: center; gap: 8px; padding: 10px 8px;${surface === current ? ' outline: 2px solid #2c5530;' : ''}">
+              <span style="width: 16px; height: 16px; border-radius: 50%; background: ${getSurfaceColor(surface)}; flex-shrink: 0;" aria-hidden="true"></span>
+              <span style="font-size: 13px;">${surface}</span>
+            </button>
+          `).join('')}
+        </div>
+      `,
+      buttons: [
+        { label: 'Not sure', action: 'surface:unknown', variant: 'secondary' },
+        { label: 'Cancel', action: 'cancel', variant: 'secondary' }
+      ]
+    });
+    if (!choice?.startsWith('surface:')) return;
+
+    const surface = SURFACE_OPTIONS[choice.slice('surface:'.length)] || null;
+    if (surface === current) return;
+
+    try {
+      const fix = await position;
+      const coords = fix
+        ? { lat: fix.coords.latitude, lng: fix.coords.longitude }
+        : this.appState.getLastCoords();
+      if (!coords) {
+        throw new Error('Location unavailable');
+      }
+
+      this.appState.addRoutePoint({
+        type: 'marker',
+        markerType: 'surface_change',
+        coords,
+        attributes: surface ? { surface } : {},
+        timestamp: Date.now()
+      });
+
+      toast.success(surface ? `🛤️ Surface: ${surface}` : '🛤️ Surface marked as unknown');
+    } catch (error) {
+      console.error('Failed to mark surface:', error);
+      toast.error('Failed to mark surface: ' + error.message);
+    }
+  }
+
+  // Typed attributes, {} when skipped, null when cancelled
+  async promptMarkerAttributes(markerType) {
+    const type = getMarkerType(markerType);
+    if (type.fields.length === 0) return {};
+
+    const values = {};
+    const input = (field) => {
+      const id = `marker-field-${field.name}`;
+      if (field.type === 'boolean') {
+        return `
+          <select id="${id}" data-marker-field="${field.name}" class="modal-form-input">
+            <option value="">Not checked</option>
+            <option value="yes">Yes</option>
+            <option value="no">No</option>
+          </select>`;
+      }
+      if (field.type === 'select') {
+        return `
+          <select id="${id}" data-marker-field="${field.name}" class="modal-form-input">
+            <option value="">Not checked</option>
+            ${field.options.map(option => `<option value="${option}">${option}</option>`).join('')}
+          </select>`;
+      }
+      return `<input type="number" id="${id}" data-marker-field="${field.name}" class="modal-form-input" min="0" step="any" inputmode="decimal">`;
+    };
+
+    const dialog = modal.show({
+      type: 'info',
+      icon: type.icon,
+      title: type.label,
+      subtitle: 'Details are optional - skip if you are in a hurry',
+      content: `
+        <div class="modal-form">
+          ${type.fields.map(field => `
+            <label for="marker-field-${field.name}">${field.label}${field.unit ? ` (${field.unit})` : ''}</label>
+            ${input(field)}
+          `).join('')}
+        </div>
+      `,
+      buttons: [
+        { label: 'Skip details', action: 'skip', variant: 'secondary' },
+        { label: 'Save', action: 'save', variant: 'primary' }
+      ]
+    });
+
+    // The modal DOM goes away on close, so track the values as they change
+    type.fields.forEach(field => {
+      const element = document.querySelector(`[data-marker-field="${field.name}"]`);
+      element?.addEventListener(element.tagName === 'SELECT' ? 'change' : 'input', () => {
+        values[field.name] = field.type === 'boolean'
+          ? (element.value ? element.value === 'yes' : undefined)
+          : element.value;
+      });
+    });
+
+    const result = await dialog;
+    if (result === 'save') return parseMarkerAttributes(markerType, values);
+    if (result === 'skip') return {};
+    return null;
+  }
+
+  // ==============================
+  // Voice notes
+  // ==============================
+
+  // NEW: Tap once to record, again to stop
+  async toggleVoiceNote() {
+    if (this.recording) {
+      this.stopVoiceNote();
+      return;
+    }
+    await this.startVoiceNote();
+  }
+
+  async startVoiceNote() {
+    if (!this.appState.getTrackingState().isTracking) {
+      toast.warning('Start tracking first to record voice notes');
+      return;
+    }
+
+    if (!navigator.mediaDevices?.getUserMedia || typeof MediaRecorder === 'undefined') {
+      toast.error('Voice notes are not supported in this browser');
+      return;
+    }
+
+    let stream;
+    try {
+      stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    } catch (error) {
+      console.error('Microphone unavailable:', error);
+      toast.error('Microphone access is needed for voice notes');
+      return;
+    }
+
+    const mimeType = AUDIO_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+    const recorder = new MediaRecorder(stream, {
+      ...(mimeType && { mimeType }),
+      audioBitsPerSecond: VOICE_NOTE_BITRATE
+    });
+
+    const recording = {
+      recorder,
+      stream,
+      chunks: [],
+      startedAt: Date.now(),
+      // The note belongs where it was started, not where the walker stopped talking
+      position: getCurrentPosition().catch(() => null),
+      transcription: this.startTranscription(),
+      timeout: null,
+      toastId: null
+    };
+
+    recorder.ondataavailable = (event) => {
+      if (event.data.size > 0) recording.chunks.push(event.data);
+    };
+    recorder.onstop = () => this.saveVoiceNote(recording);
+    recorder.start();
+
+    recording.timeout = setTimeout(() => this.stopVoiceNote(), MAX_VOICE_NOTE_SECONDS * 1000);
+    recording.toastId = toast.info('Tap 🎙️ again to stop', {
+      title: 'Recording voice note…',
+      duration: 0,
+      closable: false,
+      actions: [{ id: 'stop', label: 'Stop', onClick: () => this.stopVoiceNote() }]
+    });
+
+    this.recording = recording;
+    this.updateVoiceNoteButton();
+    console.log(`🎙️ Recording voice note (${recorder.mimeType || 'default format'})`);
+  }
+
+  stopVoiceNote() {
+    if (this.recording?.recorder.state === 'recording') {
+      this.recording.recorder.stop();
+    }
+  }
+
+  async saveVoiceNote(recording) {
+    clearTimeout(recording.timeout);
+    recording.stream.getTracks().forEach(track => track.stop());
+    toast.dismiss(recording.toastId);
+    this.recording = null;
+    this.updateVoiceNoteButton();
+
+    const duration = Math.round((Date.now() - recording.startedAt) / 100) / 10;
+    const blob = new Blob(recording.chunks, { type: recording.recorder.mimeType || 'audio/webm' });
+    if (blob.size === 0) {
+      recording.transcription?.cancel();
+      toast.warning('Nothing was recorded');
+      return;
+    }
+
+    try {
+      const [position, transcript] = await Promise.all([
+        recording.position,
+        this.finishTranscription(recording.transcription, blob)
+      ]);
+      const coords = position
+        ? { lat: position.coords.latitude, lng: position.coords.longitude }
+        : this.appState.getLastCoords();
+      if (!coords) {
+        throw new Error('Location unavailable');
+      }
+
+      // Same as photos: a Blob in IndexedDB, inline only without it
+      const audioStore = this.appState.audioStore;
+      const audioFields = audioStore?.isAvailable()
+        ? await audioStore.saveAudio(blob, duration)
+        : { content: await blobToDataURL(blob), mimeType: blob.type };
+
+      this.appState.addRoutePoint({
+        type: 'audio',
+        coords,
+        ...audioFields,
+        duration,
+        timestamp: recording.startedAt,
+        ...(transcript && { transcript })
+      });
+
+      toast.success(transcript ? `“${transcript}”` : `${duration} s recorded`, { title: 'Voice note saved' });
+    } catch (error) {
+      console.error('Failed to save voice note:', error);
+      toast.error('Failed to save voice note: ' + error.message);
+    }
+  }
+
+  updateVoiceNoteButton() {
+    const button = document.getElementById('voiceNoteBtn');
+    if (!button) return;
+
+    button.classList.toggle('voice-recording', !!this.recording);
+    button.textContent = this.recording ? '⏹' : '🎙️';
+    button.title = this.recording ? 'Stop Voice Note' : 'Record Voice Note';
+  }
+
+  // ==============================
+  // Transcription (optional, off by default)
+  // ==============================
+
+  startTranscription() {
+    const transcriber = getTranscriber(localStorage.getItem(TRANSCRIBER_SETTING));
+    if (!transcriber) return null;
+
+    try {
+      return transcriber.start({ lang: navigator.language });
+    } catch (error) {
+      console.warn(`⚠️ Transcriber "${transcriber.id}" failed to start:`, error);
+      return null;
+    }
+  }
+
+  async finishTranscription(session, blob) {
+    if (!session) return '';
+
+    try {
+      return ((await session.finish(blob)) || '').trim();
+    } catch (error) {
+      console.warn('⚠️ Transcription failed:', error);
+      return '';
+    }
+  }
+
+  async toggleTranscription() {
+    if (localStorage.getItem(TRANSCRIBER_SETTING)) {
+      localStorage.removeItem(TRANSCRIBER_SETTING);
+      this.updateTranscriptionButton();
+      toast.info('Voice note transcription disabled');
+      return;
+    }
+
+    const available = getAvailableTranscribers();
+    if (available.length === 0) {
+      toast.warning('Transcription is not supported in this browser');
+      return;
+    }
+
+    const choice = available.length === 1
+      ? { transcriber: available[0] }
+      : await modal.list(available.map(transcriber => ({ title: transcriber.label, transcriber })), 'Transcribe Voice Notes With');
+    if (!choice) return;
+
+    localStorage.setItem(TRANSCRIBER_SETTING, choice.transcriber.id);
+    this.updateTranscriptionButton();
+    toast.info(`Voice notes will be transcribed (${choice.transcriber.label})`);
+  }
+
+  updateTranscriptionButton() {
+    const button = document.getElementById('voiceTranscriptionBtn');
+    if (button) {
+      const enabled = !!getTranscriber(localStorage.getItem(TRANSCRIBER_SETTING));
+      button.textContent = `📝 Transcribe Voice Notes: ${enabled ? 'On' : 'Off'}`;
+    }
+  }
+
+  // NEW: Same compression as compressImage, as a JPEG Blob for the photos store
+  async compressImageToBlob(file, quality = 0.7) {
+    const image = await this.loadImage(file);
+    const canvas = this.drawScaled(image);
+
+    return new Promise((resolve, reject) => {
+      canvas.toBlob((blob) => {
+        if (blob) {
+          resolve(blob);
+        } else {
+          reject(new Error('Image compression failed'));
+        }
+      }, 'image/jpeg', quality);
+    });
+  }
+
+  loadImage(file) {
+    return new Promise((resolve, reject) => {
+      const img = new Image();
+      const url = URL.createObjectURL(file);
+      img.onload = () => {
+        URL.revokeObjectURL(url);
+        resolve(img);
+      };
+      img.onerror = () => {
+        URL.revokeObjectURL(url);
+        reject(new Error('Failed to load image'));
+      };
+      img.src = url;
+    });
+  }
+
+  drawScaled(img, maxWidth = 1200) {
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d');
+
+    const scale = Math.min(1, maxWidth / img.width);
+    canvas.width = img.width * scale;
+    canvas.height = img.height * scale;
+
+    ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+    return canvas;
+  }
+
   async compressImage(file, quality = 0.7) {
     return new Promise((resolve, reject) => {
       const img = new Image();
@@ -146,7 +609,7 @@ export class MediaController {
   }
 
   async showPhotoCleanupDialog() {
-    const photos = this.getStoredPhotos();
+    const photos = await this.getStoredPhotos();
 
     if (photos.length === 0) {
       toast.info('No stored photos found.');
@@ -159,24 +622,26 @@ export class MediaController {
     );
     
     if (shouldDelete) {
-      this.deleteAllPhotos();
+      await this.deleteAllPhotos();
       toast.success('All photos deleted.');
     }
   }
 
-  getStoredPhotos() {
+  // FIXED: getSessions is async
+  async getStoredPhotos() {
     const photos = [];
     
     this.appState.getRouteData().forEach(entry => {
-      if (entry.type === 'photo' && entry.content) {
+      if (entry.type === 'photo' && (entry.content || entry.photoId)) {
         photos.push(entry);
       }
     });
 
-    this.appState.getSessions().forEach(session => {
+    const sessions = await this.appState.getSessions();
+    sessions.forEach(session => {
       if (session.data) {
         session.data.forEach(entry => {
-          if (entry.type === 'photo' && entry.content) {
+          if (entry.type === 'photo' && (entry.content || entry.photoId)) {
             photos.push(entry);
           }
         });
@@ -186,19 +651,21 @@ export class MediaController {
     return photos;
   }
 
-  deleteAllPhotos() {
+  async deleteAllPhotos() {
     // Clear from current route data
     const routeData = this.appState.getRouteData();
-    const filtered = routeData.filter(entry => entry.type !== 'photo');
-    this.appState.routeData = filtered;
+    await this.appState.photoStore.deletePhotosForEntries(routeData);
+    this.appState.routeData = routeData.filter(entry => entry.type !== 'photo');
 
     // Clear from all sessions
-    const sessions = this.appState.getSessions();
-    sessions.forEach(session => {
-      if (session.data) {
-        session.data = session.data.filter(entry => entry.type !== 'photo');
-      }
-    });
-    localStorage.setItem('sessions', JSON.stringify(sessions));
+    const sessions = await this.appState.getSessions();
+    for (const session of sessions) {
+      if (!session.data || !session.data.some(entry => entry.type === 'photo')) continue;
+
+      await this.appState.photoStore.deletePhotosForEntries(session.data);
+      session.data = session.data.filter(entry => entry.type !== 'photo');
+      session.dataSize = JSON.stringify(session.data).length;
+      await this.appState.updateSession(session);
+    }
   }
 }
@@ -0,0 +1,226 @@
+// "Download this area" tool and offline region manager
+import toast from '../helpers/toasts.js';
+import modal from '../helpers/modals.js';
+import { formatFileSize } from '../utils/helpers.js';
+import { OfflineTileManager, getTileSource, boundsFromLeaflet } from '../core/offline-tiles.js';
+
+export class OfflineMapsController {
+  constructor(appState) {
+    this.appState = appState;
+    this.tiles = new OfflineTileManager(appState.routeDB);
+    this.dependencies = {};
+    this.downloadController = null;
+    this.regionOutline = null;
+  }
+
+  setDependencies(deps) {
+    this.dependencies = deps;
+  }
+
+  // The service worker serving cached tiles is registered by every page (src/core/pwa.js)
+  async initialize() {
+    window.showOfflineMapDownload = () => this.showDownloadDialog();
+    window.showOfflineRegions = () => this.showRegionManager();
+  }
+
+  async showDownloadDialog() {
+    if (this.downloadController) {
+      const cancel = await modal.confirm('A map download is already running. Cancel it?', 'Offline Maps');
+      if (cancel) this.downloadController.abort();
+      return;
+    }
+
+    const map = this.dependencies.map?.map;
+    if (!map || !this.tiles.isSupported()) {
+      toast.error('Offline maps are not supported in this browser');
+      return;
+    }
+
+    const source = getTileSource();
+    const bounds = boundsFromLeaflet(map.getBounds());
+    const currentZoom = Math.min(map.getZoom(), source.maxDownloadZoom);
+    const options = {
+      name: `Area ${new Date().toLocaleDateString()}`,
+      minZoom: Math.max(1, currentZoom - 2),
+      maxZoom: Math.min(currentZoom + 2, source.maxDownloadZoom)
+    };
+
+    const dialog = modal.show({
+      type: 'info',
+      icon: '🗺️',
+      title: 'Download This Area',
+      subtitle: 'Save the map on screen for use without signal',
+      content: `
+        <div class="modal-form">
+          <label for="offline-region-name">Area name</label>
+          <input type="text" id="offline-region-name" class="modal-form-input" value="${this.escapeHtml(options.name)}">
+          <div style="display: flex; gap: 12px; margin-top: 10px;">
+            <label style="flex: 1;">Zoom from
+              <input type="number" id="offline-min-zoom" class="modal-form-input" min="1" max="${source.maxDownloadZoom}" value="${options.minZoom}">
+            </label>
+            <label style="flex: 1;">to
+              <input type="number" id="offline-max-zoom" class="modal-form-input" min="1" max="${source.maxDownloadZoom}" value="${options.maxZoom}">
+            </label>
+          </div>
+          <div id="offline-estimate" aria-live="polite" style="margin-top: 12px; font-size: 14px;">Calculating…</div>
+        </div>
+      `,
+      buttons: [
+        { label: 'Cancel', action: 'cancel', variant: 'secondary' },
+        { label: 'Download', action: 'download', variant: 'primary' }
+      ]
+    });
+
+    // The modal DOM goes away on close, so track the values as they change
+    const nameInput = document.getElementById('offline-region-name');
+    const minInput = document.getElementById('offline-min-zoom');
+    const maxInput = document.getElementById('offline-max-zoom');
+
+    const update = async () => {
+      options.name = nameInput?.value.trim() || options.name;
+      options.minZoom = parseInt(minInput?.value, 10) || options.minZoom;
+      options.maxZoom = parseInt(maxInput?.value, 10) || options.maxZoom;
+      const plan = await this.tiles.planRegion({ bounds, ...options });
+      this.renderEstimate(plan);
+    };
+
+    [nameInput, minInput, maxInput].forEach(input => input?.addEventListener('input', update));
+    update();
+
+    if (await dialog !== 'download') return;
+
+    const plan = await this.tiles.planRegion({ bounds, ...options });
+    if (!plan.canDownload) {
+      await modal.warning(plan.problems.join('\n') || 'Nothing to download for this area', 'Cannot Download Area');
+      return;
+    }
+
+    await this.downloadRegion({ ...options, bounds }, plan);
+  }
+
+  renderEstimate(plan) {
+    const element = document.getElementById('offline-estimate');
+    if (!element) return;
+
+    const free = plan.available !== null ? formatFileSize(plan.available) : 'unknown';
+    const lines = [
+      `🧩 ${plan.tileCount.toLocaleString()} tiles · about ${formatFileSize(plan.estimatedBytes)}`,
+      `💾 Free storage: ${free} (${plan.storage.usagePercent}% used)`
+    ];
+
+    element.innerHTML = [
+      ...lines.map(line => `<div>${line}</div>`),
+      ...plan.problems.map(problem => `<div style="color: #c0392b;">⚠️ ${this.escapeHtml(problem)}</div>`)
+    ].join('');
+  }
+
+  async downloadRegion(region, plan) {
+    this.downloadController = new AbortController();
+    const toastId = toast.loading(`Downloading ${plan.tileCount.toLocaleString()} map tiles…`, { title: 'Offline map' });
+
+    try {
+      const saved = await this.tiles.downloadRegion(region, {
+        signal: this.downloadController.signal,
+        onProgress: ({ done, total, failed }) => {
+          if (done % 20 === 0 || done === total) {
+            const percent = Math.round((done / total) * 100);
+            toast.update(toastId, `${percent}% (${done}/${total} tiles${failed ? `, ${failed} failed` : ''})`);
+          }
+        }
+      });
+
+      toast.dismiss(toastId);
+      if (saved.failedCount > 0) {
+        toast.warning(`"${saved.name}" saved, but ${saved.failedCount} tiles failed to download`);
+      } else {
+        toast.success(`"${saved.name}" is available offline (${formatFileSize(saved.bytes)})`);
+      }
+    } catch (error) {
+      toast.dismiss(toastId);
+      if (error.name === 'AbortError') {
+        toast.info('Map download cancelled');
+      } else {
+        console.error('❌ Offline map download failed:', error);
+        toast.error('Map download failed: ' + error.message);
+      }
+    } finally {
+      this.downloadController = null;
+    }
+  }
+
+  async showRegionManager() {
+    const regions = await this.tiles.getRegions();
+    if (regions.length === 0) {
+      toast.info('No offline map areas yet. Use "Download Map Area" first.');
+      return;
+    }
+
+    const stats = await this.tiles.getCacheStats();
+    const picked = await modal.list(regions.map(region => ({
+      title: region.name,
+      description: `Zoom ${region.minZoom}-${region.maxZoom} · ${region.tileCount.toLocaleString()} tiles · ${formatFileSize(region.bytes || 0)} · ${new Date(region.createdAt).toLocaleDateString()}`,
+      region
+    })), `Offline Map Areas (${formatFileSize(stats.totalSize)})`);
+    if (!picked) return;
+
+    const action = await modal.show({
+      type: 'info',
+      icon: '🗺️',
+      title: picked.region.name,
+      message: `${picked.region.tileCount.toLocaleString()} tiles, zoom ${picked.region.minZoom}-${picked.region.maxZoom}`,
+      buttons: [
+        { label: 'Cancel', action: 'cancel', variant: 'secondary' },
+        { label: 'Show on map', action: 'show', variant: 'primary' },
+        { label: 'Delete', action: 'delete', variant: 'danger' }
+      ]
+    });
+
+    if (action === 'show') {
+      this.showRegionOnMap(picked.region);
+    } else if (action === 'delete') {
+      await this.deleteRegion(picked.region);
+    }
+  }
+
+  showRegionOnMap(region) {
+    const map = this.dependencies.map?.map;
+    if (!map) return;
+
+    const { north, south, east, west } = region.bounds;
+    if (this.regionOutline) map.removeLayer(this.regionOutline);
+
+    this.regionOutline = L.rectangle([[south, west], [north, east]], {
+      color: '#2196F3',
+      weight: 2,
+      fill: false,
+      dashArray: '6 4'
+    }).addTo(map);
+    map.fitBounds(this.regionOutline.getBounds());
+
+    setTimeout(() => {
+      if (this.regionOutline) {
+        map.removeLayer(this.regionOutline);
+        this.regionOutline = null;
+      }
+    }, 8000);
+  }
+
+  async deleteRegion(region) {
+    const confirmed = await modal.confirm(`Delete the offline map for "${region.name}"?`, 'Delete Offline Area');
+    if (!confirmed) return;
+
+    try {
+      await this.tiles.deleteRegion(region.id);
+      toast.success(`Offline area "${region.name}" deleted`);
+    } catch (error) {
+      console.error('❌ Failed to delete offline region:', error);
+      toast.error('Failed to delete offline area');
+    }
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+}
@@ -0,0 +1,214 @@
+// Proximity alerts for accessibility reports while recording or following a
+// trail. Open critical/high reports around the walker are preloaded (and
+// cached for offline use); approaching one raises a toast, a vibration and,
+// if enabled, a spoken warning with a quick "still there / fixed" answer.
+import toast from '../helpers/toasts.js';
+import { haversineDistance, formatDistance } from '../utils/calculations.js';
+
+const CACHE_SETTING = 'nearbyReports';
+const SPEECH_SETTING = 'reportAlertSpeech';
+const AREA_KM = 5;            // preload reports within this distance...
+const RELOAD_KM = 3;          // ...again once the walker is this far from where they were loaded
+const CACHE_MAX_AGE = 60 * 60 * 1000;
+const RETRY_DELAY = 60 * 1000;   // GPS fixes come every second - don't query that often
+const ALERT_KM = 0.1;
+const REARM_KM = 0.5;         // moving this far away lets the same report warn again
+export const ALERT_SEVERITIES = ['critical', 'high'];
+const CLOSED_STATUSES = ['resolved', 'closed', 'wont_fix'];
+
+export class ReportAlertsController {
+  constructor(appState) {
+    this.appState = appState;
+    this.dependencies = {};
+    this.reports = [];
+    this.center = null;
+    this.loadedAt = 0;
+    this.lastAttemptAt = 0;
+    this.loading = null;
+    this.alerted = new Set();
+    this.speechEnabled = localStorage.getItem(SPEECH_SETTING) === 'true';
+    this.unsubscribe = null;
+  }
+
+  setDependencies(deps) {
+    this.dependencies = deps;
+  }
+
+  async initialize() {
+    // Positions only arrive while recording - which is also how a trail is followed
+    this.unsubscribe = this.dependencies.tracking?.addPositionListener((coords) => this.handlePosition(coords));
+    window.toggleReportSpeech = () => this.setSpeechEnabled(!this.speechEnabled);
+    this.updateSpeechButton();
+  }
+
+  setSpeechEnabled(enabled) {
+    this.speechEnabled = enabled && 'speechSynthesis' in window;
+    localStorage.setItem(SPEECH_SETTING, this.speechEnabled ? 'true' : 'false');
+    this.updateSpeechButton();
+
+    if (enabled && !this.speechEnabled) {
+      toast.warning('Spoken alerts are not supported in this browser');
+    } else {
+      toast.info(`Spoken report alerts ${this.speechEnabled ? 'enabled' : 'disabled'}`);
+    }
+  }
+
+  updateSpeechButton() {
+    const button = document.getElementById('reportSpeechBtn');
+    if (button) {
+      button.textContent = `🔊 Spoken Report Alerts: ${this.speechEnabled ? 'On' : 'Off'}`;
+    }
+  }
+
+  // ==============================
+  // Preloading
+  // ==============================
+
+  needsReload(coords) {
+    if (Date.now() - this.lastAttemptAt < RETRY_DELAY) return false;
+    return !this.center ||
+      haversineDistance(this.center, coords) > RELOAD_KM ||
+      Date.now() - this.loadedAt > CACHE_MAX_AGE;
+  }
+
+  loadReports(coords) {
+    if (!this.loading) {
+      this.lastAttemptAt = Date.now();
+      this.loading = this.fetchReports(coords)
+        .catch(error => console.warn('⚠️ Could not preload nearby reports:', error))
+        .finally(() => {
+          this.loading = null;
+        });
+    }
+    return this.loading;
+  }
+
+  async fetchReports(coords) {
+    if (!navigator.onLine) {
+      await this.loadCachedReports(coords);
+      return;
+    }
+
+    const { accessReportController, ISSUE_TYPES } = await import('../controllers/access-report-controller.js');
+    const reports = await accessReportController.getReports({ isPublic: true, limit: 1000 });
+
+    this.reports = reports
+      .filter(report => ALERT_SEVERITIES.includes(report.severity) && !CLOSED_STATUSES.includes(report.status))
+      .filter(report => typeof report.location?.latitude === 'number' && typeof report.location?.longitude === 'number')
+      .map(report => ({
+        id: report.id,
+        title: report.title || 'Accessibility report',
+        icon: Object.values(ISSUE_TYPES).find(type => type.id === report.issueType)?.icon || '⚠️',
+        severity: report.severity,
+        status: report.status,
+        userId: report.userId,
+        jurisdiction: report.jurisdiction || null,
+        coords: { lat: report.location.latitude, lng: report.location.longitude }
+      }))
+      .filter(report => haversineDistance(coords, report.coords) <= AREA_KM);
+
+    this.center = coords;
+    this.loadedAt = Date.now();
+    console.log(`⚠️ Preloaded ${this.reports.length} critical/high reports within ${AREA_KM} km`);
+
+    if (this.appState.dbReady) {
+      await this.appState.routeDB.saveSetting(CACHE_SETTING, {
+        center: this.center,
+        fetchedAt: this.loadedAt,
+        reports: this.reports
+      });
+    }
+  }
+
+  // Offline: the last preloaded area still helps if we're inside it
+  async loadCachedReports(coords) {
+    if (!this.appState.dbReady || this.center) return;
+
+    const cached = await this.appState.routeDB.getSetting(CACHE_SETTING);
+    if (!cached?.center || haversineDistance(cached.center, coords) > AREA_KM) return;
+
+    this.reports = cached.reports || [];
+    this.center = cached.center;
+    // Try the network again on the next fix once we're back online
+    this.loadedAt = 0;
+    console.log(`📴 Using ${this.reports.length} cached nearby reports from ${new Date(cached.fetchedAt).toLocaleString()}`);
+  }
+
+  // ==============================
+  // Alerts
+  // ==============================
+
+  handlePosition(coords) {
+    if (this.needsReload(coords)) {
+      this.loadReports(coords);
+    }
+
+    this.reports.forEach(report => {
+      const distance = haversineDistance(coords, report.coords);
+
+      if (distance <= ALERT_KM && !this.alerted.has(report.id)) {
+        this.alerted.add(report.id);
+        this.alert(report, distance);
+      } else if (distance > REARM_KM) {
+        this.alerted.delete(report.id);
+      }
+    });
+  }
+
+  alert(report, distance) {
+    const severity = report.severity === 'critical' ? 'Critical' : 'High';
+    const message = `${report.icon} ${report.title} - ${formatDistance(distance)} away`;
+
+    toast.warning(message, {
+      title: `${severity} accessibility report nearby`,
+      duration: 15000,
+      actions: [
+        { id: 'still-there', label: 'Still there', onClick: () => this.confirmReport(report, true) },
+        { id: 'fixed', label: 'Fixed', onClick: () => this.confirmReport(report, false) }
+      ]
+    });
+
+    navigator.vibrate?.(report.severity === 'critical' ? [300, 100, 300, 100, 300] : [300, 100, 300]);
+
+    if (this.speechEnabled && 'speechSynthesis' in window) {
+      const utterance = new SpeechSynthesisUtterance(
+        `${severity} accessibility report in ${Math.round(distance * 1000)} meters: ${report.title}`
+      );
+      window.speechSynthesis.speak(utterance);
+    }
+
+    console.log(`⚠️ Approaching ${report.severity} report ${report.id} (${Math.round(distance * 1000)} m)`);
+  }
+
+  // Still there keeps the status and adds a dated confirmation to its history.
+  // "Fixed" resolves the report only for those allowed to - otherwise it's a confirmation note too.
+  async confirmReport(report, stillThere) {
+    const user = window.AccessNatureApp?.getController('auth')?.getCurrentUser();
+    if (!user) {
+      toast.warning('Sign in to confirm reports');
+      return;
+    }
+
+    try {
+      const { accessReportController } = await import('../controllers/access-report-controller.js');
+      const { reportRoles, canChangeStatus } = await import('../controllers/report-roles.js');
+      if (stillThere) {
+        await accessReportController.updateReportStatus(report.id, report.status, 'Confirmed still there on site');
+      } else if (canChangeStatus(await reportRoles.getRole(user.uid), report, 'resolved')) {
+        await accessReportController.updateReportStatus(report.id, 'resolved', 'Reported fixed on site');
+        this.reports = this.reports.filter(existing => existing.id !== report.id);
+      } else {
+        await accessReportController.updateReportStatus(report.id, report.status, 'Reported fixed on site - awaiting review');
+      }
+    } catch (error) {
+      // updateReportStatus already told the user
+      console.warn('⚠️ Report confirmation failed:', error);
+    }
+  }
+
+  cleanup() {
+    this.unsubscribe?.();
+    window.speechSynthesis?.cancel();
+    delete window.toggleReportSpeech;
+  }
+}
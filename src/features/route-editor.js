@@ -0,0 +1,513 @@
+// Saved-route editor: trim, split, merge and delete GPS points, and paint
+// surface types onto stretches of the route.
+// Edits are made on a working copy with an undo stack. The first save keeps
+// the route as recorded in route.original, so edits can be reverted later.
+import toast from '../helpers/toasts.js';
+import modal from '../helpers/modals.js';
+import { formatDistance, formatDuration } from '../utils/calculations.js';
+import { buildElevationProfile } from '../utils/elevation.js';
+import {
+  sortEntries,
+  isLocationEntry,
+  countLocationPoints,
+  recalculateRouteStats,
+  trimRoute,
+  splitRoute,
+  deleteEntries,
+  mergeRoutes,
+  paintSurface
+} from '../utils/route-edit.js';
+import { SURFACE_OPTIONS, surfaceAt } from '../utils/surfaces.js';
+
+const MIN_LOCATION_POINTS = 2;
+
+export class RouteEditorController {
+  constructor(appState) {
+    this.appState = appState;
+    this.dependencies = {};
+    this.route = null;
+    this.data = [];
+    this.history = [];
+    this.selectedIndex = null;
+    this.paintFrom = null; // start point while painting a surface
+    this.toolbar = null;
+    this.keyHandler = null;
+  }
+
+  setDependencies(deps) {
+    this.dependencies = deps;
+  }
+
+  isOpen() {
+    return !!this.route;
+  }
+
+  open(route) {
+    if (this.appState.getTrackingState().isTracking) {
+      toast.warning('Stop tracking before editing a saved route');
+      return false;
+    }
+
+    if (countLocationPoints(route?.data) < MIN_LOCATION_POINTS) {
+      toast.warning('This route has too few GPS points to edit');
+      return false;
+    }
+
+    if (this.isOpen()) this.close();
+
+    this.route = route;
+    this.data = sortEntries(route.data);
+    this.history = [];
+    this.selectedIndex = null;
+    this.paintFrom = null;
+
+    this.keyHandler = (event) => this.handleKey(event);
+    document.addEventListener('keydown', this.keyHandler);
+
+    this.render(true);
+    console.log(`✏️ Editing route "${route.name}" (${this.data.length} entries)`);
+    return true;
+  }
+
+  close() {
+    if (this.keyHandler) {
+      document.removeEventListener('keydown', this.keyHandler);
+      this.keyHandler = null;
+    }
+
+    this.toolbar?.remove();
+    this.toolbar = null;
+
+    const map = this.dependencies.map;
+    map?.clearEditPoints();
+    map?.clearRouteDisplay();
+
+    this.route = null;
+    this.data = [];
+    this.history = [];
+    this.selectedIndex = null;
+    this.paintFrom = null;
+  }
+
+  // ==============================
+  // Edits
+  // ==============================
+
+  select(index) {
+    if (!isLocationEntry(this.data[index])) return;
+    this.selectedIndex = index;
+    this.render(false);
+  }
+
+  // Tapping a point while painting ends the stretch there
+  handleTap(index) {
+    this.select(index);
+    if (this.paintFrom && isLocationEntry(this.data[index]) && this.data[index] !== this.paintFrom) {
+      this.finishPaint(index);
+    }
+  }
+
+  // Move the selection to the previous/next GPS point
+  step(direction) {
+    let index = this.selectedIndex ?? (direction > 0 ? -1 : this.data.length);
+    do {
+      index += direction;
+    } while (index >= 0 && index < this.data.length && !isLocationEntry(this.data[index]));
+
+    if (index >= 0 && index < this.data.length) {
+      this.select(index);
+    }
+  }
+
+  applyEdit(data, label) {
+    if (countLocationPoints(data) < MIN_LOCATION_POINTS) {
+      toast.warning(`A route needs at least ${MIN_LOCATION_POINTS} GPS points`);
+      return false;
+    }
+
+    this.history.push({ data: this.data, selectedIndex: this.selectedIndex, label });
+    this.data = data;
+    console.log(`✏️ ${label}: ${data.length} entries left`);
+    return true;
+  }
+
+  trimStart() {
+    if (!this.hasSelection()) return;
+    if (this.applyEdit(trimRoute(this.data, this.selectedIndex, this.data.length - 1), 'Trim start')) {
+      this.selectedIndex = this.data.findIndex(isLocationEntry);
+      this.render(true);
+    }
+  }
+
+  trimEnd() {
+    if (!this.hasSelection()) return;
+    if (this.applyEdit(trimRoute(this.data, 0, this.selectedIndex), 'Trim end')) {
+      this.selectedIndex = this.data.length - 1 - [...this.data].reverse().findIndex(isLocationEntry);
+      this.render(true);
+    }
+  }
+
+  deletePoint() {
+    if (!this.hasSelection()) return;
+
+    const removed = this.selectedIndex;
+    if (this.applyEdit(deleteEntries(this.data, [removed]), 'Delete point')) {
+      // Select the next point so bad fixes can be removed one after another
+      this.selectedIndex = null;
+      for (let i = Math.min(removed, this.data.length - 1); i >= 0; i--) {
+        if (isLocationEntry(this.data[i])) {
+          this.selectedIndex = i;
+          break;
+        }
+      }
+      this.render(false);
+    }
+  }
+
+  // NEW: The selected point starts the stretch; the next tapped point (or Enter) ends it
+  startPaint() {
+    if (!this.hasSelection()) return;
+    this.paintFrom = this.data[this.selectedIndex];
+    this.renderToolbar();
+  }
+
+  cancelPaint() {
+    this.paintFrom = null;
+    this.renderToolbar();
+  }
+
+  async finishPaint(endIndex) {
+    const startIndex = this.data.indexOf(this.paintFrom);
+    this.paintFrom = null;
+    if (startIndex === -1) {
+      this.renderToolbar();
+      return;
+    }
+
+    const [from, to] = [startIndex, endIndex].sort((a, b) => a - b);
+    const stretch = recalculateRouteStats(this.data.slice(from, to + 1)).totalDistance;
+    const current = surfaceAt(this.data, this.data[from].timestamp);
+
+    const choice = await modal.list([
+      ...SURFACE_OPTIONS.map(surface => ({
+        title: surface,
+        description: surface === current ? 'Current surface at the start' : '',
+        surface
+      })),
+      { title: 'Unknown', description: 'Clear the surface of this stretch', surface: null }
+    ], `🛤️ Surface for ${formatDistance(stretch)}`);
+
+    if (!choice) {
+      this.renderToolbar();
+      return;
+    }
+
+    const selected = this.data[this.selectedIndex];
+    if (this.applyEdit(paintSurface(this.data, from, to, choice.surface), `Paint ${choice.title}`)) {
+      // Markers were added, so find the selected point again
+      this.selectedIndex = this.data.indexOf(selected);
+      this.render(false);
+    }
+  }
+
+  undo() {
+    const previous = this.history.pop();
+    if (!previous) {
+      toast.info('Nothing to undo');
+      return;
+    }
+
+    this.data = previous.data;
+    this.selectedIndex = previous.selectedIndex;
+    this.paintFrom = null;
+    this.render(false);
+    toast.info(`Undone: ${previous.label}`);
+  }
+
+  hasSelection() {
+    if (isLocationEntry(this.data[this.selectedIndex])) return true;
+    toast.info('Tap a GPS point on the map first');
+    return false;
+  }
+
+  // ==============================
+  // Persisting
+  // ==============================
+
+  async save() {
+    if (this.history.length === 0) {
+      toast.info('No changes to save');
+      this.close();
+      return;
+    }
+
+    try {
+      const updated = await this.buildEditedRoute(this.route, this.data);
+      await this.appState.updateSession(updated);
+
+      toast.success(`Route "${updated.name}" saved (${formatDistance(updated.totalDistance)})`);
+      this.close();
+      this.dependencies.map?.showRouteData(updated.data, { silent: true });
+    } catch (error) {
+      console.error('❌ Failed to save edited route:', error);
+      toast.error('Failed to save route: ' + error.message);
+    }
+  }
+
+  async split() {
+    if (!this.hasSelection()) return;
+
+    const [first, second] = splitRoute(this.data, this.selectedIndex);
+    if (countLocationPoints(first) < MIN_LOCATION_POINTS || countLocationPoints(second) < MIN_LOCATION_POINTS) {
+      toast.warning('Both parts need at least 2 GPS points - pick a point further from the ends');
+      return;
+    }
+
+    const confirmed = await modal.confirm(
+      `Split "${this.route.name}" into two routes at the selected point?\n\n` +
+      `Part 1: ${formatDistance(recalculateRouteStats(first).totalDistance)}\n` +
+      `Part 2: ${formatDistance(recalculateRouteStats(second).totalDistance)}\n\n` +
+      'The original recording is kept with part 1 and can be restored from the route manager.',
+      '✂️ Split Route'
+    );
+    if (!confirmed) return;
+
+    try {
+      const original = this.route;
+      const part1 = await this.buildEditedRoute(original, first, { name: `${original.name} (1)` });
+      const part2 = await this.buildNewRoute(second, {
+        name: `${original.name} (2)`,
+        splitFrom: original.id,
+        ...(original.accessibilityData ? { accessibilityData: original.accessibilityData } : {})
+      });
+
+      await this.appState.updateSession(part1);
+      const saved = await this.appState.addSession(part2);
+
+      toast.success(`Split into "${part1.name}" and "${saved.name}"`);
+      this.close();
+      this.dependencies.map?.showRouteData(part1.data, { silent: true });
+    } catch (error) {
+      console.error('❌ Failed to split route:', error);
+      toast.error('Failed to split route: ' + error.message);
+    }
+  }
+
+  // Join two saved sessions into a new route. Both originals are left untouched.
+  async merge(route, otherRoute) {
+    try {
+      const data = mergeRoutes([route, otherRoute]);
+      const [earlier, later] = sortEntries(route.data)[0]?.timestamp <= sortEntries(otherRoute.data)[0]?.timestamp
+        ? [route, otherRoute]
+        : [otherRoute, route];
+
+      const merged = await this.buildNewRoute(data, {
+        name: `${earlier.name} + ${later.name}`,
+        mergedFrom: [earlier.id, later.id],
+        ...(earlier.accessibilityData ? { accessibilityData: earlier.accessibilityData } : {})
+      });
+      const saved = await this.appState.addSession(merged);
+
+      toast.success(`Merged into "${saved.name}" (${formatDistance(saved.totalDistance)})`);
+      return saved;
+    } catch (error) {
+      console.error('❌ Failed to merge routes:', error);
+      toast.error('Failed to merge routes: ' + error.message);
+      return null;
+    }
+  }
+
+  // Put the route back the way it was recorded
+  async revertToOriginal(route) {
+    if (!route?.original) {
+      toast.info('This route has not been edited');
+      return null;
+    }
+
+    const { original, editedAt, ...rest } = route;
+    const { savedAt, ...recorded } = original;
+    const restored = {
+      ...rest,
+      ...recorded,
+      dataSize: JSON.stringify(recorded.data).length
+    };
+
+    try {
+      await this.appState.updateSession(restored);
+      toast.success(`Route "${restored.name}" restored to the original recording`);
+      return restored;
+    } catch (error) {
+      console.error('❌ Failed to restore original route:', error);
+      toast.error('Failed to restore route: ' + error.message);
+      return null;
+    }
+  }
+
+  async buildEditedRoute(route, data, overrides = {}) {
+    return {
+      ...route,
+      ...overrides,
+      ...recalculateRouteStats(data),
+      data,
+      dataSize: JSON.stringify(data).length,
+      elevationProfile: route.elevationProfile ? await this.rebuildElevationProfile(data) : null,
+      original: route.original || {
+        data: route.data,
+        totalDistance: route.totalDistance,
+        elapsedTime: route.elapsedTime,
+        movingTime: route.movingTime,
+        stoppedTime: route.stoppedTime,
+        elevationProfile: route.elevationProfile || null,
+        savedAt: route.date
+      },
+      editedAt: new Date().toISOString()
+    };
+  }
+
+  async buildNewRoute(data, fields) {
+    return {
+      ...fields,
+      ...recalculateRouteStats(data),
+      data,
+      elevationProfile: await this.rebuildElevationProfile(data)
+    };
+  }
+
+  async rebuildElevationProfile(data) {
+    try {
+      return await buildElevationProfile(data);
+    } catch (error) {
+      console.warn('⚠️ Elevation profile unavailable for edited route:', error);
+      return null;
+    }
+  }
+
+  async cancel() {
+    if (this.history.length > 0) {
+      const discard = await modal.confirm('Discard your changes to this route?', 'Discard Edits');
+      if (!discard) return;
+    }
+    this.close();
+  }
+
+  // ==============================
+  // UI
+  // ==============================
+
+  handleAction(action) {
+    switch (action) {
+      case 'trim-start': this.trimStart(); break;
+      case 'trim-end': this.trimEnd(); break;
+      case 'split': this.split(); break;
+      case 'delete': this.deletePoint(); break;
+      case 'paint': this.startPaint(); break;
+      case 'cancel-paint': this.cancelPaint(); break;
+      case 'undo': this.undo(); break;
+      case 'save': this.save(); break;
+      case 'cancel': this.cancel(); break;
+    }
+  }
+
+  handleKey(event) {
+    if (event.target.closest?.('input, textarea, .modal-backdrop')) return;
+
+    if (event.key === 'Escape' && this.paintFrom) {
+      this.cancelPaint();
+    } else if (event.key === 'Enter' && this.paintFrom && isLocationEntry(this.data[this.selectedIndex]) &&
+      this.data[this.selectedIndex] !== this.paintFrom) {
+      this.finishPaint(this.selectedIndex);
+    } else if (event.key === 'ArrowLeft') {
+      this.step(-1);
+    } else if (event.key === 'ArrowRight') {
+      this.step(1);
+    } else if (event.key === 'Delete' || event.key === 'Backspace') {
+      this.deletePoint();
+    } else if (event.key === 'z' && (event.ctrlKey || event.metaKey)) {
+      this.undo();
+    } else {
+      return;
+    }
+    event.preventDefault();
+  }
+
+  render(fitBounds) {
+    const map = this.dependencies.map;
+    if (map) {
+      map.showRouteData(this.data, { fitBounds, silent: true });
+      map.showEditPoints(this.data, {
+        selectedIndex: this.selectedIndex,
+        onSelect: (index) => this.handleTap(index)
+      });
+    }
+    this.renderToolbar();
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+
+  renderToolbar() {
+    if (!this.toolbar) {
+      this.toolbar = document.createElement('div');
+      this.toolbar.id = 'routeEditorToolbar';
+      this.toolbar.setAttribute('role', 'toolbar');
+      this.toolbar.setAttribute('aria-label', 'Route editor');
+      this.toolbar.style.cssText = `
+        position: fixed;
+        top: 70px;
+        left: 50%;
+        transform: translateX(-50%);
+        width: min(94%, 520px);
+        background: rgba(255, 255, 255, 0.97);
+        color: #333;
+        padding: 12px 14px;
+        border-radius: 12px;
+        box-shadow: 0 6px 25px rgba(0, 0, 0, 0.25);
+        z-index: 1500;
+      `;
+      this.toolbar.addEventListener('click', (event) => {
+        const action = event.target.closest('[data-action]')?.dataset.action;
+        if (action) this.handleAction(action);
+      });
+      document.body.appendChild(this.toolbar);
+    }
+
+    const stats = recalculateRouteStats(this.data);
+    const points = countLocationPoints(this.data);
+    const selected = isLocationEntry(this.data[this.selectedIndex]) ? this.data[this.selectedIndex] : null;
+    const pointNumber = selected
+      ? this.data.slice(0, this.selectedIndex + 1).filter(isLocationEntry).length
+      : 0;
+
+    const selection = this.paintFrom
+      ? '🛤️ Tap the point where this surface ends (or step with ← → and press Enter)'
+      : selected
+      ? `Point ${pointNumber} of ${points} · ${new Date(selected.timestamp).toLocaleTimeString()}`
+      : 'Tap a GPS point to select it (← → to step)';
+
+    const button = (action, label, variant, disabled = false) =>
+      `<button class="btn btn-${variant}" data-action="${action}" ${disabled ? 'disabled style="opacity:0.5"' : ''}>${label}</button>`;
+
+    this.toolbar.innerHTML = `
+      <div style="font-weight: 600; margin-bottom: 4px;">✏️ Editing "${this.escapeHtml(this.route.name)}"</div>
+      <div style="font-size: 13px;">📏 ${formatDistance(stats.totalDistance)} · ⏱️ ${formatDuration(stats.elapsedTime)} · 📍 ${points} points</div>
+      <div style="font-size: 13px; opacity: 0.8; margin: 4px 0 8px;">${selection}</div>
+      <div style="display: flex; flex-wrap: wrap; gap: 6px;">
+        ${button('trim-start', '⏮️ Trim start', 'primary', !selected)}
+        ${button('trim-end', '⏭️ Trim end', 'primary', !selected)}
+        ${button('split', '✂️ Split here', 'primary', !selected)}
+        ${button('delete', '🗑️ Delete point', 'danger', !selected)}
+        ${this.paintFrom
+          ? button('cancel-paint', '✖ Stop painting', 'secondary')
+          : button('paint', '🛤️ Paint surface', 'primary', !selected)}
+      </div>
+      <div style="display: flex; flex-wrap: wrap; gap: 6px; margin-top: 6px;">
+        ${button('undo', '↩️ Undo', 'secondary', this.history.length === 0)}
+        ${button('save', '💾 Save', 'success')}
+        ${button('cancel', '✖ Cancel', 'secondary')}
+      </div>
+    `;
+  }
+}
@@ -0,0 +1,185 @@
+// Storage manager: quota overview, largest routes and safe clean-up policies
+import toast from '../helpers/toasts.js';
+import modal from '../helpers/modals.js';
+import { formatFileSize } from '../utils/helpers.js';
+import { StorageQuotaManager, EVICTION_POLICIES, RECORDING_RESERVE_BYTES } from '../core/storage-quota.js';
+
+export class StorageManagerController {
+  constructor(appState) {
+    this.appState = appState;
+    this.quota = new StorageQuotaManager(appState);
+  }
+
+  async initialize() {
+    window.showStorageManager = () => this.showManager();
+  }
+
+  async showManager() {
+    try {
+      const [estimate, breakdown] = await Promise.all([
+        this.quota.getEstimate(),
+        this.quota.getBreakdown()
+      ]);
+
+      const largest = breakdown.routes.slice(0, 5).map(route => `
+        <li>${this.escapeHtml(route.name)} - ${formatFileSize(route.totalBytes)}
+          <span style="color: #666;">(${route.photoCount} photos${route.uploaded ? ', ☁️ uploaded' : ''})</span>
+        </li>
+      `).join('');
+
+      const action = await modal.show({
+        type: estimate.usagePercent > 80 ? 'warning' : 'info',
+        icon: '💾',
+        title: 'Storage',
+        subtitle: estimate.quota
+          ? `${formatFileSize(estimate.usage)} of ${formatFileSize(estimate.quota)} used (${estimate.usagePercent}%)`
+          : 'Storage size not reported by this browser',
+        content: `
+          <div style="font-size: 14px; line-height: 1.6;">
+            <div>🗺️ Routes: ${breakdown.routes.length} (${formatFileSize(breakdown.routeBytes)})</div>
+            <div>📷 Photos: ${breakdown.photoCount} (${formatFileSize(breakdown.photoBytes)})</div>
+            <div>🧩 Offline maps: ${breakdown.offlineMapCount} areas (${formatFileSize(breakdown.offlineMapBytes)})</div>
+            <div>${estimate.persisted ? '🔒 Protected from automatic browser clean-up' : '⚠️ The browser may clear this data when the device runs low on space'}</div>
+            ${largest ? `<div style="margin-top: 12px; font-weight: 600;">Largest routes</div><ol style="margin: 4px 0 0 20px; padding: 0;">${largest}</ol>` : ''}
+          </div>
+        `,
+        buttons: [
+          { label: 'Close', action: 'close', variant: 'secondary' },
+          ...(!estimate.persisted ? [{ label: 'Protect data', action: 'persist', variant: 'secondary' }] : []),
+          { label: 'Free up space', action: 'free', variant: 'primary' }
+        ]
+      });
+
+      if (action === 'persist') {
+        const granted = await this.quota.requestPersistence();
+        granted
+          ? toast.success('Your routes are now protected from automatic clean-up')
+          : toast.warning('The browser did not allow persistent storage. Installing the app usually helps.');
+      } else if (action === 'free') {
+        await this.showCleanup();
+      }
+    } catch (error) {
+      console.error('❌ Failed to show storage manager:', error);
+      toast.error('Failed to retrieve storage information');
+    }
+  }
+
+  // Pick policies and an age for each; returns the bytes freed
+  async showCleanup({ title = 'Free Up Space', subtitle = 'Only data that is backed up or no longer needed is removed' } = {}) {
+    const options = Object.fromEntries(Object.values(EVICTION_POLICIES).map(policy => [
+      policy.id,
+      { enabled: policy.id === 'uploadedPhotos', days: policy.defaultDays }
+    ]));
+
+    const rows = Object.values(EVICTION_POLICIES).map(policy => `
+      <div style="margin-bottom: 12px;">
+        <label style="display: flex; gap: 8px; align-items: flex-start;">
+          <input type="checkbox" data-policy="${policy.id}" ${options[policy.id].enabled ? 'checked' : ''}>
+          <span>${policy.icon} <strong>${policy.label}</strong>, older than
+            <input type="number" data-policy-days="${policy.id}" min="0" value="${policy.defaultDays}" style="width: 60px;"> days
+            <br><small style="color: #666;">${policy.description}</small>
+            <br><small id="storage-plan-${policy.id}" aria-live="polite">Calculating…</small>
+          </span>
+        </label>
+      </div>
+    `).join('');
+
+    const dialog = modal.show({
+      type: 'info',
+      icon: '🧹',
+      title,
+      subtitle,
+      content: `<div class="modal-form">${rows}</div>`,
+      buttons: [
+        { label: 'Cancel', action: 'cancel', variant: 'secondary' },
+        { label: 'Free space', action: 'free', variant: 'primary' }
+      ]
+    });
+
+    // The modal DOM goes away on close, so track the values as they change
+    const update = async (policyId) => {
+      const checkbox = document.querySelector(`[data-policy="${policyId}"]`);
+      const daysInput = document.querySelector(`[data-policy-days="${policyId}"]`);
+      if (!checkbox || !daysInput) return;
+
+      options[policyId].enabled = checkbox.checked;
+      options[policyId].days = Math.max(0, parseInt(daysInput.value, 10) || 0);
+
+      const plan = await this.quota.planEviction(policyId, options[policyId].days);
+
+      const element = document.getElementById(`storage-plan-${policyId}`);
+      if (element) {
+        element.textContent = plan.count > 0
+          ? `Frees about ${formatFileSize(plan.bytes)} (${plan.count} item${plan.count === 1 ? '' : 's'})`
+          : 'Nothing to remove';
+      }
+    };
+
+    Object.keys(EVICTION_POLICIES).forEach(policyId => {
+      document.querySelector(`[data-policy="${policyId}"]`)?.addEventListener('change', () => update(policyId));
+      document.querySelector(`[data-policy-days="${policyId}"]`)?.addEventListener('input', () => update(policyId));
+      update(policyId);
+    });
+
+    if (await dialog !== 'free') return 0;
+
+    let freed = 0;
+    try {
+      for (const [policyId, option] of Object.entries(options)) {
+        if (!option.enabled) continue;
+        // Re-plan: the data may have changed while the dialog was open
+        const plan = await this.quota.planEviction(policyId, option.days);
+        freed += await this.quota.applyEviction(plan);
+      }
+    } catch (error) {
+      console.error('❌ Storage clean-up failed:', error);
+      toast.error('Clean-up stopped: ' + error.message);
+      return freed;
+    }
+
+    freed > 0
+      ? toast.success(`Freed about ${formatFileSize(freed)}`)
+      : toast.info('Nothing matched the selected options');
+    return freed;
+  }
+
+  // NEW: Before a recording - make sure a long walk with photos fits
+  async checkBeforeRecording() {
+    try {
+      const estimate = await this.quota.getEstimate();
+      if (!estimate.persisted) {
+        await this.quota.requestPersistence();
+      }
+      if (estimate.available === null || estimate.available >= RECORDING_RESERVE_BYTES) return;
+
+      const freeUp = await modal.confirm(
+        `Only ${formatFileSize(estimate.available)} of storage is left. A long recording with photos may not fit.\n\nFree up space before you start?`,
+        'Low Storage'
+      );
+      if (freeUp) {
+        await this.showCleanup({ subtitle: 'Make room for this recording' });
+      }
+    } catch (error) {
+      console.warn('⚠️ Storage check before recording failed:', error);
+    }
+  }
+
+  // NEW: Saving a route hit the quota - offer the clean-up; returns the bytes freed
+  async handleQuotaExceeded(neededBytes = 0) {
+    const needed = neededBytes ? ` (about ${formatFileSize(neededBytes)} needed)` : '';
+    return this.showCleanup({
+      title: 'Storage Full',
+      subtitle: `The route could not be saved${needed}. Free up space to try again.`
+    });
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+
+  cleanup() {
+    delete window.showStorageManager;
+  }
+}
@@ -0,0 +1,382 @@
+// Follow a trail: a saved route or published trail guide is shown as a
+// reference line, live positions are snapped onto it, and the walker is told
+// the distance left, when they leave the trail and what lies ahead.
+import toast from '../helpers/toasts.js';
+import modal from '../helpers/modals.js';
+import { formatDistance } from '../utils/calculations.js';
+import { buildReferenceLine, projectOntoLine, placeWaypoints } from '../utils/route-follow.js';
+import { getMarkerType, describeMarkerAttributes } from '../utils/trail-markers.js';
+import { ALERT_SEVERITIES } from './report-alerts.js';
+
+const FIRESTORE_URL = 'https://www.gstatic.com/firebasejs/10.5.0/firebase-firestore.js';
+
+const OFF_ROUTE_KM = 0.04;       // further than this from the trail counts as off route...
+const OFF_ROUTE_FIXES = 3;       // ...for this many fixes in a row (one bad fix isn't a deviation)
+const BACK_ON_ROUTE_KM = 0.025;
+const UPCOMING_KM = 0.1;         // announce waypoints this far ahead
+const ARRIVAL_KM = 0.02;
+const REPORT_CORRIDOR_KM = 0.03; // accessibility reports this close to the trail are on it
+const CLOSED_REPORT_STATUSES = ['resolved', 'closed', 'wont_fix'];
+
+export class TrailFollowController {
+  constructor(appState) {
+    this.appState = appState;
+    this.dependencies = {};
+    this.trail = null;
+    this.panel = null;
+    this.unsubscribe = null;
+  }
+
+  setDependencies(deps) {
+    this.dependencies = deps;
+  }
+
+  async initialize() {
+    window.showFollowTrail = () => this.chooseTrail();
+    window.stopFollowingTrail = () => this.stop();
+  }
+
+  isActive() {
+    return !!this.trail;
+  }
+
+  // ==============================
+  // Picking a trail
+  // ==============================
+
+  async chooseTrail() {
+    const source = await modal.list([
+      { title: '📂 Saved route', description: 'A route recorded on this device', source: 'saved' },
+      { title: '🌐 Trail guide', description: 'A published guide or one of your own', source: 'guide' }
+    ], 'Follow a Trail');
+    if (!source) return;
+
+    try {
+      const trail = source.source === 'saved'
+        ? await this.pickSavedRoute()
+        : await this.pickTrailGuide();
+      if (trail) await this.start(trail);
+    } catch (error) {
+      console.error('❌ Failed to load trail:', error);
+      toast.error('Could not load the trail: ' + error.message);
+    }
+  }
+
+  async pickSavedRoute() {
+    const routes = await this.appState.getSessions();
+    if (routes.length === 0) {
+      toast.info('No saved routes yet');
+      return null;
+    }
+
+    const picked = await modal.list(routes.map(route => ({
+      title: route.name,
+      description: `${new Date(route.date).toLocaleDateString()} · ${route.totalDistance?.toFixed(2) || 0} km`,
+      route
+    })), 'Follow a Saved Route');
+    if (!picked) return null;
+
+    return { name: picked.route.name, routeData: picked.route.data || [] };
+  }
+
+  async pickTrailGuide() {
+    if (!navigator.onLine) {
+      toast.warning('Trail guides need a connection - saved routes work offline');
+      return null;
+    }
+
+    const { collection, query, where, limit, getDocs, doc, getDoc } = await import(FIRESTORE_URL);
+    const { db } = await import('../firebase-setup.js');
+    const user = window.AccessNatureApp?.getController('auth')?.getCurrentUser();
+
+    const queries = [query(collection(db, 'trail_guides'), where('isPublic', '==', true), limit(50))];
+    if (user) {
+      queries.push(query(collection(db, 'trail_guides'), where('userId', '==', user.uid), limit(50)));
+    }
+
+    const guides = new Map();
+    for (const snapshot of await Promise.all(queries.map(guideQuery => getDocs(guideQuery)))) {
+      snapshot.forEach(guideDoc => guides.set(guideDoc.id, { id: guideDoc.id, ...guideDoc.data() }));
+    }
+
+    if (guides.size === 0) {
+      toast.info('No trail guides found');
+      return null;
+    }
+
+    const picked = await modal.list([...guides.values()].map(guide => ({
+      title: `${guide.isPublic ? '🌐' : '🔒'} ${guide.routeName}`,
+      description: [
+        `${(guide.metadata?.totalDistance || 0).toFixed(2)} km`,
+        guide.accessibility?.wheelchairAccess && `♿ ${guide.accessibility.wheelchairAccess}`
+      ].filter(Boolean).join(' · '),
+      guide
+    })), 'Follow a Trail Guide');
+    if (!picked) return null;
+
+    // The guide is HTML for reading - the line comes from the route it was made from
+    const routeDoc = await getDoc(doc(db, 'routes', picked.guide.routeId));
+    if (!routeDoc.exists()) {
+      throw new Error('the route behind this guide is no longer available');
+    }
+
+    return { name: picked.guide.routeName, routeData: routeDoc.data().routeData || [] };
+  }
+
+  // ==============================
+  // Following
+  // ==============================
+
+  async start({ name, routeData }) {
+    const line = buildReferenceLine(routeData);
+    if (line.points.length < 2) {
+      toast.error('This route has no GPS track to follow');
+      return false;
+    }
+
+    this.stop({ silent: true });
+
+    this.trail = {
+      name,
+      line,
+      waypoints: placeWaypoints(line, this.getRouteWaypoints(routeData)),
+      lastIndex: 0,
+      match: null,
+      offRouteFixes: 0,
+      isOffRoute: false,
+      hasArrived: false,
+      announced: new Set()
+    };
+
+    this.showOnMap();
+    this.createPanel();
+    this.render();
+
+    this.unsubscribe = this.dependencies.tracking?.addPositionListener((coords) => this.handlePosition(coords));
+
+    const lastCoords = this.appState.getLastCoords();
+    if (this.appState.getTrackingState().isTracking && lastCoords) {
+      this.handlePosition(lastCoords);
+    } else {
+      toast.info(`Following "${name}" - press ▶ to start tracking`, { duration: 4000 });
+    }
+    console.log(`🧭 Following "${name}": ${line.points.length} points, ${line.totalKm.toFixed(2)} km, ${this.trail.waypoints.length} waypoints`);
+
+    // Reports are a bonus - the trail works without them (e.g. offline)
+    this.loadReports();
+    return true;
+  }
+
+  stop({ silent = false } = {}) {
+    if (!this.trail) return;
+
+    const { name } = this.trail;
+    this.trail = null;
+    this.unsubscribe?.();
+    this.unsubscribe = null;
+    this.dependencies.map?.clearReferenceLine();
+    this.panel?.remove();
+    this.panel = null;
+
+    if (!silent) toast.info(`Stopped following "${name}"`);
+  }
+
+  // Notes, voice notes, photos and obstacle/feature markers recorded along the trail
+  getRouteWaypoints(routeData) {
+    const kinds = {
+      text: { kind: 'note', icon: () => '📝', title: entry => entry.content || 'Note' },
+      audio: { kind: 'note', icon: () => '🎙️', title: entry => entry.transcript || 'Voice note' },
+      photo: { kind: 'photo', icon: () => '📷', title: () => 'Photo spot' },
+      marker: {
+        kind: 'marker',
+        icon: entry => getMarkerType(entry.markerType).icon,
+        title: entry => getMarkerType(entry.markerType).label
+      }
+    };
+
+    return routeData
+      .filter(entry => entry?.coords && kinds[entry.type])
+      .map((entry, index) => ({
+        id: `${entry.type}-${entry.timestamp || index}`,
+        kind: kinds[entry.type].kind,
+        icon: kinds[entry.type].icon(entry),
+        title: kinds[entry.type].title(entry),
+        detail: entry.type === 'marker' ? describeMarkerAttributes(entry).join(', ') : '',
+        coords: entry.coords
+      }));
+  }
+
+  async loadReports() {
+    const trail = this.trail;
+    if (!navigator.onLine) return;
+
+    try {
+      const { accessReportController, ISSUE_TYPES, SEVERITY_LEVELS } = await import('../controllers/access-report-controller.js');
+      const reports = await accessReportController.getReports({ isPublic: true, limit: 1000 });
+      if (this.trail !== trail) return;
+
+      const items = reports
+        .filter(report => !CLOSED_REPORT_STATUSES.includes(report.status))
+        .filter(report => typeof report.location?.latitude === 'number' && typeof report.location?.longitude === 'number')
+        .map(report => {
+          const issueType = Object.values(ISSUE_TYPES).find(type => type.id === report.issueType);
+          const severity = Object.values(SEVERITY_LEVELS).find(level => level.id === report.severity);
+          return {
+            id: `report-${report.id}`,
+            kind: 'report',
+            icon: issueType?.icon || '⚠️',
+            title: report.title || issueType?.label || 'Accessibility report',
+            detail: severity ? `${severity.label}: ${severity.description}` : '',
+            severity: report.severity,
+            coords: { lat: report.location.latitude, lng: report.location.longitude }
+          };
+        });
+
+      const onTrail = placeWaypoints(trail.line, items, REPORT_CORRIDOR_KM);
+      if (onTrail.length === 0) return;
+
+      trail.waypoints = [...trail.waypoints, ...onTrail].sort((a, b) => a.alongKm - b.alongKm);
+      this.showOnMap();
+      this.render();
+      toast.info(`⚠️ ${onTrail.length} accessibility report${onTrail.length === 1 ? '' : 's'} along this trail`);
+    } catch (error) {
+      console.warn('⚠️ Could not load accessibility reports for the trail:', error);
+    }
+  }
+
+  showOnMap() {
+    const map = this.dependencies.map;
+    if (!map?.map || !this.trail) return;
+
+    map.showReferenceLine(this.trail.line.points, this.trail.waypoints.map(waypoint => ({
+      ...waypoint,
+      title: this.escapeHtml(waypoint.title),
+      detail: this.escapeHtml(waypoint.detail)
+    })));
+    if (this.trail.match) map.updateSnappedPosition(this.trail.match.point);
+  }
+
+  handlePosition(coords) {
+    const trail = this.trail;
+    if (!trail) return;
+
+    const match = projectOntoLine(trail.line, coords, { fromIndex: trail.lastIndex });
+    if (!match) return;
+
+    trail.match = match;
+    trail.lastIndex = match.index;
+    this.dependencies.map?.updateSnappedPosition(match.point);
+
+    this.checkOffRoute(match);
+    if (!trail.isOffRoute) {
+      this.announceUpcoming(match);
+      this.checkArrival(match);
+    }
+    this.render();
+  }
+
+  checkOffRoute(match) {
+    const trail = this.trail;
+
+    if (match.offRouteKm > OFF_ROUTE_KM) {
+      trail.offRouteFixes++;
+      if (!trail.isOffRoute && trail.offRouteFixes >= OFF_ROUTE_FIXES) {
+        trail.isOffRoute = true;
+        toast.warning(`⚠️ You are ${formatDistance(match.offRouteKm)} off the trail`, { duration: 5000 });
+        navigator.vibrate?.([200, 100, 200]);
+      }
+    } else {
+      trail.offRouteFixes = 0;
+      if (trail.isOffRoute && match.offRouteKm <= BACK_ON_ROUTE_KM) {
+        trail.isOffRoute = false;
+        toast.success('✅ Back on the trail');
+      }
+    }
+  }
+
+  announceUpcoming(match) {
+    const trail = this.trail;
+
+    trail.waypoints
+      .filter(waypoint => !trail.announced.has(waypoint.id))
+      // Critical/high reports get a proximity alert of their own (report-alerts.js)
+      .filter(waypoint => !(waypoint.kind === 'report' && ALERT_SEVERITIES.includes(waypoint.severity)))
+      .filter(waypoint => waypoint.alongKm >= match.alongKm && waypoint.alongKm - match.alongKm <= UPCOMING_KM)
+      .forEach(waypoint => {
+        trail.announced.add(waypoint.id);
+        const message = `In ${formatDistance(waypoint.alongKm - match.alongKm)}: ${waypoint.icon} ${waypoint.title}`;
+
+        if (waypoint.kind === 'report') {
+          toast.warning(message + (waypoint.detail ? ` (${waypoint.detail})` : ''), { duration: 6000 });
+          navigator.vibrate?.(300);
+        } else {
+          toast.info(message + (waypoint.detail ? ` (${waypoint.detail})` : ''), { duration: 4000 });
+        }
+      });
+  }
+
+  checkArrival(match) {
+    const trail = this.trail;
+    if (trail.hasArrived || match.remainingKm > ARRIVAL_KM) return;
+
+    trail.hasArrived = true;
+    toast.success(`🏁 You reached the end of "${trail.name}"`, { duration: 5000 });
+    navigator.vibrate?.([100, 50, 100, 50, 100]);
+  }
+
+  // ==============================
+  // Status panel
+  // ==============================
+
+  createPanel() {
+    this.panel = document.createElement('div');
+    this.panel.id = 'trailFollowPanel';
+    this.panel.setAttribute('role', 'status');
+    this.panel.style.cssText = `
+      position: fixed; top: 110px; left: 50%; transform: translateX(-50%); z-index: 1500;
+      display: flex; gap: 10px; align-items: center; max-width: 90%;
+      padding: 8px 12px; border-radius: 12px; background: white; color: #333;
+      font-size: 13px; box-shadow: 0 2px 10px rgba(0,0,0,0.2);
+    `;
+    document.body.appendChild(this.panel);
+  }
+
+  render() {
+    const trail = this.trail;
+    if (!this.panel || !trail) return;
+
+    const { match } = trail;
+    const remaining = match ? match.remainingKm : trail.line.totalKm;
+    const next = match && trail.waypoints.find(waypoint => waypoint.alongKm >= match.alongKm);
+
+    let status = '⏳ Waiting for GPS';
+    if (match) {
+      status = trail.isOffRoute
+        ? `<span style="color: #c0392b; font-weight: 600;">⚠️ ${formatDistance(match.offRouteKm)} off the trail</span>`
+        : `✅ On trail (${formatDistance(match.offRouteKm)})`;
+    }
+
+    this.panel.style.borderLeft = `4px solid ${trail.isOffRoute ? '#c0392b' : '#667eea'}`;
+    this.panel.innerHTML = `
+      <div>
+        <div style="font-weight: 600;">🧭 ${this.escapeHtml(trail.name)}</div>
+        <div>📏 ${formatDistance(remaining)} to go · ${status}</div>
+        ${next ? `<div>Next: ${next.icon} ${this.escapeHtml(next.title)} in ${formatDistance(next.alongKm - match.alongKm)}</div>` : ''}
+      </div>
+      <button type="button" aria-label="Stop following" style="border: none; background: none; font-size: 18px; cursor: pointer;">✖</button>
+    `;
+    this.panel.querySelector('button').addEventListener('click', () => this.stop());
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text || '';
+    return div.innerHTML;
+  }
+
+  cleanup() {
+    this.stop({ silent: true });
+    delete window.showFollowTrail;
+    delete window.stopFollowingTrail;
+  }
+}
@@ -1,6 +1,8 @@
 // Landing page controller
 import { auth, db } from './firebase-setup.js';
 import { initializeAccessReport } from './controllers/access-report-main.js';
+import { OutboxStatusController } from './ui/outbox-status.js';
+import { NotificationCenterController } from './ui/notification-center.js';
 
 class LandingPageController {
   constructor() {
@@ -19,11 +21,18 @@ async initialize() {
     console.log('🏠 Initializing landing page...');
     
     this.setupEventListeners();
+
+    // Updates on followed reports - started first, so a failed trail load can't skip it
+    new NotificationCenterController().initialize();
+
     await this.updateLandingAuthStatus();
     await this.loadCommunityStats();
     await this.loadFeaturedTrails();
     this.updateUserStats();
     
+    // Queued reports and upvotes waiting for a connection
+    new OutboxStatusController().initialize();
+    
     // Make this instance globally available for modal functions
     window.landingAuth = this;
     
@@ -1007,23 +1016,6 @@ async updateLandingAuthStatus() {
   }
 }
 
-// Call this in your initialize() method
-async initialize() {
-  try {
-    console.log('🏠 Initializing landing page...');
-    
-    this.setupEventListeners();
-    await this.updateLandingAuthStatus(); // Add this line
-    await this.loadCommunityStats();
-    await this.loadFeaturedTrails();
-    this.updateUserStats();
-    
-    console.log('✅ Landing page initialized');
-  } catch (error) {
-    console.error('❌ Landing page initialization failed:', error);
-  }
-}
-
 async loadMyTrailGuides() {
   try {
     console.log('🌐 Loading trail guides from landing page...');
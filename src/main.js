@@ -3,14 +3,23 @@ import { AppState } from './core/storage.js';
 import { MapController } from './core/map.js';
 import { TrackingController } from './core/tracking.js';
 import { TimerController } from './core/timer.js';
+import { TabSyncController } from './core/tab-sync.js';
 import { NavigationController } from './ui/navigation.js';
 import { CompassController } from './ui/compass.js';
+import { OutboxStatusController } from './ui/outbox-status.js';
+import { NotificationCenterController } from './ui/notification-center.js';
 import { AccessibilityForm } from './features/accessibility.js';
 import { MediaController } from './features/media.js';
 import { ExportController } from './features/export.js';
+import { RouteEditorController } from './features/route-editor.js';
+import { OfflineMapsController } from './features/offline-maps.js';
+import { StorageManagerController } from './features/storage-manager.js';
+import { TrailFollowController } from './features/trail-follow.js';
+import { ReportAlertsController } from './features/report-alerts.js';
 import { FirebaseController } from './features/firebase.js';
 import { AuthController } from './features/auth.js';
 import { GestureRotationController } from './ui/gestureRotation.js';
+import toast from './helpers/toasts.js';
 
 class AccessNatureApp {
   constructor() {
@@ -30,15 +39,23 @@ async initialize() {
     this.controllers.map = new MapController();
     this.controllers.tracking = new TrackingController(this.controllers.state);
     this.controllers.timer = new TimerController();
+    this.controllers.tabSync = new TabSyncController(this.controllers.state);
 
     // Initialize UI controllers
     this.controllers.navigation = new NavigationController();
     this.controllers.compass = new CompassController();
+    this.controllers.outbox = new OutboxStatusController();
+    this.controllers.notifications = new NotificationCenterController();
 
     // Initialize feature controllers
     this.controllers.accessibility = new AccessibilityForm();
     this.controllers.media = new MediaController(this.controllers.state);
     this.controllers.export = new ExportController(this.controllers.state);
+    this.controllers.routeEditor = new RouteEditorController(this.controllers.state);
+    this.controllers.offlineMaps = new OfflineMapsController(this.controllers.state);
+    this.controllers.storageManager = new StorageManagerController(this.controllers.state);
+    this.controllers.trailFollow = new TrailFollowController(this.controllers.state);
+    this.controllers.reportAlerts = new ReportAlertsController(this.controllers.state);
     this.controllers.firebase = new FirebaseController();
     this.controllers.auth = new AuthController();
 
@@ -85,6 +102,13 @@ async handleUnsavedRoute() {
   try {
     // IMPORTANT: Wait for state controller to be ready
     await this.waitForStateController();
+
+    // NEW: The backup belongs to a recording still running in another tab
+    if (await this.controllers.tabSync.isRecordingElsewhere()) {
+      console.log('👀 Route is being recorded in another tab - skipping restore');
+      this.controllers.tabSync.startFollowing();
+      return;
+    }
     
     const backupData = await this.controllers.state.checkForUnsavedRoute();
     
@@ -150,7 +174,7 @@ async showRestoreDialog(backupData) {
         return;
       }
 
-      const backupDate = new Date(backupData.backupTime || Date.now()).toLocaleString();
+      const backupDate = new Date(backupData.startTime || backupData.backupTime || Date.now()).toLocaleString();
       const routeData = backupData.routeData || [];
       const pointCount = routeData.length;
       const distance = (backupData.totalDistance || 0).toFixed(2);
@@ -158,10 +182,11 @@ async showRestoreDialog(backupData) {
       // Safely filter route data
       const locationPoints = routeData.filter(p => p && p.type === 'location').length;
       const photos = routeData.filter(p => p && p.type === 'photo').length;
-      const notes = routeData.filter(p => p && p.type === 'text').length;
+      const notes = routeData.filter(p => p && (p.type === 'text' || p.type === 'audio')).length;
       
-      // Calculate time since backup
-      const backupTime = backupData.backupTime || Date.now();
+      // Calculate time since the last recorded entry
+      const recovery = backupData.recovery || {};
+      const backupTime = recovery.lastEntryTime || backupData.backupTime || Date.now();
       const backupAge = Date.now() - backupTime;
       const hoursAgo = Math.floor(backupAge / (1000 * 60 * 60));
       const minutesAgo = Math.floor((backupAge % (1000 * 60 * 60)) / (1000 * 60));
@@ -173,19 +198,32 @@ async showRestoreDialog(backupData) {
         timeAgoText = `${minutesAgo}m ago`;
       }
 
+      // NEW: Entries only the journal had - recorded after the last backup
+      let journalText = '';
+      if (recovery.fromJournal > 0) {
+        const since = recovery.checkpointTime
+          ? `after the last backup at ${new Date(recovery.checkpointTime).toLocaleTimeString()}`
+          : 'before the first backup';
+        journalText = `
+📓 Recovered from the journal (recorded ${since}):
+${recovery.journalLocations} GPS points, ${recovery.journalPhotos} photos, ${recovery.journalNotes} notes, +${(recovery.journalDistance || 0).toFixed(2)} km
+`;
+      }
+
       // Create detailed restore dialog
       const restoreMessage = `🔄 UNSAVED ROUTE FOUND!
 
-📅 Created: ${backupDate}
-⏰ Time: ${timeAgoText}
+📅 Started: ${backupDate}
+⏰ Last entry: ${new Date(backupTime).toLocaleTimeString()} (${timeAgoText})
 
-📊 Route Details:
+📊 What will be restored:
 📏 Distance: ${distance} km
+⏱️ Duration: ${this.formatElapsedTime(backupData.elapsedTime || 0)}
 📍 GPS Points: ${locationPoints}
 📷 Photos: ${photos}
 📝 Notes: ${notes}
 📋 Total Data: ${pointCount} entries
-
+${journalText}
 This route was not saved before the app was closed.
 
 Would you like to restore it?
@@ -472,6 +510,12 @@ showError(message) {
       });
     }
 
+    // Auto-pause toggle reflects the saved preference
+    const autoPauseBtn = document.getElementById('autoPauseBtn');
+    if (autoPauseBtn) {
+      autoPauseBtn.textContent = `⏯️ Auto-Pause: ${this.controllers.tracking.isAutoPauseEnabled() ? 'On' : 'Off'}`;
+    }
+
     console.log('✅ Main event listeners set up');
   }
 
@@ -479,7 +523,14 @@ showError(message) {
     this.controllers.tracking.setDependencies({
       timer: this.controllers.timer,
       map: this.controllers.map,
-      media: this.controllers.media
+      media: this.controllers.media,
+      tabSync: this.controllers.tabSync
+    });
+
+    this.controllers.tabSync.setDependencies({
+      tracking: this.controllers.tracking,
+      map: this.controllers.map,
+      timer: this.controllers.timer
     });
 
     this.controllers.export.setDependencies({
@@ -487,9 +538,26 @@ showError(message) {
       accessibility: this.controllers.accessibility
     });
 
+    this.controllers.routeEditor.setDependencies({
+      map: this.controllers.map
+    });
+
+    this.controllers.offlineMaps.setDependencies({
+      map: this.controllers.map
+    });
+
     this.controllers.compass.setDependencies({
       map: this.controllers.map
     });
+
+    this.controllers.trailFollow.setDependencies({
+      map: this.controllers.map,
+      tracking: this.controllers.tracking
+    });
+
+    this.controllers.reportAlerts.setDependencies({
+      tracking: this.controllers.tracking
+    });
   }
 
   async initializeControllers() {
@@ -524,7 +592,7 @@ showError(message) {
   async loadInitialState() {
     try {
       const backup = localStorage.getItem('route_backup');
-      if (backup) {
+      if (backup && !this.controllers.tabSync.isFollowing) {
         const shouldRestore = confirm('Unsaved route found! Would you like to restore it?');
         if (shouldRestore) {
           console.log('✅ Restored from backup');
@@ -607,6 +675,10 @@ window.addTextNote = () => {
   app?.getController('media')?.addTextNote();
 };
 
+window.toggleVoiceTranscription = () => {
+  app?.getController('media')?.toggleTranscription();
+};
+
 window.showRouteDataOnMap = () => {
   console.log('🗺️ Showing route data on map');
   const routeData = app?.getController('state')?.getRouteData();
@@ -623,6 +695,20 @@ window.showStorageMonitor = () => {
   app?.getController('navigation')?.showStorageMonitor();
 };
 
+window.toggleAutoPause = () => {
+  const tracking = app?.getController('tracking');
+  if (!tracking) return;
+
+  const enabled = !tracking.isAutoPauseEnabled();
+  tracking.setAutoPauseEnabled(enabled);
+
+  const autoPauseBtn = document.getElementById('autoPauseBtn');
+  if (autoPauseBtn) {
+    autoPauseBtn.textContent = `⏯️ Auto-Pause: ${enabled ? 'On' : 'Off'}`;
+  }
+  toast.info(`Auto-pause ${enabled ? 'enabled' : 'disabled'}`);
+};
+
 window.triggerImport = () => {
   console.log('📥 Triggering import');
   app?.getController('export')?.triggerImport();
@@ -18,6 +18,7 @@ export class NavigationController {
     window.showStorageMonitor = () => this.showStorageMonitor();
     window.clearAllSessions = () => this.clearAllSessions();
     window.clearAllAppData = () => this.clearAllAppData();
+    window.showRouteManager = () => this.showRouteManager();
   }
 
   togglePanel(panelId) {
@@ -37,80 +38,39 @@ export class NavigationController {
     }
   }
 
+  // UPDATED: quota, per-route sizes and clean-up live in the storage manager
   async showStorageMonitor() {
-  try {
-    const app = window.AccessNatureApp;
-    const storageInfo = await app?.getController('state')?.getStorageInfo();
-    
-    if (!storageInfo) {
+    const storageManager = window.AccessNatureApp?.getController('storageManager');
+    if (!storageManager) {
       toast.error('Could not retrieve storage information');
       return;
     }
-
-    const message = `💾 Storage Information:
-
-🗄️ Storage Type: ${storageInfo.storageType}
-📊 Usage: ${storageInfo.usageFormatted} / ${storageInfo.quotaFormatted}
-📈 Used: ${storageInfo.usagePercent}%
-${storageInfo.indexedDBSupported ? '✅ Large Storage Available' : '⚠️ Limited Storage (localStorage)'}
-${storageInfo.migrationCompleted ? '✅ Migration Completed' : '🔄 Migration Pending'}
-
-💡 Benefits of IndexedDB:
-- Much larger storage capacity (GBs vs MBs)
-- Better performance for route data
-- Supports photos and large files
-- Offline-first design
-
-${storageInfo.usagePercent > 80 ? '⚠️ Storage nearly full! Consider exporting old routes.' : ''}`;
-    
-    await modal.alert(message, 'Storage Info');
-    
-  } catch (error) {
-    console.error('❌ Failed to show storage monitor:', error);
-    toast.error('Failed to retrieve storage information');
+    await storageManager.showManager();
   }
-}
 
-  getStorageInfo() {
+  // UPDATED: photo totals come from the photos store metadata - no route walking
+  async getStorageInfo() {
     let totalSize = 0;
-    let photoCount = 0;
-    let photoSize = 0;
 
     for (let i = 0; i < localStorage.length; i++) {
       const key = localStorage.key(i);
       const value = localStorage.getItem(key);
       if (value) {
         totalSize += new Blob([value]).size;
-        
-        // Count photos in sessions
-        if (key === 'sessions') {
-          try {
-            const sessions = JSON.parse(value);
-            sessions.forEach(session => {
-              if (session.data) {
-                session.data.forEach(entry => {
-                  if (entry.type === 'photo' && entry.content) {
-                    photoCount++;
-                    photoSize += new Blob([entry.content]).size;
-                  }
-                });
-              }
-            });
-          } catch (error) {
-            console.warn('Error parsing sessions for storage info:', error);
-          }
-        }
       }
     }
 
+    const app = window.AccessNatureApp;
+    const photoStats = await app?.getController('state')?.photoStore?.getStats() || { count: 0, totalSize: 0 };
+
     const maxSize = 5 * 1024 * 1024; // 5MB typical localStorage limit
     const usagePercent = (totalSize / maxSize) * 100;
 
     return {
       totalSize,
       totalSizeKB: (totalSize / 1024).toFixed(1),
-      photoCount,
-      photoSizeKB: (photoSize / 1024).toFixed(1),
+      photoCount: photoStats.count,
+      photoSizeKB: (photoStats.totalSize / 1024).toFixed(1),
       usagePercent: usagePercent.toFixed(1),
       isNearLimit: usagePercent > 80
     };
@@ -162,6 +122,7 @@ ${storageInfo.usagePercent > 80 ? '⚠️ Storage nearly full! Consider exportin
     delete window.showStorageMonitor;
     delete window.clearAllSessions;
     delete window.clearAllAppData;
+    delete window.showRouteManager;
   }
 
   // Enhanced route management
@@ -224,15 +185,18 @@ async manageRoute(route) {
 📏 Distance: ${route.totalDistance?.toFixed(2) || 0} km
 📊 Data Points: ${route.data?.length || 0}
 ${route.dataSize ? `💾 Size: ${this.formatBytes(route.dataSize)}` : ''}
+${route.editedAt ? `✏️ Edited: ${new Date(route.editedAt).toLocaleDateString()}` : ''}
 
 Actions:
 1. 👁️ View on map
-2. 📤 Export route
-3. 📋 Copy details
-4. 🗑️ Delete route
-5. ❌ Cancel
+2. ✏️ Edit (trim, split, delete points)
+3. 🔗 Merge with another route
+4. 📤 Export route
+5. 📋 Copy details
+6. 🗑️ Delete route
+${route.original ? '7. ↩️ Restore original recording' : '7. ❌ Cancel'}
 
-Enter choice (1-5):`;
+Enter choice (1-7):`;
 
   const choice = await modal.prompt(actions, 'Manage Route');
   
@@ -241,14 +205,74 @@ Enter choice (1-5):`;
       this.viewRouteOnMap(route);
       break;
     case '2':
-      this.exportSingleRoute(route);
+      this.editRoute(route);
       break;
     case '3':
-      this.copyRouteDetails(route);
+      await this.mergeRoute(route);
       break;
     case '4':
+      this.exportSingleRoute(route);
+      break;
+    case '5':
+      this.copyRouteDetails(route);
+      break;
+    case '6':
       await this.deleteRoute(route);
       break;
+    case '7':
+      if (route.original) await this.restoreOriginalRoute(route);
+      break;
+  }
+}
+
+viewRouteOnMap(route) {
+  const map = window.AccessNatureApp?.getController('map');
+  map?.showRouteData(route.data);
+}
+
+// NEW: Route editor
+editRoute(route) {
+  const editor = window.AccessNatureApp?.getController('routeEditor');
+  if (!editor) {
+    toast.error('Route editor not available');
+    return;
+  }
+  editor.open(route);
+}
+
+async mergeRoute(route) {
+  const app = window.AccessNatureApp;
+  const editor = app?.getController('routeEditor');
+  const routes = (await app?.getController('state')?.getSessions() || []).filter(r => r.id !== route.id);
+
+  if (!editor || routes.length === 0) {
+    toast.info('No other saved routes to merge with');
+    return;
+  }
+
+  const picked = await modal.list(routes.map(r => ({
+    title: r.name,
+    description: `${new Date(r.date).toLocaleDateString()} · ${r.totalDistance?.toFixed(2) || 0} km`,
+    route: r
+  })), `Merge "${route.name}" with…`);
+  if (!picked) return;
+
+  const merged = await editor.merge(route, picked.route);
+  if (merged) {
+    editor.open(merged);
+  }
+}
+
+async restoreOriginalRoute(route) {
+  const confirmed = await modal.confirm(
+    `Undo all edits to "${route.name}" and restore the route as it was recorded?`,
+    '↩️ Restore Original'
+  );
+  if (!confirmed) return;
+
+  const restored = await window.AccessNatureApp?.getController('routeEditor')?.revertToOriginal(route);
+  if (restored) {
+    this.viewRouteOnMap(restored);
   }
 }
 
@@ -0,0 +1,194 @@
+// Notification center: a bell with the unread count, the list of updates on
+// followed reports, and the opt-in daily email digest
+import { auth } from '../firebase-setup.js';
+import toast from '../helpers/toasts.js';
+import modal from '../helpers/modals.js';
+import { NOTIFICATION_TYPES, reportNotifications } from '../core/notifications.js';
+
+const DIGEST_SETTING = 'notificationDigest'; // 'daily' or unset
+const DIGEST_SENT_AT = 'notificationDigestSentAt';
+const DIGEST_INTERVAL = 24 * 60 * 60 * 1000;
+
+// The list shows the latest ones; older ones still count towards the badge
+const MAX_LISTED = 50;
+
+export class NotificationCenterController {
+  constructor(notifications = reportNotifications) {
+    this.notifications = notifications;
+    this.button = null;
+    this.items = [];
+    this.user = null;
+    this.unsubscribe = null;
+  }
+
+  async initialize() {
+    this.createButton();
+    window.showNotifications = () => this.showNotifications();
+
+    const { onAuthStateChanged } = await import('https://www.gstatic.com/firebasejs/10.5.0/firebase-auth.js');
+    onAuthStateChanged(auth, (user) => this.setUser(user));
+  }
+
+  createButton() {
+    this.button = document.createElement('button');
+    this.button.type = 'button';
+    this.button.id = 'notificationBell';
+    this.button.className = 'btn btn-secondary';
+    this.button.setAttribute('aria-label', 'Notifications');
+    this.button.style.display = 'none';
+    this.button.addEventListener('click', () => this.showNotifications());
+
+    // Next to the sign-in button where the page has one
+    const authButton = document.getElementById('authBtn');
+    if (authButton?.parentElement) {
+      this.button.style.marginRight = '8px';
+      authButton.parentElement.insertBefore(this.button, authButton);
+    } else {
+      this.button.style.cssText += 'position: fixed; top: 12px; right: 12px; z-index: 1500;';
+      document.body.appendChild(this.button);
+    }
+  }
+
+  setUser(user) {
+    this.unsubscribe?.();
+    this.unsubscribe = null;
+    this.user = user;
+    this.items = [];
+
+    if (!user) {
+      this.render();
+      return;
+    }
+
+    this.unsubscribe = this.notifications.subscribe(user.uid, (items, added) => {
+      this.items = items;
+      this.render();
+      added.filter(item => !item.read).forEach(item => {
+        toast.info(`${this.iconFor(item)} ${item.reportTitle}: ${item.message}`);
+      });
+    });
+    this.maybeSendDigest();
+  }
+
+  render() {
+    if (!this.button) return;
+
+    const unread = this.items.filter(item => !item.read).length;
+    this.button.style.display = this.user ? '' : 'none';
+    this.button.textContent = unread > 0 ? `🔔 ${unread > 99 ? '99+' : unread}` : '🔔';
+    this.button.setAttribute('aria-label', unread > 0 ? `Notifications, ${unread} unread` : 'Notifications');
+  }
+
+  async showNotifications() {
+    if (!this.user) {
+      toast.warning('Sign in to see notifications');
+      return;
+    }
+
+    const listed = this.items.slice(0, MAX_LISTED);
+    const unreadIds = this.items.filter(item => !item.read).map(item => item.id);
+    const digest = { enabled: localStorage.getItem(DIGEST_SETTING) === 'daily' };
+
+    const dialog = modal.show({
+      type: 'info',
+      icon: '🔔',
+      title: 'Notifications',
+      subtitle: unreadIds.length > 0 ? `${unreadIds.length} unread` : 'All caught up',
+      content: `
+        ${listed.length === 0 ? `
+          <p style="text-align: center; color: #6b7280;">No notifications yet. Follow a report to hear about status changes, comments and merges.</p>
+        ` : `
+          <ul style="list-style: none; padding: 0; margin: 0; max-height: 50vh; overflow-y: auto;">
+            ${listed.map((item, index) => `
+              <li data-action="open:${index}" style="padding: 10px 12px; border-bottom: 1px solid #e5e7eb; cursor: pointer; ${item.read ? '' : 'background: #eff6ff;'}">
+                <div style="font-weight: ${item.read ? 400 : 600};">${this.iconFor(item)} ${this.escapeHtml(item.reportTitle)}</div>
+                <div style="font-size: 14px; color: #374151;">${this.escapeHtml(item.message)}</div>
+                <small style="color: #9ca3af;">${new Date(item.timestamp).toLocaleString()}</small>
+              </li>
+            `).join('')}
+          </ul>
+        `}
+        ${this.user.email ? `
+          <label style="display: flex; gap: 8px; align-items: center; margin-top: 16px; font-size: 14px;">
+            <input type="checkbox" id="notificationDigestToggle" ${digest.enabled ? 'checked' : ''}>
+            📧 Email me a daily digest of unread notifications
+          </label>
+        ` : ''}
+      `,
+      buttons: [
+        ...(unreadIds.length > 0 ? [{ label: 'Mark All Read', action: 'read-all', variant: 'secondary' }] : []),
+        { label: 'Close', action: 'close', variant: 'primary' }
+      ]
+    });
+
+    // The modal DOM goes away on close, so apply the setting as it changes
+    document.getElementById('notificationDigestToggle')?.addEventListener('change', (e) => {
+      if (e.target.checked) {
+        localStorage.setItem(DIGEST_SETTING, 'daily');
+      } else {
+        localStorage.removeItem(DIGEST_SETTING);
+      }
+    });
+
+    const result = await dialog;
+    try {
+      if (result === 'read-all') {
+        await this.notifications.markRead(unreadIds);
+      } else if (result?.startsWith('open:')) {
+        // By position - the document IDs are chosen by whoever wrote the notification
+        await this.openNotification(listed[Number(result.slice('open:'.length))]);
+      }
+    } catch (error) {
+      console.error('Error updating notifications:', error);
+      toast.error('Could not update notifications');
+    }
+  }
+
+  async openNotification(item) {
+    if (!item) return;
+    if (!item.read) {
+      await this.notifications.markRead([item.id]);
+    }
+
+    if (window.accessReportModule) {
+      await window.accessReportModule.viewReportDetails(item.reportId);
+    } else {
+      window.location.href = `reports.html?report=${encodeURIComponent(item.reportId)}`;
+    }
+  }
+
+  /**
+   * Opted-in users get at most one digest a day, sent from whichever page they open.
+   * The mailer behind reportNotifications decides how it's delivered.
+   */
+  async maybeSendDigest() {
+    if (!this.user?.email || localStorage.getItem(DIGEST_SETTING) !== 'daily') return;
+
+    const sentAtKey = `${DIGEST_SENT_AT}_${this.user.uid}`;
+    const sentAt = Number(localStorage.getItem(sentAtKey)) || 0;
+    if (Date.now() - sentAt < DIGEST_INTERVAL) return;
+
+    try {
+      await this.notifications.sendDigest(this.user);
+      localStorage.setItem(sentAtKey, String(Date.now()));
+    } catch (error) {
+      console.warn('⚠️ Digest not sent:', error);
+    }
+  }
+
+  // FIXED: Notifications are written by other users - the icon comes from the type, never the stored field
+  iconFor(item) {
+    return (Object.values(NOTIFICATION_TYPES).find(type => type.id === item.type) || NOTIFICATION_TYPES.STATUS).icon;
+  }
+
+  cleanup() {
+    this.unsubscribe?.();
+    this.unsubscribe = null;
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text || '';
+    return div.innerHTML;
+  }
+}
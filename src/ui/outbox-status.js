@@ -0,0 +1,121 @@
+// Pending/failed cloud uploads: a small status pill and the outbox manager
+import toast from '../helpers/toasts.js';
+import modal from '../helpers/modals.js';
+import { cloudOutbox } from '../core/outbox.js';
+
+export class OutboxStatusController {
+  constructor(outbox = cloudOutbox) {
+    this.outbox = outbox;
+    this.indicator = null;
+    this.unsubscribe = null;
+  }
+
+  async initialize() {
+    this.createIndicator();
+    this.unsubscribe = this.outbox.onChange(items => this.render(items));
+    window.addEventListener('online', () => this.refresh());
+    window.addEventListener('offline', () => this.refresh());
+    window.showOutbox = () => this.showOutbox();
+    await this.refresh();
+  }
+
+  createIndicator() {
+    this.indicator = document.createElement('button');
+    this.indicator.type = 'button';
+    this.indicator.id = 'outboxIndicator';
+    this.indicator.setAttribute('aria-live', 'polite');
+    this.indicator.style.cssText = `
+      position: fixed; top: 70px; right: 12px; z-index: 1500;
+      display: none; padding: 6px 12px; border: none; border-radius: 16px;
+      font-size: 13px; font-weight: 600; color: white; cursor: pointer;
+      box-shadow: 0 2px 8px rgba(0,0,0,0.2);
+    `;
+    this.indicator.addEventListener('click', () => this.showOutbox());
+    document.body.appendChild(this.indicator);
+  }
+
+  async refresh() {
+    this.render(await this.outbox.getItems());
+  }
+
+  render(items) {
+    if (!this.indicator) return;
+
+    const pending = items.filter(item => item.status === 'pending').length;
+    const failed = items.filter(item => item.status === 'failed').length;
+
+    if (pending === 0 && failed === 0) {
+      this.indicator.style.display = 'none';
+      return;
+    }
+
+    const parts = [];
+    if (this.outbox.sendingId) {
+      parts.push('☁️ Uploading…');
+    } else if (pending > 0) {
+      parts.push(`${navigator.onLine ? '⏳' : '📴'} ${pending} waiting to upload`);
+    }
+    if (failed > 0) parts.push(`⚠️ ${failed} failed`);
+
+    this.indicator.textContent = parts.join(' · ');
+    this.indicator.style.background = failed > 0 ? '#c0392b' : '#667eea';
+    this.indicator.style.display = 'block';
+  }
+
+  async showOutbox() {
+    const items = await this.outbox.getItems();
+    if (items.length === 0) {
+      toast.success('Everything is uploaded');
+      return;
+    }
+
+    const picked = await modal.list(items.map(item => ({
+      title: `${item.status === 'failed' ? '⚠️' : '⏳'} ${item.label}`,
+      description: this.describeItem(item),
+      item
+    })), 'Waiting to Upload');
+    if (!picked) return;
+
+    const { item } = picked;
+    const action = await modal.show({
+      type: item.status === 'failed' ? 'warning' : 'info',
+      icon: '📤',
+      title: item.label,
+      message: this.describeItem(item),
+      buttons: [
+        { label: 'Cancel', action: 'cancel', variant: 'secondary' },
+        { label: 'Discard', action: 'discard', variant: 'danger' },
+        { label: 'Retry now', action: 'retry', variant: 'primary' }
+      ]
+    });
+
+    if (action === 'retry') {
+      if (!navigator.onLine) {
+        toast.warning('You are offline - the upload will start when the connection is back');
+        return;
+      }
+      const sent = await this.outbox.retry(item.id);
+      sent ? toast.success(`${item.label} uploaded`) : toast.error(`${item.label} could not be uploaded yet`);
+    } else if (action === 'discard') {
+      const confirmed = await modal.confirm(`Discard "${item.label}"? It will not be uploaded.`, 'Discard Upload');
+      if (confirmed) await this.outbox.discard(item.id);
+    }
+  }
+
+  describeItem(item) {
+    const queued = new Date(item.createdAt).toLocaleString();
+    if (item.status === 'failed') {
+      return `Failed after ${item.attempts} attempt${item.attempts === 1 ? '' : 's'}: ${item.lastError}`;
+    }
+    if (item.lastError) {
+      return `Queued ${queued} · next try ${new Date(item.nextAttemptAt).toLocaleTimeString()} (${item.lastError})`;
+    }
+    return `Queued ${queued}`;
+  }
+
+  cleanup() {
+    this.unsubscribe?.();
+    this.indicator?.remove();
+    delete window.showOutbox;
+  }
+}
@@ -0,0 +1,229 @@
+// Elevation lookup and slope analysis for recorded routes
+import { haversineDistance } from './calculations.js';
+
+// Same thresholds and wording as the accessibility form's trailSlopes field
+export const SLOPE_CATEGORIES = {
+  mild: { maxGrade: 5, label: 'No slopes to mild slopes (up to 5%)', color: '#4CAF50' },
+  moderate: { maxGrade: 10, label: 'Moderate slopes - assistance recommended (5%-10%)', color: '#FF9800' },
+  steep: { maxGrade: Infinity, label: 'Steep slopes - not accessible (over 10%)', color: '#f44336' }
+};
+
+export function classifyGrade(gradePercent) {
+  const grade = Math.abs(gradePercent);
+  if (grade <= SLOPE_CATEGORIES.mild.maxGrade) return 'mild';
+  if (grade <= SLOPE_CATEGORIES.moderate.maxGrade) return 'moderate';
+  return 'steep';
+}
+
+// Providers implement getElevations(coords[]) → Promise<Array<number|null>>
+
+// Open-Meteo elevation API (Copernicus DEM, ~90 m), batched per request
+export class OpenMeteoElevationProvider {
+  constructor(options = {}) {
+    this.name = 'open-meteo';
+    this.baseUrl = options.baseUrl || 'https://api.open-meteo.com/v1/elevation';
+    this.batchSize = options.batchSize || 100;
+    this.timeout = options.timeout || 10000;
+  }
+
+  async getElevations(coords) {
+    const results = [];
+
+    for (let i = 0; i < coords.length; i += this.batchSize) {
+      const batch = coords.slice(i, i + this.batchSize);
+      const latitudes = batch.map(c => c.lat.toFixed(6)).join(',');
+      const longitudes = batch.map(c => c.lng.toFixed(6)).join(',');
+
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+
+      try {
+        const response = await fetch(`${this.baseUrl}?latitude=${latitudes}&longitude=${longitudes}`, {
+          signal: controller.signal
+        });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+        const data = await response.json();
+        const elevations = Array.isArray(data.elevation) ? data.elevation : [];
+        batch.forEach((_, index) => {
+          const value = elevations[index];
+          results.push(typeof value === 'number' ? value : null);
+        });
+      } finally {
+        clearTimeout(timeoutId);
+      }
+    }
+
+    return results;
+  }
+}
+
+// Wraps any lookup function - for a local DEM, a tile reader or a test mock
+export class FunctionElevationProvider {
+  constructor(lookup, name = 'custom') {
+    this.name = name;
+    this.lookup = lookup;
+  }
+
+  async getElevations(coords) {
+    return Promise.all(coords.map(async (c) => {
+      const value = await this.lookup(c.lat, c.lng);
+      return typeof value === 'number' ? value : null;
+    }));
+  }
+}
+
+let elevationProvider = new OpenMeteoElevationProvider();
+
+export function setElevationProvider(provider) {
+  if (!provider || typeof provider.getElevations !== 'function') {
+    throw new Error('Elevation provider must implement getElevations(coords)');
+  }
+  elevationProvider = provider;
+}
+
+export function getElevationProvider() {
+  return elevationProvider;
+}
+
+// Resample the track at a fixed spacing so segment grades are comparable
+export function resampleTrack(coords, spacing) {
+  if (coords.length === 0) return [];
+
+  const samples = [{ coords: coords[0], distance: 0 }];
+  let travelled = 0;
+  let nextSample = spacing;
+
+  for (let i = 1; i < coords.length; i++) {
+    const start = coords[i - 1];
+    const end = coords[i];
+    const legLength = haversineDistance(start, end) * 1000;
+    if (legLength === 0) continue;
+
+    while (travelled + legLength >= nextSample) {
+      const ratio = (nextSample - travelled) / legLength;
+      samples.push({
+        coords: {
+          lat: start.lat + (end.lat - start.lat) * ratio,
+          lng: start.lng + (end.lng - start.lng) * ratio
+        },
+        distance: nextSample
+      });
+      nextSample += spacing;
+    }
+    travelled += legLength;
+  }
+
+  const last = samples[samples.length - 1];
+  if (travelled - last.distance > spacing * 0.25) {
+    samples.push({ coords: coords[coords.length - 1], distance: travelled });
+  }
+
+  return samples;
+}
+
+// Build an elevation series and per-segment slope classification for a route.
+// Returns null when there isn't enough track or the provider has no data.
+export async function buildElevationProfile(routeData, options = {}) {
+  const provider = options.provider || elevationProvider;
+  const maxSamples = options.maxSamples || 200;
+  const minSpacing = options.minSpacing || 25; // meters
+
+  const coords = (routeData || [])
+    .filter(p => p && p.type === 'location' && p.coords)
+    .map(p => p.coords);
+  if (coords.length < 2) return null;
+
+  let totalLength = 0;
+  for (let i = 1; i < coords.length; i++) {
+    totalLength += haversineDistance(coords[i - 1], coords[i]) * 1000;
+  }
+  if (totalLength < minSpacing) return null;
+
+  const spacing = Math.max(minSpacing, totalLength / maxSamples);
+  const samples = resampleTrack(coords, spacing);
+
+  const elevations = await provider.getElevations(samples.map(s => s.coords));
+  const series = samples
+    .map((sample, index) => ({ ...sample, elevation: elevations[index] }))
+    .filter(sample => typeof sample.elevation === 'number');
+
+  if (series.length < 2) return null;
+
+  // Light smoothing - DEM cells are coarser than our sample spacing
+  const smoothed = series.map((sample, index) => {
+    const window = series.slice(Math.max(0, index - 1), index + 2);
+    const elevation = window.reduce((sum, s) => sum + s.elevation, 0) / window.length;
+    return { ...sample, elevation };
+  });
+
+  const segments = [];
+  for (let i = 1; i < smoothed.length; i++) {
+    const from = smoothed[i - 1];
+    const to = smoothed[i];
+    const length = to.distance - from.distance;
+    if (length <= 0) continue;
+
+    const rise = to.elevation - from.elevation;
+    const grade = (rise / length) * 100;
+    segments.push({
+      startDistance: from.distance,
+      endDistance: to.distance,
+      length,
+      rise,
+      grade,
+      category: classifyGrade(grade)
+    });
+  }
+
+  return {
+    provider: provider.name || 'custom',
+    generatedAt: new Date().toISOString(),
+    samples: smoothed.map(s => ({
+      distance: Math.round(s.distance * 10) / 10,
+      elevation: Math.round(s.elevation * 10) / 10,
+      coords: s.coords
+    })),
+    segments,
+    summary: summarizeSegments(smoothed, segments)
+  };
+}
+
+export function summarizeSegments(samples, segments) {
+  const elevations = samples.map(s => s.elevation);
+  const distanceByCategory = { mild: 0, moderate: 0, steep: 0 };
+  let totalAscent = 0;
+  let totalDescent = 0;
+  let steepestSegment = null;
+
+  segments.forEach(segment => {
+    distanceByCategory[segment.category] += segment.length;
+    if (segment.rise > 0) totalAscent += segment.rise;
+    else totalDescent -= segment.rise;
+
+    if (!steepestSegment || Math.abs(segment.grade) > Math.abs(steepestSegment.grade)) {
+      steepestSegment = segment;
+    }
+  });
+
+  const totalLength = segments.reduce((sum, s) => sum + s.length, 0);
+  const worstCategory = distanceByCategory.steep > 0 ? 'steep'
+    : distanceByCategory.moderate > 0 ? 'moderate'
+    : 'mild';
+
+  return {
+    minElevation: Math.min(...elevations),
+    maxElevation: Math.max(...elevations),
+    totalAscent,
+    totalDescent,
+    totalLength,
+    maxGrade: steepestSegment ? Math.abs(steepestSegment.grade) : 0,
+    averageGrade: totalLength > 0
+      ? segments.reduce((sum, s) => sum + Math.abs(s.grade) * s.length, 0) / totalLength
+      : 0,
+    distanceByCategory,
+    steepestSegment,
+    slopeCategory: worstCategory,
+    trailSlopes: SLOPE_CATEGORIES[worstCategory].label
+  };
+}
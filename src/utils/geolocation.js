@@ -1,4 +1,6 @@
 // GPS utilities
+import { getElevationProvider } from './elevation.js';
+
 export function getCurrentPosition(options = {}) {
   const defaultOptions = {
     enableHighAccuracy: true,
@@ -17,20 +19,11 @@ export function getCurrentPosition(options = {}) {
   });
 }
 
+// Single-point lookup through the active elevation provider (see elevation.js)
 export async function getElevation(lat, lng) {
   try {
-    const url = `https://api.open-meteo.com/v1/elevation?latitude=${lat}&longitude=${lng}`;
-    const response = await fetch(url);
-    
-    if (!response.ok) throw new Error(`HTTP ${response.status}`);
-    
-    const data = await response.json();
-    
-    if (Array.isArray(data.elevation) && data.elevation.length > 0) {
-      return data.elevation[0];
-    }
-    
-    return null;
+    const [elevation] = await getElevationProvider().getElevations([{ lat, lng }]);
+    return typeof elevation === 'number' ? elevation : null;
   } catch (error) {
     console.warn('Elevation fetch failed:', error);
     return null;
@@ -0,0 +1,129 @@
+// Duplicate accessibility reports: the same issue type reported close by
+// while the first report is still open. Used to suggest upvoting instead of
+// reporting again, to group duplicates for moderators, and to combine a
+// merged report into the one it duplicates.
+import { haversineDistance } from './calculations.js';
+
+export const DUPLICATE_RADIUS_SETTING = 'duplicateReportRadius';
+export const DEFAULT_DUPLICATE_RADIUS = 50; // meters
+
+const CLOSED_STATUSES = ['resolved', 'closed', 'wont_fix'];
+
+// Firestore documents max out at 1 MiB - photos beyond this stay on the merged report
+export const MAX_REPORT_PHOTO_BYTES = 700 * 1024;
+
+// Meters - override with localStorage.setItem('duplicateReportRadius', '100')
+export function getDuplicateRadius() {
+  const stored = parseFloat(globalThis.localStorage?.getItem(DUPLICATE_RADIUS_SETTING));
+  return stored > 0 ? stored : DEFAULT_DUPLICATE_RADIUS;
+}
+
+// Reports keep { location: { latitude, longitude } }, new report data has them at the top
+function coordsOf(report) {
+  const latitude = report?.location?.latitude ?? report?.latitude;
+  const longitude = report?.location?.longitude ?? report?.longitude;
+  return typeof latitude === 'number' && typeof longitude === 'number'
+    ? { lat: latitude, lng: longitude }
+    : null;
+}
+
+export function isOpenReport(report) {
+  return !report.isHidden && !report.mergedInto && !CLOSED_STATUSES.includes(report.status);
+}
+
+// Open reports of the same issue type within the radius: [{ report, distance (m) }] nearest first
+export function findDuplicateReports(reports, candidate, radiusMeters = getDuplicateRadius()) {
+  const here = coordsOf(candidate);
+  if (!here || !candidate.issueType) return [];
+
+  return reports
+    .filter(report => report.id !== candidate.id && report.issueType === candidate.issueType && isOpenReport(report))
+    .map(report => {
+      const there = coordsOf(report);
+      return { report, distance: there ? haversineDistance(here, there) * 1000 : Infinity };
+    })
+    .filter(match => match.distance <= radiusMeters)
+    .sort((a, b) => a.distance - b.distance);
+}
+
+// Groups for the moderator queue: [{ primary, duplicates: [{ report, distance }] }].
+// The most upvoted (then oldest) report of each group is the one to keep.
+export function groupDuplicateReports(reports, radiusMeters = getDuplicateRadius()) {
+  const createdAt = (report) => report.createdAt?.toMillis?.() ?? report.createdAt ?? 0;
+  const ranked = reports
+    .filter(isOpenReport)
+    .sort((a, b) => ((b.upvotes || 0) - (a.upvotes || 0)) || (createdAt(a) - createdAt(b)));
+
+  const grouped = new Set();
+  const groups = [];
+  ranked.forEach(primary => {
+    if (grouped.has(primary.id)) return;
+
+    const duplicates = findDuplicateReports(ranked, primary, radiusMeters)
+      .filter(match => !grouped.has(match.report.id));
+    if (duplicates.length === 0) return;
+
+    grouped.add(primary.id);
+    duplicates.forEach(match => grouped.add(match.report.id));
+    groups.push({ primary, duplicates });
+  });
+
+  return groups;
+}
+
+// Fields to write on the kept report when `source` is merged into it.
+// Copied photos and history entries carry mergedFrom so a restore can take them back.
+export function combineReports(target, source, sourceId, { timestamp, updatedBy, note = '' }) {
+  const photos = [...(target.photos || [])];
+  let photoBytes = photos.reduce((total, photo) => total + (photo.content?.length || 0), 0);
+  (source.photos || []).forEach(photo => {
+    const size = photo.content?.length || 0;
+    if (photoBytes + size > MAX_REPORT_PHOTO_BYTES) return;
+    photos.push({ ...photo, mergedFrom: sourceId });
+    photoBytes += size;
+  });
+
+  const upvotedBy = [...new Set([...(target.upvotedBy || []), ...(source.upvotedBy || [])])];
+
+  const statusHistory = [
+    ...(target.statusHistory || []),
+    ...(source.statusHistory || []).map(entry => ({ ...entry, mergedFrom: sourceId })),
+    {
+      status: target.status,
+      timestamp,
+      updatedBy,
+      note: `Merged duplicate report "${source.title || sourceId}"${note ? `: ${note}` : ''}`,
+      mergedFrom: sourceId
+    }
+  ].sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+
+  return {
+    photos,
+    upvotedBy,
+    upvotes: upvotedBy.length,
+    statusHistory,
+    commentCount: (target.commentCount || 0) + (source.commentCount || 0),
+    tags: [...new Set([...(target.tags || []), ...(source.tags || [])])],
+    mergedFrom: [...new Set([...(target.mergedFrom || []), sourceId])]
+  };
+}
+
+// Status a merged report goes back to when it's restored. Merges from before
+// statusBeforeMerge was recorded fall back to the last status before the merge.
+export function statusBeforeMerge(report) {
+  if (report.statusBeforeMerge) return report.statusBeforeMerge;
+  const earlier = (report.statusHistory || [])
+    .filter(entry => !entry.note?.startsWith('Merged into report'))
+    .sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+  return earlier[earlier.length - 1]?.status || 'new';
+}
+
+// The reverse, when a merged report is restored. Upvotes stay - we don't know whose came from where.
+export function separateReport(target, source, sourceId) {
+  return {
+    photos: (target.photos || []).filter(photo => photo.mergedFrom !== sourceId),
+    statusHistory: (target.statusHistory || []).filter(entry => entry.mergedFrom !== sourceId),
+    commentCount: Math.max(0, (target.commentCount || 0) - (source.commentCount || 0)),
+    mergedFrom: (target.mergedFrom || []).filter(id => id !== sourceId)
+  };
+}
@@ -0,0 +1,113 @@
+// Report workflow rules: which status changes are allowed, what a recorded
+// resolution does to the status, and which jurisdiction polygon a report's
+// location falls in.
+
+// Status state machine. Keeping the current status (a dated confirmation) is
+// always allowed; closed is final.
+export const STATUS_TRANSITIONS = {
+  new: ['acknowledged', 'in_progress', 'resolved', 'wont_fix', 'closed'],
+  acknowledged: ['in_progress', 'resolved', 'wont_fix', 'closed'],
+  in_progress: ['acknowledged', 'resolved', 'wont_fix', 'closed'],
+  resolved: ['in_progress', 'closed'], // reopened when the fix didn't hold
+  wont_fix: ['acknowledged', 'closed'], // reconsidered
+  closed: []
+};
+
+export function canTransition(fromStatus, toStatus) {
+  const from = fromStatus || 'new';
+  if (from === toStatus) return true;
+  return (STATUS_TRANSITIONS[from] || []).includes(toStatus);
+}
+
+export function nextStatuses(fromStatus) {
+  return STATUS_TRANSITIONS[fromStatus || 'new'] || [];
+}
+
+// How a jurisdiction closed the issue, and the status each outcome moves the report to
+export const RESOLUTION_OUTCOMES = {
+  FIXED: { id: 'fixed', label: 'Fixed', icon: '🛠️', status: 'resolved' },
+  WORKAROUND: { id: 'workaround', label: 'Accessible alternative provided', icon: '↪️', status: 'resolved' },
+  NOT_FOUND: { id: 'not_found', label: 'Could not find the issue', icon: '🔍', status: 'closed' },
+  WONT_FIX: { id: 'wont_fix', label: "Won't be fixed", icon: '🚫', status: 'wont_fix' }
+};
+
+export const MAX_RESOLUTION_SUMMARY = 1000;
+
+export function getResolutionOutcome(outcomeId) {
+  return Object.values(RESOLUTION_OUTCOMES).find(outcome => outcome.id === outcomeId) || null;
+}
+
+// Problem with a resolution for a report in `currentStatus`, or null when it can be recorded
+export function validateResolution(resolution, currentStatus) {
+  const outcome = getResolutionOutcome(resolution?.outcome);
+  if (!outcome) return 'Pick an outcome';
+  if (!resolution.summary?.trim()) return 'Describe what was done';
+  if (resolution.summary.length > MAX_RESOLUTION_SUMMARY) return `Keep the summary under ${MAX_RESOLUTION_SUMMARY} characters`;
+  if (!canTransition(currentStatus, outcome.status)) {
+    return `A ${currentStatus} report cannot be moved to ${outcome.status}`;
+  }
+  return null;
+}
+
+// Jurisdiction boundaries come as { boundary: [{ lat, lng }] } (Firestore can't
+// store nested arrays) or as a GeoJSON Polygon/MultiPolygon string in geojson.
+// Returns a list of outer rings of { lat, lng }; holes are ignored.
+export function jurisdictionRings(jurisdiction) {
+  if (Array.isArray(jurisdiction?.boundary) && jurisdiction.boundary.length >= 3) {
+    return [jurisdiction.boundary];
+  }
+  if (!jurisdiction?.geojson) return [];
+
+  try {
+    const parsed = typeof jurisdiction.geojson === 'string' ? JSON.parse(jurisdiction.geojson) : jurisdiction.geojson;
+    const geometry = parsed.type === 'Feature' ? parsed.geometry : parsed;
+    const polygons = geometry?.type === 'Polygon' ? [geometry.coordinates]
+      : geometry?.type === 'MultiPolygon' ? geometry.coordinates
+        : [];
+    return polygons.map(polygon => polygon[0].map(([lng, lat]) => ({ lat, lng })));
+  } catch (error) {
+    console.warn(`⚠️ Invalid boundary for jurisdiction ${jurisdiction.id}:`, error);
+    return [];
+  }
+}
+
+// Ray casting - fine at city scale, where the earth's curve doesn't matter
+export function pointInRing(point, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const a = ring[i];
+    const b = ring[j];
+    if ((a.lat > point.lat) !== (b.lat > point.lat) &&
+        point.lng < ((b.lng - a.lng) * (point.lat - a.lat)) / (b.lat - a.lat) + a.lng) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+// Degrees², only for comparing polygons with each other
+function ringArea(ring) {
+  let area = 0;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    area += (ring[j].lng + ring[i].lng) * (ring[j].lat - ring[i].lat);
+  }
+  return Math.abs(area / 2);
+}
+
+// The jurisdiction containing the point. Where they overlap (a park inside a
+// city) the smallest one wins, as it's the most specific.
+export function findJurisdiction(jurisdictions, point) {
+  let best = null;
+  let bestArea = Infinity;
+  (jurisdictions || []).forEach(jurisdiction => {
+    jurisdictionRings(jurisdiction).forEach(ring => {
+      if (!pointInRing(point, ring)) return;
+      const area = ringArea(ring);
+      if (area < bestArea) {
+        best = jurisdiction;
+        bestArea = area;
+      }
+    });
+  });
+  return best;
+}
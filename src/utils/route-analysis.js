@@ -0,0 +1,186 @@
+// Route geometry analysis used to suggest accessibility survey answers
+import { haversineDistance } from './calculations.js';
+import { resampleTrack } from './elevation.js';
+import { summarizeMarkers } from './trail-markers.js';
+import { surfaceBreakdown } from './surfaces.js';
+
+// Narrower than this stops a standard wheelchair
+const WHEELCHAIR_MIN_WIDTH_CM = 80;
+
+// Same buckets as the accessibility form's estimatedTime options
+export const DURATION_OPTIONS = [
+  { maxMinutes: 30, value: 'Under 30 minutes' },
+  { maxMinutes: 60, value: '30-60 minutes' },
+  { maxMinutes: 120, value: '1-2 hours' },
+  { maxMinutes: 240, value: '2-4 hours' },
+  { maxMinutes: 360, value: 'Half day' },
+  { maxMinutes: Infinity, value: 'Full day' }
+];
+
+export function getLocationCoords(routeData) {
+  return (routeData || [])
+    .filter(p => p && p.type === 'location' && p.coords)
+    .map(p => p.coords);
+}
+
+export function calculateTrackLength(coords) {
+  let total = 0;
+  for (let i = 1; i < coords.length; i++) {
+    total += haversineDistance(coords[i - 1], coords[i]);
+  }
+  return total; // km
+}
+
+export function durationToOption(milliseconds) {
+  const minutes = milliseconds / 60000;
+  return DURATION_OPTIONS.find(option => minutes <= option.maxMinutes).value;
+}
+
+// Classify the track shape:
+// 'loop'           - ends near the start without retracing its way out
+// 'out-and-back'   - ends near the start and the return leg retraces the outbound leg
+// 'one-way'        - ends somewhere else
+export function detectRouteShape(coords, options = {}) {
+  if (coords.length < 4) return { shape: 'unknown', confidence: 0 };
+
+  const lengthMeters = calculateTrackLength(coords) * 1000;
+  if (lengthMeters < 100) return { shape: 'unknown', confidence: 0 };
+
+  const closureMeters = haversineDistance(coords[0], coords[coords.length - 1]) * 1000;
+  const closureLimit = Math.max(options.minClosure ?? 50, lengthMeters * (options.closureRatio ?? 0.08));
+
+  if (closureMeters > closureLimit) {
+    return { shape: 'one-way', confidence: Math.min(1, closureMeters / (closureLimit * 2)), closureMeters };
+  }
+
+  // Compare the return half against the outbound half at an even spacing
+  const spacing = Math.max(10, lengthMeters / 200);
+  const samples = resampleTrack(coords, spacing);
+  const halfway = lengthMeters / 2;
+  const outbound = samples.filter(s => s.distance <= halfway);
+  const inbound = samples.filter(s => s.distance > halfway);
+  const tolerance = options.retraceTolerance ?? Math.max(20, spacing * 1.5);
+
+  const retraced = inbound.filter(sample =>
+    outbound.some(out => haversineDistance(out.coords, sample.coords) * 1000 <= tolerance)
+  ).length;
+  const retraceRatio = inbound.length > 0 ? retraced / inbound.length : 0;
+
+  if (retraceRatio >= (options.retraceThreshold ?? 0.6)) {
+    return { shape: 'out-and-back', confidence: retraceRatio, closureMeters, retraceRatio };
+  }
+  return { shape: 'loop', confidence: 1 - retraceRatio, closureMeters, retraceRatio };
+}
+
+// Suggested form values derived from the recorded track.
+// Returns { fieldName: { value, reason } } for the fields we can measure.
+export function suggestAccessibilityValues({ routeData, totalDistance, elapsedTime, elevationProfile }) {
+  const suggestions = {};
+  const coords = getLocationCoords(routeData);
+
+  const distanceKm = totalDistance > 0 ? totalDistance : calculateTrackLength(coords);
+  if (distanceKm >= 0.05) {
+    suggestions.trailLength = {
+      value: (Math.round(distanceKm * 10) / 10).toFixed(1),
+      reason: `Recorded track: ${distanceKm.toFixed(2)} km`
+    };
+  }
+
+  if (elapsedTime > 60000) {
+    suggestions.estimatedTime = {
+      value: durationToOption(elapsedTime),
+      reason: `Recorded duration: ${Math.round(elapsedTime / 60000)} min`
+    };
+  }
+
+  const shape = detectRouteShape(coords);
+  if (shape.shape === 'loop') {
+    suggestions.routeType = {
+      value: 'Circular',
+      reason: `Track ends ${Math.round(shape.closureMeters)} m from the start without retracing`
+    };
+  } else if (shape.shape === 'out-and-back') {
+    suggestions.routeType = {
+      value: 'Round Trip',
+      reason: `${Math.round(shape.retraceRatio * 100)}% of the return leg retraces the way out`
+    };
+  }
+
+  if (elevationProfile?.summary?.trailSlopes) {
+    suggestions.trailSlopes = {
+      value: elevationProfile.summary.trailSlopes,
+      reason: `Measured max grade ${elevationProfile.summary.maxGrade.toFixed(1)}%`
+    };
+  }
+
+  return {
+    ...suggestions,
+    ...suggestFromMarkers(summarizeMarkers(routeData)),
+    ...suggestFromSurfaces(surfaceBreakdown(routeData))
+  };
+}
+
+// Measured per-surface distances beat the plain list of surface markers
+export function suggestFromSurfaces(breakdown) {
+  const known = breakdown.filter(item => item.surface && item.distanceKm > 0);
+  if (known.length === 0) return {};
+
+  return {
+    trailSurface: {
+      value: known.length > 1 ? [...known.map(item => item.surface), 'Mixed Surfaces'] : [known[0].surface],
+      reason: known.map(item => `${item.surface} ${item.percent}%`).join(', ')
+    }
+  };
+}
+
+// Answers the structured markers recorded on the way give us.
+// Checkbox fields (seating, trailSurface) get an array of values.
+export function suggestFromMarkers(summary) {
+  const suggestions = {};
+  if (summary.total === 0) return suggestions;
+
+  if (summary.benches.count > 0) {
+    const seating = [summary.benches.count === 1 ? 'One accessible bench' : 'Multiple benches along route'];
+    if (summary.benches.withoutArmrests === summary.benches.count) seating.push('Benches without handrails');
+    suggestions.seating = {
+      value: seating,
+      reason: `${summary.benches.count} bench marker(s), ${summary.benches.withoutArmrests} without armrests`
+    };
+  }
+
+  if (summary.fountains > 0) {
+    suggestions.waterFountains = {
+      value: summary.fountains === 1 ? 'One accessible fountain' : 'Multiple fountains along route',
+      reason: `${summary.fountains} water fountain marker(s)`
+    };
+  }
+
+  if (summary.restrooms.count > 0) {
+    suggestions.restrooms = {
+      value: summary.restrooms.separate ? 'Separate accessible restrooms for men and women' : 'One unisex accessible restroom',
+      reason: `${summary.restrooms.count} restroom marker(s)`
+    };
+  }
+
+  if (summary.surfaces.length > 0) {
+    suggestions.trailSurface = {
+      value: summary.surfaces.length > 1 ? [...summary.surfaces, 'Mixed Surfaces'] : summary.surfaces,
+      reason: `Surface change markers: ${summary.surfaces.join(', ')}`
+    };
+  }
+
+  const narrowest = [summary.narrowestPassage, summary.gates.narrowestWidth].filter(width => width !== null);
+  if (summary.steps.withoutRamp > 0) {
+    suggestions.wheelchairAccess = {
+      value: 'Not accessible',
+      reason: `${summary.steps.withoutRamp} set(s) of steps without a step-free alternative`
+    };
+  } else if (narrowest.length > 0 && Math.min(...narrowest) < WHEELCHAIR_MIN_WIDTH_CM) {
+    suggestions.wheelchairAccess = {
+      value: 'Partially accessible',
+      reason: `Narrowest passage or gate: ${Math.min(...narrowest)} cm`
+    };
+  }
+
+  return suggestions;
+}
@@ -0,0 +1,192 @@
+// Route editing operations used by the saved-route editor.
+// Every function returns new arrays - the route passed in is never modified.
+import { haversineDistance } from './calculations.js';
+import { isSurfaceChange, surfaceAt } from './surfaces.js';
+
+export function sortEntries(routeData) {
+  return [...(routeData || [])].sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+}
+
+export function isLocationEntry(entry) {
+  return entry?.type === 'location' && !!entry.coords;
+}
+
+export function countLocationPoints(routeData) {
+  return (routeData || []).filter(isLocationEntry).length;
+}
+
+// Distance and timing from the entries alone, matching how the tracker books them:
+// manual pauses stop the clock, auto-pauses count as stopped time,
+// and the gap between merged sessions counts as neither.
+export function recalculateRouteStats(routeData) {
+  const entries = sortEntries(routeData);
+  if (entries.length === 0) {
+    return { totalDistance: 0, elapsedTime: 0, movingTime: 0, stoppedTime: 0 };
+  }
+
+  let totalDistance = 0;
+  let lastCoords = null;
+  let pausedTime = 0;
+  let stoppedTime = 0;
+  let first = Infinity;
+  let last = -Infinity;
+
+  entries.forEach(entry => {
+    first = Math.min(first, entry.timestamp);
+    last = Math.max(last, entry.endTime || entry.timestamp);
+
+    if (entry.type === 'stop') {
+      const duration = entry.duration || 0;
+      if (entry.auto) {
+        stoppedTime += duration;
+      } else {
+        pausedTime += duration;
+      }
+      if (entry.sessionBreak) lastCoords = null;
+      return;
+    }
+
+    if (isLocationEntry(entry)) {
+      if (lastCoords) totalDistance += haversineDistance(lastCoords, entry.coords);
+      lastCoords = entry.coords;
+    }
+  });
+
+  const elapsedTime = Math.max(0, last - first - pausedTime);
+  return {
+    totalDistance,
+    elapsedTime,
+    movingTime: Math.max(0, elapsedTime - stoppedTime),
+    stoppedTime: Math.min(stoppedTime, elapsedTime)
+  };
+}
+
+// Keep everything recorded between two entries (inclusive).
+// A stop that runs past the new end is cut short.
+export function trimRoute(routeData, startIndex, endIndex) {
+  const entries = sortEntries(routeData);
+  const from = entries[startIndex]?.timestamp;
+  const to = entries[endIndex]?.timestamp;
+  if (from === undefined || to === undefined || from > to) {
+    throw new Error('Invalid trim range');
+  }
+
+  const kept = entries
+    .filter(entry => entry.timestamp >= from && entry.timestamp <= to)
+    .map(entry => clampStop(entry, to));
+  return carrySurface(entries, kept);
+}
+
+// Split at an entry: it ends the first part and starts the second
+export function splitRoute(routeData, splitIndex) {
+  const entries = sortEntries(routeData);
+  const splitEntry = entries[splitIndex];
+  if (!isLocationEntry(splitEntry)) {
+    throw new Error('Routes can only be split at a GPS point');
+  }
+
+  const splitTime = splitEntry.timestamp;
+  const first = entries
+    .filter((entry, index) => index <= splitIndex)
+    .map(entry => clampStop(entry, splitTime));
+  const second = [
+    { ...splitEntry },
+    ...entries.filter((entry, index) => index > splitIndex)
+  ];
+
+  return [first, carrySurface(entries, second)];
+}
+
+// Paint a surface onto the stretch between two GPS points. Surface markers
+// inside the stretch are replaced, and one at its end puts back the surface
+// that followed - see src/utils/surfaces.js for how markers become segments.
+export function paintSurface(routeData, startIndex, endIndex, surface) {
+  const entries = sortEntries(routeData);
+  const [from, to] = [entries[Math.min(startIndex, endIndex)], entries[Math.max(startIndex, endIndex)]];
+  if (!isLocationEntry(from) || !isLocationEntry(to) || from.timestamp >= to.timestamp) {
+    throw new Error('Pick two different GPS points');
+  }
+
+  const resume = surfaceAt(entries, to.timestamp);
+  const lastLocation = [...entries].reverse().find(isLocationEntry);
+
+  const painted = entries.filter(entry =>
+    !(isSurfaceChange(entry) && entry.timestamp >= from.timestamp && entry.timestamp <= to.timestamp)
+  );
+  painted.push(surfaceMarker(from, surface));
+  if (to !== lastLocation && resume !== surface) {
+    painted.push(surfaceMarker(to, resume));
+  }
+
+  return sortEntries(painted);
+}
+
+function surfaceMarker(at, surface) {
+  return {
+    type: 'marker',
+    markerType: 'surface_change',
+    coords: { ...at.coords },
+    timestamp: at.timestamp,
+    attributes: surface ? { surface } : {}
+  };
+}
+
+// A trimmed or split-off part starting mid-route keeps the surface it started on
+function carrySurface(allEntries, part) {
+  const start = part[0];
+  if (!start?.coords) return part;
+
+  const surface = surfaceAt(allEntries, start.timestamp);
+  const setHere = part.some(entry => isSurfaceChange(entry) && entry.timestamp === start.timestamp);
+  return surface && !setHere ? [surfaceMarker(start, surface), ...part] : part;
+}
+
+export function deleteEntries(routeData, indexes) {
+  const remove = new Set(indexes);
+  return sortEntries(routeData).filter((entry, index) => !remove.has(index));
+}
+
+// Join sessions in time order. The gap between them is booked as a
+// session break, so neither the time nor the jump between trailheads counts.
+export function mergeRoutes(routes) {
+  const ordered = routes
+    .map(route => sortEntries(route.data))
+    .filter(entries => entries.length > 0)
+    .sort((a, b) => a[0].timestamp - b[0].timestamp);
+
+  const merged = [];
+  ordered.forEach(entries => {
+    if (merged.length > 0) {
+      const previousEnd = Math.max(...merged.map(entry => entry.endTime || entry.timestamp));
+      const nextStart = entries[0].timestamp;
+      if (nextStart < previousEnd) {
+        throw new Error('Routes overlap in time and cannot be merged');
+      }
+
+      const lastLocation = [...merged].reverse().find(isLocationEntry);
+      if (lastLocation) {
+        merged.push({
+          type: 'stop',
+          coords: { ...lastLocation.coords },
+          timestamp: previousEnd,
+          endTime: nextStart,
+          duration: nextStart - previousEnd,
+          auto: false,
+          sessionBreak: true
+        });
+      }
+    }
+    merged.push(...entries);
+  });
+
+  return merged;
+}
+
+function clampStop(entry, endTime) {
+  if (entry.type !== 'stop' || !(entry.endTime > endTime)) return entry;
+  return {
+    ...entry,
+    endTime,
+    duration: Math.max(0, endTime - entry.timestamp)
+  };
+}
@@ -0,0 +1,71 @@
+// Follow-a-trail geometry: a reference line with cumulative distances,
+// snapping a position onto it and placing waypoints along it.
+// Distances are in km, like the rest of the route utilities.
+import { haversineDistance } from './calculations.js';
+import { isLocationEntry } from './route-edit.js';
+
+// { points, cumulative, totalKm } from a route's GPS entries
+export function buildReferenceLine(routeData) {
+  const points = [];
+  (routeData || []).filter(isLocationEntry).forEach(entry => {
+    const last = points[points.length - 1];
+    if (last && last.lat === entry.coords.lat && last.lng === entry.coords.lng) return;
+    points.push({ lat: entry.coords.lat, lng: entry.coords.lng });
+  });
+
+  const cumulative = points.map(() => 0);
+  for (let i = 1; i < points.length; i++) {
+    cumulative[i] = cumulative[i - 1] + haversineDistance(points[i - 1], points[i]);
+  }
+
+  return { points, cumulative, totalKm: cumulative[cumulative.length - 1] || 0 };
+}
+
+// Closest point on segment a-b (flat projection - segments are a few metres long)
+function closestOnSegment(a, b, p) {
+  const kx = Math.cos(a.lat * Math.PI / 180);
+  const dx = (b.lng - a.lng) * kx;
+  const dy = b.lat - a.lat;
+  const lengthSquared = dx * dx + dy * dy;
+  const t = lengthSquared === 0
+    ? 0
+    : Math.max(0, Math.min(1, ((p.lng - a.lng) * kx * dx + (p.lat - a.lat) * dy) / lengthSquared));
+
+  return { lat: a.lat + t * (b.lat - a.lat), lng: a.lng + t * (b.lng - a.lng) };
+}
+
+// Snap coords onto the line: { index, point, offRouteKm, alongKm, remainingKm }.
+// fromIndex is the segment matched last time - on out-and-back or looping
+// trails several segments are about as close, and the next one along the
+// trail wins over one further on.
+export function projectOntoLine(line, coords, { fromIndex = 0, toleranceKm = 0.015 } = {}) {
+  const { points, cumulative } = line;
+  if (!coords || points.length === 0) return null;
+
+  if (points.length === 1) {
+    return { index: 0, point: points[0], offRouteKm: haversineDistance(points[0], coords), alongKm: 0, remainingKm: 0 };
+  }
+
+  const matches = [];
+  for (let i = 0; i < points.length - 1; i++) {
+    const point = closestOnSegment(points[i], points[i + 1], coords);
+    matches.push({ index: i, point, offRouteKm: haversineDistance(point, coords) });
+  }
+
+  const best = matches.reduce((closest, match) => match.offRouteKm < closest.offRouteKm ? match : closest);
+  const match = matches.find(candidate =>
+    candidate.index >= fromIndex && candidate.offRouteKm <= best.offRouteKm + toleranceKm
+  ) || best;
+  const alongKm = cumulative[match.index] + haversineDistance(points[match.index], match.point);
+  return { ...match, alongKm, remainingKm: Math.max(0, line.totalKm - alongKm) };
+}
+
+// Items with coords ({ coords, ... }) placed along the line and sorted by alongKm;
+// anything further than corridorKm from the trail is left out
+export function placeWaypoints(line, items, corridorKm = 0.05) {
+  return items
+    .map(item => ({ item, match: projectOntoLine(line, item.coords) }))
+    .filter(({ match }) => match && match.offRouteKm <= corridorKm)
+    .map(({ item, match }) => ({ ...item, alongKm: match.alongKm }))
+    .sort((a, b) => a.alongKm - b.alongKm);
+}
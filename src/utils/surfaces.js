@@ -0,0 +1,101 @@
+// Surface-type segmentation. A route's surface is set by surface_change
+// markers: each one applies from its timestamp until the next, and a marker
+// without a surface means "unknown from here". The tracker's surface button
+// and the route editor's painting both write these markers.
+import { haversineDistance } from './calculations.js';
+
+// Labels match the accessibility form's trailSurface options
+export const SURFACE_TYPES = {
+  'Asphalt': { color: '#37474F' },
+  'Concrete': { color: '#90A4AE' },
+  'Compacted Gravel': { color: '#C49A6C' },
+  'Stone': { color: '#795548' },
+  'Wood/Plastic Deck': { color: '#E65100' },
+  'Grass': { color: '#9CCC65' }
+};
+
+export const SURFACE_OPTIONS = Object.keys(SURFACE_TYPES);
+
+// Unknown stretches keep the usual route colour
+export const UNKNOWN_SURFACE_COLOR = '#4CAF50';
+
+export function getSurfaceColor(surface) {
+  return SURFACE_TYPES[surface]?.color || UNKNOWN_SURFACE_COLOR;
+}
+
+export function isSurfaceChange(entry) {
+  return entry?.type === 'marker' && entry.markerType === 'surface_change';
+}
+
+export function hasSurfaceData(routeData) {
+  return (routeData || []).some(entry => isSurfaceChange(entry) && entry.attributes?.surface);
+}
+
+// Surface in effect at a time (null when unknown)
+export function surfaceAt(routeData, time) {
+  let surface = null;
+  let latest = -Infinity;
+  (routeData || []).forEach(entry => {
+    if (isSurfaceChange(entry) && entry.timestamp <= time && entry.timestamp >= latest) {
+      latest = entry.timestamp;
+      surface = entry.attributes?.surface || null;
+    }
+  });
+  return surface;
+}
+
+// Consecutive runs of GPS points on the same surface:
+// [{ surface, coords: [{ lat, lng }], distanceKm }]. Runs share their
+// boundary point so the drawn line has no gaps.
+export function buildSurfaceSegments(routeData) {
+  const entries = [...(routeData || [])]
+    .filter(entry => (entry?.type === 'location' && entry.coords) || isSurfaceChange(entry))
+    // A change recorded at a GPS point's own time applies from that point
+    .sort((a, b) => ((a.timestamp || 0) - (b.timestamp || 0)) || (isSurfaceChange(b) - isSurfaceChange(a)));
+
+  const segments = [];
+  let surface = null;
+  let current = null;
+
+  entries.forEach(entry => {
+    if (isSurfaceChange(entry)) {
+      surface = entry.attributes?.surface || null;
+      return;
+    }
+
+    if (!current) {
+      current = { surface, coords: [entry.coords], distanceKm: 0 };
+      segments.push(current);
+      return;
+    }
+
+    const previous = current.coords[current.coords.length - 1];
+    current.coords.push(entry.coords);
+    current.distanceKm += haversineDistance(previous, entry.coords);
+
+    // The segment leaving this point belongs to the surface now in effect
+    if (surface !== current.surface) {
+      current = { surface, coords: [entry.coords], distanceKm: 0 };
+      segments.push(current);
+    }
+  });
+
+  return segments.filter(segment => segment.coords.length > 1);
+}
+
+// [{ surface, distanceKm, percent }] longest first; surface null = unknown
+export function surfaceBreakdown(routeData) {
+  const totals = new Map();
+  buildSurfaceSegments(routeData).forEach(segment => {
+    totals.set(segment.surface, (totals.get(segment.surface) || 0) + segment.distanceKm);
+  });
+
+  const totalKm = [...totals.values()].reduce((sum, km) => sum + km, 0);
+  return [...totals.entries()]
+    .map(([surface, distanceKm]) => ({
+      surface,
+      distanceKm,
+      percent: totalKm > 0 ? Math.round((distanceKm / totalKm) * 100) : 0
+    }))
+    .sort((a, b) => b.distanceKm - a.distanceKm);
+}
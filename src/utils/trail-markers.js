@@ -0,0 +1,249 @@
+// Structured obstacle/feature markers recorded while tracking:
+// { type: 'marker', markerType, coords, timestamp, attributes: { ... } }
+// Attribute fields are typed so the form, map, guide and exports agree on them.
+import { haversineDistance } from './calculations.js';
+import { SURFACE_OPTIONS } from './surfaces.js';
+
+export const GATE_TYPES = ['Swing gate', 'Kissing gate', 'Stile', 'Turnstile', 'Vehicle barrier', 'Cattle grid'];
+
+// Field types: 'number' (with unit), 'boolean', 'select' (options)
+export const MARKER_TYPES = {
+  steps: {
+    label: 'Steps',
+    icon: '🪜',
+    fields: [
+      { name: 'stepCount', label: 'Number of steps', type: 'number' },
+      { name: 'stepHeight', label: 'Step height', type: 'number', unit: 'cm' },
+      { name: 'handrail', label: 'Handrail', type: 'boolean' },
+      { name: 'rampAlternative', label: 'Ramp or step-free way around', type: 'boolean' }
+    ]
+  },
+  narrow_passage: {
+    label: 'Narrow passage',
+    icon: '↔️',
+    fields: [
+      { name: 'width', label: 'Width', type: 'number', unit: 'cm' },
+      { name: 'length', label: 'Length', type: 'number', unit: 'm' }
+    ]
+  },
+  gate: {
+    label: 'Gate',
+    icon: '🚪',
+    fields: [
+      { name: 'gateType', label: 'Gate type', type: 'select', options: GATE_TYPES },
+      { name: 'width', label: 'Clear width', type: 'number', unit: 'cm' },
+      { name: 'opensUnaided', label: 'Opens without assistance', type: 'boolean' }
+    ]
+  },
+  bench: {
+    label: 'Bench',
+    icon: '🪑',
+    fields: [
+      { name: 'backrest', label: 'Backrest', type: 'boolean' },
+      { name: 'armrests', label: 'Armrests', type: 'boolean' },
+      { name: 'shaded', label: 'In the shade', type: 'boolean' }
+    ]
+  },
+  water_fountain: {
+    label: 'Water fountain',
+    icon: '🚰',
+    fields: [
+      { name: 'wheelchairHeight', label: 'Reachable from a wheelchair', type: 'boolean' }
+    ]
+  },
+  restroom: {
+    label: 'Accessible restroom',
+    icon: '🚻',
+    fields: [
+      { name: 'layout', label: 'Layout', type: 'select', options: ['Unisex', 'Separate men/women'] }
+    ]
+  },
+  steep_start: {
+    label: 'Steep section starts',
+    icon: '📈',
+    fields: [
+      { name: 'gradient', label: 'Estimated gradient', type: 'number', unit: '%' }
+    ]
+  },
+  steep_end: {
+    label: 'Steep section ends',
+    icon: '📉',
+    fields: []
+  },
+  surface_change: {
+    label: 'Surface change',
+    icon: '🔀',
+    fields: [
+      { name: 'surface', label: 'New surface', type: 'select', options: SURFACE_OPTIONS }
+    ]
+  }
+};
+
+const UNKNOWN_MARKER = { label: 'Marker', icon: '📍', fields: [] };
+
+export function isMarkerEntry(entry) {
+  return entry?.type === 'marker' && !!entry.coords;
+}
+
+export function getMarkerType(markerType) {
+  return MARKER_TYPES[markerType] || UNKNOWN_MARKER;
+}
+
+// Raw form values → typed attributes; empty fields are left out
+export function parseMarkerAttributes(markerType, values = {}) {
+  const attributes = {};
+  getMarkerType(markerType).fields.forEach(field => {
+    const value = values[field.name];
+    if (field.type === 'boolean') {
+      if (typeof value === 'boolean') attributes[field.name] = value;
+    } else if (field.type === 'number') {
+      const number = parseFloat(value);
+      if (Number.isFinite(number) && number >= 0) attributes[field.name] = number;
+    } else if (field.type === 'select') {
+      if (field.options.includes(value)) attributes[field.name] = value;
+    }
+  });
+  return attributes;
+}
+
+// ['12 steps', 'Handrail: yes', ...] in field order
+export function describeMarkerAttributes(entry) {
+  const attributes = entry?.attributes || {};
+  return getMarkerType(entry?.markerType).fields
+    .filter(field => attributes[field.name] !== undefined)
+    .map(field => {
+      const value = attributes[field.name];
+      if (field.type === 'boolean') return `${field.label}: ${value ? 'yes' : 'no'}`;
+      if (field.type === 'number') return `${field.label}: ${value}${field.unit ? ` ${field.unit}` : ''}`;
+      return `${field.label}: ${value}`;
+    });
+}
+
+function minOf(values) {
+  const numbers = values.filter(value => typeof value === 'number');
+  return numbers.length > 0 ? Math.min(...numbers) : null;
+}
+
+function maxOf(values) {
+  const numbers = values.filter(value => typeof value === 'number');
+  return numbers.length > 0 ? Math.max(...numbers) : null;
+}
+
+// Track distance (km) recorded between two timestamps
+function distanceBetween(routeData, fromTime, toTime) {
+  const coords = routeData
+    .filter(entry => entry?.type === 'location' && entry.coords && entry.timestamp >= fromTime && entry.timestamp <= toTime)
+    .map(entry => entry.coords);
+
+  let total = 0;
+  for (let i = 1; i < coords.length; i++) {
+    total += haversineDistance(coords[i - 1], coords[i]);
+  }
+  return total;
+}
+
+// Everything the form suggestions and the trail guide need from the markers
+export function summarizeMarkers(routeData = []) {
+  const markers = routeData.filter(isMarkerEntry).sort((a, b) => a.timestamp - b.timestamp);
+  const ofType = (type) => markers.filter(marker => marker.markerType === type);
+  const attribute = (list, name) => list.map(marker => marker.attributes?.[name]);
+
+  const steps = ofType('steps');
+  const gates = ofType('gate');
+  const benches = ofType('bench');
+  const restrooms = ofType('restroom');
+
+  // Each start runs to the next end - or to the end of the recording
+  const lastTime = routeData.reduce((latest, entry) => Math.max(latest, entry?.timestamp || 0), 0);
+  const ends = ofType('steep_end');
+  const steepSections = ofType('steep_start').map(start => {
+    const end = ends.find(candidate => candidate.timestamp > start.timestamp);
+    return {
+      gradient: start.attributes?.gradient ?? null,
+      lengthKm: distanceBetween(routeData, start.timestamp, end ? end.timestamp : lastTime),
+      closed: !!end
+    };
+  });
+
+  const counts = {};
+  markers.forEach(marker => {
+    counts[marker.markerType] = (counts[marker.markerType] || 0) + 1;
+  });
+
+  return {
+    total: markers.length,
+    counts,
+    steps: {
+      count: steps.length,
+      totalSteps: attribute(steps, 'stepCount').reduce((sum, value) => sum + (value || 0), 0),
+      withoutHandrail: attribute(steps, 'handrail').filter(value => value === false).length,
+      withoutRamp: attribute(steps, 'rampAlternative').filter(value => value === false).length,
+      maxStepHeight: maxOf(attribute(steps, 'stepHeight'))
+    },
+    narrowestPassage: minOf(attribute(ofType('narrow_passage'), 'width')),
+    gates: {
+      count: gates.length,
+      types: [...new Set(attribute(gates, 'gateType').filter(Boolean))],
+      narrowestWidth: minOf(attribute(gates, 'width')),
+      needAssistance: attribute(gates, 'opensUnaided').filter(value => value === false).length
+    },
+    benches: {
+      count: benches.length,
+      withArmrests: attribute(benches, 'armrests').filter(value => value === true).length,
+      withoutArmrests: attribute(benches, 'armrests').filter(value => value === false).length,
+      withBackrest: attribute(benches, 'backrest').filter(value => value === true).length
+    },
+    fountains: ofType('water_fountain').length,
+    restrooms: {
+      count: restrooms.length,
+      separate: attribute(restrooms, 'layout').includes('Separate men/women')
+    },
+    steepSections,
+    surfaces: [...new Set(attribute(ofType('surface_change'), 'surface').filter(Boolean))]
+  };
+}
+
+// Human-readable lines for the trail guide and exports
+export function describeMarkerSummary(summary) {
+  const lines = [];
+  const plural = (count, word, plural = `${word}s`) => `${count} ${count === 1 ? word : plural}`;
+
+  if (summary.steps.count > 0) {
+    const details = [
+      summary.steps.totalSteps > 0 && plural(summary.steps.totalSteps, 'step'),
+      summary.steps.maxStepHeight !== null && `up to ${summary.steps.maxStepHeight} cm high`,
+      summary.steps.withoutRamp > 0 && `${summary.steps.withoutRamp} without a step-free alternative`,
+      summary.steps.withoutHandrail > 0 && `${summary.steps.withoutHandrail} without a handrail`
+    ].filter(Boolean);
+    lines.push(`${MARKER_TYPES.steps.icon} ${plural(summary.steps.count, 'set')} of steps${details.length ? ` (${details.join(', ')})` : ''}`);
+  }
+  if (summary.counts.narrow_passage) {
+    lines.push(`${MARKER_TYPES.narrow_passage.icon} ${plural(summary.counts.narrow_passage, 'narrow passage')}${summary.narrowestPassage !== null ? `, narrowest ${summary.narrowestPassage} cm` : ''}`);
+  }
+  if (summary.gates.count > 0) {
+    const details = [
+      summary.gates.types.join(', '),
+      summary.gates.narrowestWidth !== null && `narrowest ${summary.gates.narrowestWidth} cm`,
+      summary.gates.needAssistance > 0 && `${summary.gates.needAssistance} need assistance to open`
+    ].filter(Boolean);
+    lines.push(`${MARKER_TYPES.gate.icon} ${plural(summary.gates.count, 'gate')}${details.length ? ` (${details.join(', ')})` : ''}`);
+  }
+  summary.steepSections.forEach((section, index) => {
+    const gradient = section.gradient !== null ? ` at about ${section.gradient}%` : '';
+    lines.push(`${MARKER_TYPES.steep_start.icon} Steep section ${index + 1}: ${Math.round(section.lengthKm * 1000)} m${gradient}${section.closed ? '' : ' (to the end of the route)'}`);
+  });
+  if (summary.benches.count > 0) {
+    lines.push(`${MARKER_TYPES.bench.icon} ${plural(summary.benches.count, 'bench', 'benches')}${summary.benches.withArmrests > 0 ? `, ${summary.benches.withArmrests} with armrests` : ''}`);
+  }
+  if (summary.fountains > 0) {
+    lines.push(`${MARKER_TYPES.water_fountain.icon} ${plural(summary.fountains, 'water fountain')}`);
+  }
+  if (summary.restrooms.count > 0) {
+    lines.push(`${MARKER_TYPES.restroom.icon} ${plural(summary.restrooms.count, 'accessible restroom')}`);
+  }
+  if (summary.surfaces.length > 0) {
+    lines.push(`${MARKER_TYPES.surface_change.icon} Surfaces: ${summary.surfaces.join(', ')}`);
+  }
+
+  return lines;
+}